@@ -0,0 +1,74 @@
+/**
+ * Bulk Create Artifacts Endpoint
+ * POST /api/artifacts/bulk/create
+ * Creates several artifacts at once, with their chat history - all of them or none.
+ * Moves a guest's localStorage projects into their account on first sign-in
+ */
+
+import { verifyAuth, getFirestore } from '../../middleware/auth.js';
+import { resolveArtifactScope } from '../../utils/workspaces.js';
+import { toBulkArtifactData, validateBulkArtifacts } from '../../utils/bulkArtifacts.js';
+import { toListingIndex } from '../../utils/artifactListing.js';
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { artifacts, workspaceId } = req.body;
+
+    // Validate request body
+    const problem = validateBulkArtifacts(artifacts);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error, message: problem.message });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'editor');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
+    // One batch, so the caller can rely on everything having been saved
+    const batch = db.batch();
+    const now = new Date().toISOString();
+    const createdArtifacts = artifacts.map((artifact) => {
+      const artifactRef = scope.artifacts.doc();
+      const artifactData = toBulkArtifactData(artifact, now);
+      batch.set(artifactRef, { ...artifactData, ...toListingIndex(artifactData) });
+
+      return {
+        id: artifactRef.id,
+        // The ID the artifact had on the client (e.g. its guest ID), to match them up
+        clientId: typeof artifact.id === 'string' ? artifact.id : null,
+        ...artifactData,
+      };
+    });
+
+    await batch.commit();
+
+    return res.status(201).json({
+      success: true,
+      artifacts: createdArtifacts,
+      count: createdArtifacts.length,
+    });
+  } catch (error) {
+    console.error('Bulk create artifacts error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
@@ -1,10 +1,12 @@
 /**
  * Create Artifact Endpoint
  * POST /api/artifacts/create
- * Creates a new artifact for the authenticated user
+ * Creates a new artifact for the authenticated user, or in a workspace they can edit
  */
 
 import { verifyAuth, getFirestore } from '../middleware/auth.js';
+import { resolveArtifactScope } from '../utils/workspaces.js';
+import { toListingIndex } from '../utils/artifactListing.js';
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -20,7 +22,7 @@ export default async function handler(req, res) {
     }
 
     const { userId } = authResult;
-    const { name, files } = req.body;
+    const { name, files, workspaceId } = req.body;
 
     // Validate request body
     if (!name || typeof name !== 'string') {
@@ -40,20 +42,26 @@ export default async function handler(req, res) {
     // Get Firestore instance
     const db = getFirestore();
 
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'editor');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
     // Create artifact document
     const artifactData = {
       name,
       files,
+      revision: 0, // Advanced by every update (see update.js)
+      tags: [],
+      folder: null,
+      pinned: false,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
 
-    // Add to Firestore: /users/{userId}/artifacts/{artifactId}
-    const artifactRef = await db
-      .collection('users')
-      .doc(userId)
-      .collection('artifacts')
-      .add(artifactData);
+    // Add to Firestore: /users/{userId}/artifacts/{artifactId} or /workspaces/{workspaceId}/artifacts/{artifactId}
+    const artifactRef = await scope.artifacts.add({ ...artifactData, ...toListingIndex(artifactData) });
 
     // Return created artifact with ID
     const createdArtifact = {
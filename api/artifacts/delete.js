@@ -1,10 +1,13 @@
 /**
  * Delete Artifact Endpoint
  * DELETE /api/artifacts/delete
- * Deletes an artifact for the authenticated user
+ * Deletes an artifact for the authenticated user, or from a workspace they can edit
+ * The artifact's share links are revoked with it
  */
 
 import { verifyAuth, getFirestore } from '../middleware/auth.js';
+import { resolveArtifactScope } from '../utils/workspaces.js';
+import { deleteShares } from '../utils/shareLinks.js';
 
 export default async function handler(req, res) {
   // Only allow DELETE requests
@@ -22,7 +25,7 @@ export default async function handler(req, res) {
     const { userId } = authResult;
 
     // Get artifact ID from query parameters
-    const { id: artifactId } = req.query;
+    const { id: artifactId, workspaceId } = req.query;
 
     // Validate artifact ID
     if (!artifactId || typeof artifactId !== 'string') {
@@ -35,12 +38,14 @@ export default async function handler(req, res) {
     // Get Firestore instance
     const db = getFirestore();
 
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'editor');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
     // Reference to the artifact
-    const artifactRef = db
-      .collection('users')
-      .doc(userId)
-      .collection('artifacts')
-      .doc(artifactId);
+    const artifactRef = scope.artifacts.doc(artifactId);
 
     // Check if artifact exists and belongs to user
     const artifactDoc = await artifactRef.get();
@@ -52,13 +57,18 @@ export default async function handler(req, res) {
       });
     }
 
-    // Delete the artifact
-    await artifactRef.delete();
+    // Delete the artifact along with its versions subcollection, and its public share links
+    // (only listed for artifacts that exist, so they could no longer be found or revoked)
+    await db.recursiveDelete(artifactRef);
+    const revokedShares = await deleteShares(db, scope.workspaceId
+      ? { artifactId, workspaceId: scope.workspaceId }
+      : { artifactId, workspaceId: null, ownerId: userId });
 
     return res.status(200).json({
       success: true,
       message: 'Artifact deleted successfully',
       artifactId,
+      revokedShares,
     });
   } catch (error) {
     console.error('Delete artifact error:', error);
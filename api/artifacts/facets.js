@@ -0,0 +1,52 @@
+/**
+ * List Artifact Facets Endpoint
+ * GET /api/artifacts/facets?workspaceId=... (workspaceId optional)
+ * Returns the tags and folders in use across the user's (or workspace's) artifacts, for the sidebar filters.
+ * Reads every artifact, so the client asks once per artifact set and tracks its own changes after that
+ */
+
+import { verifyAuth, getFirestore } from '../middleware/auth.js';
+import { resolveArtifactScope } from '../utils/workspaces.js';
+import { listFacets } from '../utils/artifactListing.js';
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { workspaceId } = req.query;
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'viewer');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
+    const facets = await listFacets(scope.artifacts);
+
+    // Repeat visits within a minute are served from the browser's cache
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    return res.status(200).json({
+      success: true,
+      facets,
+    });
+  } catch (error) {
+    console.error('List artifact facets error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Acquire Generation Lock Endpoint
+ * POST /api/artifacts/generation/acquire
+ * Claims an artifact for one AI generation, so collaborators' generations don't overlap.
+ * The lock is stored on the artifact (generationLock), lapses after a few minutes,
+ * and can be renewed by the tab that holds it
+ */
+
+import { verifyAuth, getFirestore } from '../../middleware/auth.js';
+import { resolveArtifactScope } from '../../utils/workspaces.js';
+import {
+  canAcquireLock,
+  createGenerationLock
+} from '../../../src/services/utils/collaboration/collaboration.js';
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId, email } = authResult;
+    const { artifactId, sessionId, name, workspaceId } = req.body;
+
+    // Validate request body
+    if (!artifactId || typeof artifactId !== 'string' || !sessionId || typeof sessionId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Artifact ID and session ID are required and must be strings',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'editor');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
+    const artifactRef = scope.artifacts.doc(artifactId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const artifactDoc = await transaction.get(artifactRef);
+
+      if (!artifactDoc.exists) {
+        return { status: 404, error: 'Not found', message: 'Artifact not found or you do not have permission to update it' };
+      }
+
+      const current = artifactDoc.data().generationLock || null;
+      if (!canAcquireLock(current, sessionId)) {
+        return {
+          status: 409,
+          error: 'Conflict',
+          code: 'generation_locked',
+          message: `${current.name} is already generating in this artifact - try again when they finish`,
+          lock: { name: current.name, expiresAt: current.expiresAt },
+        };
+      }
+
+      const lock = createGenerationLock({
+        sessionId,
+        userId,
+        name: (typeof name === 'string' && name.trim()) || email,
+      });
+      transaction.update(artifactRef, { generationLock: lock });
+
+      return { lock };
+    });
+
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    return res.status(200).json({
+      success: true,
+      lock: result.lock,
+    });
+  } catch (error) {
+    console.error('Acquire generation lock error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Release Generation Lock Endpoint
+ * DELETE /api/artifacts/generation/release?artifactId=...&sessionId=...
+ * Frees an artifact after a generation finishes (only the tab holding the lock can release it)
+ */
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { verifyAuth, getFirestore } from '../../middleware/auth.js';
+import { resolveArtifactScope } from '../../utils/workspaces.js';
+
+export default async function handler(req, res) {
+  // Only allow DELETE requests
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { artifactId, sessionId, workspaceId } = req.query;
+
+    // Validate query parameters
+    if (!artifactId || typeof artifactId !== 'string' || !sessionId || typeof sessionId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Artifact ID and session ID are required in query parameters',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'editor');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
+    const artifactRef = scope.artifacts.doc(artifactId);
+
+    const released = await db.runTransaction(async (transaction) => {
+      const artifactDoc = await transaction.get(artifactRef);
+      const lock = artifactDoc.exists ? artifactDoc.data().generationLock : null;
+
+      // Someone else's (or no) lock - nothing to release
+      if (!lock || lock.sessionId !== sessionId) return false;
+
+      transaction.update(artifactRef, { generationLock: FieldValue.delete() });
+      return true;
+    });
+
+    return res.status(200).json({
+      success: true,
+      released,
+    });
+  } catch (error) {
+    console.error('Release generation lock error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Get Artifact Endpoint
+ * GET /api/artifacts/get?id=...
+ * Returns one artifact with its files and chat history, for the authenticated user
+ * or from one of their workspaces (?workspaceId=...). Listings only return summaries.
+ */
+
+import { verifyAuth, getFirestore } from '../middleware/auth.js';
+import { resolveArtifactScope } from '../utils/workspaces.js';
+import { toListedArtifact } from '../utils/artifactListing.js';
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+
+    // Get artifact ID from query parameters
+    const { id: artifactId, workspaceId } = req.query;
+
+    // Validate artifact ID
+    if (!artifactId || typeof artifactId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Artifact ID is required in query parameters',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'viewer');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
+    const artifactDoc = await scope.artifacts.doc(artifactId).get();
+
+    if (!artifactDoc.exists) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Artifact not found or you do not have permission to view it',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      artifact: toListedArtifact(artifactDoc),
+    });
+  } catch (error) {
+    console.error('Get artifact error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
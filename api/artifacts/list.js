@@ -1,10 +1,16 @@
 /**
  * List Artifacts Endpoint
- * GET /api/artifacts/list
- * Returns all artifacts for the authenticated user
+ * GET /api/artifacts/list?q=...&tag=...&folder=...&sort=updated|created|name&limit=30&cursor=...
+ * Returns a page of artifact summaries (name, timestamps, file count, thumbnail - no files or chat history)
+ * for the authenticated user, or for one of their workspaces (?workspaceId=...). Open one with /api/artifacts/get
+ * q searches names, chat history and file contents. Pinned artifacts come first on the first page.
+ * Pass nextCursor back as cursor for the next page. The tags and folders in use come from /api/artifacts/facets
  */
 
 import { verifyAuth, getFirestore } from '../middleware/auth.js';
+import { resolveArtifactScope } from '../utils/workspaces.js';
+import { listArtifactPage, listPinnedArtifacts } from '../utils/artifactListing.js';
+import { parseListQuery } from '../../src/services/utils/search/artifactSearch.js';
 
 export default async function handler(req, res) {
   // Only allow GET requests
@@ -20,32 +26,40 @@ export default async function handler(req, res) {
     }
 
     const { userId } = authResult;
+    const { workspaceId, ...listQuery } = req.query;
+
+    // Validate query parameters
+    const options = parseListQuery(listQuery);
+    if (options.error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: options.error,
+      });
+    }
 
     // Get Firestore instance
     const db = getFirestore();
 
-    // Query all artifacts for this user
-    const artifactsRef = db
-      .collection('users')
-      .doc(userId)
-      .collection('artifacts')
-      .orderBy('updatedAt', 'desc'); // Most recently updated first
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'viewer');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
 
-    const snapshot = await artifactsRef.get();
+    const page = await listArtifactPage(scope.artifacts, options);
+    if (page.error) {
+      return res.status(page.status).json({ error: page.error, message: page.message });
+    }
 
-    // Convert snapshot to array of artifacts
-    const artifacts = [];
-    snapshot.forEach((doc) => {
-      artifacts.push({
-        id: doc.id,
-        ...doc.data(),
-      });
-    });
+    // First page: pinned artifacts come first
+    const pinned = !options.cursor ? await listPinnedArtifacts(scope.artifacts, options) : [];
+    const artifacts = [...pinned, ...page.artifacts];
 
     return res.status(200).json({
       success: true,
       artifacts,
       count: artifacts.length,
+      nextCursor: page.nextCursor,
     });
   } catch (error) {
     console.error('List artifacts error:', error);
@@ -0,0 +1,89 @@
+/**
+ * Create Share Link Endpoint
+ * POST /api/artifacts/share/create
+ * Publishes a read-only snapshot of one of the user's artifacts under a new public slug
+ * Later edits to the artifact don't change the snapshot - share again to publish them
+ */
+
+import { verifyAuth, getFirestore } from '../../middleware/auth.js';
+import { resolveArtifactScope } from '../../utils/workspaces.js';
+import { SHARES_COLLECTION, createShareSlug, toShareSummary } from '../../utils/shareLinks.js';
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { artifactId, workspaceId } = req.body;
+
+    // Validate request body
+    if (!artifactId || typeof artifactId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Artifact ID is required',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'editor');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
+    const artifactDoc = await scope.artifacts
+      .doc(artifactId)
+      .get();
+
+    if (!artifactDoc.exists) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Artifact not found or you do not have permission to share it',
+      });
+    }
+
+    const artifact = artifactDoc.data();
+    if (!artifact.files || Object.keys(artifact.files).length === 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'There is nothing to share yet - the artifact has no files',
+      });
+    }
+
+    // Snapshot only what the viewer needs - chat history stays private
+    const slug = createShareSlug();
+    const shareData = {
+      ownerId: userId,
+      artifactId,
+      workspaceId: scope.workspaceId,
+      name: artifact.name || 'Untitled Project',
+      files: artifact.files,
+      createdAt: new Date().toISOString(),
+    };
+
+    // create() fails instead of overwriting in the (astronomically unlikely) event of a slug collision
+    await db.collection(SHARES_COLLECTION).doc(slug).create(shareData);
+
+    return res.status(201).json({
+      success: true,
+      share: toShareSummary(slug, shareData),
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
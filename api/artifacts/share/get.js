@@ -0,0 +1,53 @@
+/**
+ * Get Shared Artifact Endpoint
+ * GET /api/artifacts/share/get?slug=...
+ * Public - returns a share snapshot's name and files to anyone holding the link
+ */
+
+import { getFirestore } from '../../middleware/auth.js';
+import { SHARES_COLLECTION, isValidShareSlug } from '../../utils/shareLinks.js';
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { slug } = req.query;
+
+    // Validate query parameters
+    if (!isValidShareSlug(slug)) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'This share link does not exist or has been revoked',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    const shareDoc = await db.collection(SHARES_COLLECTION).doc(slug).get();
+
+    if (!shareDoc.exists) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'This share link does not exist or has been revoked',
+      });
+    }
+
+    // The viewer only needs the snapshot itself
+    const { name, files, createdAt } = shareDoc.data();
+
+    return res.status(200).json({
+      success: true,
+      share: { slug, name, files, createdAt },
+    });
+  } catch (error) {
+    console.error('Get shared artifact error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
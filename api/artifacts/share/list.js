@@ -0,0 +1,72 @@
+/**
+ * List Share Links Endpoint
+ * GET /api/artifacts/share/list?artifactId=...&workspaceId=... (both optional)
+ * Returns the user's personal share links, or all of a workspace's links for its editors
+ * (metadata only), newest first
+ */
+
+import { verifyAuth, getFirestore } from '../../middleware/auth.js';
+import { resolveArtifactScope } from '../../utils/workspaces.js';
+import { SHARES_COLLECTION, toShareSummary } from '../../utils/shareLinks.js';
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { artifactId, workspaceId } = req.query;
+
+    if (artifactId !== undefined && typeof artifactId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'artifactId must be a single value',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    // Workspace links are managed by the workspace's editors, whoever created them
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'editor');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
+    // Equality filters only, so no composite index is needed - sorted below instead
+    let sharesQuery = scope.workspaceId
+      ? db.collection(SHARES_COLLECTION).where('workspaceId', '==', scope.workspaceId)
+      : db.collection(SHARES_COLLECTION).where('ownerId', '==', userId).where('workspaceId', '==', null);
+    if (artifactId) {
+      sharesQuery = sharesQuery.where('artifactId', '==', artifactId);
+    }
+
+    const snapshot = await sharesQuery.get();
+
+    const shares = [];
+    snapshot.forEach((doc) => {
+      shares.push(toShareSummary(doc.id, doc.data()));
+    });
+    shares.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return res.status(200).json({
+      success: true,
+      shares,
+      count: shares.length,
+    });
+  } catch (error) {
+    console.error('List share links error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Revoke Share Link Endpoint
+ * DELETE /api/artifacts/share/revoke?slug=...
+ * Deletes one of the user's share snapshots, or any of a workspace's for its editors -
+ * the link stops working immediately
+ */
+
+import { verifyAuth, getFirestore } from '../../middleware/auth.js';
+import { WORKSPACES_COLLECTION, getMemberRole } from '../../utils/workspaces.js';
+import { SHARES_COLLECTION, canManageShare, isValidShareSlug } from '../../utils/shareLinks.js';
+
+export default async function handler(req, res) {
+  // Only allow DELETE requests
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { slug } = req.query;
+
+    // Validate query parameters
+    if (!isValidShareSlug(slug)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'A valid share slug is required in query parameters',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    const shareRef = db.collection(SHARES_COLLECTION).doc(slug);
+    const shareDoc = await shareRef.get();
+    const share = shareDoc.exists ? shareDoc.data() : null;
+
+    let workspaceRole = null;
+    if (share?.workspaceId) {
+      const workspaceDoc = await db.collection(WORKSPACES_COLLECTION).doc(share.workspaceId).get();
+      workspaceRole = workspaceDoc.exists ? getMemberRole(workspaceDoc.data(), userId) : null;
+    }
+
+    // Someone else's link looks the same as a missing one
+    if (!share || !canManageShare(share, userId, workspaceRole)) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Share link not found or you do not have permission to revoke it',
+      });
+    }
+
+    await shareRef.delete();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Share link revoked',
+      slug,
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
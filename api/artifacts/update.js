@@ -1,10 +1,20 @@
 /**
  * Update Artifact Endpoint
  * PUT /api/artifacts/update
- * Updates an existing artifact for the authenticated user
+ * Updates an existing artifact for the authenticated user, or in a workspace they can edit
+ * `filesPatch` ({ path: content, or null to delete }) changes single files, so collaborators
+ * editing different files of the same artifact don't overwrite each other
+ * Every update quotes the artifact `revision` it was made against; stale updates are rejected
+ * with 409 and the current artifact, so the client can merge and retry
  */
 
+import { FieldPath, FieldValue } from 'firebase-admin/firestore';
 import { verifyAuth, getFirestore } from '../middleware/auth.js';
+import { resolveArtifactScope } from '../utils/workspaces.js';
+import { toListedArtifact, toListingIndex } from '../utils/artifactListing.js';
+import { applyFilesPatch, validateFilesPatch } from '../../src/services/utils/collaboration/collaboration.js';
+import { isValidRevision } from '../../src/services/utils/collaboration/merge.js';
+import { normalizeOrganization } from '../../src/services/utils/search/artifactSearch.js';
 
 export default async function handler(req, res) {
   // Only allow PUT requests
@@ -20,7 +30,7 @@ export default async function handler(req, res) {
     }
 
     const { userId } = authResult;
-    const { artifactId, updates } = req.body;
+    const { artifactId, revision, updates = {}, filesPatch, workspaceId } = req.body;
 
     // Validate request body
     if (!artifactId || typeof artifactId !== 'string') {
@@ -30,6 +40,13 @@ export default async function handler(req, res) {
       });
     }
 
+    if (!isValidRevision(revision)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Revision is required and must be the artifact revision the update was made against',
+      });
+    }
+
     if (!updates || typeof updates !== 'object') {
       return res.status(400).json({
         error: 'Invalid request',
@@ -37,45 +54,117 @@ export default async function handler(req, res) {
       });
     }
 
+    // Tags, folder and pin are stored normalized
+    const organization = normalizeOrganization(updates);
+    if (organization.error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: organization.error,
+      });
+    }
+
+    if (filesPatch !== undefined) {
+      const problem = validateFilesPatch(filesPatch);
+      if (problem) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: problem,
+        });
+      }
+
+      if ('files' in updates) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'Send either updates.files or filesPatch, not both',
+        });
+      }
+    }
+
     // Get Firestore instance
     const db = getFirestore();
 
-    // Reference to the artifact
-    const artifactRef = db
-      .collection('users')
-      .doc(userId)
-      .collection('artifacts')
-      .doc(artifactId);
-
-    // Check if artifact exists and belongs to user
-    const artifactDoc = await artifactRef.get();
-
-    if (!artifactDoc.exists) {
-      return res.status(404).json({
-        error: 'Not found',
-        message: 'Artifact not found or you do not have permission to update it',
-      });
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'editor');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
     }
 
+    // Reference to the artifact
+    const artifactRef = scope.artifacts.doc(artifactId);
+
     // Prepare update data
     const updateData = {
       ...updates,
+      ...organization.values,
       updatedAt: new Date().toISOString(),
+      updatedBy: userId,
     };
 
     // Remove id field from updates if present (can't update document ID)
     delete updateData.id;
     delete updateData.createdAt; // Don't allow updating createdAt
+    delete updateData.generationLock; // Managed by /api/artifacts/generation/*
+    delete updateData.revision; // Advanced below
+    delete updateData.searchTokens; // Rebuilt below
+    delete updateData.searchVersion;
+    delete updateData.fileCount;
+    delete updateData.thumbnail;
+
+    // Field paths, so file names containing dots (App.jsx) stay single keys
+    const fieldUpdates = Object.entries(updateData).flatMap(([field, value]) => [new FieldPath(field), value]);
+    Object.entries(filesPatch || {}).forEach(([path, content]) => {
+      fieldUpdates.push(new FieldPath('files', path), content === null ? FieldValue.delete() : content);
+    });
+
+    // Check the revision and write in one transaction, so two saves of the same revision can't both land
+    const result = await db.runTransaction(async (transaction) => {
+      const artifactDoc = await transaction.get(artifactRef);
+
+      // Check if artifact exists and belongs to user
+      if (!artifactDoc.exists) {
+        return {
+          status: 404,
+          error: 'Not found',
+          message: 'Artifact not found or you do not have permission to update it',
+        };
+      }
 
-    // Update the artifact
-    await artifactRef.update(updateData);
+      // Artifacts saved before revisions existed count as revision 0
+      const current = artifactDoc.data();
+      const currentRevision = current.revision || 0;
+      if (revision !== currentRevision) {
+        return {
+          status: 409,
+          error: 'Conflict',
+          code: 'revision_conflict',
+          message: 'This artifact was changed in another tab or by a collaborator since you last loaded it',
+          artifact: { ...toListedArtifact(artifactDoc), revision: currentRevision },
+        };
+      }
+
+      // Keep the search index and listing summary in step with the name, conversation and files
+      const writes = [...fieldUpdates];
+      if (filesPatch || ['name', 'files', 'chatHistory'].some(field => field in updates)) {
+        const index = toListingIndex({
+          ...current,
+          ...updates,
+          files: applyFilesPatch(updates.files || current.files || {}, filesPatch || {}),
+        });
+        Object.entries(index).forEach(([field, value]) => writes.push(field, value));
+      }
+
+      transaction.update(artifactRef, ...writes, 'revision', currentRevision + 1);
+      return {};
+    });
+
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
 
     // Get updated artifact
     const updatedDoc = await artifactRef.get();
-    const updatedArtifact = {
-      id: updatedDoc.id,
-      ...updatedDoc.data(),
-    };
+    const updatedArtifact = toListedArtifact(updatedDoc);
 
     return res.status(200).json({
       success: true,
@@ -0,0 +1,115 @@
+/**
+ * Create Artifact Version Endpoint
+ * POST /api/artifacts/versions/create
+ * Snapshots an artifact's files into /users/{userId}/artifacts/{artifactId}/versions
+ */
+
+import { verifyAuth, getFirestore } from '../../middleware/auth.js';
+import { resolveArtifactScope } from '../../utils/workspaces.js';
+import {
+  MAX_VERSIONS,
+  createVersion,
+  isSameFiles
+} from '../../../src/services/utils/versions/versionHistory.js';
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { artifactId, files, trigger, message, workspaceId } = req.body;
+
+    // Validate request body
+    if (!artifactId || typeof artifactId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Artifact ID is required and must be a string',
+      });
+    }
+
+    if (!files || typeof files !== 'object') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Files object is required',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'editor');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
+    // Reference to the artifact
+    const artifactRef = scope.artifacts.doc(artifactId);
+
+    // Check if artifact exists and belongs to user
+    const artifactDoc = await artifactRef.get();
+
+    if (!artifactDoc.exists) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Artifact not found or you do not have permission to update it',
+      });
+    }
+
+    const versionsRef = artifactRef.collection('versions');
+
+    // Compare against the latest version (for the change summary, and to skip duplicates)
+    const latestSnapshot = await versionsRef.orderBy('createdAt', 'desc').limit(1).get();
+    const latest = latestSnapshot.empty ? null : latestSnapshot.docs[0].data();
+
+    if (latest && isSameFiles(latest.files, files)) {
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        message: 'Files are unchanged since the latest version',
+      });
+    }
+
+    const { id: _clientId, ...versionData } = createVersion(files, {
+      trigger,
+      message,
+      previousFiles: latest?.files,
+    });
+
+    const versionRef = await versionsRef.add(versionData);
+
+    // Prune the oldest versions beyond the limit
+    const staleSnapshot = await versionsRef.orderBy('createdAt', 'desc').offset(MAX_VERSIONS).get();
+    if (!staleSnapshot.empty) {
+      const batch = db.batch();
+      staleSnapshot.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+    }
+
+    // Return version metadata (the client already has the files)
+    const { files: _files, ...metadata } = versionData;
+
+    return res.status(201).json({
+      success: true,
+      version: {
+        id: versionRef.id,
+        ...metadata,
+      },
+    });
+  } catch (error) {
+    console.error('Create version error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
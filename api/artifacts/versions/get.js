@@ -0,0 +1,70 @@
+/**
+ * Get Artifact Version Endpoint
+ * GET /api/artifacts/versions/get?artifactId=...&versionId=...
+ * Returns a single version, including its files
+ */
+
+import { verifyAuth, getFirestore } from '../../middleware/auth.js';
+import { resolveArtifactScope } from '../../utils/workspaces.js';
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { artifactId, versionId, workspaceId } = req.query;
+
+    // Validate query parameters
+    if (!artifactId || typeof artifactId !== 'string' || !versionId || typeof versionId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Artifact ID and version ID are required in query parameters',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'viewer');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
+    const versionDoc = await scope.artifacts
+      .doc(artifactId)
+      .collection('versions')
+      .doc(versionId)
+      .get();
+
+    if (!versionDoc.exists) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Version not found or you do not have permission to view it',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      version: {
+        id: versionDoc.id,
+        ...versionDoc.data(),
+      },
+    });
+  } catch (error) {
+    console.error('Get version error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
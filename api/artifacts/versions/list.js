@@ -0,0 +1,71 @@
+/**
+ * List Artifact Versions Endpoint
+ * GET /api/artifacts/versions/list?artifactId=...
+ * Returns version metadata (without files), newest first
+ */
+
+import { verifyAuth, getFirestore } from '../../middleware/auth.js';
+import { resolveArtifactScope } from '../../utils/workspaces.js';
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { artifactId, workspaceId } = req.query;
+
+    // Validate artifact ID
+    if (!artifactId || typeof artifactId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Artifact ID is required in query parameters',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    // Personal artifacts, or the workspace's when a workspace ID is given
+    const scope = await resolveArtifactScope(db, userId, workspaceId, 'viewer');
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error, message: scope.message });
+    }
+
+    // Files are fetched one version at a time - listing only needs the summary
+    const snapshot = await scope.artifacts
+      .doc(artifactId)
+      .collection('versions')
+      .orderBy('createdAt', 'desc')
+      .select('trigger', 'message', 'fileCount', 'changes', 'createdAt')
+      .get();
+
+    const versions = [];
+    snapshot.forEach((doc) => {
+      versions.push({
+        id: doc.id,
+        ...doc.data(),
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      versions,
+      count: versions.length,
+    });
+  } catch (error) {
+    console.error('List versions error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
@@ -1,10 +1,20 @@
 /**
  * Vercel Serverless Function
- * Securely proxies OpenAI API requests
- * Keeps API key server-side only
+ * Securely proxies chat completion requests to the model's provider
+ * (OpenAI, OpenAI-compatible, Anthropic or Ollama - see providers.js)
+ * Keeps API keys server-side only
+ * Supports Server-Sent Events streaming when the client sends `stream: true`
+ * Only forwards allow-listed models within size caps (see utils/chatPolicy.js);
+ * rejections are `{ error, code, message }` with a 4xx status
  */
 
-import { checkRateLimit } from './utils/rateLimit.js';
+import { checkRateLimit, estimateUsage, recordUsage, releaseRateLimit, toRateLimitInfo } from './utils/rateLimit.js';
+import { checkChatAccess, loadChatPolicy, validateChatRequest } from './utils/chatPolicy.js';
+import {
+  createChatCompletion,
+  getProviderForModel,
+  isProviderConfigured
+} from '../src/services/utils/llm/providers.js';
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -12,109 +22,182 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Check rate limit
-  const rateLimit = checkRateLimit(req);
+  // Reject anything the app itself wouldn't send before spending anything on it
+  const policy = loadChatPolicy();
+  const invalid = validateChatRequest(req.body, policy);
+  if (invalid) {
+    const { status, ...body } = invalid;
+    return res.status(status).json(body);
+  }
 
-  // Add rate limit headers to response
-  res.setHeader('X-RateLimit-Limit', rateLimit.limit.toString());
-  res.setHeader('X-RateLimit-Remaining', rateLimit.remaining.toString());
-  res.setHeader('X-RateLimit-Reset', rateLimit.reset);
+  // Check today's token budget (per user when signed in, per IP for guests), reserving the
+  // most this call can use - its prompt plus the completion tokens it may generate
+  const { model, messages, temperature, max_tokens, max_completion_tokens, stream } = req.body;
+  const rateLimit = await checkRateLimit(req, {
+    estimatedTokens: estimateUsage(messages).prompt_tokens + (max_completion_tokens ?? max_tokens ?? policy.maxTokens)
+  });
+
+  // Guests are only served when the deployment allows them
+  const denied = checkChatAccess(rateLimit, policy);
+  if (denied) {
+    await releaseRateLimit(rateLimit);
+    const { status, ...body } = denied;
+    return res.status(status).json(body);
+  }
 
-  // If rate limit exceeded, return 429
+  // Add rate limit headers to response (tokens used before this call; none for unlimited tiers)
+  if (rateLimit.limit !== null) {
+    res.setHeader('X-RateLimit-Limit', rateLimit.limit.toString());
+    res.setHeader('X-RateLimit-Remaining', rateLimit.remaining.toString());
+    res.setHeader('X-RateLimit-Reset', rateLimit.reset);
+  }
+
+  // If the budget is used up, return 429
   if (!rateLimit.allowed) {
     return res.status(429).json({
       error: 'Rate limit exceeded',
-      message: 'Daily limit reached. Your quota will reset at midnight UTC.',
-      rateLimit: {
-        limit: rateLimit.limit,
-        remaining: rateLimit.remaining,
-        reset: rateLimit.reset,
-        used: rateLimit.used
-      }
-    });
-  }
-
-  // Get API key from environment (server-side only)
-  const apiKey = process.env.OPENAI_API_KEY;
-
-  if (!apiKey) {
-    console.error('OPENAI_API_KEY not configured in Vercel environment');
-    return res.status(500).json({
-      error: 'Server configuration error',
-      message: 'OpenAI API key not configured'
+      code: 'budget_exhausted',
+      message: rateLimit.tier === 'guest'
+        ? "Today's budget is used up. It will reset at midnight UTC - or sign in for a larger budget."
+        : "Today's budget is used up. It will reset at midnight UTC.",
+      rateLimit: toRateLimitInfo(rateLimit)
     });
   }
 
   try {
-    // Extract request body
-    const { model, messages, temperature, max_tokens, max_completion_tokens } = req.body;
-
-    // Validate required fields
-    if (!model || !messages) {
-      return res.status(400).json({
-        error: 'Bad request',
-        message: 'Missing required fields: model and messages'
+    // Credentials live server-side, per provider
+    const provider = getProviderForModel(model);
+    if (!isProviderConfigured(provider.name)) {
+      console.error(`${provider.label} provider not configured in environment`);
+      return res.status(500).json({
+        error: 'Server configuration error',
+        message: `${provider.label} provider not configured`
       });
     }
 
-    // Build request body for OpenAI
-    const openaiRequestBody = {
-      model,
-      messages,
-    };
+    // Abort the upstream request if the browser disconnects (Stop button, closed tab)
+    // before the response is finished
+    const upstreamController = new AbortController();
+    res.on?.('close', () => {
+      if (!res.writableEnded) upstreamController.abort();
+    });
 
-    // Add optional parameters if provided
-    if (temperature !== undefined) {
-      openaiRequestBody.temperature = temperature;
-    }
-    if (max_tokens !== undefined) {
-      openaiRequestBody.max_tokens = max_tokens;
-    }
-    if (max_completion_tokens !== undefined) {
-      openaiRequestBody.max_completion_tokens = max_completion_tokens;
+    // Client already gone before anything was sent upstream
+    if (req.aborted || req.socket?.destroyed) {
+      return res.end();
     }
 
-    // Make request to OpenAI API
-    const openaiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(openaiRequestBody),
-    });
-
-    // Handle OpenAI API errors
-    if (!openaiResponse.ok) {
-      const errorData = await openaiResponse.json().catch(() => ({}));
-      console.error('OpenAI API error:', openaiResponse.status, errorData);
+    let completion;
+    try {
+      // Provider layer handles per-provider parameter translation
+      completion = await createChatCompletion({
+        model,
+        messages,
+        temperature,
+        max_tokens,
+        max_completion_tokens,
+        stream: stream === true
+      }, { signal: upstreamController.signal });
+    } catch (error) {
+      // Client disconnected mid-request - there is no one to answer
+      if (error.name === 'AbortError') return res.end();
+
+      // Handle provider API errors
+      if (error.name !== 'ProviderError') throw error;
+      console.error(`${provider.label} API error:`, error.status, error.details);
+
+      return res.status(error.status).json({
+        error: `${provider.label} API error`,
+        message: error.message,
+        details: error.details
+      });
+    }
 
-      return res.status(openaiResponse.status).json({
-        error: 'OpenAI API error',
-        message: errorData.error?.message || 'Unknown error from OpenAI',
-        details: errorData
+    // Relay SSE chunks as they arrive; usage is charged once the stream ends
+    if (stream === true) {
+      return await relayStream(completion, res, async (usage, completionText) => {
+        const reported = usage || estimateUsage(messages, completionText);
+        return recordUsage(rateLimit, {
+          model,
+          promptTokens: reported.prompt_tokens,
+          completionTokens: reported.completion_tokens
+        });
       });
     }
 
-    // Parse and return successful response
-    const data = await openaiResponse.json();
+    // Charge the tokens this call used and include the updated budget in the body
+    const usage = completion.usage || estimateUsage(messages, completion.choices?.[0]?.message?.content || '');
+    const updatedRateLimit = await recordUsage(rateLimit, {
+      model,
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens
+    });
 
-    // Include rate limit info in response body
     return res.status(200).json({
-      ...data,
-      rateLimit: {
-        limit: rateLimit.limit,
-        remaining: rateLimit.remaining,
-        reset: rateLimit.reset,
-        used: rateLimit.used
-      }
+      ...completion,
+      rateLimit: toRateLimitInfo(updatedRateLimit)
     });
 
   } catch (error) {
     console.error('Serverless function error:', error);
+
+    // Headers already went out with the stream - just close it
+    if (res.headersSent) {
+      return res.end();
+    }
+
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
     });
+  } finally {
+    // Calls that never got charged (provider errors, early disconnects) give their reservation back
+    await releaseRateLimit(rateLimit);
+  }
+}
+
+/**
+ * Relay a provider stream to the client as OpenAI-format SSE
+ * After the last chunk, a final `{ choices: [], rateLimit }` chunk carries the
+ * budget with this call's usage charged (skipped when the client has gone)
+ * @param {AsyncIterable<Object>} chunks - OpenAI-shaped completion chunks
+ * @param {Object} res - Vercel response object
+ * @param {Function} onFinish - (usage|null, completionText) => Promise<updated rate limit>,
+ *   called once whether the stream completed or was cut off
+ */
+async function relayStream(chunks, res, onFinish) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+
+  let usage = null;
+  let completionText = '';
+  let completed = false;
+
+  try {
+    for await (const chunk of chunks) {
+      // Providers report usage on the final chunk
+      if (chunk.usage) usage = chunk.usage;
+      completionText += chunk.choices?.[0]?.delta?.content || '';
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    }
+    completed = true;
+  } catch (error) {
+    // Client disconnects abort the upstream fetch; anything else is worth logging
+    if (error.name !== 'AbortError') {
+      console.error('Stream relay error:', error);
+    }
   }
+
+  // Tokens generated before a disconnect were still spent upstream
+  const rateLimit = await onFinish(usage, completionText);
+
+  if (completed) {
+    res.write(`data: ${JSON.stringify({ object: 'chat.completion.chunk', choices: [], rateLimit: toRateLimitInfo(rateLimit) })}\n\n`);
+    res.write('data: [DONE]\n\n');
+  }
+
+  return res.end();
 }
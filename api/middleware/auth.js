@@ -77,6 +77,7 @@ export async function verifyAuth(req) {
       userId: decodedToken.uid,
       email: decodedToken.email,
       emailVerified: decodedToken.email_verified,
+      admin: decodedToken.admin === true, // Custom claim
     };
   } catch (error) {
     console.error('Auth verification error:', {
@@ -123,4 +124,11 @@ export function getFirestore() {
   return admin.firestore();
 }
 
+/**
+ * Get Firebase Auth instance (for looking up users in API routes)
+ */
+export function getAuth() {
+  return admin.auth();
+}
+
 export default verifyAuth;
@@ -0,0 +1,176 @@
+/**
+ * Artifact Listing
+ * Pages of an artifacts collection for /api/artifacts/list: search, tag and folder filters, sorting
+ * and cursor pagination. Firestore allows one array-contains per query, so the longest search word
+ * (or the tag) is queried there and everything else is checked on each document.
+ * Listings read summaries only (see artifactSummary) - files and chat history come from /api/artifacts/get.
+ */
+
+import {
+  ARTIFACT_SORTS,
+  SEARCH_INDEX_VERSION,
+  buildSearchTokens,
+  collectFacets,
+  matchesArtifactFilters,
+  sortArtifacts
+} from '../../src/services/utils/search/artifactSearch.js';
+import { SUMMARY_FIELDS, buildThumbnail, toArtifactSummary } from '../../src/services/utils/search/artifactSummary.js';
+
+/**
+ * Fields read for listings: the summary, plus what filtering needs
+ */
+const LISTING_FIELDS = [...SUMMARY_FIELDS, 'searchTokens'];
+
+/**
+ * A page scans at most this many pages' worth of documents for matches,
+ * so a rare match can't make one request read the whole collection
+ */
+export const MAX_SCAN_PAGES = 10;
+
+/**
+ * Artifacts re-indexed per batch (each batch reads the full documents first)
+ */
+export const MAX_REINDEX = 50;
+
+/**
+ * An artifact as returned by the API (without its search index)
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object}
+ */
+export function toListedArtifact(doc) {
+  const { searchTokens: _searchTokens, searchVersion: _searchVersion, ...data } = doc.data();
+  return { id: doc.id, ...data };
+}
+
+/**
+ * Fields derived from an artifact's content and stored with it: the search index and the
+ * listing summary's file count and thumbnail
+ * @param {Object} data - Artifact data (name, files, chatHistory)
+ * @returns {{searchTokens: string[], searchVersion: number, fileCount: number, thumbnail: Object|null}}
+ */
+export function toListingIndex(data) {
+  return {
+    searchTokens: buildSearchTokens(data),
+    searchVersion: SEARCH_INDEX_VERSION,
+    fileCount: Object.keys(data.files || {}).length,
+    thumbnail: buildThumbnail(data.files || {}),
+  };
+}
+
+/**
+ * A listed artifact: its summary, without files or chat history
+ * @param {Object} doc - Firestore document snapshot (read with LISTING_FIELDS)
+ * @returns {Object}
+ */
+function toListedSummary(doc) {
+  return toArtifactSummary({ id: doc.id, ...doc.data() });
+}
+
+/**
+ * Read one page of artifact summaries
+ * Pinned artifacts are left out - they come first on the first page (see listPinnedArtifacts)
+ * @param {Object} artifacts - Artifacts collection reference
+ * @param {{tokens: string[], tag: string, folder: string, sort: string, limit: number, cursor: string|null}} options
+ *   From parseListQuery
+ * @returns {Promise<{artifacts: Object[], nextCursor: string|null}|{status: number, error: string, message: string}>}
+ */
+export async function listArtifactPage(artifacts, { tokens, tag, folder, sort, limit, cursor }) {
+  const { field, direction } = ARTIFACT_SORTS[sort];
+
+  let query = artifacts;
+  if (folder) {
+    query = query.where('folder', '==', folder);
+  }
+
+  // The longest word is usually the rarest - let Firestore narrow by that one
+  const [indexedToken] = [...tokens].sort((a, b) => b.length - a.length);
+  if (indexedToken) {
+    query = query.where('searchTokens', 'array-contains', indexedToken);
+  } else if (tag) {
+    query = query.where('tags', 'array-contains', tag);
+  }
+  query = query.orderBy(field, direction).select(...LISTING_FIELDS);
+
+  let last = null;
+  if (cursor) {
+    last = await artifacts.doc(cursor).get();
+    if (!last.exists) {
+      return { status: 400, error: 'Invalid request', message: 'Cursor does not match an artifact - reload the list' };
+    }
+  }
+
+  const page = [];
+  let exhausted = false;
+  let scanned = 0;
+  while (!exhausted && page.length < limit && scanned < limit * MAX_SCAN_PAGES) {
+    const snapshot = await (last ? query.startAfter(last) : query).limit(limit).get();
+    exhausted = snapshot.docs.length < limit;
+
+    for (const doc of snapshot.docs) {
+      if (page.length === limit) {
+        // Full - the rest of this batch belongs to the next page
+        exhausted = false;
+        break;
+      }
+      last = doc;
+      scanned++;
+
+      const data = doc.data();
+      if (!data.pinned && matchesArtifactFilters(data, { tokens, tag, folder })) {
+        page.push(toListedSummary(doc));
+      }
+    }
+  }
+
+  return { artifacts: page, nextCursor: !exhausted && last ? last.id : null };
+}
+
+/**
+ * Read the summaries of pinned artifacts matching a search and filters, sorted
+ * @param {Object} artifacts - Artifacts collection reference
+ * @param {{tokens: string[], tag: string, folder: string, sort: string}} options
+ * @returns {Promise<Object[]>}
+ */
+export async function listPinnedArtifacts(artifacts, { tokens, tag, folder, sort }) {
+  const snapshot = await artifacts.where('pinned', '==', true).select(...LISTING_FIELDS).get();
+  const pinned = snapshot.docs
+    .filter(doc => matchesArtifactFilters(doc.data(), { tokens, tag, folder }))
+    .map(toListedSummary);
+
+  return sortArtifacts(pinned, sort);
+}
+
+/**
+ * Collect the tags and folders in use
+ * Reads every artifact (two fields each), so it is served on its own by /api/artifacts/facets
+ * rather than with each listing
+ * @param {Object} artifacts - Artifacts collection reference
+ * @returns {Promise<{tags: string[], folders: string[]}>}
+ */
+export async function listFacets(artifacts) {
+  const snapshot = await artifacts.select('tags', 'folder').get();
+  return collectFacets(snapshot.docs.map(doc => doc.data()));
+}
+
+/**
+ * Index artifacts saved before search and summaries, or under an older SEARCH_INDEX_VERSION
+ * A one-off job (scripts/reindexArtifacts.js) - new and edited artifacts are indexed as they are saved
+ * @param {Object} db - Firestore instance
+ * @param {Object} artifacts - Artifacts collection, or the collection group of every user's and workspace's
+ * @returns {Promise<number>} Number of artifacts re-indexed
+ */
+export async function reindexArtifacts(db, artifacts) {
+  const snapshot = await artifacts.select('searchVersion').get();
+  const stale = snapshot.docs.filter(doc => doc.data().searchVersion !== SEARCH_INDEX_VERSION);
+
+  for (let i = 0; i < stale.length; i += MAX_REINDEX) {
+    const batch = db.batch();
+    const fullDocs = await db.getAll(...stale.slice(i, i + MAX_REINDEX).map(doc => doc.ref));
+    fullDocs.forEach(doc => {
+      if (doc.exists) batch.update(doc.ref, toListingIndex(doc.data()));
+    });
+    await batch.commit();
+  }
+
+  return stale.length;
+}
@@ -0,0 +1,88 @@
+/**
+ * Bulk Artifact Creation
+ * Validation and documents for /api/artifacts/bulk/create, which creates several artifacts in one
+ * batch - all of them or none. Used to move a guest's localStorage projects into their new account,
+ * so it carries each project's chat history and original creation time.
+ * The size limits are shared with the client, which splits large imports into several requests.
+ */
+
+import {
+  MAX_ARTIFACT_BYTES,
+  MAX_BULK_ARTIFACTS,
+  MAX_BULK_REQUEST_BYTES,
+  jsonSize
+} from '../../src/services/utils/import/guestImport.js';
+
+export { MAX_ARTIFACT_BYTES, MAX_BULK_ARTIFACTS, MAX_BULK_REQUEST_BYTES };
+
+const reject = (status, message) => ({
+  status,
+  error: status === 413 ? 'Payload too large' : 'Invalid request',
+  message,
+});
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the artifacts of a bulk-create request
+ * @param {*} artifacts - [{ id?, name, files, chatHistory?, createdAt? }]
+ * @returns {{status: number, error: string, message: string}|null} Problem, or null when valid
+ */
+export function validateBulkArtifacts(artifacts) {
+  if (!Array.isArray(artifacts) || artifacts.length === 0) {
+    return reject(400, 'Artifacts must be a non-empty array');
+  }
+
+  if (artifacts.length > MAX_BULK_ARTIFACTS) {
+    return reject(413, `Too many artifacts (${artifacts.length}; the limit is ${MAX_BULK_ARTIFACTS} per request)`);
+  }
+
+  for (const [index, artifact] of artifacts.entries()) {
+    const label = `Artifact ${index + 1}`;
+
+    if (!isPlainObject(artifact)) {
+      return reject(400, `${label} must be an object`);
+    }
+    if (typeof artifact.name !== 'string' || !artifact.name.trim()) {
+      return reject(400, `${label}: name is required and must be a string`);
+    }
+    if (!isPlainObject(artifact.files) || Object.values(artifact.files).some(content => typeof content !== 'string')) {
+      return reject(400, `${label} ("${artifact.name}"): files must map file names to their contents`);
+    }
+    if (artifact.chatHistory !== undefined && !Array.isArray(artifact.chatHistory)) {
+      return reject(400, `${label} ("${artifact.name}"): chatHistory must be an array of messages`);
+    }
+    if (jsonSize(artifact) > MAX_ARTIFACT_BYTES) {
+      return reject(413, `${label} ("${artifact.name}") is too large to save`);
+    }
+  }
+
+  if (jsonSize(artifacts) > MAX_BULK_REQUEST_BYTES) {
+    return reject(413, 'Too much data for one request - split the artifacts into smaller requests');
+  }
+
+  return null;
+}
+
+/**
+ * Build the document for one bulk-created artifact
+ * @param {Object} artifact - A validated request artifact
+ * @param {string} [now] - ISO timestamp
+ * @returns {Object}
+ */
+export function toBulkArtifactData(artifact, now = new Date().toISOString()) {
+  // Keep when the project was started (guests store epoch milliseconds)
+  const createdAt = new Date(artifact.createdAt ?? NaN);
+
+  return {
+    name: artifact.name.trim(),
+    files: artifact.files,
+    chatHistory: artifact.chatHistory || [],
+    revision: 0,
+    tags: [],
+    folder: null,
+    pinned: false,
+    createdAt: Number.isNaN(createdAt.getTime()) ? now : createdAt.toISOString(),
+    updatedAt: now,
+  };
+}
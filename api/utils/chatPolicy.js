@@ -0,0 +1,138 @@
+/**
+ * Chat Request Policy
+ * Decides what /api/chat will forward with the server's provider keys:
+ * only the models the app is configured to use, with bounded message
+ * count, size and max tokens, and - optionally - only for signed-in users
+ */
+
+import { getAllowedModels } from '../../src/services/config/modelConfig.js';
+
+const ALLOWED_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Default request caps
+ * Override with CHAT_MAX_MESSAGES, CHAT_MAX_CHARS and CHAT_MAX_TOKENS
+ * The largest agent prompts carry the whole project, hence the generous character cap
+ */
+export const DEFAULT_CHAT_LIMITS = {
+  maxMessages: 50,
+  maxChars: 500000,
+  maxTokens: 16000
+};
+
+function readPositiveInt(env, name, fallback) {
+  const value = env[name]?.trim();
+  if (!value) return fallback;
+
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed <= 0) {
+    console.warn(`⚠️  Ignoring invalid ${name}="${value}"`);
+    return fallback;
+  }
+  return parsed;
+}
+
+/**
+ * Read the chat policy from the environment
+ * @param {Object} [env=process.env]
+ * @returns {{allowedModels: string[], maxMessages: number, maxChars: number, maxTokens: number,
+ *   allowGuests: boolean}}
+ */
+export function loadChatPolicy(env = process.env) {
+  // Extra models beyond the configured agents (comma-separated)
+  const extraModels = (env.CHAT_ALLOWED_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+
+  return {
+    allowedModels: [...new Set([...getAllowedModels(), ...extraModels])],
+    maxMessages: readPositiveInt(env, 'CHAT_MAX_MESSAGES', DEFAULT_CHAT_LIMITS.maxMessages),
+    maxChars: readPositiveInt(env, 'CHAT_MAX_CHARS', DEFAULT_CHAT_LIMITS.maxChars),
+    maxTokens: readPositiveInt(env, 'CHAT_MAX_TOKENS', DEFAULT_CHAT_LIMITS.maxTokens),
+    // Guests get the guest budget unless CHAT_GUEST_ACCESS=false
+    allowGuests: env.CHAT_GUEST_ACCESS?.trim().toLowerCase() !== 'false'
+  };
+}
+
+/**
+ * Build a structured rejection
+ * `code` is stable for clients to branch on; `message` is ready to show to the user
+ */
+function reject(status, code, message) {
+  return { status, error: status === 401 ? 'Unauthorized' : status === 413 ? 'Payload too large' : 'Bad request', code, message };
+}
+
+/**
+ * Validate a chat request body against the policy
+ * @param {Object} body - Request body
+ * @param {Object} policy - From loadChatPolicy()
+ * @returns {Object|null} Rejection { status, error, code, message }, or null when the request is acceptable
+ */
+export function validateChatRequest(body, policy) {
+  if (!body || typeof body !== 'object') {
+    return reject(400, 'invalid_request', 'The request body must be a JSON object.');
+  }
+
+  const { model, messages, temperature, max_tokens, max_completion_tokens, stream } = body;
+
+  if (!model || !messages) {
+    return reject(400, 'invalid_request', 'Missing required fields: model and messages');
+  }
+
+  if (typeof model !== 'string' || !policy.allowedModels.includes(model)) {
+    return reject(400, 'model_not_allowed', `The model "${String(model)}" is not enabled on this server.`);
+  }
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return reject(400, 'invalid_request', 'messages must be a non-empty array.');
+  }
+
+  if (messages.length > policy.maxMessages) {
+    return reject(413, 'too_many_messages', `Too many messages (${messages.length}; the limit is ${policy.maxMessages}).`);
+  }
+
+  const malformed = messages.find(message =>
+    !message || !ALLOWED_ROLES.includes(message.role) || typeof message.content !== 'string'
+  );
+  if (malformed) {
+    return reject(400, 'invalid_request', `Each message needs a role (${ALLOWED_ROLES.join(', ')}) and text content.`);
+  }
+
+  const totalChars = messages.reduce((total, message) => total + message.content.length, 0);
+  if (totalChars > policy.maxChars) {
+    return reject(413, 'request_too_large',
+      `The request is too large (${totalChars.toLocaleString()} characters; the limit is ${policy.maxChars.toLocaleString()}).`);
+  }
+
+  for (const [name, value] of [['max_tokens', max_tokens], ['max_completion_tokens', max_completion_tokens]]) {
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value <= 0) {
+      return reject(400, 'invalid_request', `${name} must be a positive integer.`);
+    }
+    if (value > policy.maxTokens) {
+      return reject(400, 'max_tokens_too_high', `${name} is ${value}; the limit is ${policy.maxTokens}.`);
+    }
+  }
+
+  if (temperature !== undefined && temperature !== null &&
+      (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    return reject(400, 'invalid_request', 'temperature must be a number between 0 and 2.');
+  }
+
+  if (stream !== undefined && typeof stream !== 'boolean') {
+    return reject(400, 'invalid_request', 'stream must be true or false.');
+  }
+
+  return null;
+}
+
+/**
+ * Check whether the caller may use /api/chat at all
+ * @param {Object} rateLimit - Result of checkRateLimit (carries the verified tier)
+ * @param {Object} policy - From loadChatPolicy()
+ * @returns {Object|null} Rejection, or null when allowed
+ */
+export function checkChatAccess(rateLimit, policy) {
+  if (rateLimit.tier === 'guest' && !policy.allowGuests) {
+    return reject(401, 'auth_required', 'Please sign in to use the AI assistant.');
+  }
+  return null;
+}
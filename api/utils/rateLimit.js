@@ -1,20 +1,92 @@
 /**
  * Rate Limiting Utility
- * Tracks daily request limits per IP address
+ * Enforces a daily token budget per signed-in user (verified Firebase uid),
+ * falling back to the client IP for guests
+ * Every /api/chat call reserves its estimated tokens up front, then records the prompt
+ * and completion tokens it actually used, per model, so a prompt that fans out into many
+ * agent calls is charged for what it actually costs - and concurrent calls can't all slip
+ * through on the same remaining budget
+ * Counters live in a pluggable store (memory, Firestore or Redis - see rateLimitStores.js)
  */
 
-// In-memory storage for rate limiting
-const requestCounts = new Map();
+import { createStoreFromEnv } from './rateLimitStores.js';
 
-// Configuration
-const DAILY_LIMIT = 50;
-const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+/**
+ * Daily token budgets per tier (null = unlimited)
+ * Override with RATE_LIMIT_GUEST_DAILY_TOKENS, RATE_LIMIT_USER_DAILY_TOKENS and
+ * RATE_LIMIT_ADMIN_DAILY_TOKENS (a number, or "unlimited")
+ */
+export const DEFAULT_TIERS = {
+  guest: 200000,
+  user: 1000000,
+  admin: null
+};
+
+// Rough size of a token for usage the provider didn't report (cut-off streams)
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Read tier budgets from the environment, falling back to DEFAULT_TIERS
+ * @param {Object} [env=process.env]
+ * @returns {Object} tier -> daily token budget (null = unlimited)
+ */
+export function loadTiers(env = process.env) {
+  return Object.fromEntries(Object.entries(DEFAULT_TIERS).map(([tier, fallback]) => {
+    const name = `RATE_LIMIT_${tier.toUpperCase()}_DAILY_TOKENS`;
+    const value = env[name]?.trim();
+    if (!value) return [tier, fallback];
+    if (value.toLowerCase() === 'unlimited') return [tier, null];
+
+    const limit = parseInt(value, 10);
+    if (Number.isNaN(limit) || limit < 0) {
+      console.warn(`⚠️  Ignoring invalid ${name}="${value}"`);
+      return [tier, fallback];
+    }
+    return [tier, limit];
+  }));
+}
+
+/**
+ * Estimate token usage for a call the provider didn't report usage for
+ * (streams cut off by the client, providers without stream usage)
+ * @param {Array} messages - Request messages
+ * @param {string} [completionText=''] - Text generated so far
+ * @returns {{prompt_tokens: number, completion_tokens: number}}
+ */
+export function estimateUsage(messages = [], completionText = '') {
+  const promptChars = messages.reduce((total, message) => total + (
+    typeof message.content === 'string' ? message.content.length : JSON.stringify(message.content || '').length
+  ), 0);
+
+  return {
+    prompt_tokens: Math.ceil(promptChars / CHARS_PER_TOKEN),
+    completion_tokens: Math.ceil(completionText.length / CHARS_PER_TOKEN)
+  };
+}
 
 /**
- * Get client identifier (IP address)
+ * Break stored usage fields down per model
+ * @param {Object} fields - Store fields (tokens, requests, prompt:<model>, completion:<model>)
+ * @returns {{tokens: number, requests: number, models: Object}} models: model -> {promptTokens, completionTokens}
  */
-function getClientKey(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0] ||
+export function summarizeUsage(fields = {}) {
+  const models = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    const match = field.match(/^(prompt|completion):(.+)$/);
+    if (!match) return;
+    const [, kind, model] = match;
+    models[model] = models[model] || { promptTokens: 0, completionTokens: 0 };
+    models[model][`${kind}Tokens`] += value;
+  });
+
+  return { tokens: fields.tokens || 0, requests: fields.requests || 0, models };
+}
+
+/**
+ * Get client IP address
+ */
+function getClientIp(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0].trim() ||
          req.headers['x-real-ip'] ||
          req.connection?.remoteAddress ||
          'unknown';
@@ -43,58 +115,225 @@ function getNextMidnightUTC() {
 }
 
 /**
- * Check and update rate limit for a client
- * Returns: { allowed: boolean, remaining: number, limit: number, reset: string, used: number }
+ * Verify the request's Firebase token, if any
+ * The auth middleware is imported lazily: it initializes Firebase Admin on import,
+ * which fails where Admin credentials aren't configured (guest-only deployments)
+ */
+async function verifyRequestAuth(req) {
+  try {
+    const { verifyAuth } = await import('../middleware/auth.js');
+    return await verifyAuth(req);
+  } catch (error) {
+    return { error: `Auth unavailable: ${error.message}`, status: 401 };
+  }
+}
+
+/**
+ * Create a rate limiter
+ * @param {Object} [options]
+ * @param {Object|Promise<Object>} [options.store] - Usage store (default: chosen from the environment)
+ * @param {Object} [options.tiers] - tier -> daily token budget (default: loadTiers())
+ * @param {Function} [options.verifyAuth] - (req) => verifyAuth result (default: Firebase token check)
+ * @param {string[]} [options.adminUids] - uids on the admin tier, besides users with an `admin` custom claim
+ *   (default: RATE_LIMIT_ADMIN_UIDS, comma-separated)
+ * @returns {{check: Function, record: Function, release: Function, identify: Function}}
  */
-export function checkRateLimit(req) {
-  const clientKey = getClientKey(req);
-  const dayKey = getCurrentDayKey();
-  const storageKey = `${clientKey}:${dayKey}`;
-
-  // Get current count for this client today
-  const currentCount = requestCounts.get(storageKey) || 0;
-
-  // Check if limit exceeded
-  if (currentCount >= DAILY_LIMIT) {
-    return {
-      allowed: false,
-      remaining: 0,
-      limit: DAILY_LIMIT,
-      reset: getNextMidnightUTC(),
-      used: currentCount
-    };
+export function createRateLimiter({
+  store = null,
+  tiers = loadTiers(),
+  verifyAuth = verifyRequestAuth,
+  adminUids = (process.env.RATE_LIMIT_ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean)
+} = {}) {
+  let storePromise = store ? Promise.resolve(store) : null;
+  const getStore = () => {
+    // A failed setup is retried on the next request rather than cached
+    storePromise = storePromise || createStoreFromEnv().catch((error) => {
+      storePromise = null;
+      throw error;
+    });
+    return storePromise;
+  };
+
+  /**
+   * Work out who is asking: a verified user, or a guest by IP
+   * A missing or invalid token counts as a guest - the guest tier is the lowest
+   */
+  async function identify(req) {
+    if (req.headers.authorization) {
+      const auth = await verifyAuth(req);
+      if (!auth.error) {
+        const isAdmin = auth.admin === true || adminUids.includes(auth.userId);
+        return { id: `user:${auth.userId}`, tier: isAdmin ? 'admin' : 'user', userId: auth.userId };
+      }
+      console.warn(`Rate limit: treating request as guest (${auth.error})`);
+    }
+
+    return { id: `ip:${getClientIp(req)}`, tier: 'guest', userId: null };
   }
 
-  // Increment count
-  const newCount = currentCount + 1;
-  requestCounts.set(storageKey, newCount);
+  const ttlFor = (reset) => new Date(reset).getTime() - Date.now();
 
-  return {
-    allowed: true,
-    remaining: DAILY_LIMIT - newCount,
-    limit: DAILY_LIMIT,
-    reset: getNextMidnightUTC(),
-    used: newCount
+  const toStatus = (limit, used, fields) => ({
+    allowed: limit === null || used < limit,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    limit,
+    used,
+    usage: summarizeUsage(fields)
+  });
+
+  /**
+   * Check whether a request still fits in today's budget, reserving its estimated tokens
+   * The reservation is a single atomic add in the store, so concurrent requests each see
+   * the others' reservations; a refused request gets its reservation back right away.
+   * record() swaps the reservation for the real usage, release() returns it unused.
+   * Returns: { allowed, remaining, limit, reset, used, usage, tier, key, reservation }
+   * (token counts; limit/remaining are null when unlimited; used excludes this reservation)
+   * @param {Object} req - Vercel request object
+   * @param {Object} [options]
+   * @param {number} [options.estimatedTokens=0] - Tokens to reserve (nothing is charged when 0)
+   */
+  async function check(req, { estimatedTokens = 0 } = {}) {
+    const identity = await identify(req);
+    const limit = tiers[identity.tier] ?? null;
+    const reset = getNextMidnightUTC();
+    const key = `${identity.id}:${getCurrentDayKey()}`;
+    // Unlimited tiers have nothing to protect - they're just charged in record()
+    const estimate = limit === null ? 0 : Math.max(0, Math.round(estimatedTokens) || 0);
+
+    try {
+      const store = await getStore();
+      if (!estimate) {
+        const fields = await store.get(key);
+        return { ...toStatus(limit, fields.tokens || 0, fields), reset, tier: identity.tier, key, reservation: { tokens: 0 } };
+      }
+
+      const fields = await store.add(key, { tokens: estimate }, ttlFor(reset));
+      const used = (fields.tokens || 0) - estimate;
+      const status = toStatus(limit, used, { ...fields, tokens: used });
+
+      if (!status.allowed) {
+        await store.add(key, { tokens: -estimate }, ttlFor(reset)).catch((error) => {
+          console.error('Rate limit reservation release failed:', error);
+        });
+        return { ...status, reset, tier: identity.tier, key, reservation: { tokens: 0 } };
+      }
+      return { ...status, reset, tier: identity.tier, key, reservation: { tokens: estimate } };
+    } catch (error) {
+      // A storage outage shouldn't take the app down with it - let the request through
+      console.error('Rate limit store error (allowing request):', error);
+      return { ...toStatus(limit, 0, {}), reset, tier: identity.tier, key: null, reservation: { tokens: 0 } };
+    }
+  }
+
+  // Take the tokens check() reserved, once - record() and release() may both run for one call
+  const takeReservation = (rateLimit) => {
+    const reserved = rateLimit.reservation?.tokens || 0;
+    if (rateLimit.reservation) rateLimit.reservation.tokens = 0;
+    return reserved;
   };
+
+  /**
+   * Charge the tokens a call used against the budget check() looked up,
+   * in place of the tokens check() reserved for it
+   * The call that crosses the budget still completes; the next one is refused
+   * @param {Object} rateLimit - Result of check()
+   * @param {Object} usage
+   * @param {string} usage.model - Model the call ran on
+   * @param {number} [usage.promptTokens=0]
+   * @param {number} [usage.completionTokens=0]
+   * @returns {Promise<Object>} Updated check() result
+   */
+  async function record(rateLimit, { model, promptTokens = 0, completionTokens = 0 }) {
+    if (!rateLimit?.key) return rateLimit;
+
+    const prompt = Math.max(0, Math.round(promptTokens) || 0);
+    const completion = Math.max(0, Math.round(completionTokens) || 0);
+    const reserved = takeReservation(rateLimit);
+
+    try {
+      const fields = await (await getStore()).add(rateLimit.key, {
+        tokens: prompt + completion - reserved,
+        requests: 1,
+        [`prompt:${model}`]: prompt,
+        [`completion:${model}`]: completion
+      }, ttlFor(rateLimit.reset));
+      return { ...rateLimit, ...toStatus(rateLimit.limit, fields.tokens || 0, fields) };
+    } catch (error) {
+      console.error('Rate limit usage recording failed:', error);
+      return rateLimit;
+    }
+  }
+
+  /**
+   * Give back the tokens check() reserved for a call that never ran
+   * (a no-op once record() has charged the call)
+   * @param {Object} rateLimit - Result of check()
+   * @returns {Promise<Object>} Updated check() result
+   */
+  async function release(rateLimit) {
+    if (!rateLimit?.key) return rateLimit;
+
+    const reserved = takeReservation(rateLimit);
+    if (!reserved) return rateLimit;
+
+    try {
+      const fields = await (await getStore()).add(rateLimit.key, { tokens: -reserved }, ttlFor(rateLimit.reset));
+      return { ...rateLimit, ...toStatus(rateLimit.limit, fields.tokens || 0, fields) };
+    } catch (error) {
+      console.error('Rate limit reservation release failed:', error);
+      return rateLimit;
+    }
+  }
+
+  return { check, record, release, identify };
+}
+
+// Shared limiter for API routes (store created on first use)
+let defaultLimiter = null;
+function getDefaultLimiter() {
+  defaultLimiter = defaultLimiter || createRateLimiter();
+  return defaultLimiter;
 }
 
 /**
- * Cleanup old entries (run periodically)
+ * Check a request against today's token budget, using the configured store and tiers
+ * @param {Object} req - Vercel request object
+ * @param {Object} [options] - { estimatedTokens } to reserve
+ * @returns {Promise<Object>} See createRateLimiter().check
  */
-function cleanupOldEntries() {
-  const currentDay = getCurrentDayKey();
+export function checkRateLimit(req, options) {
+  return getDefaultLimiter().check(req, options);
+}
 
-  for (const [key] of requestCounts) {
-    // Extract day from key (format: "ip:YYYY-MM-DD")
-    const keyDay = key.split(':').slice(-1)[0];
+/**
+ * Charge a call's token usage to the budget checked by checkRateLimit
+ * @param {Object} rateLimit - Result of checkRateLimit
+ * @param {Object} usage - { model, promptTokens, completionTokens }
+ * @returns {Promise<Object>} Updated rate limit
+ */
+export function recordUsage(rateLimit, usage) {
+  return getDefaultLimiter().record(rateLimit, usage);
+}
 
-    if (keyDay !== currentDay) {
-      requestCounts.delete(key);
-    }
-  }
+/**
+ * Give back the tokens checkRateLimit reserved for a call that never ran
+ * @param {Object} rateLimit - Result of checkRateLimit
+ * @returns {Promise<Object>} Updated rate limit
+ */
+export function releaseRateLimit(rateLimit) {
+  return getDefaultLimiter().release(rateLimit);
 }
 
-// Run cleanup every hour
-if (typeof setInterval !== 'undefined') {
-  setInterval(cleanupOldEntries, CLEANUP_INTERVAL);
+/**
+ * Rate limit info for response bodies (null when unlimited)
+ */
+export function toRateLimitInfo(rateLimit) {
+  if (rateLimit.limit === null) return null;
+  return {
+    unit: 'tokens',
+    limit: rateLimit.limit,
+    remaining: rateLimit.remaining,
+    reset: rateLimit.reset,
+    used: rateLimit.used
+  };
 }
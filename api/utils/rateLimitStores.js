@@ -0,0 +1,202 @@
+/**
+ * Usage Storage Backends
+ * Daily usage counters live outside the function instance so budgets survive
+ * cold starts and are shared between instances. Each key holds a set of numeric
+ * fields (tokens, requests, per-model token counts). Every store implements:
+ *   add(key, amounts, ttlMs) -> Promise<Object>  all fields after adding `amounts`
+ *                                                (starts a fresh window once expired)
+ *   get(key)                 -> Promise<Object>  all fields ({} when none)
+ */
+
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * In-memory store - per instance, reset on every cold start
+ * Fine for local development and tests
+ */
+export function createMemoryStore() {
+  const counters = new Map();
+  let lastCleanup = Date.now();
+
+  // Drop expired windows now and then, instead of a timer that keeps the process alive
+  const cleanup = (now) => {
+    if (now - lastCleanup < CLEANUP_INTERVAL) return;
+    lastCleanup = now;
+    for (const [key, entry] of counters) {
+      if (entry.expiresAt <= now) counters.delete(key);
+    }
+  };
+
+  const getActive = (key, now) => {
+    const entry = counters.get(key);
+    return entry && entry.expiresAt > now ? entry : null;
+  };
+
+  return {
+    name: 'memory',
+
+    async add(key, amounts, ttlMs) {
+      const now = Date.now();
+      cleanup(now);
+
+      const entry = getActive(key, now) || { fields: {}, expiresAt: now + ttlMs };
+      Object.entries(amounts).forEach(([field, amount]) => {
+        entry.fields[field] = (entry.fields[field] || 0) + amount;
+      });
+      counters.set(key, entry);
+      return { ...entry.fields };
+    },
+
+    async get(key) {
+      return { ...(getActive(key, Date.now())?.fields || {}) };
+    }
+  };
+}
+
+/**
+ * Firestore store - one document per key in `rateLimits`
+ * `expiresAt` is a Timestamp, so a Firestore TTL policy on it can clean up old windows
+ * @param {Object} db - Firestore instance (getFirestore from api/middleware/auth.js)
+ * @param {Object} [options]
+ * @param {string} [options.collection='rateLimits'] - Collection holding the counters
+ */
+export function createFirestoreStore(db, { collection = 'rateLimits' } = {}) {
+  // Document IDs can't contain slashes; client IPs come from a header
+  const docFor = (key) => db.collection(collection).doc(encodeURIComponent(key));
+  const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : Number(value) || 0);
+
+  return {
+    name: 'firestore',
+
+    async add(key, amounts, ttlMs) {
+      const ref = docFor(key);
+      return db.runTransaction(async (transaction) => {
+        const now = Date.now();
+        const snapshot = await transaction.get(ref);
+        const data = snapshot.exists ? snapshot.data() : null;
+        const expiresAt = toMillis(data?.expiresAt);
+        const active = data && expiresAt > now;
+
+        const fields = { ...(active ? data.fields : {}) };
+        Object.entries(amounts).forEach(([field, amount]) => {
+          fields[field] = (fields[field] || 0) + amount;
+        });
+
+        // Whole-document set: model names may contain dots, which update() would read as paths
+        transaction.set(ref, {
+          fields,
+          expiresAt: new Date(active ? expiresAt : now + ttlMs)
+        });
+        return fields;
+      });
+    },
+
+    async get(key) {
+      const snapshot = await docFor(key).get();
+      if (!snapshot.exists) return {};
+
+      const data = snapshot.data();
+      return toMillis(data.expiresAt) > Date.now() ? { ...data.fields } : {};
+    }
+  };
+}
+
+/**
+ * Redis-compatible store over the Upstash REST protocol
+ * (Upstash, Vercel KV, or any proxy speaking it) - no Redis client dependency
+ * Each key is a hash of counters
+ * @param {Object} options
+ * @param {string} options.url - REST endpoint
+ * @param {string} options.token - REST token
+ * @param {string} [options.prefix='ratelimit:'] - Key prefix
+ */
+export function createRedisStore({ url, token, prefix = 'ratelimit:' }) {
+  if (!url || !token) {
+    throw new Error('Redis rate limit store requires a REST url and token');
+  }
+
+  const endpoint = url.replace(/\/+$/, '');
+
+  // Commands run in order in one round trip; results come back per command
+  async function pipeline(commands) {
+    const response = await fetch(`${endpoint}/pipeline`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(commands)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Redis request failed: HTTP ${response.status}`);
+    }
+
+    const results = await response.json();
+    const failed = results.find(result => result.error);
+    if (failed) {
+      throw new Error(`Redis command failed: ${failed.error}`);
+    }
+    return results.map(result => result.result);
+  }
+
+  // HGETALL replies with a flat [field, value, field, value, ...] list
+  const toFields = (reply) => {
+    const fields = {};
+    for (let i = 0; i + 1 < (reply || []).length; i += 2) {
+      fields[reply[i]] = Number(reply[i + 1]);
+    }
+    return fields;
+  };
+
+  return {
+    name: 'redis',
+
+    async add(key, amounts, ttlMs) {
+      // Keys are per-window, so resetting the expiry on every write is harmless
+      const results = await pipeline([
+        ...Object.entries(amounts).map(([field, amount]) => ['HINCRBY', prefix + key, field, amount]),
+        ['PEXPIRE', prefix + key, ttlMs],
+        ['HGETALL', prefix + key]
+      ]);
+      return toFields(results[results.length - 1]);
+    },
+
+    async get(key) {
+      const [reply] = await pipeline([['HGETALL', prefix + key]]);
+      return toFields(reply);
+    }
+  };
+}
+
+/**
+ * Pick a store from the environment
+ * RATE_LIMIT_STORE = 'memory' | 'firestore' | 'redis'. When unset, Redis is used if its
+ * REST credentials are present, then Firestore if Firebase Admin is configured, else memory.
+ * @param {Object} [env=process.env]
+ * @returns {Promise<Object>} Store
+ */
+export async function createStoreFromEnv(env = process.env) {
+  const redisUrl = env.UPSTASH_REDIS_REST_URL || env.KV_REST_API_URL;
+  const redisToken = env.UPSTASH_REDIS_REST_TOKEN || env.KV_REST_API_TOKEN;
+
+  const storeName = env.RATE_LIMIT_STORE?.trim() ||
+    (redisUrl && redisToken ? 'redis' : env.FIREBASE_ADMIN_PROJECT_ID ? 'firestore' : 'memory');
+
+  switch (storeName) {
+    case 'redis':
+      return createRedisStore({ url: redisUrl, token: redisToken });
+
+    case 'firestore': {
+      // Imported lazily - the auth middleware initializes Firebase Admin on import
+      const { getFirestore } = await import('../middleware/auth.js');
+      return createFirestoreStore(getFirestore());
+    }
+
+    case 'memory':
+      return createMemoryStore();
+
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}" (expected memory, firestore or redis)`);
+  }
+}
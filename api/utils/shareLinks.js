@@ -0,0 +1,85 @@
+/**
+ * Share Link Utilities
+ * Public snapshots of artifacts live in the top-level `shares` collection,
+ * one document per link, keyed by an unguessable slug.
+ * Links to workspace artifacts carry the workspaceId and are managed by its editors
+ */
+
+import { randomBytes } from 'crypto';
+import { hasRole } from './workspaces.js';
+
+export const SHARES_COLLECTION = 'shares';
+
+// 16 random bytes = 128 bits, 22 characters in base64url
+const SLUG_BYTES = 16;
+const SLUG_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+/**
+ * Generate a new share slug
+ * @returns {string} URL-safe random slug
+ */
+export function createShareSlug() {
+  return randomBytes(SLUG_BYTES).toString('base64url');
+}
+
+/**
+ * Check that a slug has the shape createShareSlug produces
+ * Rejects junk before it reaches Firestore
+ */
+export function isValidShareSlug(slug) {
+  return typeof slug === 'string' && SLUG_PATTERN.test(slug);
+}
+
+/**
+ * Share metadata for the owner's list (no files)
+ * @param {string} slug - Document ID
+ * @param {Object} data - Share document data
+ */
+export function toShareSummary(slug, data) {
+  return {
+    slug,
+    artifactId: data.artifactId,
+    name: data.name,
+    fileCount: Object.keys(data.files || {}).length,
+    createdAt: data.createdAt,
+  };
+}
+
+/**
+ * Check whether a user may see and revoke a share link
+ * Personal links belong to their creator; workspace links to every editor of the workspace
+ * @param {Object} share - Share document data
+ * @param {string} userId - The caller
+ * @param {string|null} workspaceRole - The caller's role in share.workspaceId (null for non-members)
+ * @returns {boolean}
+ */
+export function canManageShare(share, userId, workspaceRole = null) {
+  if (share.workspaceId) {
+    return hasRole(workspaceRole, 'editor');
+  }
+  return share.ownerId === userId;
+}
+
+/**
+ * Delete every share link matching the filters (e.g. one member's links in a workspace)
+ * @param {Object} db - Firestore instance
+ * @param {Object} filters - Field -> value equality filters
+ * @returns {Promise<number>} Number of links revoked
+ */
+export async function deleteShares(db, filters) {
+  let sharesQuery = db.collection(SHARES_COLLECTION);
+  Object.entries(filters).forEach(([field, value]) => {
+    sharesQuery = sharesQuery.where(field, '==', value);
+  });
+
+  const snapshot = await sharesQuery.get();
+
+  // A batch holds at most 500 writes
+  for (let i = 0; i < snapshot.docs.length; i += 500) {
+    const batch = db.batch();
+    snapshot.docs.slice(i, i + 500).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  return snapshot.docs.length;
+}
@@ -0,0 +1,191 @@
+/**
+ * Team Workspaces
+ * A workspace is a /workspaces/{workspaceId} document listing its members and their roles.
+ * Its artifacts live in /workspaces/{workspaceId}/artifacts, mirroring the personal
+ * /users/{userId}/artifacts collection, so artifact endpoints only differ in where they look
+ */
+
+export const WORKSPACES_COLLECTION = 'workspaces';
+
+/**
+ * Roles, least to most privileged
+ * viewer: read artifacts | editor: create, edit and delete artifacts | owner: also manage members
+ */
+export const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Check whether a value is a known role
+ * @param {*} role
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+  return WORKSPACE_ROLES.includes(role);
+}
+
+/**
+ * Check whether a role grants at least the required role
+ * @param {string|null} role - The member's role (null for non-members)
+ * @param {string} requiredRole
+ * @returns {boolean}
+ */
+export function hasRole(role, requiredRole) {
+  return isValidRole(role) && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Get a user's role in a workspace
+ * @param {Object} workspace - Workspace document data
+ * @param {string} userId
+ * @returns {string|null} Role, or null if the user is not a member
+ */
+export function getMemberRole(workspace, userId) {
+  return workspace?.members?.[userId]?.role || null;
+}
+
+/**
+ * Build a new workspace document with its creator as the only owner
+ * `memberIds` duplicates the keys of `members` so "my workspaces" is one array-contains query
+ * @param {string} name
+ * @param {string} userId
+ * @param {string} [email]
+ * @returns {Object}
+ */
+export function createWorkspaceData(name, userId, email = null) {
+  const now = new Date().toISOString();
+  return {
+    name,
+    createdBy: userId,
+    members: {
+      [userId]: { role: 'owner', email, addedAt: now },
+    },
+    memberIds: [userId],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Build the update that replaces a workspace's members, keeping memberIds in sync
+ * @param {Object} members - Map of userId -> { role, email, addedAt }
+ * @returns {{members: Object, memberIds: string[], updatedAt: string}}
+ */
+export function toMembershipUpdate(members) {
+  return {
+    members,
+    memberIds: Object.keys(members),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Shape a workspace for the client, including the caller's own role
+ * @param {string} id
+ * @param {Object} data - Workspace document data
+ * @param {string} userId - The caller
+ * @returns {{id: string, name: string, role: string|null, members: Array, createdAt: string}}
+ */
+export function toWorkspaceSummary(id, data, userId) {
+  const members = Object.entries(data.members || {})
+    .map(([memberId, member]) => ({
+      userId: memberId,
+      email: member.email || null,
+      role: member.role,
+    }))
+    .sort((a, b) => WORKSPACE_ROLES.indexOf(b.role) - WORKSPACE_ROLES.indexOf(a.role));
+
+  return {
+    id,
+    name: data.name,
+    role: getMemberRole(data, userId),
+    members,
+    createdAt: data.createdAt,
+  };
+}
+
+/**
+ * Check whether a member change is allowed
+ * Owners manage everyone; any member may remove themselves (leave).
+ * A workspace always keeps at least one owner.
+ * @param {Object} workspace - Workspace document data
+ * @param {string} actorId - User making the change
+ * @param {string} targetId - Member being changed
+ * @param {string|null} newRole - New role, or null to remove the member
+ * @returns {Object|null} Rejection { status, error, message }, or null when allowed
+ */
+export function checkMemberChange(workspace, actorId, targetId, newRole) {
+  const actorRole = getMemberRole(workspace, actorId);
+  const targetRole = getMemberRole(workspace, targetId);
+  const isLeaving = actorId === targetId && newRole === null;
+
+  if (!actorRole) {
+    return { status: 404, error: 'Not found', message: 'Workspace not found or you are not a member' };
+  }
+
+  if (actorRole !== 'owner' && !isLeaving) {
+    return { status: 403, error: 'Forbidden', message: 'Only workspace owners can manage members' };
+  }
+
+  if (!targetRole) {
+    return { status: 404, error: 'Not found', message: 'That user is not a member of this workspace' };
+  }
+
+  if (newRole !== null && !isValidRole(newRole)) {
+    return { status: 400, error: 'Invalid request', message: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}` };
+  }
+
+  const ownerCount = Object.values(workspace.members).filter(member => member.role === 'owner').length;
+  if (targetRole === 'owner' && newRole !== 'owner' && ownerCount === 1) {
+    return {
+      status: 400,
+      error: 'Invalid request',
+      message: 'A workspace needs at least one owner - make someone else an owner first',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve which artifacts collection a request works on, and check the caller may use it
+ * @param {Object} db - Firestore instance
+ * @param {string} userId - The caller
+ * @param {string} [workspaceId] - Workspace, or empty for the caller's personal artifacts
+ * @param {string} [requiredRole='viewer'] - Minimum workspace role
+ * @returns {Promise<Object>} { artifacts, workspaceId, role } or a rejection { status, error, message }
+ */
+export async function resolveArtifactScope(db, userId, workspaceId, requiredRole = 'viewer') {
+  if (workspaceId === undefined || workspaceId === null || workspaceId === '') {
+    return {
+      artifacts: db.collection('users').doc(userId).collection('artifacts'),
+      workspaceId: null,
+      role: 'owner',
+    };
+  }
+
+  if (typeof workspaceId !== 'string') {
+    return { status: 400, error: 'Invalid request', message: 'Workspace ID must be a string' };
+  }
+
+  const workspaceRef = db.collection(WORKSPACES_COLLECTION).doc(workspaceId);
+  const workspaceDoc = await workspaceRef.get();
+  const role = workspaceDoc.exists ? getMemberRole(workspaceDoc.data(), userId) : null;
+
+  // Non-members can't tell a private workspace from a missing one
+  if (!role) {
+    return { status: 404, error: 'Not found', message: 'Workspace not found or you are not a member' };
+  }
+
+  if (!hasRole(role, requiredRole)) {
+    return {
+      status: 403,
+      error: 'Forbidden',
+      message: `This needs ${requiredRole} access to the workspace - you are a ${role}`,
+    };
+  }
+
+  return {
+    artifacts: workspaceRef.collection('artifacts'),
+    workspaceId,
+    role,
+  };
+}
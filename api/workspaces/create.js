@@ -0,0 +1,51 @@
+/**
+ * Create Workspace Endpoint
+ * POST /api/workspaces/create
+ * Creates a team workspace with the authenticated user as its owner
+ */
+
+import { verifyAuth, getFirestore } from '../middleware/auth.js';
+import { WORKSPACES_COLLECTION, createWorkspaceData, toWorkspaceSummary } from '../utils/workspaces.js';
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId, email } = authResult;
+    const { name } = req.body;
+
+    // Validate request body
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Workspace name is required and must be a string',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    const workspaceData = createWorkspaceData(name.trim(), userId, email || null);
+    const workspaceRef = await db.collection(WORKSPACES_COLLECTION).add(workspaceData);
+
+    return res.status(201).json({
+      success: true,
+      workspace: toWorkspaceSummary(workspaceRef.id, workspaceData, userId),
+    });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Delete Workspace Endpoint
+ * DELETE /api/workspaces/delete?id=...
+ * Deletes a workspace and all of its artifacts and share links (owners only)
+ */
+
+import { verifyAuth, getFirestore } from '../middleware/auth.js';
+import { deleteShares } from '../utils/shareLinks.js';
+import { WORKSPACES_COLLECTION, getMemberRole } from '../utils/workspaces.js';
+
+export default async function handler(req, res) {
+  // Only allow DELETE requests
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { id: workspaceId } = req.query;
+
+    // Validate workspace ID
+    if (!workspaceId || typeof workspaceId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Workspace ID is required in query parameters',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    const workspaceRef = db.collection(WORKSPACES_COLLECTION).doc(workspaceId);
+    const workspaceDoc = await workspaceRef.get();
+    const role = workspaceDoc.exists ? getMemberRole(workspaceDoc.data(), userId) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Workspace not found or you are not a member',
+      });
+    }
+
+    if (role !== 'owner') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only workspace owners can delete a workspace',
+      });
+    }
+
+    // Delete the workspace along with its artifacts and their versions
+    await db.recursiveDelete(workspaceRef);
+    await deleteShares(db, { workspaceId });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Workspace deleted successfully',
+      workspaceId,
+    });
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * List Workspaces Endpoint
+ * GET /api/workspaces/list
+ * Returns the workspaces the authenticated user is a member of, with their role in each
+ */
+
+import { verifyAuth, getFirestore } from '../middleware/auth.js';
+import { WORKSPACES_COLLECTION, toWorkspaceSummary } from '../utils/workspaces.js';
+
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+
+    // Get Firestore instance
+    const db = getFirestore();
+
+    const snapshot = await db
+      .collection(WORKSPACES_COLLECTION)
+      .where('memberIds', 'array-contains', userId)
+      .get();
+
+    // Sorted here rather than with orderBy, which would need a composite index
+    const workspaces = [];
+    snapshot.forEach((doc) => {
+      workspaces.push(toWorkspaceSummary(doc.id, doc.data(), userId));
+    });
+    workspaces.sort((a, b) => a.name.localeCompare(b.name));
+
+    return res.status(200).json({
+      success: true,
+      workspaces,
+      count: workspaces.length,
+    });
+  } catch (error) {
+    console.error('List workspaces error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
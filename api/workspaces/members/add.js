@@ -0,0 +1,115 @@
+/**
+ * Add Workspace Member Endpoint
+ * POST /api/workspaces/members/add
+ * Adds an existing account to a workspace by email (owners only)
+ */
+
+import { verifyAuth, getFirestore, getAuth } from '../../middleware/auth.js';
+import {
+  WORKSPACES_COLLECTION,
+  getMemberRole,
+  isValidRole,
+  toMembershipUpdate,
+  toWorkspaceSummary,
+  WORKSPACE_ROLES
+} from '../../utils/workspaces.js';
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { workspaceId, email, role = 'editor' } = req.body;
+
+    // Validate request body
+    if (!workspaceId || typeof workspaceId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Workspace ID is required and must be a string',
+      });
+    }
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Email is required and must be a string',
+      });
+    }
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}`,
+      });
+    }
+
+    // Members must already have an account - their user ID is what the rules check
+    let member;
+    try {
+      member = await getAuth().getUserByEmail(email.trim());
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'No account uses that email - ask them to sign up first',
+        });
+      }
+      throw error;
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+    const workspaceRef = db.collection(WORKSPACES_COLLECTION).doc(workspaceId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const workspaceDoc = await transaction.get(workspaceRef);
+      const workspace = workspaceDoc.exists ? workspaceDoc.data() : null;
+      const actorRole = getMemberRole(workspace, userId);
+
+      if (!actorRole) {
+        return { status: 404, error: 'Not found', message: 'Workspace not found or you are not a member' };
+      }
+
+      if (actorRole !== 'owner') {
+        return { status: 403, error: 'Forbidden', message: 'Only workspace owners can manage members' };
+      }
+
+      if (getMemberRole(workspace, member.uid)) {
+        return { status: 409, error: 'Conflict', message: `${member.email} is already a member - change their role instead` };
+      }
+
+      const members = {
+        ...workspace.members,
+        [member.uid]: { role, email: member.email || null, addedAt: new Date().toISOString() },
+      };
+      const update = toMembershipUpdate(members);
+      transaction.update(workspaceRef, update);
+
+      return { workspace: { ...workspace, ...update } };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, message: result.message });
+    }
+
+    return res.status(201).json({
+      success: true,
+      workspace: toWorkspaceSummary(workspaceId, result.workspace, userId),
+    });
+  } catch (error) {
+    console.error('Add workspace member error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Remove Workspace Member Endpoint
+ * DELETE /api/workspaces/members/remove?workspaceId=...&memberId=...
+ * Owners can remove anyone; any member can remove themselves to leave.
+ * The share links the member created for the workspace's artifacts are revoked with them
+ */
+
+import { verifyAuth, getFirestore } from '../../middleware/auth.js';
+import { deleteShares } from '../../utils/shareLinks.js';
+import {
+  WORKSPACES_COLLECTION,
+  checkMemberChange,
+  toMembershipUpdate,
+  toWorkspaceSummary
+} from '../../utils/workspaces.js';
+
+export default async function handler(req, res) {
+  // Only allow DELETE requests
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { workspaceId, memberId } = req.query;
+
+    // Validate query parameters
+    if (!workspaceId || typeof workspaceId !== 'string' || !memberId || typeof memberId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Workspace ID and member ID are required in query parameters',
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+    const workspaceRef = db.collection(WORKSPACES_COLLECTION).doc(workspaceId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const workspaceDoc = await transaction.get(workspaceRef);
+      const workspace = workspaceDoc.exists ? workspaceDoc.data() : null;
+
+      const rejection = checkMemberChange(workspace, userId, memberId, null);
+      if (rejection) return rejection;
+
+      const { [memberId]: _removed, ...members } = workspace.members;
+      const update = toMembershipUpdate(members);
+      transaction.update(workspaceRef, update);
+
+      return { workspace: { ...workspace, ...update } };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, message: result.message });
+    }
+
+    const revokedShares = await deleteShares(db, { workspaceId, ownerId: memberId });
+
+    return res.status(200).json({
+      success: true,
+      revokedShares,
+      // Members who left no longer see the workspace
+      workspace: memberId === userId ? null : toWorkspaceSummary(workspaceId, result.workspace, userId),
+    });
+  } catch (error) {
+    console.error('Remove workspace member error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Update Workspace Member Endpoint
+ * PUT /api/workspaces/members/update
+ * Changes a member's role (owners only; the last owner can't be demoted)
+ */
+
+import { verifyAuth, getFirestore } from '../../middleware/auth.js';
+import {
+  WORKSPACES_COLLECTION,
+  checkMemberChange,
+  isValidRole,
+  toMembershipUpdate,
+  toWorkspaceSummary,
+  WORKSPACE_ROLES
+} from '../../utils/workspaces.js';
+
+export default async function handler(req, res) {
+  // Only allow PUT requests
+  if (req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const authResult = await verifyAuth(req);
+    if (authResult.error) {
+      return res.status(authResult.status).json({ error: authResult.error });
+    }
+
+    const { userId } = authResult;
+    const { workspaceId, memberId, role } = req.body;
+
+    // Validate request body
+    if (!workspaceId || typeof workspaceId !== 'string' || !memberId || typeof memberId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Workspace ID and member ID are required and must be strings',
+      });
+    }
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}`,
+      });
+    }
+
+    // Get Firestore instance
+    const db = getFirestore();
+    const workspaceRef = db.collection(WORKSPACES_COLLECTION).doc(workspaceId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const workspaceDoc = await transaction.get(workspaceRef);
+      const workspace = workspaceDoc.exists ? workspaceDoc.data() : null;
+
+      const rejection = checkMemberChange(workspace, userId, memberId, role);
+      if (rejection) return rejection;
+
+      const members = {
+        ...workspace.members,
+        [memberId]: { ...workspace.members[memberId], role },
+      };
+      const update = toMembershipUpdate(members);
+      transaction.update(workspaceRef, update);
+
+      return { workspace: { ...workspace, ...update } };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, message: result.message });
+    }
+
+    return res.status(200).json({
+      success: true,
+      workspace: toWorkspaceSummary(workspaceId, result.workspace, userId),
+    });
+  } catch (error) {
+    console.error('Update workspace member error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+}
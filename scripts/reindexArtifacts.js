@@ -0,0 +1,19 @@
+/**
+ * Reindex Artifacts
+ * One-off job: brings every personal and workspace artifact up to the current search index and
+ * listing summary (see SEARCH_INDEX_VERSION). Listings no longer do this as they go.
+ * Needs the Firebase Admin environment variables: npm run reindex
+ */
+
+import { getFirestore } from '../api/middleware/auth.js';
+import { reindexArtifacts } from '../api/utils/artifactListing.js';
+
+const db = getFirestore();
+
+try {
+  const count = await reindexArtifacts(db, db.collectionGroup('artifacts'));
+  console.log(`🔎 Re-indexed ${count} artifact(s) for search`);
+} catch (error) {
+  console.error('❌ Re-indexing failed:', error);
+  process.exitCode = 1;
+}
@@ -6,12 +6,20 @@ import { getTheme } from "./styles/theme";
 import { LandingPage, SignInPage, SignUpPage } from "./components/auth";
 import { TopBar } from "./components/ui";
 import { ChatPanel, ChatInput } from "./components/chat";
-import { EditorPanel, FileTabs, FileExplorer } from "./components/editor";
+import { EditorPanel, FileTabs, FileExplorer, ChangeReviewPanel } from "./components/editor";
 import { PreviewPanel } from "./components/preview";
-import { ArtifactSidebar } from "./components/artifact";
+import { ArtifactSidebar, GuestImportDialog, MergeConflictDialog, ShareDialog, SharedArtifactView } from "./components/artifact";
 import { useThinkingState } from "./hooks/useThinkingState";
 import { useIsMobile } from "./hooks/useIsMobile";
+import { usePreviewRuntime } from "./hooks/usePreviewRuntime";
+import { useReviewChanges } from "./hooks/useReviewChanges";
+import { useCollaboration } from "./hooks/useCollaboration";
 import { processMessage } from "./services/agentOrchestrator";
+import { onRateLimitUpdate } from "./services/utils/llm/openaiClient";
+import { createChangeReview, applyChangeReview } from "./services/utils/versions/changeReview";
+import { getShareSlugFromPath } from "./services/utils/share/shareLinks";
+import { createWorkerSmokeTestHost } from "./services/utils/preview/smokeTest";
+import { getPreviewRuntimeUrls } from "./services/utils/preview/runtimeAssets";
 import { reactExamples } from "./templates";
 import "./styles/App.css";
 
@@ -19,11 +27,39 @@ function App() {
   const { mode } = useTheme();
   const theme = getTheme(mode);
   const { user, loading: authLoading } = useAuth();
-  const { activeArtifact, updateArtifactFiles, updateChatHistory, createArtifact, activeArtifactId } = useArtifacts();
+  const {
+    activeArtifact,
+    updateArtifactFiles,
+    updateChatHistory,
+    createArtifact,
+    activeArtifactId,
+    loadArtifact,
+    ensureArtifactLoaded,
+    saveVersion,
+    restoreVersion,
+    canEdit,
+    remoteFiles,
+    acquireGenerationLock,
+    releaseGenerationLock,
+    mergeConflict,
+    resolveMergeConflict,
+    guestArtifacts,
+    importGuestArtifacts,
+    skipGuestImport,
+    storageError,
+    dismissStorageError
+  } = useArtifacts();
   const isMobile = useIsMobile();
+  const [previewRuntime, setPreviewRuntime] = usePreviewRuntime();
+  const [reviewChanges, setReviewChanges] = useReviewChanges();
+  const [pendingReview, setPendingReview] = useState(null); // AI changes waiting for accept/reject
 
-  // Route state: 'landing', 'signin', 'signup', or 'studio'
-  const [currentRoute, setCurrentRoute] = useState('landing');
+  // Share links (/s/<slug>) open straight into the read-only viewer
+  const [shareSlug] = useState(() => getShareSlugFromPath(window.location.pathname));
+  const [showShareDialog, setShowShareDialog] = useState(false);
+
+  // Route state: 'landing', 'signin', 'signup', 'studio', or 'share'
+  const [currentRoute, setCurrentRoute] = useState(shareSlug ? 'share' : 'landing');
 
   // Thinking state for CompactThinkingPanel
   const thinking = useThinkingState({
@@ -35,6 +71,27 @@ function App() {
   const [chatMessages, setChatMessages] = useState([]);
   const [files, setFiles] = useState(activeArtifact?.files || {});
   const [activeFile, setActiveFile] = useState('App.jsx');
+  const [revealRange, setRevealRange] = useState(null); // Lines to highlight in the editor (from citations)
+
+  // Latest files for async work (a generation finishing after collaborators' edits arrived)
+  const filesRef = useRef(files);
+  filesRef.current = files;
+
+  // Artifact on screen now (a generation can finish after the user opened another one)
+  const activeArtifactIdRef = useRef(activeArtifactId);
+  activeArtifactIdRef.current = activeArtifactId;
+
+  // Who else has this artifact open, and where their cursors are
+  const { collaborators, updateSelection } = useCollaboration(activeFile);
+
+  // Live content of files the generator/modifier is currently writing
+  const [streamingFiles, setStreamingFiles] = useState({});
+  const pendingStream = useRef({});
+  const streamFrame = useRef(null);
+
+  // Cancels the request in flight (Stop button)
+  const generationController = useRef(null);
+  const [isGenerating, setIsGenerating] = useState(false);
 
   // Error deduplication - track recent errors to prevent spam
   const recentErrors = useRef(new Map());
@@ -57,6 +114,16 @@ function App() {
     }
   }, [activeArtifactId]);
 
+  // Pick up collaborators' saved edits (files with unsaved local edits are kept as they are)
+  useEffect(() => {
+    if (!remoteFiles || remoteFiles.artifactId !== activeArtifactId) return;
+
+    setFiles(remoteFiles.files);
+    if (activeFile && !(activeFile in remoteFiles.files)) {
+      setActiveFile(Object.keys(remoteFiles.files)[0] || '');
+    }
+  }, [remoteFiles]);
+
   // Save chat messages to artifact whenever they change
   useEffect(() => {
     if (activeArtifactId && chatMessages.length > 0) {
@@ -114,43 +181,42 @@ function App() {
     }
   };
 
-  // Track rate limit warnings shown
-  const [rateLimitWarningsShown, setRateLimitWarningsShown] = useState({
-    fifty: false,
-    seventyFive: false
-  });
+  // Budget warnings already shown today (a ref - the budget listener outlives renders)
+  const rateLimitWarningsShown = useRef({ fifty: false, seventyFive: false, exhausted: false });
 
-  // Helper to add rate limit warning message
-  const addRateLimitWarning = (rateLimit) => {
-    const percentUsed = (rateLimit.used / rateLimit.limit) * 100;
-
-    // 50% warning
-    if (percentUsed >= 50 && percentUsed < 75 && !rateLimitWarningsShown.fifty) {
-      setChatMessages(prev => [...prev, {
-        type: 'assistant',
-        content: `ℹ️ You've used ${rateLimit.used} of your ${rateLimit.limit} daily requests.\n${rateLimit.remaining} requests remaining today.`,
-        timestamp: Date.now()
-      }]);
-      setRateLimitWarningsShown(prev => ({ ...prev, fifty: true }));
-    }
+  // Warn as real token usage crosses 50%, 75% and 100% of today's budget
+  useEffect(() => {
+    const addWarning = (type, content) => {
+      setChatMessages(prev => [...prev, { type, content, timestamp: Date.now() }]);
+    };
 
-    // 75% warning
-    if (percentUsed >= 75 && !rateLimitWarningsShown.seventyFive) {
-      setChatMessages(prev => [...prev, {
-        type: 'assistant',
-        content: `⚠️ Warning: You've used 75% of your daily quota.\nOnly ${rateLimit.remaining} requests remaining. Resets at midnight UTC.`,
-        timestamp: Date.now()
-      }]);
-      setRateLimitWarningsShown(prev => ({ ...prev, seventyFive: true }));
-    }
-  };
+    return onRateLimitUpdate((rateLimit) => {
+      if (!rateLimit.limit) return;
+      const shown = rateLimitWarningsShown.current;
+      const percentUsed = Math.min(100, Math.floor((rateLimit.used / rateLimit.limit) * 100));
+      const tokens = `${rateLimit.used.toLocaleString()} of ${rateLimit.limit.toLocaleString()} tokens`;
+
+      if (percentUsed >= 100) {
+        if (shown.exhausted) return;
+        shown.exhausted = shown.seventyFive = shown.fifty = true;
+        addWarning('error', `❌ You've used 100% of today's budget (${tokens}).\nIt resets at midnight UTC.`);
+      } else if (percentUsed >= 75) {
+        if (shown.seventyFive) return;
+        shown.seventyFive = shown.fifty = true;
+        addWarning('assistant', `⚠️ You've used ${percentUsed}% of today's budget (${tokens}).\nIt resets at midnight UTC.`);
+      } else if (percentUsed >= 50 && !shown.fifty) {
+        shown.fifty = true;
+        addWarning('assistant', `ℹ️ You've used ${percentUsed}% of today's budget (${tokens}).`);
+      }
+    });
+  }, []);
 
   // Reset warnings at midnight
   useEffect(() => {
     const checkMidnight = () => {
       const now = new Date();
       if (now.getUTCHours() === 0 && now.getUTCMinutes() === 0) {
-        setRateLimitWarningsShown({ fifty: false, seventyFive: false });
+        rateLimitWarningsShown.current = { fifty: false, seventyFive: false, exhausted: false };
       }
     };
 
@@ -188,8 +254,47 @@ function App() {
     }
   }, []);
 
+  // Open the cited lines of an explanation in the editor
+  const handleCitationClick = (citation) => {
+    if (files[citation.file] === undefined) return;
+
+    setActiveFile(citation.file);
+    setRevealRange({ ...citation, requestedAt: Date.now() });
+
+    if (isMobile) {
+      setShowChat(false);
+      setShowPreview(false);
+    }
+    setShowCode(true);
+  };
+
   // Handle chat message with AI agents
   const handleSendMessage = async (message) => {
+    // One request at a time - the input shows Stop while this one runs
+    if (generationController.current) return;
+
+    // Viewers can browse a workspace's artifacts but not change them
+    if (!canEdit) {
+      thinking.reset();
+      thinking.error('You have view-only access to this workspace');
+      return;
+    }
+
+    const controller = new AbortController();
+    generationController.current = controller;
+    setIsGenerating(true);
+
+    // One generation per artifact at a time, across collaborators
+    const lockedArtifactId = activeArtifactId;
+    const lock = await acquireGenerationLock(lockedArtifactId);
+    if (!lock.acquired) {
+      generationController.current = null;
+      setIsGenerating(false);
+      thinking.reset();
+      thinking.error(lock.message);
+      return;
+    }
+
     // Add user message
     const userMessage = {
       type: 'user',
@@ -205,10 +310,39 @@ function App() {
     // Track current step for updates
     let currentStepId = null;
 
+    // Editor follows the first file that starts streaming
+    let followedStreamFile = null;
+
     // Callback for streaming updates from agent
     const onUpdate = (update) => {
+      // Stopped - late updates from requests still winding down are dropped
+      if (controller.signal.aborted) return;
+
       // Handle different update types for thinking panel
-      if (update.type === 'thinking') {
+      if (update.type === 'token') {
+        // Batch token updates per animation frame to avoid re-rendering per token
+        pendingStream.current[update.data.filename] = update.data.content;
+        if (!streamFrame.current) {
+          streamFrame.current = requestAnimationFrame(() => {
+            const batch = pendingStream.current;
+            pendingStream.current = {};
+            streamFrame.current = null;
+
+            const [latestFile, latestContent] = Object.entries(batch).pop();
+            thinking.setAnswerText(latestContent, `Writing ${latestFile}`);
+
+            // Another artifact opened meanwhile - its editor doesn't show this generation
+            if (activeArtifactIdRef.current !== lockedArtifactId) return;
+
+            setStreamingFiles(prev => ({ ...prev, ...batch }));
+            if (!followedStreamFile) {
+              followedStreamFile = latestFile;
+              setActiveFile(latestFile);
+            }
+          });
+        }
+        return; // Don't add to chat messages
+      } else if (update.type === 'thinking') {
         // Add or update thinking step
         if (!currentStepId) {
           currentStepId = thinking.addStep(update.content, 'active');
@@ -236,8 +370,17 @@ function App() {
     };
 
     try {
-      // Process message with AI agents
-      const result = await processMessage(message, files, onUpdate);
+      // Process message with AI agents - generated apps are test-rendered in a worker
+      // (blob workers need absolute URLs for the bundled runtime)
+      const smokeTestHost = createWorkerSmokeTestHost(
+        getPreviewRuntimeUrls(previewRuntime, new URL(import.meta.env.BASE_URL, window.location.origin).href)
+      );
+      const result = await processMessage(message, files, onUpdate, { signal: controller.signal, smokeTestHost });
+
+      // Stopped - partial results are discarded (handleStopGeneration already told the user)
+      if (controller.signal.aborted || result.aborted) {
+        return;
+      }
 
       // DEBUG: Log file operations received
       console.log('✅ File operations received from orchestrator:');
@@ -247,39 +390,62 @@ function App() {
         });
       }
 
-      if (result.success && result.fileOperations) {
+      if (result.success && result.explanation) {
+        // Question answered in chat - files are left untouched
+        setTimeout(() => thinking.complete(), 500);
+      } else if (result.success && result.fileOperations) {
         // Add generating steps for each file
-        result.fileOperations.forEach((op, index) => {
+        result.fileOperations.filter(op => op.type !== 'delete').forEach((op, index) => {
           const stepId = thinking.addStep(`Generating ${op.filename}`, 'active');
           setTimeout(() => thinking.completeStep(stepId), 100 * (index + 1));
         });
 
-        // Create or update artifact with generated files
-        const newFiles = { ...files };
-
-        result.fileOperations.forEach(op => {
-          newFiles[op.filename] = op.content;
-        });
+        // The generated-for artifact's latest files (collaborators' edits during generation are kept,
+        // and the user may have opened another artifact meanwhile)
+        const baseFiles = lockedArtifactId
+          ? (await ensureArtifactLoaded(lockedArtifactId))?.files || files
+          : files;
 
-        // DEBUG: Log files being saved
-        console.log('💾 Files to save to artifact:', Object.keys(newFiles));
-        console.log('   Active artifact ID:', activeArtifactId);
+        // Changes to an existing artifact wait for review when review mode is on
+        const review = reviewChanges && lockedArtifactId
+          ? createChangeReview(baseFiles, result.fileOperations)
+          : [];
 
-        // If no active artifact, create a new one
-        if (!activeArtifactId) {
-          const artifactName = result.plan?.summary?.slice(0, 50) || 'New Project';
-          createArtifact(artifactName, newFiles);
+        if (review.length > 0) {
+          setPendingReview({ artifactId: lockedArtifactId, review, message });
         } else {
-          // Update existing artifact
-          console.log('🔄 Updating existing artifact with new files');
-          setFiles(newFiles);
-          updateArtifactFiles(activeArtifactId, newFiles);
-          console.log('✓ setFiles() and updateArtifactFiles() called');
-        }
+          // Create or update artifact with generated files
+          const newFiles = { ...baseFiles };
+
+          result.fileOperations.forEach(op => {
+            if (op.type === 'rename') delete newFiles[op.from];
+            if (op.type === 'delete') {
+              delete newFiles[op.filename];
+            } else {
+              newFiles[op.filename] = op.content;
+            }
+          });
 
-        // Switch to the first created/modified file
-        if (result.fileOperations.length > 0) {
-          setActiveFile(result.fileOperations[0].filename);
+          // DEBUG: Log files being saved
+          console.log('💾 Files to save to artifact:', Object.keys(newFiles));
+          console.log('   Artifact ID:', lockedArtifactId);
+
+          // If no active artifact, create a new one
+          if (!lockedArtifactId) {
+            const artifactName = result.plan?.summary?.slice(0, 50) || 'New Project';
+            const newArtifactId = await createArtifact(artifactName, newFiles);
+            saveVersion(newArtifactId, newFiles, { trigger: 'ai', message });
+          } else {
+            // Update existing artifact
+            console.log('🔄 Updating existing artifact with new files');
+            commitFileChanges(lockedArtifactId, baseFiles, newFiles, message);
+          }
+
+          // Switch to the first created/modified file
+          const firstChanged = result.fileOperations.find(op => op.type !== 'delete');
+          if (firstChanged && activeArtifactIdRef.current === lockedArtifactId) {
+            setActiveFile(firstChanged.filename);
+          }
         }
 
         // Ensure panels are visible based on device
@@ -297,30 +463,101 @@ function App() {
 
         // Complete thinking process
         setTimeout(() => thinking.complete(), 500);
-
-        // Check for rate limit info in result and show warnings
-        if (result.rateLimit) {
-          addRateLimitWarning(result.rateLimit);
-        }
       } else {
         // Handle error or incomplete result
         thinking.error('Failed to generate code');
       }
     } catch (error) {
+      if (controller.signal.aborted) return;
       console.error('Error processing message:', error);
 
-      // Handle rate limit error specifically
-      if (error.isRateLimit && error.rateLimit) {
-        thinking.error('Rate limit reached');
-        setChatMessages(prev => [...prev, {
-          type: 'error',
-          content: `❌ Daily limit reached (${error.rateLimit.used}/${error.rateLimit.limit} requests used).\nYour quota will reset at midnight UTC.\nPlease try again later.`,
-          timestamp: Date.now()
-        }]);
+      // Budget errors - the budget listener has already explained it in chat
+      if (error.isRateLimit) {
+        thinking.error("Today's budget is used up");
       } else {
         thinking.error('An error occurred while processing your request');
       }
+    } finally {
+      // Drop any streamed previews - the final file operations replace them
+      if (streamFrame.current) {
+        cancelAnimationFrame(streamFrame.current);
+        streamFrame.current = null;
+      }
+      pendingStream.current = {};
+      setStreamingFiles({});
+
+      generationController.current = null;
+      setIsGenerating(false);
+      releaseGenerationLock(lockedArtifactId);
+    }
+  };
+
+  // Stop the request in flight - nothing it produced is applied
+  const handleStopGeneration = () => {
+    if (!generationController.current) return;
+
+    generationController.current.abort();
+    thinking.error('Stopped');
+    setChatMessages(prev => [...prev, {
+      type: 'assistant',
+      content: '⏹️ Stopped. No changes were made to your files.',
+      timestamp: Date.now()
+    }]);
+  };
+
+  // Write AI changes to an artifact and snapshot them in its version history
+  // The editor only follows when that artifact is still the one on screen
+  const commitFileChanges = (artifactId, previousFiles, newFiles, message) => {
+    updateArtifactFiles(artifactId, newFiles);
+    if (artifactId === activeArtifactIdRef.current) {
+      setFiles(newFiles);
     }
+    console.log('✓ updateArtifactFiles() called');
+
+    // Manual edits since the last version first, so they can be restored too
+    saveVersion(artifactId, previousFiles, { trigger: 'manual', message: 'Saved before AI change' })
+      .then(() => saveVersion(artifactId, newFiles, { trigger: 'ai', message }));
+  };
+
+  // Apply the accepted files/hunks of a reviewed AI change
+  const handleApplyReview = (decisions) => {
+    const { artifactId, review, message } = pendingReview;
+
+    // Reviews are against the files of the artifact they were made for
+    if (artifactId !== activeArtifactId) {
+      handleDiscardReview();
+      return;
+    }
+
+    const { files: newFiles, applied, rejected, brokenImports } = applyChangeReview(files, review, decisions);
+    setPendingReview(null);
+
+    if (applied.length > 0) {
+      commitFileChanges(activeArtifactId, files, newFiles, message);
+      const firstApplied = applied.find(filename => newFiles[filename] !== undefined);
+      if (firstApplied) setActiveFile(firstApplied);
+    }
+
+    setChatMessages(prev => [...prev, {
+      type: 'assistant',
+      content: applied.length === 0
+        ? '↩️ Rejected all proposed changes - your files are unchanged.'
+        : `✅ Applied changes to ${applied.join(', ')}.` +
+          (rejected.length > 0 ? `\nLeft unchanged: ${rejected.join(', ')}.` : '') +
+          (brokenImports.length > 0
+            ? `\n⚠️ These imports no longer resolve: ${brokenImports.map(entry => `${entry.file}:${entry.line} '${entry.specifier}'`).join(', ')}.`
+            : ''),
+      timestamp: Date.now()
+    }]);
+  };
+
+  const handleDiscardReview = () => {
+    setPendingReview(null);
+    setChatMessages(prev => [...prev, {
+      type: 'assistant',
+      content: '↩️ Discarded the proposed changes - your files are unchanged.',
+      timestamp: Date.now()
+    }]);
   };
 
   // Handle file changes
@@ -372,7 +609,83 @@ function App() {
     }
   };
 
+  // Snapshot the current files (Ctrl/Cmd+S in the editor)
+  const handleSaveVersion = () => {
+    if (!activeArtifactId) return Promise.resolve(null);
+    return saveVersion(activeArtifactId, files, { trigger: 'manual', message: 'Manual save' });
+  };
+
+  // Restore an artifact's files from its version history
+  const handleRestoreVersion = async (artifactId, versionId) => {
+    const restoredFiles = await restoreVersion(artifactId, versionId);
+
+    if (artifactId !== activeArtifactId) {
+      loadArtifact(artifactId);
+      return;
+    }
+
+    setFiles(restoredFiles);
+    if (!restoredFiles[activeFile]) {
+      setActiveFile(Object.keys(restoredFiles)[0] || '');
+    }
+    setChatMessages(prev => [...prev, {
+      type: 'assistant',
+      content: '↩️ Restored a previous version. The version before the restore is kept in the history.',
+      timestamp: Date.now()
+    }]);
+  };
+
+  // Create an artifact from an imported project (zip or folder)
+  const handleImportProject = async ({ name, files: importedFiles, skipped, collisions = [], warnings }) => {
+    const lines = [`📦 Imported "${name}" with ${Object.keys(importedFiles).length} files.`];
+
+    if (skipped.length > 0) {
+      lines.push(`\nSkipped ${skipped.length} files (dependencies, lockfiles, binaries and build config are not needed here).`);
+    }
+    if (collisions.length > 0) {
+      lines.push('\n📁 These files stayed where they were, because another file already moved to their new path:');
+      collisions.forEach(({ path, target }) => lines.push(`- ${path} (${target} is taken)`));
+    }
+    if (warnings.length > 0) {
+      lines.push('\n⚠️ These imports will not work in the preview:');
+      warnings.forEach(({ file, line, message }) => lines.push(`- [${file}:${line}] ${message}`));
+    }
+
+    await createArtifact(name, importedFiles, [{
+      type: 'assistant',
+      content: lines.join('\n'),
+      timestamp: Date.now()
+    }]);
+
+    setShowArtifacts(false);
+    if (isMobile) {
+      setShowChat(false);
+      setShowCode(false);
+      setShowPreview(true);
+    } else {
+      setShowChat(true);
+      setShowCode(false);
+      setShowPreview(true);
+    }
+  };
+
   // Handle new artifact creation with proper panel visibility
+  // Leave the share viewer for the studio, dropping the /s/<slug> path
+  const handleLeaveShare = () => {
+    window.history.replaceState(null, '', '/');
+    handleTryNow();
+  };
+
+  // Copy a shared snapshot into the viewer's own artifacts and open it
+  const handleRemixShare = async (share) => {
+    await createArtifact(`${share.name} (Remix)`, share.files, [{
+      type: 'assistant',
+      content: `🔀 Remixed "${share.name}" from a share link. Changes you make here won't affect the original.`,
+      timestamp: Date.now()
+    }]);
+    handleLeaveShare();
+  };
+
   const handleNewArtifact = () => {
     createArtifact('Untitled Project');
     // Set panel visibility based on device
@@ -459,6 +772,17 @@ function App() {
     );
   }
 
+  // Show the read-only share viewer if route is 'share'
+  if (currentRoute === 'share') {
+    return (
+      <SharedArtifactView
+        slug={shareSlug}
+        onRemix={handleRemixShare}
+        onOpenStudio={handleLeaveShare}
+      />
+    );
+  }
+
   // Show landing page if route is 'landing'
   if (currentRoute === 'landing') {
     return (
@@ -508,6 +832,8 @@ function App() {
         isOpen={showArtifacts}
         onClose={() => setShowArtifacts(false)}
         onNewArtifact={handleNewArtifact}
+        onImportProject={handleImportProject}
+        onRestoreVersion={handleRestoreVersion}
       />
 
       {/* Top Bar */}
@@ -551,8 +877,71 @@ function App() {
           }
         }}
         onNavigateToSignIn={handleNavigateToSignIn}
+        onShare={() => setShowShareDialog(true)}
+        collaborators={collaborators}
+        previewRuntime={previewRuntime}
+        onPreviewRuntimeChange={setPreviewRuntime}
+        reviewChanges={reviewChanges}
+        onReviewChangesChange={setReviewChanges}
       />
 
+      {/* Guest work that could not be saved on this device */}
+      {storageError && (
+        <div role="alert" style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: theme.spacing.sm,
+          padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+          backgroundColor: theme.colors.bg.secondary,
+          borderBottom: `1px solid ${theme.colors.border}`,
+          color: theme.colors.accent.error,
+          fontSize: theme.typography.fontSize.sm,
+        }}>
+          <span>⚠️ {storageError}</span>
+          <button
+            onClick={dismissStorageError}
+            style={{
+              background: 'none',
+              border: 'none',
+              color: theme.colors.text.secondary,
+              cursor: 'pointer',
+              fontSize: theme.typography.fontSize.sm,
+            }}
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {/* Share links for the active artifact */}
+      <ShareDialog
+        isOpen={showShareDialog}
+        artifact={activeArtifact}
+        onClose={() => setShowShareDialog(false)}
+        onSignIn={() => {
+          setShowShareDialog(false);
+          handleNavigateToSignIn();
+        }}
+      />
+
+      {/* Projects made as a guest on this device, offered after signing in */}
+      <GuestImportDialog guestArtifacts={guestArtifacts} onImport={importGuestArtifacts} onSkip={skipGuestImport} />
+
+      {/* Files edited here and elsewhere since the last save */}
+      <MergeConflictDialog conflict={mergeConflict} onResolve={resolveMergeConflict} />
+
+      {/* Review of AI changes before they are applied */}
+      {pendingReview && pendingReview.artifactId === activeArtifactId && (
+        <ChangeReviewPanel
+          files={files}
+          review={pendingReview.review}
+          message={pendingReview.message}
+          onApply={handleApplyReview}
+          onDiscard={handleDiscardReview}
+        />
+      )}
+
       {/* Guest Mode Banner */}
       {!user && showGuestBanner && (
         <div style={{
@@ -753,8 +1142,8 @@ function App() {
             boxShadow: theme.shadows.md,
             overflow: 'hidden',
           }}>
-            <ChatPanel messages={chatMessages} thinkingState={thinking} onFixBug={handleSendMessage} />
-            <ChatInput onSend={handleSendMessage} />
+            <ChatPanel messages={chatMessages} thinkingState={thinking} onFixBug={handleSendMessage} onCitationClick={handleCitationClick} />
+            <ChatInput onSend={handleSendMessage} isGenerating={isGenerating} onStop={handleStopGeneration} />
           </div>
         )}
 
@@ -821,7 +1210,7 @@ function App() {
               <div style={{ flex: 1, display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
                 {/* File Tabs */}
                 <FileTabs
-                  files={files}
+                  files={{ ...files, ...streamingFiles }}
                   activeFile={activeFile}
                   onFileSelect={setActiveFile}
                 />
@@ -832,6 +1221,12 @@ function App() {
                     files={files}
                     activeFile={activeFile}
                     onFileChange={handleFileChange}
+                    streamingFiles={streamingFiles}
+                    revealRange={revealRange}
+                    onSave={handleSaveVersion}
+                    readOnly={!canEdit}
+                    remoteCursors={collaborators.filter(collaborator => collaborator.file === activeFile)}
+                    onSelectionChange={updateSelection}
                   />
                 </div>
               </div>
@@ -849,7 +1244,7 @@ function App() {
             boxShadow: theme.shadows.md,
             overflow: 'hidden',
           }}>
-            <PreviewPanel files={files} onError={handlePreviewError} />
+            <PreviewPanel files={files} onError={handlePreviewError} runtime={previewRuntime} />
           </div>
         )}
         </>
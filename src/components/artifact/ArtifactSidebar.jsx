@@ -1,12 +1,25 @@
-import { useState } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useArtifacts } from '../../contexts/ArtifactContext';
 import { useAuth } from '../../contexts/AuthContext';
 import { getTheme } from '../../styles/theme';
-import { EditIcon, CopyIcon, TrashIcon } from '../icons';
+import { EditIcon, CopyIcon, TrashIcon, HistoryIcon } from '../icons';
 import { ConfirmDialog } from '../ui/ConfirmDialog';
+import { VersionHistory } from './VersionHistory';
+import { WorkspaceMembers } from './WorkspaceMembers';
+import { importProjectFiles, readZipEntries, readFolderEntries } from '../../services/utils/import/projectImport';
+import { ARTIFACT_SORTS } from '../../services/utils/search/artifactSearch';
 
-export const ArtifactSidebar = ({ isOpen, onClose, onNewArtifact }) => {
+// Select value for the "New workspace..." entry in the workspace switcher
+const NEW_WORKSPACE = '__new__';
+
+// Wait for a pause in typing before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Load the next page when the list is scrolled this close to its end (px)
+const LOAD_MORE_THRESHOLD = 200;
+
+export const ArtifactSidebar = ({ isOpen, onClose, onNewArtifact, onImportProject, onRestoreVersion }) => {
   const { mode } = useTheme();
   const theme = getTheme(mode);
   const { user } = useAuth();
@@ -18,12 +31,61 @@ export const ArtifactSidebar = ({ isOpen, onClose, onNewArtifact }) => {
     deleteArtifact,
     duplicateArtifact,
     renameArtifact,
-    clearAllArtifacts
+    clearAllArtifacts,
+    workspaces,
+    activeWorkspace,
+    activeWorkspaceId,
+    canEdit,
+    switchWorkspace,
+    createWorkspace,
+    artifactQuery,
+    updateArtifactQuery,
+    listedArtifacts,
+    artifactFacets,
+    hasMoreArtifacts,
+    loadMoreArtifacts,
+    loadingMore,
+    organizeArtifact,
+    ensureArtifactLoaded
   } = useArtifacts();
 
   const [renamingId, setRenamingId] = useState(null);
   const [renameValue, setRenameValue] = useState('');
   const [showClearAllDialog, setShowClearAllDialog] = useState(false);
+  const [historyArtifactId, setHistoryArtifactId] = useState(null);
+  const [showMembers, setShowMembers] = useState(false);
+  const [workspaceError, setWorkspaceError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const zipInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const listRef = useRef(null);
+  const [searchValue, setSearchValue] = useState(artifactQuery.search);
+  const [organizeError, setOrganizeError] = useState(null);
+
+  // Search once typing pauses
+  useEffect(() => {
+    if (searchValue === artifactQuery.search) return;
+    const timeout = setTimeout(() => updateArtifactQuery({ search: searchValue }), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [searchValue]);
+
+  const isFiltered = Boolean(artifactQuery.search || artifactQuery.tag || artifactQuery.folder);
+
+  // Infinite scroll: load the next page near the end of the list
+  const handleListScroll = () => {
+    const list = listRef.current;
+    if (!list || !hasMoreArtifacts || loadingMore) return;
+    if (list.scrollHeight - list.scrollTop - list.clientHeight < LOAD_MORE_THRESHOLD) {
+      loadMoreArtifacts();
+    }
+  };
+
+  // A page that doesn't fill the list can't be scrolled - keep loading until it does
+  useEffect(() => {
+    handleListScroll();
+  }, [isOpen, listedArtifacts.length, hasMoreArtifacts, loadingMore]);
 
   const formatDate = (timestamp) => {
     const date = new Date(timestamp);
@@ -57,6 +119,120 @@ export const ArtifactSidebar = ({ isOpen, onClose, onNewArtifact }) => {
     onNewArtifact();
   };
 
+  const handleWorkspaceChange = async (value) => {
+    setWorkspaceError(null);
+    setShowMembers(false);
+    setHistoryArtifactId(null);
+
+    if (value !== NEW_WORKSPACE) {
+      switchWorkspace(value || null);
+      return;
+    }
+
+    const name = prompt('Name your new workspace');
+    if (!name?.trim()) return;
+
+    try {
+      await createWorkspace(name.trim());
+    } catch (error) {
+      console.error('❌ Workspace creation failed:', error);
+      setWorkspaceError(error.message);
+    }
+  };
+
+  // Read entries, build the files map and hand it to the app
+  const runImport = async (readEntries, fallbackName) => {
+    setImporting(true);
+    setImportError(null);
+
+    try {
+      const entries = await readEntries();
+      const result = importProjectFiles(entries, { name: fallbackName });
+
+      if (Object.keys(result.files).length === 0) {
+        setImportError('No source files found to import.');
+        return;
+      }
+
+      await onImportProject(result);
+    } catch (error) {
+      console.error('❌ Project import failed:', error);
+      setImportError(`Import failed: ${error.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleZipFile = (file) => {
+    if (!file.name.toLowerCase().endsWith('.zip')) {
+      setImportError('Only .zip archives can be imported. Use "Import Folder" for folders.');
+      return;
+    }
+    runImport(async () => readZipEntries(await file.arrayBuffer()), file.name.replace(/\.zip$/i, ''));
+  };
+
+  const handleZipInput = (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) handleZipFile(file);
+  };
+
+  const handleFolderInput = (e) => {
+    const fileList = Array.from(e.target.files);
+    e.target.value = '';
+    if (fileList.length === 0) return;
+
+    const folderName = (fileList[0].webkitRelativePath || '').split('/')[0] || undefined;
+    runImport(() => readFolderEntries(fileList), folderName);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const [file] = e.dataTransfer.files;
+    if (file) handleZipFile(file);
+  };
+
+  // Version history needs the artifact's files (listed artifacts are summaries until opened)
+  const handleShowHistory = async (id) => {
+    setOrganizeError(null);
+    try {
+      await ensureArtifactLoaded(id);
+      setHistoryArtifactId(id);
+    } catch (error) {
+      console.error('❌ Loading artifact failed:', error);
+      setOrganizeError(error.message);
+    }
+  };
+
+  const handleClearFilters = () => {
+    setSearchValue('');
+    updateArtifactQuery({ search: '', tag: '', folder: '' });
+  };
+
+  // Tags, folder and pin changes; invalid ones (too many tags, names too long) are reported above the list
+  const handleOrganize = async (id, changes) => {
+    setOrganizeError(null);
+    try {
+      await organizeArtifact(id, changes);
+    } catch (error) {
+      console.error('❌ Organizing artifact failed:', error);
+      setOrganizeError(error.message);
+    }
+  };
+
+  const handleEditTags = (artifact) => {
+    const value = prompt('Tags, separated by commas', (artifact.tags || []).join(', '));
+    if (value === null) return;
+    handleOrganize(artifact.id, { tags: value.split(',') });
+  };
+
+  const handleMoveToFolder = (artifact) => {
+    const value = prompt('Folder (leave empty for none)', artifact.folder || '');
+    if (value === null) return;
+    handleOrganize(artifact.id, { folder: value });
+  };
+
   const handleClearAll = () => {
     setShowClearAllDialog(true);
   };
@@ -72,6 +248,44 @@ export const ArtifactSidebar = ({ isOpen, onClose, onNewArtifact }) => {
 
   if (!isOpen) return null;
 
+  const filterSelectStyle = {
+    flex: 1,
+    minWidth: 0,
+    padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+    background: theme.colors.bg.primary,
+    border: `1px solid ${theme.colors.bg.border}`,
+    color: theme.colors.text.secondary,
+    borderRadius: theme.radius.md,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.fontFamily.sans,
+    cursor: 'pointer',
+    outline: 'none',
+  };
+
+  const chipStyle = {
+    padding: `0 ${theme.spacing.sm}`,
+    background: theme.colors.bg.tertiary,
+    border: 'none',
+    borderRadius: theme.radius.sm,
+    color: theme.colors.text.secondary,
+    cursor: 'pointer',
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.fontFamily.sans,
+  };
+
+  const linkButtonStyle = {
+    padding: 0,
+    background: 'transparent',
+    border: 'none',
+    color: theme.colors.text.tertiary,
+    cursor: 'pointer',
+    textDecoration: 'underline',
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.fontFamily.sans,
+  };
+
+  const historyArtifact = artifacts.find(a => a.id === historyArtifactId) || null;
+
   return (
     <>
       {/* Backdrop */}
@@ -104,7 +318,17 @@ export const ArtifactSidebar = ({ isOpen, onClose, onNewArtifact }) => {
           flexDirection: 'column',
           boxShadow: theme.shadows.lg,
           animation: 'slideInLeft 0.2s ease-out',
+          outline: isDragging ? `2px dashed ${theme.colors.accent.primary}` : 'none',
+          outlineOffset: '-6px',
+        }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
         }}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+        }}
+        onDrop={handleDrop}
       >
         {/* Header */}
         <div
@@ -157,50 +381,88 @@ export const ArtifactSidebar = ({ isOpen, onClose, onNewArtifact }) => {
             </button>
           </div>
 
-          <div style={{
-            display: 'flex',
-            gap: theme.spacing.sm,
-          }}>
-            <button
-              onClick={handleNewArtifact}
-              style={{
-                flex: 1,
-                padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
-                background: theme.colors.bg.secondary,
-                border: `1px solid ${theme.colors.bg.border}`,
-                color: theme.colors.text.primary,
-                borderRadius: theme.radius.md,
-                cursor: 'pointer',
-                fontSize: theme.typography.fontSize.sm,
-                fontWeight: theme.typography.fontWeight.medium,
-                fontFamily: theme.typography.fontFamily.sans,
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                gap: theme.spacing.sm,
-                transition: `opacity ${theme.animation.fast}`,
-                opacity: 1,
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.opacity = '0.8';
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.opacity = '1';
-              }}
-            >
-              <span style={{ fontSize: '18px' }}>+</span>
-              New Artifact
-            </button>
+          {/* Workspace switcher */}
+          {user && (
+            <div style={{
+              display: 'flex',
+              gap: theme.spacing.sm,
+              marginBottom: theme.spacing.sm,
+            }}>
+              <select
+                value={activeWorkspaceId || ''}
+                onChange={(e) => handleWorkspaceChange(e.target.value)}
+                title="Workspace"
+                style={{
+                  flex: 1,
+                  minWidth: 0,
+                  padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+                  background: theme.colors.bg.primary,
+                  border: `1px solid ${theme.colors.bg.border}`,
+                  color: theme.colors.text.primary,
+                  borderRadius: theme.radius.md,
+                  fontSize: theme.typography.fontSize.sm,
+                  fontFamily: theme.typography.fontFamily.sans,
+                  cursor: 'pointer',
+                  outline: 'none',
+                }}
+              >
+                <option value="">Personal</option>
+                {workspaces.map(workspace => (
+                  <option key={workspace.id} value={workspace.id}>
+                    {workspace.name}{workspace.role === 'viewer' ? ' (view only)' : ''}
+                  </option>
+                ))}
+                <option value={NEW_WORKSPACE}>+ New workspace...</option>
+              </select>
+
+              {activeWorkspace && (
+                <button
+                  onClick={() => {
+                    setHistoryArtifactId(null);
+                    setShowMembers(!showMembers);
+                  }}
+                  title="Workspace members"
+                  style={{
+                    padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+                    background: showMembers ? theme.colors.bg.tertiary : 'transparent',
+                    border: `1px solid ${theme.colors.bg.border}`,
+                    color: theme.colors.text.secondary,
+                    borderRadius: theme.radius.md,
+                    cursor: 'pointer',
+                    fontSize: theme.typography.fontSize.sm,
+                    fontWeight: theme.typography.fontWeight.medium,
+                    fontFamily: theme.typography.fontFamily.sans,
+                  }}
+                >
+                  Members ({activeWorkspace.members.length})
+                </button>
+              )}
+            </div>
+          )}
 
-            {artifacts.length > 0 && (
+          {workspaceError && (
+            <div style={{
+              marginBottom: theme.spacing.sm,
+              fontSize: theme.typography.fontSize.xs,
+              color: theme.colors.accent.error,
+            }}>
+              {workspaceError}
+            </div>
+          )}
+
+          {canEdit && (
+            <div style={{
+              display: 'flex',
+              gap: theme.spacing.sm,
+            }}>
               <button
-                onClick={handleClearAll}
+                onClick={handleNewArtifact}
                 style={{
                   flex: 1,
                   padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
-                  background: 'transparent',
+                  background: theme.colors.bg.secondary,
                   border: `1px solid ${theme.colors.bg.border}`,
-                  color: theme.colors.text.secondary,
+                  color: theme.colors.text.primary,
                   borderRadius: theme.radius.md,
                   cursor: 'pointer',
                   fontSize: theme.typography.fontSize.sm,
@@ -214,216 +476,595 @@ export const ArtifactSidebar = ({ isOpen, onClose, onNewArtifact }) => {
                   opacity: 1,
                 }}
                 onMouseEnter={(e) => {
-                  e.currentTarget.style.opacity = '0.7';
+                  e.currentTarget.style.opacity = '0.8';
                 }}
                 onMouseLeave={(e) => {
                   e.currentTarget.style.opacity = '1';
                 }}
               >
-                Clear All
+                <span style={{ fontSize: '18px' }}>+</span>
+                New Artifact
               </button>
+
+              {artifacts.length > 0 && (
+                <button
+                  onClick={handleClearAll}
+                  style={{
+                    flex: 1,
+                    padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+                    background: 'transparent',
+                    border: `1px solid ${theme.colors.bg.border}`,
+                    color: theme.colors.text.secondary,
+                    borderRadius: theme.radius.md,
+                    cursor: 'pointer',
+                    fontSize: theme.typography.fontSize.sm,
+                    fontWeight: theme.typography.fontWeight.medium,
+                    fontFamily: theme.typography.fontFamily.sans,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: theme.spacing.sm,
+                    transition: `opacity ${theme.animation.fast}`,
+                    opacity: 1,
+                  }}
+                  onMouseEnter={(e) => {
+                    e.currentTarget.style.opacity = '0.7';
+                  }}
+                  onMouseLeave={(e) => {
+                    e.currentTarget.style.opacity = '1';
+                  }}
+                >
+                  Clear All
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Import */}
+          {onImportProject && canEdit && (
+            <>
+              <div style={{
+                display: 'flex',
+                gap: theme.spacing.sm,
+                marginTop: theme.spacing.sm,
+              }}>
+            <button
+              onClick={() => zipInputRef.current?.click()}
+              disabled={importing}
+              style={{
+                flex: 1,
+                padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+                background: 'transparent',
+                border: `1px solid ${theme.colors.bg.border}`,
+                color: theme.colors.text.secondary,
+                borderRadius: theme.radius.md,
+                cursor: importing ? 'not-allowed' : 'pointer',
+                fontSize: theme.typography.fontSize.sm,
+                fontWeight: theme.typography.fontWeight.medium,
+                fontFamily: theme.typography.fontFamily.sans,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                transition: `opacity ${theme.animation.fast}`,
+                opacity: importing ? 0.5 : 1,
+              }}
+              onMouseEnter={(e) => {
+                if (!importing) e.currentTarget.style.opacity = '0.7';
+              }}
+              onMouseLeave={(e) => {
+                if (!importing) e.currentTarget.style.opacity = '1';
+              }}
+            >
+              Import .zip
+            </button>
+            <button
+              onClick={() => folderInputRef.current?.click()}
+              disabled={importing}
+              style={{
+                flex: 1,
+                padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+                background: 'transparent',
+                border: `1px solid ${theme.colors.bg.border}`,
+                color: theme.colors.text.secondary,
+                borderRadius: theme.radius.md,
+                cursor: importing ? 'not-allowed' : 'pointer',
+                fontSize: theme.typography.fontSize.sm,
+                fontWeight: theme.typography.fontWeight.medium,
+                fontFamily: theme.typography.fontFamily.sans,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                transition: `opacity ${theme.animation.fast}`,
+                opacity: importing ? 0.5 : 1,
+              }}
+              onMouseEnter={(e) => {
+                if (!importing) e.currentTarget.style.opacity = '0.7';
+              }}
+              onMouseLeave={(e) => {
+                if (!importing) e.currentTarget.style.opacity = '1';
+              }}
+            >
+              Import Folder
+            </button>
+              </div>
+
+              <input
+                ref={zipInputRef}
+                type="file"
+                accept=".zip"
+                onChange={handleZipInput}
+                style={{ display: 'none' }}
+              />
+              <input
+                ref={folderInputRef}
+                type="file"
+                webkitdirectory=""
+                multiple
+                onChange={handleFolderInput}
+                style={{ display: 'none' }}
+              />
+
+              {(importing || importError || isDragging) && (
+                <div style={{
+                  marginTop: theme.spacing.sm,
+                  fontSize: theme.typography.fontSize.xs,
+                  color: importError ? theme.colors.accent.error : theme.colors.text.tertiary,
+                }}>
+                  {importing
+                    ? 'Importing project...'
+                    : isDragging
+                      ? 'Drop a .zip to import it'
+                      : importError}
+                </div>
+              )}
+            </>
+          )}
+
+          {/* Search and filters */}
+          <input
+            type="search"
+            value={searchValue}
+            onChange={(e) => setSearchValue(e.target.value)}
+            placeholder="Search names, chats and code..."
+            style={{
+              width: '100%',
+              boxSizing: 'border-box',
+              marginTop: theme.spacing.sm,
+              padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+              background: theme.colors.bg.primary,
+              border: `1px solid ${theme.colors.bg.border}`,
+              color: theme.colors.text.primary,
+              borderRadius: theme.radius.md,
+              fontSize: theme.typography.fontSize.sm,
+              fontFamily: theme.typography.fontFamily.sans,
+              outline: 'none',
+            }}
+          />
+          <div style={{
+            display: 'flex',
+            gap: theme.spacing.xs,
+            marginTop: theme.spacing.sm,
+          }}>
+            <select
+              value={artifactQuery.sort}
+              onChange={(e) => updateArtifactQuery({ sort: e.target.value })}
+              title="Sort by"
+              style={filterSelectStyle}
+            >
+              {Object.entries(ARTIFACT_SORTS).map(([key, option]) => (
+                <option key={key} value={key}>{option.label}</option>
+              ))}
+            </select>
+
+            {(artifactFacets.folders.length > 0 || artifactQuery.folder) && (
+              <select
+                value={artifactQuery.folder}
+                onChange={(e) => updateArtifactQuery({ folder: e.target.value })}
+                title="Folder"
+                style={filterSelectStyle}
+              >
+                <option value="">All folders</option>
+                {[...new Set([...artifactFacets.folders, artifactQuery.folder].filter(Boolean))].map(folder => (
+                  <option key={folder} value={folder}>{folder}</option>
+                ))}
+              </select>
+            )}
+
+            {(artifactFacets.tags.length > 0 || artifactQuery.tag) && (
+              <select
+                value={artifactQuery.tag}
+                onChange={(e) => updateArtifactQuery({ tag: e.target.value })}
+                title="Tag"
+                style={filterSelectStyle}
+              >
+                <option value="">All tags</option>
+                {[...new Set([...artifactFacets.tags, artifactQuery.tag].filter(Boolean))].map(tag => (
+                  <option key={tag} value={tag}>#{tag}</option>
+                ))}
+              </select>
             )}
           </div>
         </div>
 
-        {/* Artifact List */}
-        <div style={{
-          flex: 1,
-          overflowY: 'auto',
-          padding: theme.spacing.sm,
-        }}>
-          {artifacts.length === 0 ? (
-            <div style={{
-              padding: theme.spacing.xl,
-              textAlign: 'center',
-              color: theme.colors.text.tertiary,
-              fontSize: theme.typography.fontSize.sm,
-            }}>
-              No artifacts yet. Create one to get started!
-            </div>
-          ) : (
-            artifacts.map((artifact) => (
-              <div
-                key={artifact.id}
-                style={{
-                  marginBottom: theme.spacing.sm,
-                  padding: theme.spacing.md,
-                  background: theme.colors.bg.secondary,
-                  borderRadius: theme.radius.md,
-                  cursor: 'pointer',
-                  transition: `opacity ${theme.animation.fast}`,
-                  border: `1px solid ${artifact.id === activeArtifactId
-                    ? theme.colors.accent.primary
-                    : theme.colors.bg.border}`,
-                  opacity: 1,
-                }}
-                onClick={() => loadArtifact(artifact.id)}
-                onMouseEnter={(e) => {
-                  if (artifact.id !== activeArtifactId) {
-                    e.currentTarget.style.opacity = '0.8';
-                  }
-                }}
-                onMouseLeave={(e) => {
-                  if (artifact.id !== activeArtifactId) {
-                    e.currentTarget.style.opacity = '1';
-                  }
-                }}
-              >
-                {/* Artifact Name */}
-                {renamingId === artifact.id ? (
-                  <input
-                    type="text"
-                    value={renameValue}
-                    onChange={(e) => setRenameValue(e.target.value)}
-                    onBlur={() => handleRenameSave(artifact.id)}
-                    onKeyDown={(e) => {
-                      if (e.key === 'Enter') handleRenameSave(artifact.id);
-                      if (e.key === 'Escape') setRenamingId(null);
-                    }}
-                    onClick={(e) => e.stopPropagation()}
-                    autoFocus
-                    style={{
-                      width: '100%',
-                      padding: theme.spacing.xs,
-                      border: `1px solid ${theme.colors.accent.primary}`,
-                      borderRadius: theme.radius.sm,
-                      background: theme.colors.bg.primary,
-                      color: theme.colors.text.primary,
-                      fontSize: theme.typography.fontSize.sm,
-                      fontWeight: theme.typography.fontWeight.medium,
-                      outline: 'none',
-                    }}
-                  />
-                ) : (
+        {/* Workspace Members */}
+        {showMembers && activeWorkspace ? (
+          <div style={{ flex: 1, minHeight: 0 }}>
+            <WorkspaceMembers workspace={activeWorkspace} onBack={() => setShowMembers(false)} />
+          </div>
+        ) : historyArtifact ? (
+          <div style={{ flex: 1, minHeight: 0 }}>
+            <VersionHistory
+              artifact={historyArtifact}
+              onBack={() => setHistoryArtifactId(null)}
+              onRestoreVersion={onRestoreVersion}
+            />
+          </div>
+        ) : (
+          /* Artifact List */
+          <div
+            ref={listRef}
+            onScroll={handleListScroll}
+            style={{
+              flex: 1,
+              overflowY: 'auto',
+              padding: theme.spacing.sm,
+            }}
+          >
+            {organizeError && (
+              <div style={{
+                padding: theme.spacing.sm,
+                fontSize: theme.typography.fontSize.xs,
+                color: theme.colors.accent.error,
+              }}>
+                {organizeError}
+              </div>
+            )}
+
+            {listedArtifacts.length === 0 ? (
+              <div style={{
+                padding: theme.spacing.xl,
+                textAlign: 'center',
+                color: theme.colors.text.tertiary,
+                fontSize: theme.typography.fontSize.sm,
+              }}>
+                {isFiltered ? (
+                  <>
+                    No artifacts match.{' '}
+                    <button onClick={handleClearFilters} style={linkButtonStyle}>
+                      Clear search and filters
+                    </button>
+                  </>
+                ) : canEdit
+                  ? 'No artifacts yet. Create one to get started!'
+                  : 'No artifacts in this workspace yet.'}
+              </div>
+            ) : (
+              listedArtifacts.map((artifact) => (
+                <div
+                  key={artifact.id}
+                  style={{
+                    marginBottom: theme.spacing.sm,
+                    padding: theme.spacing.md,
+                    background: theme.colors.bg.secondary,
+                    borderRadius: theme.radius.md,
+                    cursor: 'pointer',
+                    transition: `opacity ${theme.animation.fast}`,
+                    border: `1px solid ${artifact.id === activeArtifactId
+                      ? theme.colors.accent.primary
+                      : theme.colors.bg.border}`,
+                    opacity: 1,
+                  }}
+                  onClick={() => loadArtifact(artifact.id)}
+                  onMouseEnter={(e) => {
+                    if (artifact.id !== activeArtifactId) {
+                      e.currentTarget.style.opacity = '0.8';
+                    }
+                  }}
+                  onMouseLeave={(e) => {
+                    if (artifact.id !== activeArtifactId) {
+                      e.currentTarget.style.opacity = '1';
+                    }
+                  }}
+                >
+                  {/* Artifact Name */}
+                  {renamingId === artifact.id ? (
+                    <input
+                      type="text"
+                      value={renameValue}
+                      onChange={(e) => setRenameValue(e.target.value)}
+                      onBlur={() => handleRenameSave(artifact.id)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleRenameSave(artifact.id);
+                        if (e.key === 'Escape') setRenamingId(null);
+                      }}
+                      onClick={(e) => e.stopPropagation()}
+                      autoFocus
+                      style={{
+                        width: '100%',
+                        padding: theme.spacing.xs,
+                        border: `1px solid ${theme.colors.accent.primary}`,
+                        borderRadius: theme.radius.sm,
+                        background: theme.colors.bg.primary,
+                        color: theme.colors.text.primary,
+                        fontSize: theme.typography.fontSize.sm,
+                        fontWeight: theme.typography.fontWeight.medium,
+                        outline: 'none',
+                      }}
+                    />
+                  ) : (
+                    <div style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'space-between',
+                      marginBottom: theme.spacing.xs,
+                    }}>
+                      <div style={{
+                        fontSize: theme.typography.fontSize.sm,
+                        fontWeight: theme.typography.fontWeight.semibold,
+                        color: theme.colors.text.primary,
+                        flex: 1,
+                        overflow: 'hidden',
+                        textOverflow: 'ellipsis',
+                        whiteSpace: 'nowrap',
+                      }}>
+                        {artifact.name}
+                      </div>
+
+                      {/* Action buttons */}
+                      <div
+                        style={{ display: 'flex', gap: theme.spacing.xs }}
+                        onClick={(e) => e.stopPropagation()}
+                      >
+                        {canEdit && (
+                          <button
+                            onClick={() => handleOrganize(artifact.id, { pinned: !artifact.pinned })}
+                            title={artifact.pinned ? 'Unpin' : 'Pin to top'}
+                            style={{
+                              background: 'transparent',
+                              border: `1px solid ${theme.colors.bg.border}`,
+                              color: artifact.pinned ? theme.colors.accent.primary : theme.colors.text.secondary,
+                              cursor: 'pointer',
+                              padding: `${theme.spacing.sm} ${theme.spacing.md}`,
+                              borderRadius: theme.radius.md,
+                              fontSize: theme.typography.fontSize.sm,
+                              fontFamily: theme.typography.fontFamily.sans,
+                              display: 'flex',
+                              alignItems: 'center',
+                              transition: `opacity ${theme.animation.fast}`,
+                              opacity: 1,
+                            }}
+                            onMouseEnter={(e) => {
+                              e.currentTarget.style.opacity = '0.7';
+                            }}
+                            onMouseLeave={(e) => {
+                              e.currentTarget.style.opacity = '1';
+                            }}
+                          >
+                            {artifact.pinned ? '★' : '☆'}
+                          </button>
+                        )}
+
+                        {canEdit && (
+                          <button
+                            onClick={() => handleRename(artifact.id, artifact.name)}
+                            title="Rename"
+                            style={{
+                              background: 'transparent',
+                              border: `1px solid ${theme.colors.bg.border}`,
+                              color: theme.colors.text.secondary,
+                              cursor: 'pointer',
+                              padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+                              borderRadius: theme.radius.md,
+                              fontSize: theme.typography.fontSize.sm,
+                              fontWeight: theme.typography.fontWeight.medium,
+                              fontFamily: theme.typography.fontFamily.sans,
+                              display: 'flex',
+                              alignItems: 'center',
+                              transition: `opacity ${theme.animation.fast}`,
+                              opacity: 1,
+                            }}
+                            onMouseEnter={(e) => {
+                              e.currentTarget.style.opacity = '0.7';
+                            }}
+                            onMouseLeave={(e) => {
+                              e.currentTarget.style.opacity = '1';
+                            }}
+                          >
+                            <EditIcon size={16} color={theme.colors.text.secondary} />
+                          </button>
+                        )}
+
+                        <button
+                          onClick={() => handleShowHistory(artifact.id)}
+                          title="Version history"
+                          style={{
+                            background: 'transparent',
+                            border: `1px solid ${theme.colors.bg.border}`,
+                            color: theme.colors.text.secondary,
+                            cursor: 'pointer',
+                            padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+                            borderRadius: theme.radius.md,
+                            fontSize: theme.typography.fontSize.sm,
+                            fontWeight: theme.typography.fontWeight.medium,
+                            fontFamily: theme.typography.fontFamily.sans,
+                            display: 'flex',
+                            alignItems: 'center',
+                            transition: `opacity ${theme.animation.fast}`,
+                            opacity: 1,
+                          }}
+                          onMouseEnter={(e) => {
+                            e.currentTarget.style.opacity = '0.7';
+                          }}
+                          onMouseLeave={(e) => {
+                            e.currentTarget.style.opacity = '1';
+                          }}
+                        >
+                          <HistoryIcon size={16} color={theme.colors.text.secondary} />
+                        </button>
+
+                        {canEdit && (
+                          <button
+                            onClick={() => duplicateArtifact(artifact.id)}
+                            title="Duplicate"
+                            style={{
+                              background: 'transparent',
+                              border: `1px solid ${theme.colors.bg.border}`,
+                              color: theme.colors.text.secondary,
+                              cursor: 'pointer',
+                              padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+                              borderRadius: theme.radius.md,
+                              fontSize: theme.typography.fontSize.sm,
+                              fontWeight: theme.typography.fontWeight.medium,
+                              fontFamily: theme.typography.fontFamily.sans,
+                              display: 'flex',
+                              alignItems: 'center',
+                              transition: `opacity ${theme.animation.fast}`,
+                              opacity: 1,
+                            }}
+                            onMouseEnter={(e) => {
+                              e.currentTarget.style.opacity = '0.7';
+                            }}
+                            onMouseLeave={(e) => {
+                              e.currentTarget.style.opacity = '1';
+                            }}
+                          >
+                            <CopyIcon size={16} color={theme.colors.text.secondary} />
+                          </button>
+                        )}
+
+                        {canEdit && (
+                          <button
+                            onClick={() => {
+                              if (confirm(`Delete "${artifact.name}"?`)) {
+                                deleteArtifact(artifact.id);
+                              }
+                            }}
+                            title="Delete"
+                            style={{
+                              background: 'transparent',
+                              border: `1px solid ${theme.colors.bg.border}`,
+                              color: theme.colors.text.secondary,
+                              cursor: 'pointer',
+                              padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+                              borderRadius: theme.radius.md,
+                              fontSize: theme.typography.fontSize.sm,
+                              fontWeight: theme.typography.fontWeight.medium,
+                              fontFamily: theme.typography.fontFamily.sans,
+                              display: 'flex',
+                              alignItems: 'center',
+                              transition: `opacity ${theme.animation.fast}`,
+                              opacity: 1,
+                            }}
+                            onMouseEnter={(e) => {
+                              e.currentTarget.style.opacity = '0.7';
+                            }}
+                            onMouseLeave={(e) => {
+                              e.currentTarget.style.opacity = '1';
+                            }}
+                          >
+                            <TrashIcon size={16} color={theme.colors.text.secondary} />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Thumbnail: the first lines of the entry file */}
+                  {artifact.thumbnail && (
+                    <pre
+                      title={artifact.thumbnail.path}
+                      style={{
+                        margin: 0,
+                        marginBottom: theme.spacing.xs,
+                        padding: theme.spacing.xs,
+                        maxHeight: '72px',
+                        overflow: 'hidden',
+                        background: theme.colors.bg.primary,
+                        border: `1px solid ${theme.colors.bg.border}`,
+                        borderRadius: theme.radius.sm,
+                        color: theme.colors.text.tertiary,
+                        fontSize: '10px',
+                        lineHeight: 1.2,
+                        fontFamily: theme.typography.fontFamily.mono,
+                        whiteSpace: 'pre',
+                      }}
+                    >
+                      {artifact.thumbnail.code}
+                    </pre>
+                  )}
+
+                  {/* Metadata */}
                   <div style={{
+                    fontSize: theme.typography.fontSize.xs,
+                    color: theme.colors.text.tertiary,
                     display: 'flex',
-                    alignItems: 'center',
                     justifyContent: 'space-between',
-                    marginBottom: theme.spacing.xs,
+                    alignItems: 'center',
                   }}>
-                    <div style={{
-                      fontSize: theme.typography.fontSize.sm,
-                      fontWeight: theme.typography.fontWeight.semibold,
-                      color: theme.colors.text.primary,
-                      flex: 1,
-                      overflow: 'hidden',
-                      textOverflow: 'ellipsis',
-                      whiteSpace: 'nowrap',
-                    }}>
-                      {artifact.name}
-                    </div>
+                    <span>{artifact.fileCount} {artifact.fileCount === 1 ? 'file' : 'files'}</span>
+                    <span>{formatDate(artifact.updatedAt)}</span>
+                  </div>
 
-                    {/* Action buttons */}
+                  {/* Folder and tags (click one to filter by it) */}
+                  {(artifact.folder || (artifact.tags || []).length > 0 || canEdit) && (
                     <div
-                      style={{ display: 'flex', gap: theme.spacing.xs }}
+                      style={{
+                        display: 'flex',
+                        flexWrap: 'wrap',
+                        alignItems: 'center',
+                        gap: theme.spacing.xs,
+                        marginTop: theme.spacing.xs,
+                        fontSize: theme.typography.fontSize.xs,
+                      }}
                       onClick={(e) => e.stopPropagation()}
                     >
-                      <button
-                        onClick={() => handleRename(artifact.id, artifact.name)}
-                        title="Rename"
-                        style={{
-                          background: 'transparent',
-                          border: `1px solid ${theme.colors.bg.border}`,
-                          color: theme.colors.text.secondary,
-                          cursor: 'pointer',
-                          padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
-                          borderRadius: theme.radius.md,
-                          fontSize: theme.typography.fontSize.sm,
-                          fontWeight: theme.typography.fontWeight.medium,
-                          fontFamily: theme.typography.fontFamily.sans,
-                          display: 'flex',
-                          alignItems: 'center',
-                          transition: `opacity ${theme.animation.fast}`,
-                          opacity: 1,
-                        }}
-                        onMouseEnter={(e) => {
-                          e.currentTarget.style.opacity = '0.7';
-                        }}
-                        onMouseLeave={(e) => {
-                          e.currentTarget.style.opacity = '1';
-                        }}
-                      >
-                        <EditIcon size={16} color={theme.colors.text.secondary} />
-                      </button>
-
-                      <button
-                        onClick={() => duplicateArtifact(artifact.id)}
-                        title="Duplicate"
-                        style={{
-                          background: 'transparent',
-                          border: `1px solid ${theme.colors.bg.border}`,
-                          color: theme.colors.text.secondary,
-                          cursor: 'pointer',
-                          padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
-                          borderRadius: theme.radius.md,
-                          fontSize: theme.typography.fontSize.sm,
-                          fontWeight: theme.typography.fontWeight.medium,
-                          fontFamily: theme.typography.fontFamily.sans,
-                          display: 'flex',
-                          alignItems: 'center',
-                          transition: `opacity ${theme.animation.fast}`,
-                          opacity: 1,
-                        }}
-                        onMouseEnter={(e) => {
-                          e.currentTarget.style.opacity = '0.7';
-                        }}
-                        onMouseLeave={(e) => {
-                          e.currentTarget.style.opacity = '1';
-                        }}
-                      >
-                        <CopyIcon size={16} color={theme.colors.text.secondary} />
-                      </button>
-
-                      <button
-                        onClick={() => {
-                          if (confirm(`Delete "${artifact.name}"?`)) {
-                            deleteArtifact(artifact.id);
-                          }
-                        }}
-                        title="Delete"
-                        style={{
-                          background: 'transparent',
-                          border: `1px solid ${theme.colors.bg.border}`,
-                          color: theme.colors.text.secondary,
-                          cursor: 'pointer',
-                          padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
-                          borderRadius: theme.radius.md,
-                          fontSize: theme.typography.fontSize.sm,
-                          fontWeight: theme.typography.fontWeight.medium,
-                          fontFamily: theme.typography.fontFamily.sans,
-                          display: 'flex',
-                          alignItems: 'center',
-                          transition: `opacity ${theme.animation.fast}`,
-                          opacity: 1,
-                        }}
-                        onMouseEnter={(e) => {
-                          e.currentTarget.style.opacity = '0.7';
-                        }}
-                        onMouseLeave={(e) => {
-                          e.currentTarget.style.opacity = '1';
-                        }}
-                      >
-                        <TrashIcon size={16} color={theme.colors.text.secondary} />
-                      </button>
+                      {artifact.folder && (
+                        <button
+                          onClick={() => updateArtifactQuery({ folder: artifact.folder })}
+                          title="Show this folder"
+                          style={chipStyle}
+                        >
+                          📁 {artifact.folder}
+                        </button>
+                      )}
+                      {(artifact.tags || []).map(tag => (
+                        <button
+                          key={tag}
+                          onClick={() => updateArtifactQuery({ tag })}
+                          title="Show this tag"
+                          style={chipStyle}
+                        >
+                          #{tag}
+                        </button>
+                      ))}
+                      {canEdit && (
+                        <>
+                          <button onClick={() => handleEditTags(artifact)} style={linkButtonStyle}>
+                            Tags
+                          </button>
+                          <button onClick={() => handleMoveToFolder(artifact)} style={linkButtonStyle}>
+                            Move
+                          </button>
+                        </>
+                      )}
                     </div>
-                  </div>
-                )}
-
-                {/* Metadata */}
-                <div style={{
-                  fontSize: theme.typography.fontSize.xs,
-                  color: theme.colors.text.tertiary,
-                  display: 'flex',
-                  justifyContent: 'space-between',
-                  alignItems: 'center',
-                }}>
-                  <span>{Object.keys(artifact.files).length} files</span>
-                  <span>{formatDate(artifact.updatedAt)}</span>
+                  )}
                 </div>
+              ))
+            )}
+
+            {loadingMore && (
+              <div style={{
+                padding: theme.spacing.md,
+                textAlign: 'center',
+                color: theme.colors.text.tertiary,
+                fontSize: theme.typography.fontSize.xs,
+              }}>
+                Loading more...
               </div>
-            ))
-          )}
-        </div>
+            )}
+          </div>
+        )}
       </div>
 
       <style>{`
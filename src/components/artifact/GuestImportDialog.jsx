@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { getTheme } from '../../styles/theme';
+
+// Guest projects worth importing by default: anything with files or a conversation
+const hasWork = (artifact) =>
+  Object.keys(artifact.files || {}).length > 0 || (artifact.chatHistory || []).length > 0;
+
+// Offered after signing in: copy projects made as a guest on this device into the account
+export const GuestImportDialog = ({ guestArtifacts, onImport, onSkip }) => {
+  const { mode } = useTheme();
+  const theme = getTheme(mode);
+
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setSelectedIds(guestArtifacts.filter(hasWork).map(artifact => artifact.id));
+  }, [guestArtifacts]);
+
+  if (!guestArtifacts || guestArtifacts.length === 0) return null;
+
+  const toggle = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError(null);
+    try {
+      await onImport(selectedIds);
+    } catch (err) {
+      // Projects that weren't imported are still on this device - the user can try again
+      console.error('Error importing guest projects:', err);
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const buttonStyle = {
+    padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+    borderRadius: theme.radius.md,
+    border: `1px solid ${theme.colors.bg.border}`,
+    background: theme.colors.bg.secondary,
+    color: theme.colors.text.primary,
+    cursor: importing ? 'not-allowed' : 'pointer',
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.fontFamily.sans,
+  };
+
+  const canImport = selectedIds.length > 0 && !importing;
+  const primaryButtonStyle = {
+    ...buttonStyle,
+    border: 'none',
+    background: theme.colors.accent.primary,
+    color: theme.colors.bg.primary,
+    fontWeight: theme.typography.fontWeight.semibold,
+    cursor: canImport ? 'pointer' : 'not-allowed',
+    opacity: canImport ? 1 : 0.5,
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: mode === 'dark' ? '#1a1a1a' : theme.colors.bg.primary,
+          borderRadius: '12px',
+          padding: theme.spacing['3xl'],
+          maxWidth: '480px',
+          width: '90%',
+          maxHeight: '80vh',
+          overflowY: 'auto',
+          border: mode === 'dark' ? '1px solid #333' : '1px solid ' + theme.colors.border,
+        }}
+      >
+        <h3 style={{
+          margin: 0,
+          marginBottom: theme.spacing.sm,
+          fontSize: theme.typography.fontSize.xl,
+          fontWeight: theme.typography.fontWeight.semibold,
+          color: theme.colors.text.primary,
+        }}>
+          Bring your projects with you
+        </h3>
+        <p style={{
+          margin: 0,
+          marginBottom: theme.spacing.lg,
+          fontSize: theme.typography.fontSize.sm,
+          color: theme.colors.text.secondary,
+          lineHeight: 1.5,
+        }}>
+          You made {guestArtifacts.length === 1 ? 'a project' : `${guestArtifacts.length} projects`} on this
+          device before signing in. Import them into your account to keep them, chat history included.
+        </p>
+
+        {/* Guest projects */}
+        <div style={{ marginBottom: theme.spacing.lg }}>
+          {guestArtifacts.map(artifact => {
+            const fileCount = Object.keys(artifact.files || {}).length;
+            const messageCount = (artifact.chatHistory || []).length;
+
+            return (
+              <label
+                key={artifact.id}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: theme.spacing.md,
+                  marginBottom: theme.spacing.sm,
+                  padding: theme.spacing.md,
+                  background: theme.colors.bg.secondary,
+                  borderRadius: theme.radius.md,
+                  border: `1px solid ${theme.colors.bg.border}`,
+                  cursor: 'pointer',
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(artifact.id)}
+                  onChange={() => toggle(artifact.id)}
+                  disabled={importing}
+                />
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{
+                    fontSize: theme.typography.fontSize.sm,
+                    color: theme.colors.text.primary,
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap',
+                  }}>
+                    {artifact.name || 'Untitled Project'}
+                  </div>
+                  <div style={{ fontSize: theme.typography.fontSize.xs, color: theme.colors.text.tertiary }}>
+                    {fileCount} {fileCount === 1 ? 'file' : 'files'} · {messageCount} {messageCount === 1 ? 'message' : 'messages'}
+                  </div>
+                </div>
+              </label>
+            );
+          })}
+        </div>
+
+        {error && (
+          <div style={{
+            marginBottom: theme.spacing.md,
+            fontSize: theme.typography.fontSize.sm,
+            color: theme.colors.accent.error,
+          }}>
+            {error}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: theme.spacing.md }}>
+          <span style={{ flex: 1, fontSize: theme.typography.fontSize.xs, color: theme.colors.text.tertiary }}>
+            Projects you don't import stay on this device.
+          </span>
+          <button onClick={onSkip} disabled={importing} style={buttonStyle}>
+            Not now
+          </button>
+          <button onClick={handleImport} disabled={!canImport} style={primaryButtonStyle}>
+            {importing ? 'Importing...' : `Import ${selectedIds.length || ''}`.trim()}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
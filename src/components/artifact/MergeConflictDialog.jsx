@@ -0,0 +1,217 @@
+import { useState, useEffect } from 'react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { getTheme } from '../../styles/theme';
+import { hasConflictMarkers } from '../../services/utils/collaboration/merge';
+
+// Starting point for a file's result: the merged text with conflict markers, or this tab's
+// version when one side deleted the file
+const initialResolution = ({ merged, mine }) => (merged !== null ? merged : mine ?? null);
+
+// Three-way merge of files edited here and by someone else since the last save, one file at a time
+export const MergeConflictDialog = ({ conflict, onResolve }) => {
+  const { mode } = useTheme();
+  const theme = getTheme(mode);
+
+  const [resolutions, setResolutions] = useState({});
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!conflict) return;
+    setResolutions(Object.fromEntries(conflict.conflicts.map(file => [file.path, initialResolution(file)])));
+    setSelectedPath(conflict.conflicts[0]?.path || null);
+    setSaving(false);
+  }, [conflict]);
+
+  if (!conflict) return null;
+
+  const selected = conflict.conflicts.find(file => file.path === selectedPath) || conflict.conflicts[0];
+  const isUnresolved = (path) => typeof resolutions[path] === 'string' && hasConflictMarkers(resolutions[path]);
+  const unresolvedCount = conflict.conflicts.filter(file => isUnresolved(file.path)).length;
+
+  const setResolution = (path, content) => {
+    setResolutions(prev => ({ ...prev, [path]: content }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    await onResolve(resolutions);
+  };
+
+  const buttonStyle = {
+    padding: `${theme.spacing.xs} ${theme.spacing.md}`,
+    borderRadius: theme.radius.md,
+    border: `1px solid ${theme.colors.bg.border}`,
+    background: theme.colors.bg.secondary,
+    color: theme.colors.text.primary,
+    cursor: 'pointer',
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.fontFamily.sans,
+  };
+
+  const primaryButtonStyle = {
+    ...buttonStyle,
+    padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+    fontSize: theme.typography.fontSize.sm,
+    border: 'none',
+    background: theme.colors.accent.primary,
+    color: theme.colors.bg.primary,
+    fontWeight: theme.typography.fontWeight.semibold,
+    cursor: unresolvedCount > 0 || saving ? 'not-allowed' : 'pointer',
+    opacity: unresolvedCount > 0 || saving ? 0.5 : 1,
+  };
+
+  const labelStyle = {
+    marginBottom: theme.spacing.xs,
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.secondary,
+  };
+
+  const codeStyle = {
+    margin: 0,
+    padding: theme.spacing.sm,
+    height: '160px',
+    overflow: 'auto',
+    background: theme.colors.bg.secondary,
+    border: `1px solid ${theme.colors.bg.border}`,
+    borderRadius: theme.radius.sm,
+    color: theme.colors.text.primary,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.fontFamily.mono,
+    whiteSpace: 'pre',
+  };
+
+  const renderSide = (label, content) => (
+    <div style={{ flex: 1, minWidth: 0 }}>
+      <div style={labelStyle}>{label}</div>
+      <pre style={codeStyle}>
+        {content === undefined ? '(deleted)' : content}
+      </pre>
+    </div>
+  );
+
+  const result = resolutions[selected.path];
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: mode === 'dark' ? '#1a1a1a' : theme.colors.bg.primary,
+          borderRadius: '12px',
+          padding: theme.spacing['3xl'],
+          maxWidth: '960px',
+          width: '95%',
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          border: mode === 'dark' ? '1px solid #333' : '1px solid ' + theme.colors.border,
+        }}
+      >
+        <h3 style={{
+          margin: 0,
+          marginBottom: theme.spacing.sm,
+          fontSize: theme.typography.fontSize.xl,
+          fontWeight: theme.typography.fontWeight.semibold,
+          color: theme.colors.text.primary,
+        }}>
+          Merge changes to "{conflict.artifactName}"
+        </h3>
+        <p style={{
+          margin: 0,
+          marginBottom: theme.spacing.lg,
+          fontSize: theme.typography.fontSize.sm,
+          color: theme.colors.text.secondary,
+          lineHeight: 1.5,
+        }}>
+          These files were changed in another tab or by a collaborator while you were editing them.
+          Your other changes were merged automatically. Pick a version or edit the result for each file.
+        </p>
+
+        {/* Files */}
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: theme.spacing.xs, marginBottom: theme.spacing.lg }}>
+          {conflict.conflicts.map(file => (
+            <button
+              key={file.path}
+              onClick={() => setSelectedPath(file.path)}
+              style={{
+                ...buttonStyle,
+                borderColor: file.path === selected.path ? theme.colors.accent.primary : theme.colors.bg.border,
+                fontFamily: theme.typography.fontFamily.mono,
+              }}
+            >
+              {isUnresolved(file.path) ? '⚠️' : '✓'} {file.path}
+            </button>
+          ))}
+        </div>
+
+        {/* Both sides of the selected file */}
+        <div style={{ display: 'flex', gap: theme.spacing.md, marginBottom: theme.spacing.md }}>
+          {renderSide('Yours', selected.mine)}
+          {renderSide('Theirs', selected.theirs)}
+        </div>
+
+        {/* Result */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.sm, marginBottom: theme.spacing.xs }}>
+          <div style={{ ...labelStyle, flex: 1, marginBottom: 0 }}>Result</div>
+          <button onClick={() => setResolution(selected.path, selected.mine ?? null)} style={buttonStyle}>
+            Keep yours
+          </button>
+          <button onClick={() => setResolution(selected.path, selected.theirs ?? null)} style={buttonStyle}>
+            Use theirs
+          </button>
+          {selected.merged !== null && (
+            <button onClick={() => setResolution(selected.path, selected.merged)} style={buttonStyle}>
+              Reset merge
+            </button>
+          )}
+        </div>
+        {result === null ? (
+          <div style={{ ...codeStyle, height: 'auto', color: theme.colors.text.tertiary }}>
+            The file will be deleted
+          </div>
+        ) : (
+          <textarea
+            value={result ?? ''}
+            onChange={(e) => setResolution(selected.path, e.target.value)}
+            spellCheck={false}
+            style={{ ...codeStyle, width: '100%', height: '220px', boxSizing: 'border-box', resize: 'vertical' }}
+          />
+        )}
+
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'flex-end',
+          gap: theme.spacing.md,
+          marginTop: theme.spacing.lg,
+        }}>
+          {unresolvedCount > 0 && (
+            <span style={{ fontSize: theme.typography.fontSize.xs, color: theme.colors.text.tertiary }}>
+              {unresolvedCount === 1 ? '1 file still has' : `${unresolvedCount} files still have`} conflict markers
+            </span>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={unresolvedCount > 0 || saving}
+            style={primaryButtonStyle}
+          >
+            {saving ? 'Saving...' : 'Save merge'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,245 @@
+import { useState, useEffect } from 'react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { useArtifacts } from '../../contexts/ArtifactContext';
+import { getTheme } from '../../styles/theme';
+import { getShareUrl } from '../../services/utils/share/shareLinks';
+
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+// Publish read-only snapshots of an artifact and manage its existing links
+export const ShareDialog = ({ isOpen, artifact, onClose, onSignIn }) => {
+  const { mode } = useTheme();
+  const theme = getTheme(mode);
+  const { user } = useAuth();
+  const { shareArtifact, listShares, revokeShare } = useArtifacts();
+
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [revokingSlug, setRevokingSlug] = useState(null);
+  const [copiedSlug, setCopiedSlug] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !artifact || !user) return;
+
+    setError(null);
+    setLoading(true);
+    listShares(artifact.id)
+      .then(setShares)
+      .catch((err) => {
+        console.error('Error loading share links:', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [isOpen, artifact?.id, user]);
+
+  if (!isOpen || !artifact) return null;
+
+  const copyLink = async (slug) => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(slug, window.location.origin));
+      setCopiedSlug(slug);
+      setTimeout(() => setCopiedSlug(null), 2000);
+    } catch (err) {
+      setError('Could not copy - select the link and copy it manually');
+    }
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError(null);
+    try {
+      const share = await shareArtifact(artifact.id);
+      setShares(prev => [share, ...prev]);
+      await copyLink(share.slug);
+    } catch (err) {
+      console.error('Error creating share link:', err);
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (slug) => {
+    setRevokingSlug(slug);
+    setError(null);
+    try {
+      await revokeShare(slug);
+      setShares(prev => prev.filter(share => share.slug !== slug));
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      setError(err.message);
+    } finally {
+      setRevokingSlug(null);
+    }
+  };
+
+  const buttonStyle = {
+    padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+    borderRadius: theme.radius.md,
+    border: `1px solid ${theme.colors.bg.border}`,
+    background: theme.colors.bg.secondary,
+    color: theme.colors.text.primary,
+    cursor: 'pointer',
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.fontFamily.sans,
+  };
+
+  const primaryButtonStyle = {
+    ...buttonStyle,
+    border: 'none',
+    background: theme.colors.accent.primary,
+    color: theme.colors.bg.primary,
+    fontWeight: theme.typography.fontWeight.semibold,
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          backgroundColor: mode === 'dark' ? '#1a1a1a' : theme.colors.bg.primary,
+          borderRadius: '12px',
+          padding: theme.spacing['3xl'],
+          maxWidth: '520px',
+          width: '90%',
+          maxHeight: '80vh',
+          overflowY: 'auto',
+          border: mode === 'dark' ? '1px solid #333' : '1px solid ' + theme.colors.border,
+        }}
+      >
+        <h3 style={{
+          margin: 0,
+          marginBottom: theme.spacing.sm,
+          fontSize: theme.typography.fontSize.xl,
+          fontWeight: theme.typography.fontWeight.semibold,
+          color: theme.colors.text.primary,
+        }}>
+          Share "{artifact.name}"
+        </h3>
+        <p style={{
+          margin: 0,
+          marginBottom: theme.spacing.xl,
+          fontSize: theme.typography.fontSize.sm,
+          color: theme.colors.text.secondary,
+          lineHeight: theme.typography.lineHeight.relaxed,
+        }}>
+          Anyone with the link can view a read-only snapshot of the current files and remix it into their own project.
+          Later changes aren't included - create a new link to share them.
+        </p>
+
+        {!user ? (
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: theme.spacing.md }}>
+            <button onClick={onClose} style={buttonStyle}>Cancel</button>
+            <button onClick={onSignIn} style={primaryButtonStyle}>Sign in to share</button>
+          </div>
+        ) : (
+          <>
+            <button
+              onClick={handleCreate}
+              disabled={creating}
+              style={{ ...primaryButtonStyle, width: '100%', opacity: creating ? 0.6 : 1, cursor: creating ? 'wait' : 'pointer' }}
+            >
+              {creating ? 'Creating link...' : 'Create and copy link'}
+            </button>
+
+            {error && (
+              <p style={{
+                margin: `${theme.spacing.md} 0 0`,
+                fontSize: theme.typography.fontSize.sm,
+                color: theme.colors.accent.error,
+              }}>
+                {error}
+              </p>
+            )}
+
+            <div style={{ marginTop: theme.spacing.xl }}>
+              <div style={{
+                fontSize: theme.typography.fontSize.xs,
+                fontWeight: theme.typography.fontWeight.semibold,
+                color: theme.colors.text.tertiary,
+                textTransform: 'uppercase',
+                marginBottom: theme.spacing.sm,
+              }}>
+                Active links
+              </div>
+
+              {loading ? (
+                <p style={{ margin: 0, fontSize: theme.typography.fontSize.sm, color: theme.colors.text.secondary }}>
+                  Loading...
+                </p>
+              ) : shares.length === 0 ? (
+                <p style={{ margin: 0, fontSize: theme.typography.fontSize.sm, color: theme.colors.text.secondary }}>
+                  No links yet.
+                </p>
+              ) : shares.map(share => (
+                <div
+                  key={share.slug}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: theme.spacing.sm,
+                    padding: `${theme.spacing.sm} 0`,
+                    borderTop: `1px solid ${theme.colors.bg.border}`,
+                  }}
+                >
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{
+                      fontFamily: theme.typography.fontFamily.mono,
+                      fontSize: theme.typography.fontSize.xs,
+                      color: theme.colors.text.primary,
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap',
+                    }}>
+                      {getShareUrl(share.slug, window.location.origin)}
+                    </div>
+                    <div style={{ fontSize: theme.typography.fontSize.xs, color: theme.colors.text.tertiary }}>
+                      {formatTimestamp(share.createdAt)} · {share.fileCount} file{share.fileCount !== 1 ? 's' : ''}
+                    </div>
+                  </div>
+                  <button onClick={() => copyLink(share.slug)} style={buttonStyle}>
+                    {copiedSlug === share.slug ? 'Copied' : 'Copy'}
+                  </button>
+                  <button
+                    onClick={() => handleRevoke(share.slug)}
+                    disabled={revokingSlug === share.slug}
+                    style={{ ...buttonStyle, color: theme.colors.accent.error }}
+                  >
+                    {revokingSlug === share.slug ? 'Revoking...' : 'Revoke'}
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: theme.spacing.xl }}>
+              <button onClick={onClose} style={buttonStyle}>Done</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
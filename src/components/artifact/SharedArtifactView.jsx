@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { getTheme } from '../../styles/theme';
+import { PreviewPanel } from '../preview';
+import { EditorPanel, FileTabs } from '../editor';
+import { ThemeToggle } from '../ui';
+import { useIsMobile } from '../../hooks/useIsMobile';
+import { fetchSharedArtifact } from '../../services/utils/share/shareLinks';
+
+// Read-only view of a share link: the preview, an optional code view, and Remix
+export const SharedArtifactView = ({ slug, onRemix, onOpenStudio }) => {
+  const { mode } = useTheme();
+  const theme = getTheme(mode);
+  const isMobile = useIsMobile();
+
+  const [share, setShare] = useState(null);
+  const [error, setError] = useState(null);
+  const [showCode, setShowCode] = useState(false);
+  const [activeFile, setActiveFile] = useState(null);
+  const [remixing, setRemixing] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setShare(null);
+    setError(null);
+
+    fetchSharedArtifact(slug)
+      .then((loaded) => {
+        if (cancelled) return;
+        setShare(loaded);
+        const fileNames = Object.keys(loaded.files || {});
+        setActiveFile(fileNames.includes('App.jsx') ? 'App.jsx' : fileNames[0] || null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug]);
+
+  const handleRemix = async () => {
+    setRemixing(true);
+    try {
+      await onRemix(share);
+    } finally {
+      setRemixing(false);
+    }
+  };
+
+  const buttonStyle = (isActive = false) => ({
+    background: isActive ? theme.colors.gradient.primary : theme.colors.bg.secondary,
+    border: isActive ? 'none' : `1px solid ${theme.colors.bg.border}`,
+    color: isActive ? theme.colors.accent.primary : theme.colors.text.secondary,
+    cursor: 'pointer',
+    padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+    borderRadius: theme.radius.md,
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: isActive ? theme.typography.fontWeight.semibold : theme.typography.fontWeight.medium,
+    fontFamily: theme.typography.fontFamily.sans,
+  });
+
+  const message = (text) => (
+    <div style={{
+      flex: 1,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      gap: theme.spacing.lg,
+      color: theme.colors.text.secondary,
+      fontSize: theme.typography.fontSize.base,
+      padding: theme.spacing.xl,
+      textAlign: 'center',
+    }}>
+      {text}
+      {error && (
+        <button onClick={onOpenStudio} style={buttonStyle()}>
+          Open the studio
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div style={{
+      height: '100vh',
+      width: '100vw',
+      display: 'flex',
+      flexDirection: 'column',
+      backgroundColor: theme.colors.bg.primary,
+      color: theme.colors.text.primary,
+      fontFamily: theme.typography.fontFamily.sans,
+      overflow: 'hidden',
+    }}>
+      {/* Header */}
+      <div style={{
+        height: isMobile ? '56px' : '64px',
+        background: theme.colors.gradient.subtle,
+        borderBottom: `1px solid ${theme.colors.border}`,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: theme.spacing.md,
+        padding: isMobile ? `0 ${theme.spacing.md}` : `0 ${theme.spacing.xl}`,
+        flexShrink: 0,
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.md, minWidth: 0 }}>
+          <span style={{
+            fontSize: theme.typography.fontSize.base,
+            fontWeight: theme.typography.fontWeight.semibold,
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+          }}>
+            {share?.name || 'Shared project'}
+          </span>
+          <span style={{
+            fontSize: theme.typography.fontSize.xs,
+            color: theme.colors.text.tertiary,
+            border: `1px solid ${theme.colors.bg.border}`,
+            borderRadius: theme.radius.sm,
+            padding: `2px ${theme.spacing.sm}`,
+            flexShrink: 0,
+          }}>
+            Read-only
+          </span>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.sm, flexShrink: 0 }}>
+          {share && (
+            <>
+              <button onClick={() => setShowCode(!showCode)} style={buttonStyle(showCode)}>
+                {showCode ? 'Hide code' : 'View code'}
+              </button>
+              <button
+                onClick={handleRemix}
+                disabled={remixing}
+                style={{ ...buttonStyle(true), opacity: remixing ? 0.6 : 1 }}
+                title="Copy this project into your own artifacts"
+              >
+                {remixing ? 'Remixing...' : 'Remix'}
+              </button>
+            </>
+          )}
+          {!isMobile && <ThemeToggle />}
+        </div>
+      </div>
+
+      {/* Body */}
+      {error ? message(`⚠️ ${error}`) : !share ? message('Loading shared project...') : (
+        <div style={{ flex: 1, display: 'flex', flexDirection: isMobile ? 'column' : 'row', overflow: 'hidden' }}>
+          {showCode && (
+            <div style={{
+              flex: 1,
+              display: 'flex',
+              flexDirection: 'column',
+              minWidth: 0,
+              minHeight: 0,
+              borderRight: isMobile ? 'none' : `1px solid ${theme.colors.bg.border}`,
+            }}>
+              <FileTabs files={share.files} activeFile={activeFile} onFileSelect={setActiveFile} />
+              <div style={{ flex: 1, overflow: 'hidden' }}>
+                <EditorPanel files={share.files} activeFile={activeFile} readOnly />
+              </div>
+            </div>
+          )}
+          <div style={{ flex: 1, minWidth: 0, minHeight: 0, position: 'relative' }}>
+            <PreviewPanel files={share.files} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
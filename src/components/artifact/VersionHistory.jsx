@@ -0,0 +1,330 @@
+import { useState, useEffect } from 'react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useArtifacts } from '../../contexts/ArtifactContext';
+import { getTheme } from '../../styles/theme';
+import { VERSION_TRIGGERS, diffFiles, collapseContext } from '../../services/utils/versions/versionHistory';
+
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+// Per-file diff of one version against the version before it
+const FileDiff = ({ change }) => {
+  const { mode } = useTheme();
+  const theme = getTheme(mode);
+  const [expanded, setExpanded] = useState(false);
+
+  const lineColors = {
+    add: { background: 'rgba(125, 132, 113, 0.2)', color: theme.colors.accent.success, prefix: '+' },
+    remove: { background: 'rgba(184, 105, 93, 0.2)', color: theme.colors.accent.error, prefix: '-' },
+    same: { background: 'transparent', color: theme.colors.text.secondary, prefix: ' ' },
+  };
+
+  return (
+    <div style={{
+      border: `1px solid ${theme.colors.bg.border}`,
+      borderRadius: theme.radius.sm,
+      marginTop: theme.spacing.xs,
+      overflow: 'hidden',
+    }}>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        style={{
+          width: '100%',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: theme.spacing.sm,
+          padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+          background: theme.colors.bg.tertiary,
+          border: 'none',
+          color: theme.colors.text.primary,
+          cursor: 'pointer',
+          fontFamily: theme.typography.fontFamily.mono,
+          fontSize: theme.typography.fontSize.xs,
+          textAlign: 'left',
+        }}
+      >
+        <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {expanded ? '▾' : '▸'} {change.file}
+          {change.status !== 'modified' && ` (${change.status})`}
+        </span>
+        <span style={{ flexShrink: 0 }}>
+          <span style={{ color: theme.colors.accent.success }}>+{change.additions}</span>{' '}
+          <span style={{ color: theme.colors.accent.error }}>-{change.deletions}</span>
+        </span>
+      </button>
+
+      {expanded && (
+        <div style={{
+          maxHeight: '240px',
+          overflow: 'auto',
+          fontFamily: theme.typography.fontFamily.mono,
+          fontSize: '11px',
+          lineHeight: theme.typography.lineHeight.normal,
+        }}>
+          {collapseContext(change.lines).map((line, index) => (
+            line.type === 'skip' ? (
+              <div key={index} style={{ padding: '0 8px', color: theme.colors.text.tertiary }}>
+                ⋯ {line.count} unchanged line{line.count > 1 ? 's' : ''}
+              </div>
+            ) : (
+              <div
+                key={index}
+                style={{
+                  padding: '0 8px',
+                  whiteSpace: 'pre',
+                  background: lineColors[line.type].background,
+                  color: lineColors[line.type].color,
+                }}
+              >
+                {lineColors[line.type].prefix} {line.text}
+              </div>
+            )
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const VersionHistory = ({ artifact, onBack, onRestoreVersion }) => {
+  const { mode } = useTheme();
+  const theme = getTheme(mode);
+  const { listVersions, getVersion, saveVersion, canEdit } = useArtifacts();
+
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [changes, setChanges] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const refresh = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setVersions(await listVersions(artifact.id));
+    } catch (err) {
+      console.error('Error loading versions:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setSelectedId(null);
+    setChanges(null);
+    refresh();
+  }, [artifact.id]);
+
+  // Diff the selected version against the one before it
+  const handleSelect = async (index) => {
+    const version = versions[index];
+    if (selectedId === version.id) {
+      setSelectedId(null);
+      return;
+    }
+
+    setSelectedId(version.id);
+    setChanges(null);
+
+    try {
+      const previous = versions[index + 1];
+      const [full, previousFull] = await Promise.all([
+        getVersion(artifact.id, version.id),
+        previous ? getVersion(artifact.id, previous.id) : null,
+      ]);
+      setChanges(diffFiles(previousFull?.files || {}, full?.files || {}));
+    } catch (err) {
+      console.error('Error loading version:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleSaveVersion = async () => {
+    await saveVersion(artifact.id, artifact.files, { trigger: 'manual', message: 'Manual save' });
+    await refresh();
+  };
+
+  const handleRestore = async (versionId) => {
+    setRestoringId(versionId);
+    setError(null);
+    try {
+      await onRestoreVersion(artifact.id, versionId);
+      setSelectedId(null);
+      await refresh();
+    } catch (err) {
+      console.error('Error restoring version:', err);
+      setError(err.message);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const buttonStyle = {
+    padding: `${theme.spacing.xs} ${theme.spacing.md}`,
+    background: 'transparent',
+    border: `1px solid ${theme.colors.bg.border}`,
+    color: theme.colors.text.secondary,
+    borderRadius: theme.radius.md,
+    cursor: 'pointer',
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.medium,
+    fontFamily: theme.typography.fontFamily.sans,
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.sm,
+        padding: theme.spacing.sm,
+      }}>
+        <button onClick={onBack} style={buttonStyle}>← Back</button>
+        <div style={{
+          flex: 1,
+          fontSize: theme.typography.fontSize.sm,
+          fontWeight: theme.typography.fontWeight.semibold,
+          color: theme.colors.text.primary,
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: 'nowrap',
+        }}>
+          {artifact.name}
+        </div>
+        {canEdit && (
+          <button onClick={handleSaveVersion} style={buttonStyle} title="Snapshot the current files">
+            Save version
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div style={{
+          padding: `0 ${theme.spacing.sm}`,
+          fontSize: theme.typography.fontSize.xs,
+          color: theme.colors.accent.error,
+        }}>
+          {error}
+        </div>
+      )}
+
+      {/* Versions */}
+      <div style={{ flex: 1, overflowY: 'auto' }}>
+        {loading && versions.length === 0 ? (
+          <div style={{
+            padding: theme.spacing.xl,
+            textAlign: 'center',
+            color: theme.colors.text.tertiary,
+            fontSize: theme.typography.fontSize.sm,
+          }}>
+            Loading history...
+          </div>
+        ) : versions.length === 0 ? (
+          <div style={{
+            padding: theme.spacing.xl,
+            textAlign: 'center',
+            color: theme.colors.text.tertiary,
+            fontSize: theme.typography.fontSize.sm,
+          }}>
+            No versions yet. One is saved after every AI change, or with Save version (Ctrl+S in the editor).
+          </div>
+        ) : (
+          versions.map((version, index) => {
+            const additions = (version.changes || []).reduce((sum, c) => sum + c.additions, 0);
+            const deletions = (version.changes || []).reduce((sum, c) => sum + c.deletions, 0);
+            const isSelected = selectedId === version.id;
+
+            return (
+              <div
+                key={version.id}
+                style={{
+                  margin: theme.spacing.sm,
+                  padding: theme.spacing.md,
+                  background: theme.colors.bg.secondary,
+                  borderRadius: theme.radius.md,
+                  border: `1px solid ${isSelected ? theme.colors.accent.primary : theme.colors.bg.border}`,
+                }}
+              >
+                <div
+                  onClick={() => handleSelect(index)}
+                  style={{ cursor: 'pointer' }}
+                >
+                  <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    fontSize: theme.typography.fontSize.xs,
+                    color: theme.colors.text.tertiary,
+                    marginBottom: theme.spacing.xs,
+                  }}>
+                    <span>{VERSION_TRIGGERS[version.trigger] || version.trigger}{index === 0 && ' · Latest'}</span>
+                    <span>{formatTimestamp(version.createdAt)}</span>
+                  </div>
+
+                  {version.message && (
+                    <div style={{
+                      fontSize: theme.typography.fontSize.sm,
+                      color: theme.colors.text.primary,
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap',
+                    }}>
+                      {version.trigger === 'ai' ? `"${version.message}"` : version.message}
+                    </div>
+                  )}
+
+                  <div style={{
+                    fontSize: theme.typography.fontSize.xs,
+                    color: theme.colors.text.tertiary,
+                    marginTop: theme.spacing.xs,
+                  }}>
+                    {(version.changes || []).length} file{(version.changes || []).length === 1 ? '' : 's'} changed
+                    {' · '}
+                    <span style={{ color: theme.colors.accent.success }}>+{additions}</span>{' '}
+                    <span style={{ color: theme.colors.accent.error }}>-{deletions}</span>
+                  </div>
+                </div>
+
+                {isSelected && (
+                  <div style={{ marginTop: theme.spacing.sm }}>
+                    {changes === null ? (
+                      <div style={{ fontSize: theme.typography.fontSize.xs, color: theme.colors.text.tertiary }}>
+                        Loading changes...
+                      </div>
+                    ) : (
+                      changes.map(change => <FileDiff key={change.file} change={change} />)
+                    )}
+
+                    {canEdit && (
+                      <button
+                        onClick={() => handleRestore(version.id)}
+                        disabled={restoringId !== null}
+                        style={{
+                          ...buttonStyle,
+                          width: '100%',
+                          marginTop: theme.spacing.sm,
+                          color: theme.colors.text.primary,
+                          opacity: restoringId !== null ? 0.5 : 1,
+                        }}
+                      >
+                        {restoringId === version.id ? 'Restoring...' : 'Restore this version'}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,235 @@
+import { useState } from 'react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { useArtifacts } from '../../contexts/ArtifactContext';
+import { getTheme } from '../../styles/theme';
+
+const ROLE_OPTIONS = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'owner', label: 'Owner' },
+];
+
+// Members of a team workspace: owners add, re-role and remove; anyone can leave
+export const WorkspaceMembers = ({ workspace, onBack }) => {
+  const { mode } = useTheme();
+  const theme = getTheme(mode);
+  const { user } = useAuth();
+  const {
+    addWorkspaceMember,
+    updateWorkspaceMember,
+    removeWorkspaceMember,
+    deleteWorkspace,
+  } = useArtifacts();
+
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isOwner = workspace.role === 'owner';
+
+  // Run a member change, surfacing the API's message on failure
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Error updating workspace members:', err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    run(async () => {
+      await addWorkspaceMember(workspace.id, email.trim(), role);
+      setEmail('');
+    });
+  };
+
+  const handleLeave = () => {
+    if (confirm(`Leave "${workspace.name}"? You'll need to be added again to get back in.`)) {
+      run(() => removeWorkspaceMember(workspace.id, user.uid));
+    }
+  };
+
+  const handleDelete = () => {
+    if (confirm(`Delete "${workspace.name}" and all of its artifacts for every member? This cannot be undone.`)) {
+      run(() => deleteWorkspace(workspace.id));
+    }
+  };
+
+  const buttonStyle = {
+    padding: `${theme.spacing.xs} ${theme.spacing.md}`,
+    background: 'transparent',
+    border: `1px solid ${theme.colors.bg.border}`,
+    color: theme.colors.text.secondary,
+    borderRadius: theme.radius.md,
+    cursor: busy ? 'not-allowed' : 'pointer',
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.medium,
+    fontFamily: theme.typography.fontFamily.sans,
+    opacity: busy ? 0.5 : 1,
+  };
+
+  const fieldStyle = {
+    padding: theme.spacing.xs,
+    border: `1px solid ${theme.colors.bg.border}`,
+    borderRadius: theme.radius.sm,
+    background: theme.colors.bg.primary,
+    color: theme.colors.text.primary,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.fontFamily.sans,
+    outline: 'none',
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.sm,
+        padding: theme.spacing.sm,
+      }}>
+        <button onClick={onBack} style={{ ...buttonStyle, cursor: 'pointer', opacity: 1 }}>← Back</button>
+        <div style={{
+          flex: 1,
+          fontSize: theme.typography.fontSize.sm,
+          fontWeight: theme.typography.fontWeight.semibold,
+          color: theme.colors.text.primary,
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: 'nowrap',
+        }}>
+          {workspace.name} members
+        </div>
+      </div>
+
+      {/* Add member */}
+      {isOwner && (
+        <form
+          onSubmit={handleAdd}
+          style={{ display: 'flex', gap: theme.spacing.xs, padding: `0 ${theme.spacing.sm}` }}
+        >
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="teammate@example.com"
+            style={{ ...fieldStyle, flex: 1, minWidth: 0 }}
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)} style={fieldStyle}>
+            {ROLE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button type="submit" disabled={busy || !email.trim()} style={buttonStyle}>
+            Add
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <div style={{
+          padding: `${theme.spacing.xs} ${theme.spacing.sm} 0`,
+          fontSize: theme.typography.fontSize.xs,
+          color: theme.colors.accent.error,
+        }}>
+          {error}
+        </div>
+      )}
+
+      {/* Members */}
+      <div style={{ flex: 1, overflowY: 'auto', padding: theme.spacing.sm }}>
+        {workspace.members.map(member => {
+          const isSelf = member.userId === user?.uid;
+
+          return (
+            <div
+              key={member.userId}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: theme.spacing.sm,
+                marginBottom: theme.spacing.sm,
+                padding: theme.spacing.md,
+                background: theme.colors.bg.secondary,
+                borderRadius: theme.radius.md,
+                border: `1px solid ${theme.colors.bg.border}`,
+              }}
+            >
+              <div style={{
+                flex: 1,
+                minWidth: 0,
+                fontSize: theme.typography.fontSize.sm,
+                color: theme.colors.text.primary,
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap',
+              }}>
+                {member.email || member.userId}
+                {isSelf && <span style={{ color: theme.colors.text.tertiary }}> (you)</span>}
+              </div>
+
+              {isOwner ? (
+                <>
+                  <select
+                    value={member.role}
+                    disabled={busy}
+                    onChange={(e) => run(() => updateWorkspaceMember(workspace.id, member.userId, e.target.value))}
+                    style={fieldStyle}
+                  >
+                    {ROLE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  {!isSelf && (
+                    <button
+                      onClick={() => run(() => removeWorkspaceMember(workspace.id, member.userId))}
+                      disabled={busy}
+                      title="Remove from workspace"
+                      style={buttonStyle}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </>
+              ) : (
+                <span style={{ fontSize: theme.typography.fontSize.xs, color: theme.colors.text.tertiary }}>
+                  {ROLE_OPTIONS.find(option => option.value === member.role)?.label || member.role}
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Leave / delete */}
+      <div style={{
+        display: 'flex',
+        gap: theme.spacing.sm,
+        padding: theme.spacing.sm,
+        borderTop: `1px solid ${theme.colors.bg.border}`,
+      }}>
+        <button onClick={handleLeave} disabled={busy} style={{ ...buttonStyle, flex: 1 }}>
+          Leave workspace
+        </button>
+        {isOwner && (
+          <button
+            onClick={handleDelete}
+            disabled={busy}
+            style={{ ...buttonStyle, flex: 1, color: theme.colors.accent.error }}
+          >
+            Delete workspace
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -3,3 +3,9 @@
  */
 
 export { ArtifactSidebar } from './ArtifactSidebar';
+export { VersionHistory } from './VersionHistory';
+export { ShareDialog } from './ShareDialog';
+export { MergeConflictDialog } from './MergeConflictDialog';
+export { GuestImportDialog } from './GuestImportDialog';
+export { SharedArtifactView } from './SharedArtifactView';
+export { WorkspaceMembers } from './WorkspaceMembers';
@@ -2,13 +2,17 @@ import { useState } from 'react'
 import { useTheme } from '../../contexts/ThemeContext'
 import { getTheme } from '../../styles/theme'
 
-export const ChatInput = ({ onSend }) => {
+/**
+ * Message input - while a request is running, Send becomes Stop
+ */
+export const ChatInput = ({ onSend, isGenerating = false, onStop }) => {
   const [message, setMessage] = useState('')
   const { mode } = useTheme()
   const theme = getTheme(mode)
 
   const handleSubmit = (e) => {
     e.preventDefault()
+    if (isGenerating) return
     if (message.trim() && onSend) {
       onSend(message)
       setMessage('')
@@ -47,26 +51,48 @@ export const ChatInput = ({ onSend }) => {
             fontFamily: theme.typography.fontFamily.sans,
           }}
         />
-        <button
-          type="submit"
-          disabled={!message.trim()}
-          style={{
-            padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
-            fontSize: theme.typography.fontSize.sm,
-            fontWeight: theme.typography.fontWeight.medium,
-            fontFamily: theme.typography.fontFamily.sans,
-            color: theme.colors.bg.primary,
-            background: message.trim() ? theme.colors.accent.primary : theme.colors.bg.tertiary,
-            border: 'none',
-            borderRadius: theme.radius.lg,
-            cursor: message.trim() ? 'pointer' : 'not-allowed',
-            transition: `all ${theme.animation.normal}`,
-            boxShadow: theme.shadows.outset,
-            opacity: message.trim() ? 1 : 0.5,
-          }}
-        >
-          Send
-        </button>
+        {isGenerating ? (
+          <button
+            type="button"
+            onClick={onStop}
+            title="Stop generating - no changes will be applied"
+            style={{
+              padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+              fontSize: theme.typography.fontSize.sm,
+              fontWeight: theme.typography.fontWeight.medium,
+              fontFamily: theme.typography.fontFamily.sans,
+              color: theme.colors.accent.error,
+              background: 'transparent',
+              border: `1px solid ${theme.colors.accent.error}`,
+              borderRadius: theme.radius.lg,
+              cursor: 'pointer',
+              transition: `all ${theme.animation.normal}`,
+            }}
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={!message.trim()}
+            style={{
+              padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+              fontSize: theme.typography.fontSize.sm,
+              fontWeight: theme.typography.fontWeight.medium,
+              fontFamily: theme.typography.fontFamily.sans,
+              color: theme.colors.bg.primary,
+              background: message.trim() ? theme.colors.accent.primary : theme.colors.bg.tertiary,
+              border: 'none',
+              borderRadius: theme.radius.lg,
+              cursor: message.trim() ? 'pointer' : 'not-allowed',
+              transition: `all ${theme.animation.normal}`,
+              boxShadow: theme.shadows.outset,
+              opacity: message.trim() ? 1 : 0.5,
+            }}
+          >
+            Send
+          </button>
+        )}
       </form>
     </div>
   )
@@ -5,7 +5,7 @@ import { LightningIcon, BinaIcon } from '../icons'
 import { CompactThinkingPanel } from './CompactThinkingPanel'
 import { ErrorMessage } from './ErrorMessage'
 
-export const ChatPanel = ({ messages = [], thinkingState = null, onFixBug }) => {
+export const ChatPanel = ({ messages = [], thinkingState = null, onFixBug, onCitationClick }) => {
   const messagesEndRef = useRef(null)
   const { mode } = useTheme()
   const theme = getTheme(mode)
@@ -116,7 +116,7 @@ export const ChatPanel = ({ messages = [], thinkingState = null, onFixBug }) =>
                 return visibleTypes.includes(message.type)
               })
               .map((message, index) => (
-                <ChatMessage key={index} message={message} onFixBug={onFixBug} />
+                <ChatMessage key={index} message={message} onFixBug={onFixBug} onCitationClick={onCitationClick} />
               ))}
 
             {/* Thinking Panel - styled as a Bina message, shown after messages */}
@@ -159,6 +159,7 @@ export const ChatPanel = ({ messages = [], thinkingState = null, onFixBug }) =>
                     phase={thinkingState.phase}
                     steps={thinkingState.steps}
                     answer={thinkingState.answer}
+                    answerLabel={thinkingState.answerLabel}
                     isVisible={thinkingState.isVisible}
                     onToggleVisibility={thinkingState.toggleVisibility}
                   />
@@ -173,12 +174,75 @@ export const ChatPanel = ({ messages = [], thinkingState = null, onFixBug }) =>
   )
 }
 
-const ChatMessage = ({ message, onFixBug }) => {
+// Inline citations in explanations, e.g. [App.jsx:12-18]
+const CITATION_PATTERN = /\[([^\[\]\s:]+):(\d+)(?:-(\d+))?\]/g
+
+const CitationLink = ({ citation, onClick, children }) => {
+  const { mode } = useTheme()
+  const theme = getTheme(mode)
+
+  return (
+    <button
+      onClick={() => onClick?.(citation)}
+      title={citation.description || `Open ${citation.file} at line ${citation.startLine}`}
+      style={{
+        display: 'inline',
+        padding: '1px 6px',
+        margin: '0 1px',
+        border: `1px solid ${theme.colors.border}`,
+        borderRadius: theme.radius.xs,
+        background: theme.colors.bg.tertiary,
+        color: theme.colors.text.primary,
+        fontFamily: 'Monaco, Menlo, "Ubuntu Mono", "Consolas", monospace',
+        fontSize: theme.typography.fontSize.xs,
+        cursor: 'pointer',
+      }}
+    >
+      {children}
+    </button>
+  )
+}
+
+const formatCitation = (citation) =>
+  citation.endLine && citation.endLine !== citation.startLine
+    ? `${citation.file}:${citation.startLine}-${citation.endLine}`
+    : `${citation.file}:${citation.startLine}`
+
+// Turn file:line references in brackets in the text into links that open the editor
+const renderWithCitations = (content, citations, onCitationClick) => {
+  const parts = []
+  let lastIndex = 0
+
+  for (const match of content.matchAll(CITATION_PATTERN)) {
+    const [text, file, start, end] = match
+    const startLine = parseInt(start, 10)
+    const known = citations.some(c => c.file === file)
+    if (!known) continue
+
+    parts.push(content.slice(lastIndex, match.index))
+    parts.push(
+      <CitationLink
+        key={match.index}
+        citation={{ file, startLine, endLine: end ? parseInt(end, 10) : startLine }}
+        onClick={onCitationClick}
+      >
+        {text.slice(1, -1)}
+      </CitationLink>
+    )
+    lastIndex = match.index + text.length
+  }
+
+  parts.push(content.slice(lastIndex))
+  return parts
+}
+
+const ChatMessage = ({ message, onFixBug, onCitationClick }) => {
   const { mode } = useTheme()
   const theme = getTheme(mode)
 
   const isUser = message.type === 'user'
   const isError = message.type === 'error'
+  const citations = message.data?.citations || []
 
   // Error messages with error object (from preview/runtime errors)
   if (isError && message.error) {
@@ -255,7 +319,28 @@ const ChatMessage = ({ message, onFixBug }) => {
         maxWidth: '85%',
         border: `1px solid ${theme.colors.border}`,
       }}>
-        {message.content}
+        {citations.length > 0
+          ? renderWithCitations(message.content, citations, onCitationClick)
+          : message.content}
+
+        {/* Sources cited by an explanation */}
+        {citations.length > 0 && (
+          <div style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: theme.spacing.xs,
+            marginTop: theme.spacing.md,
+            paddingTop: theme.spacing.sm,
+            borderTop: `1px solid ${theme.colors.border}`,
+            whiteSpace: 'normal',
+          }}>
+            {citations.map((citation, i) => (
+              <CitationLink key={i} citation={citation} onClick={onCitationClick}>
+                {formatCitation(citation)}
+              </CitationLink>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   )
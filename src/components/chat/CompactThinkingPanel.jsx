@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { useTheme } from '../../contexts/ThemeContext'
 import { getTheme } from '../../styles/theme'
 
@@ -6,6 +6,7 @@ export const CompactThinkingPanel = ({
   phase,
   steps,
   answer = '',
+  answerLabel = '',
   isVisible = true,
   onToggleVisibility,
   className = ''
@@ -13,6 +14,7 @@ export const CompactThinkingPanel = ({
   const { mode } = useTheme()
   const theme = getTheme(mode)
   const [isCollapsed, setIsCollapsed] = useState(false)
+  const answerRef = useRef(null)
 
   // Auto-expand when thinking or streaming starts (to show steps)
   useEffect(() => {
@@ -21,6 +23,13 @@ export const CompactThinkingPanel = ({
     }
   }, [phase, steps.length])
 
+  // Keep the newest streamed text in view
+  useEffect(() => {
+    if (phase === 'streaming' && answerRef.current) {
+      answerRef.current.scrollTop = answerRef.current.scrollHeight
+    }
+  }, [answer, phase])
+
   // Auto-collapse after completion
   useEffect(() => {
     if (phase === 'done' && !isCollapsed) {
@@ -344,11 +353,12 @@ export const CompactThinkingPanel = ({
                 paddingTop: theme.spacing.xs
               }}
             >
-              Answer
+              {answerLabel || 'Answer'}
             </div>
 
             <div>
               <div
+                ref={answerRef}
                 style={{
                   background: theme.colors.bg.tertiary,
                   border: `1px solid ${theme.colors.border}`,
@@ -359,7 +369,10 @@ export const CompactThinkingPanel = ({
                   lineHeight: theme.typography.lineHeight.relaxed,
                   whiteSpace: 'pre-wrap',
                   color: theme.colors.text.primary,
-                  minHeight: '80px'
+                  minHeight: '80px',
+                  maxHeight: '240px',
+                  overflowY: 'auto',
+                  wordBreak: 'break-word'
                 }}
               >
                 {answer}
@@ -0,0 +1,307 @@
+import { DiffEditor } from '@monaco-editor/react'
+import { useTheme } from '../../contexts/ThemeContext'
+import { getTheme } from '../../styles/theme'
+import { useState, useRef, useMemo } from 'react'
+import { applyChangeReview } from '../../services/utils/versions/changeReview'
+
+const getLanguage = (filename) => {
+  if (!filename) return 'javascript'
+  if (filename.endsWith('.html')) return 'html'
+  if (filename.endsWith('.css')) return 'css'
+  if (filename.endsWith('.js') || filename.endsWith('.jsx')) return 'javascript'
+  if (filename.endsWith('.json')) return 'json'
+  return 'plaintext'
+}
+
+const describeHunk = (hunk) => {
+  const start = hunk.newCount > 0 ? hunk.newStart : hunk.oldStart
+  const count = Math.max(hunk.newCount, hunk.oldCount)
+  return count > 1 ? `Lines ${start}-${start + count - 1}` : `Line ${start}`
+}
+
+/**
+ * Review AI file changes before they are applied
+ * Every file and hunk starts accepted; unchecking leaves that part of the file as it is.
+ * Imports the current selection would break are listed above the Apply button.
+ */
+export const ChangeReviewPanel = ({ files, review, message, onApply, onDiscard }) => {
+  const { mode } = useTheme()
+  const theme = getTheme(mode)
+
+  // file -> IDs of accepted hunks
+  const [decisions, setDecisions] = useState(() =>
+    Object.fromEntries(review.map(change => [change.file, change.hunks.map(hunk => hunk.id)]))
+  )
+  const [selectedFile, setSelectedFile] = useState(review[0]?.file)
+  const diffEditorRef = useRef(null)
+
+  const selected = review.find(change => change.file === selectedFile) || review[0]
+
+  const setFileAccepted = (change, accepted) => {
+    setDecisions(prev => ({ ...prev, [change.file]: accepted ? change.hunks.map(hunk => hunk.id) : [] }))
+  }
+
+  const toggleHunk = (change, hunkId) => {
+    setDecisions(prev => {
+      const accepted = prev[change.file] || []
+      return {
+        ...prev,
+        [change.file]: accepted.includes(hunkId)
+          ? accepted.filter(id => id !== hunkId)
+          : [...accepted, hunkId].sort((a, b) => a - b),
+      }
+    })
+  }
+
+  const setAllAccepted = (accepted) => {
+    setDecisions(Object.fromEntries(review.map(change => [change.file, accepted ? change.hunks.map(hunk => hunk.id) : []])))
+  }
+
+  const revealHunk = (hunk) => {
+    const editor = diffEditorRef.current?.getModifiedEditor()
+    if (editor) {
+      editor.revealLineInCenter(Math.max(hunk.newStart, 1))
+    }
+  }
+
+  const brokenImports = useMemo(
+    () => applyChangeReview(files, review, decisions).brokenImports,
+    [files, review, decisions]
+  )
+
+  const acceptedHunks = Object.values(decisions).reduce((sum, ids) => sum + ids.length, 0)
+  const totalHunks = review.reduce((sum, change) => sum + change.hunks.length, 0)
+
+  const buttonStyle = {
+    padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+    background: 'transparent',
+    border: `1px solid ${theme.colors.bg.border}`,
+    color: theme.colors.text.secondary,
+    borderRadius: theme.radius.md,
+    cursor: 'pointer',
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    fontFamily: theme.typography.fontFamily.sans,
+  }
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 10000,
+    }}>
+      <div style={{
+        width: '92vw',
+        height: '86vh',
+        display: 'flex',
+        flexDirection: 'column',
+        background: theme.colors.bg.primary,
+        border: `1px solid ${theme.colors.bg.border}`,
+        borderRadius: '12px',
+        overflow: 'hidden',
+      }}>
+        {/* Header */}
+        <div style={{
+          padding: `${theme.spacing.md} ${theme.spacing.lg}`,
+          borderBottom: `1px solid ${theme.colors.bg.border}`,
+          background: theme.colors.bg.secondary,
+        }}>
+          <div style={{
+            fontSize: theme.typography.fontSize.lg,
+            fontWeight: theme.typography.fontWeight.semibold,
+            color: theme.colors.text.primary,
+          }}>
+            Review changes
+          </div>
+          {message && (
+            <div style={{
+              marginTop: theme.spacing.xs,
+              fontSize: theme.typography.fontSize.sm,
+              color: theme.colors.text.secondary,
+              overflow: 'hidden',
+              textOverflow: 'ellipsis',
+              whiteSpace: 'nowrap',
+            }}>
+              "{message}"
+            </div>
+          )}
+        </div>
+
+        <div style={{ flex: 1, display: 'flex', minHeight: 0 }}>
+          {/* Files and hunks */}
+          <div style={{
+            width: '260px',
+            flexShrink: 0,
+            overflowY: 'auto',
+            borderRight: `1px solid ${theme.colors.bg.border}`,
+            padding: theme.spacing.sm,
+          }}>
+            {review.map(change => {
+              const accepted = decisions[change.file] || []
+              const allAccepted = accepted.length === change.hunks.length
+              const isSelected = change.file === selected?.file
+              const additions = change.hunks.reduce((sum, hunk) => sum + hunk.newCount, 0)
+              const deletions = change.hunks.reduce((sum, hunk) => sum + hunk.oldCount, 0)
+
+              return (
+                <div key={change.file} style={{ marginBottom: theme.spacing.sm }}>
+                  <div
+                    onClick={() => setSelectedFile(change.file)}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: theme.spacing.sm,
+                      padding: theme.spacing.sm,
+                      borderRadius: theme.radius.sm,
+                      cursor: 'pointer',
+                      background: isSelected ? theme.colors.bg.tertiary : 'transparent',
+                    }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={accepted.length > 0}
+                      ref={(el) => {
+                        if (el) el.indeterminate = accepted.length > 0 && !allAccepted
+                      }}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={() => setFileAccepted(change, !allAccepted)}
+                      title={allAccepted ? 'Reject this file' : 'Accept this file'}
+                    />
+                    <span style={{
+                      flex: 1,
+                      fontFamily: theme.typography.fontFamily.mono,
+                      fontSize: theme.typography.fontSize.xs,
+                      color: theme.colors.text.primary,
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap',
+                      textDecoration: change.status === 'removed' ? 'line-through' : 'none',
+                    }}>
+                      {change.status === 'renamed' ? `${change.from} → ${change.file}` : change.file}
+                    </span>
+                    <span style={{ fontSize: theme.typography.fontSize.xs, flexShrink: 0 }}>
+                      {change.status === 'added' && <span style={{ color: theme.colors.text.tertiary }}>new </span>}
+                      {change.status === 'renamed' && <span style={{ color: theme.colors.text.tertiary }}>moved </span>}
+                      <span style={{ color: theme.colors.accent.success }}>+{additions}</span>{' '}
+                      <span style={{ color: theme.colors.accent.error }}>-{deletions}</span>
+                    </span>
+                  </div>
+
+                  {/* Hunks - only modified and moved files can be split */}
+                  {isSelected && (change.status === 'modified' || change.status === 'renamed') && change.hunks.length > 1 && (
+                    <div style={{ paddingLeft: theme.spacing.xl }}>
+                      {change.hunks.map(hunk => (
+                        <label
+                          key={hunk.id}
+                          style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: theme.spacing.sm,
+                            padding: `2px ${theme.spacing.sm}`,
+                            fontSize: theme.typography.fontSize.xs,
+                            color: theme.colors.text.secondary,
+                            cursor: 'pointer',
+                          }}
+                          onMouseEnter={() => revealHunk(hunk)}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={accepted.includes(hunk.id)}
+                            onChange={() => toggleHunk(change, hunk.id)}
+                          />
+                          <span style={{ flex: 1 }}>{describeHunk(hunk)}</span>
+                          <span style={{ color: theme.colors.accent.success }}>+{hunk.newCount}</span>
+                          <span style={{ color: theme.colors.accent.error }}>-{hunk.oldCount}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+
+          {/* Diff of the selected file */}
+          <div style={{ flex: 1, minWidth: 0 }}>
+            {selected && (
+              <DiffEditor
+                key={selected.file}
+                height="100%"
+                language={getLanguage(selected.file)}
+                original={selected.before ?? ''}
+                modified={selected.after ?? ''}
+                theme={mode === 'dark' ? 'vs-dark' : 'vs-light'}
+                onMount={(editor) => {
+                  diffEditorRef.current = editor
+                }}
+                options={{
+                  readOnly: true,
+                  originalEditable: false,
+                  renderSideBySide: window.innerWidth > 900,
+                  fontSize: 13,
+                  fontFamily: 'Monaco, Menlo, "Ubuntu Mono", "Consolas", monospace',
+                  minimap: { enabled: false },
+                  scrollBeyondLastLine: false,
+                  automaticLayout: true,
+                }}
+              />
+            )}
+          </div>
+        </div>
+
+        {/* Imports the selection would break */}
+        {brokenImports.length > 0 && (
+          <div role="alert" style={{
+            padding: `${theme.spacing.sm} ${theme.spacing.lg}`,
+            borderTop: `1px solid ${theme.colors.bg.border}`,
+            fontSize: theme.typography.fontSize.xs,
+            color: theme.colors.accent.error,
+          }}>
+            ⚠️ This selection breaks {brokenImports.length === 1 ? 'an import' : `${brokenImports.length} imports`}:{' '}
+            {brokenImports.map(entry => `${entry.file}:${entry.line} '${entry.specifier}'`).join(', ')}.
+            Accept or reject a move together with the import updates that follow it.
+          </div>
+        )}
+
+        {/* Footer */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: theme.spacing.sm,
+          padding: `${theme.spacing.md} ${theme.spacing.lg}`,
+          borderTop: `1px solid ${theme.colors.bg.border}`,
+          background: theme.colors.bg.secondary,
+        }}>
+          <button onClick={() => setAllAccepted(true)} style={buttonStyle}>Accept all</button>
+          <button onClick={() => setAllAccepted(false)} style={buttonStyle}>Reject all</button>
+          <span style={{
+            flex: 1,
+            fontSize: theme.typography.fontSize.xs,
+            color: theme.colors.text.tertiary,
+          }}>
+            {acceptedHunks} of {totalHunks} change{totalHunks === 1 ? '' : 's'} selected
+          </span>
+          <button onClick={onDiscard} style={buttonStyle}>Discard</button>
+          <button
+            onClick={() => onApply(decisions)}
+            style={{
+              ...buttonStyle,
+              background: theme.colors.accent.primary,
+              border: `1px solid ${theme.colors.accent.primary}`,
+              color: theme.colors.bg.primary,
+            }}
+          >
+            Apply selected
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,13 +1,121 @@
 import { Editor } from '@monaco-editor/react'
 import { useTheme } from '../../contexts/ThemeContext'
 import { getTheme } from '../../styles/theme'
-import { useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { DocumentIcon } from '../icons'
+import { COLLABORATOR_COLORS } from '../../services/utils/collaboration/collaboration'
 
-export const EditorPanel = ({ files, activeFile, onFileChange }) => {
+// Cursor and selection styles for each collaborator color
+const remoteCursorStyles = COLLABORATOR_COLORS.map((color, index) => `
+  .remote-cursor-${index} { border-left: 2px solid ${color}; margin-left: -1px; }
+  .remote-selection-${index} { background-color: ${color}40; }
+`).join('')
+
+export const EditorPanel = ({
+  files,
+  activeFile,
+  onFileChange,
+  streamingFiles = {},
+  revealRange = null,
+  onSave,
+  readOnly = false,
+  remoteCursors = [],
+  onSelectionChange,
+}) => {
   const { mode } = useTheme()
   const theme = getTheme(mode)
 
+  // Files being written by the AI are shown live and locked until they land
+  const isStreaming = activeFile in streamingFiles
+  const content = isStreaming ? streamingFiles[activeFile] : files[activeFile]
+  const editorRef = useRef(null)
+  const monacoRef = useRef(null)
+  const remoteDecorationsRef = useRef(null)
+
+  // Bound once on mount, like Ctrl/Cmd+S below
+  const onSelectionChangeRef = useRef(onSelectionChange)
+  onSelectionChangeRef.current = onSelectionChange
+  const remoteCursorsRef = useRef(remoteCursors)
+  remoteCursorsRef.current = remoteCursors
+
+  // Ctrl/Cmd+S saves a version - the command is bound once, so read the latest handler from a ref
+  const onSaveRef = useRef(onSave)
+  onSaveRef.current = onSave
+  const [saveStatus, setSaveStatus] = useState(null)
+
+  const handleSave = async () => {
+    if (!onSaveRef.current) return
+    const version = await onSaveRef.current()
+    setSaveStatus(version ? 'Version saved' : 'No changes since the last version')
+    setTimeout(() => setSaveStatus(null), 2000)
+  }
+
+  // Follow the end of the file while it streams in
+  useEffect(() => {
+    const editor = editorRef.current
+    if (isStreaming && editor?.getModel()) {
+      editor.revealLine(editor.getModel().getLineCount())
+    }
+  }, [content, isStreaming])
+
+  // Scroll to and select the lines a citation points at
+  const revealCitedLines = (editor) => {
+    const model = editor?.getModel()
+    if (!model || !revealRange || revealRange.file !== activeFile) return
+
+    const lineCount = model.getLineCount()
+    const startLine = Math.min(revealRange.startLine, lineCount)
+    const endLine = Math.min(revealRange.endLine || startLine, lineCount)
+
+    editor.revealLinesInCenter(startLine, endLine)
+    editor.setSelection({
+      startLineNumber: startLine,
+      startColumn: 1,
+      endLineNumber: endLine,
+      endColumn: model.getLineMaxColumn(endLine),
+    })
+    editor.focus()
+  }
+
+  useEffect(() => {
+    revealCitedLines(editorRef.current)
+  }, [revealRange])
+
+  // Draw collaborators' cursors and selections in this file
+  const showRemoteCursors = () => {
+    const monaco = monacoRef.current
+    if (!monaco || !remoteDecorationsRef.current) return
+
+    const decorations = remoteCursorsRef.current
+      .filter(collaborator => collaborator.selection)
+      .flatMap(({ name, color, selection }) => {
+        const colorIndex = Math.max(COLLABORATOR_COLORS.indexOf(color), 0)
+        const { startLineNumber, startColumn, endLineNumber, endColumn } = selection
+        const cursor = {
+          range: new monaco.Range(endLineNumber, endColumn, endLineNumber, endColumn),
+          options: {
+            beforeContentClassName: `remote-cursor-${colorIndex}`,
+            hoverMessage: { value: name },
+          },
+        }
+
+        if (startLineNumber === endLineNumber && startColumn === endColumn) return [cursor]
+        return [cursor, {
+          range: new monaco.Range(startLineNumber, startColumn, endLineNumber, endColumn),
+          options: {
+            className: `remote-selection-${colorIndex}`,
+            hoverMessage: { value: name },
+          },
+        }]
+      })
+
+    remoteDecorationsRef.current.set(decorations)
+  }
+
+  useEffect(() => {
+    showRemoteCursors()
+  }, [remoteCursors])
+
   const getLanguage = (filename) => {
     if (!filename) return 'javascript'
     if (filename.endsWith('.html')) return 'html'
@@ -18,7 +126,7 @@ export const EditorPanel = ({ files, activeFile, onFileChange }) => {
     return 'plaintext'
   }
 
-  if (!activeFile || !files[activeFile]) {
+  if (!activeFile || (!files[activeFile] && !isStreaming)) {
     return (
       <div style={{
         height: '100%',
@@ -49,8 +157,26 @@ export const EditorPanel = ({ files, activeFile, onFileChange }) => {
         height="100%"
         defaultLanguage={getLanguage(activeFile)}
         language={getLanguage(activeFile)}
-        value={files[activeFile] || ''}
-        onChange={(value) => onFileChange(activeFile, value)}
+        value={content || ''}
+        onChange={(value) => !isStreaming && !readOnly && onFileChange?.(activeFile, value)}
+        onMount={(editor, monaco) => {
+          editorRef.current = editor
+          monacoRef.current = monaco
+          editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, handleSave)
+          revealCitedLines(editor)
+
+          // Share our selection with collaborators, and show theirs
+          remoteDecorationsRef.current = editor.createDecorationsCollection()
+          editor.onDidChangeCursorSelection(({ selection }) => {
+            onSelectionChangeRef.current?.({
+              startLineNumber: selection.startLineNumber,
+              startColumn: selection.startColumn,
+              endLineNumber: selection.endLineNumber,
+              endColumn: selection.endColumn,
+            })
+          })
+          showRemoteCursors()
+        }}
         theme={mode === 'dark' ? 'vs-dark' : 'vs-light'}
         options={{
           fontSize: 14,
@@ -58,7 +184,7 @@ export const EditorPanel = ({ files, activeFile, onFileChange }) => {
           lineNumbers: 'on',
           roundedSelection: false,
           scrollBeyondLastLine: false,
-          readOnly: false,
+          readOnly: readOnly || isStreaming,
           automaticLayout: true,
           minimap: { enabled: false },
           scrollbar: {
@@ -75,6 +201,25 @@ export const EditorPanel = ({ files, activeFile, onFileChange }) => {
           lineNumbersMinChars: 3,
         }}
       />
+
+      {remoteCursors.length > 0 && <style>{remoteCursorStyles}</style>}
+
+      {saveStatus && (
+        <div style={{
+          position: 'absolute',
+          top: theme.spacing.sm,
+          right: theme.spacing.lg,
+          padding: `${theme.spacing.xs} ${theme.spacing.md}`,
+          background: theme.colors.bg.tertiary,
+          border: `1px solid ${theme.colors.bg.border}`,
+          borderRadius: theme.radius.sm,
+          color: theme.colors.text.secondary,
+          fontSize: theme.typography.fontSize.xs,
+          pointerEvents: 'none',
+        }}>
+          {saveStatus}
+        </div>
+      )}
     </div>
   )
 }
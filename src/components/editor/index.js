@@ -5,3 +5,4 @@
 export { EditorPanel } from './EditorPanel';
 export { FileExplorer } from './FileExplorer';
 export { FileTabs } from './FileTabs';
+export { ChangeReviewPanel } from './ChangeReviewPanel';
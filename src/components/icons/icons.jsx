@@ -147,6 +147,31 @@ export const TrashIcon = ({ size = 16, color = "currentColor" }) => (
   </svg>
 );
 
+export const HistoryIcon = ({ size = 16, color = "currentColor" }) => (
+  <svg
+    width={size}
+    height={size}
+    viewBox="0 0 24 24"
+    fill="none"
+    xmlns="http://www.w3.org/2000/svg"
+  >
+    <path
+      d="M3 12a9 9 0 1 0 3-6.7L3 8"
+      stroke={color}
+      strokeWidth="2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+    />
+    <path
+      d="M3 3v5h5M12 7v5l3 2"
+      stroke={color}
+      strokeWidth="2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+    />
+  </svg>
+);
+
 export const BinaIcon = ({ size = 32, animate = true }) => (
   <svg
     width={size}
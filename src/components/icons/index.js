@@ -9,5 +9,6 @@ export {
   EditIcon,
   CopyIcon,
   TrashIcon,
+  HistoryIcon,
   BinaIcon
 } from './icons';
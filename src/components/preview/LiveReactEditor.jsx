@@ -145,7 +145,7 @@ export const LiveReactEditor = ({
   const [showConsolePanel, setShowConsolePanel] = useState(showConsole);
   const [cdnStatus, setCdnStatus] = useState('checking'); // 'checking', 'online', 'offline'
 
-  // Check CDN connectivity
+  // Check CDN connectivity - Sandpack always bundles through its CDN, whatever the preview runtime setting
   useEffect(() => {
     let isMounted = true;
     let currentController = null;
@@ -3,8 +3,10 @@ import { useTheme } from '../../contexts/ThemeContext'
 import { getTheme } from '../../styles/theme'
 import { parse } from '@babel/parser'
 import { GlobeIcon } from '../icons'
+import { buildModuleGraph, createPreviewScript, findEntry } from '../../services/utils/preview/moduleBundler'
+import { getPreviewRuntimeUrls, DEFAULT_PREVIEW_RUNTIME } from '../../services/utils/preview/runtimeAssets'
 
-export const PreviewPanel = ({ files, onError }) => {
+export const PreviewPanel = ({ files, onError, runtime = DEFAULT_PREVIEW_RUNTIME }) => {
   const iframeRef = useRef(null)
   const containerRef = useRef(null)
   const { mode } = useTheme()
@@ -13,16 +15,6 @@ export const PreviewPanel = ({ files, onError }) => {
   const [showErrors, setShowErrors] = useState(false)
   const [zoom, setZoom] = useState(100)
 
-  // Helper function to strip ES6 imports from React code
-  const stripImports = (code) => {
-    return code
-      // Remove ALL import statements
-      .replace(/import\s+.*?from\s+['"][^'"]+['"];?\s*/g, '')
-      // Remove all export statements (export default, export function, export const, etc.)
-      .replace(/export\s+(default\s+)?/g, '')
-      .trim()
-  }
-
   // Validate code with Babel parser BEFORE sending to iframe
   const validateFiles = () => {
     const validationErrors = []
@@ -46,6 +38,15 @@ export const PreviewPanel = ({ files, onError }) => {
       }
     })
 
+    if (validationErrors.length > 0) return validationErrors
+
+    // Then check that every import resolves (React projects only)
+    if (findEntry(files)) {
+      buildModuleGraph(files).errors.forEach(error => {
+        validationErrors.push({ ...error, timestamp: Date.now() })
+      })
+    }
+
     return validationErrors
   }
 
@@ -96,22 +97,19 @@ export const PreviewPanel = ({ files, onError }) => {
       console.log('   🎬 Generating preview from files...');
 
       // Check if this is a React artifact
-      const isReact = files['App.jsx'] || files['App.js']
+      const isReact = findEntry(files)
 
       let fullHtml
 
       if (isReact) {
-        // React app - use CDN-based approach
-        const css = files['styles.css'] || ''
+        // React app - each file is its own module, resolved from the entry
+        const graph = buildModuleGraph(files)
+
+        // styles.css applies globally unless a module imports it itself
+        const css = graph.modules['styles.css'] ? '' : (files['styles.css'] || '')
 
-        // Collect and combine all component files
-        const allCode = Object.entries(files)
-          .filter(([filename]) =>
-            filename.endsWith('.jsx') ||
-            filename.endsWith('.js') && filename !== 'script.js'
-          )
-          .map(([, code]) => stripImports(code))
-          .join('\n\n')
+        // srcdoc iframes need absolute URLs for the bundled runtime
+        const runtimeUrls = getPreviewRuntimeUrls(runtime, new URL(import.meta.env.BASE_URL, window.location.origin).href)
 
         fullHtml = `
 <!DOCTYPE html>
@@ -121,8 +119,8 @@ export const PreviewPanel = ({ files, onError }) => {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>React App Preview</title>
 
-    <!-- Tailwind CSS CDN for runtime styling -->
-    <script src="https://cdn.tailwindcss.com"></script>
+    <!-- Tailwind CSS JIT for runtime styling -->
+    <script src="${runtimeUrls.tailwind}"></script>
 
     <style>
       body { margin: 0; padding: 0; font-family: system-ui, -apple-system, "Segoe UI Symbol", "Noto Sans Symbols", "Apple Color Emoji", "Segoe UI Emoji", sans-serif; }
@@ -132,42 +130,24 @@ export const PreviewPanel = ({ files, onError }) => {
 <body>
     <div id="root"></div>
 
-    <!-- React & ReactDOM from CDN -->
-    <script crossorigin src="https://unpkg.com/react@18/umd/react.development.js"></script>
-    <script crossorigin src="https://unpkg.com/react-dom@18/umd/react-dom.development.js"></script>
+    <!-- React & ReactDOM -->
+    <script crossorigin src="${runtimeUrls.react}"></script>
+    <script crossorigin src="${runtimeUrls.reactDom}"></script>
 
     <!-- Babel Standalone for JSX transpilation -->
-    <script src="https://unpkg.com/@babel/standalone/babel.min.js"></script>
-
-    <!-- Your App Code -->
-    <script type="text/babel">
-      const { useState, useEffect, useRef, useMemo, useCallback, useReducer, useContext, useTransition } = React;
-
-      ${allCode}
+    <script src="${runtimeUrls.babel}"></script>
 
-      // Render the app
-      const root = ReactDOM.createRoot(document.getElementById('root'));
-      if (typeof App !== 'undefined') {
-        root.render(<App />);
-      } else {
-        root.render(
-          <div style={{ padding: '20px', textAlign: 'center', color: '#666' }}>
-            <h3>No App Component Found</h3>
-            <p>Please define an App component in your code.</p>
-          </div>
-        );
-      }
-    </script>
-
-    <!-- Error handling -->
+    <!-- Error handling (maps errors back to the original file and line) -->
     <script>
       window.addEventListener('error', function(e) {
+        var registry = window.__previewRegistry;
+        var location = registry && e.error ? registry.locate(e.error) : {};
         window.parent.postMessage({
           type: 'preview-error',
           error: {
             message: e.message,
-            line: e.lineno,
-            source: e.filename,
+            line: location.line || e.lineno,
+            source: location.source || e.filename,
             timestamp: Date.now()
           }
         }, '*');
@@ -183,6 +163,9 @@ export const PreviewPanel = ({ files, onError }) => {
         }, '*');
       });
     </script>
+
+    <!-- Your App Code -->
+    <script>${createPreviewScript(graph)}</script>
 </body>
 </html>`
       } else {
@@ -249,7 +232,7 @@ export const PreviewPanel = ({ files, onError }) => {
     // Cleanup: cancel pending update if files change again
     return () => clearTimeout(timeoutId)
     // Note: onError is included in dependencies to avoid stale closures
-  }, [files, onError])
+  }, [files, onError, runtime])
 
   // Listen for error messages from iframe
   useEffect(() => {
@@ -2,8 +2,9 @@ import { useState, useEffect, useRef } from 'react';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useAuth } from '../../contexts/AuthContext';
 import { getTheme } from '../../styles/theme';
+import { PREVIEW_RUNTIME_MODES } from '../../services/utils/preview/runtimeAssets';
 
-export const SettingsDropdown = ({ onSignIn, onSignOut }) => {
+export const SettingsDropdown = ({ onSignIn, onSignOut, previewRuntime, onPreviewRuntimeChange, reviewChanges, onReviewChangesChange }) => {
   const [isOpen, setIsOpen] = useState(false);
   const { mode } = useTheme();
   const theme = getTheme(mode);
@@ -116,6 +117,102 @@ export const SettingsDropdown = ({ onSignIn, onSignOut }) => {
             }
           }}
         >
+          {/* Preview runtime source - bundled copies work offline */}
+          {onPreviewRuntimeChange && (
+            <div
+              style={{
+                padding: `${theme.spacing.md} ${theme.spacing.lg}`,
+                background: theme.colors.bg.secondary,
+                borderBottom: `1px solid ${theme.colors.bg.border}`,
+              }}
+            >
+              <div
+                style={{
+                  fontSize: theme.typography.fontSize.xs,
+                  color: theme.colors.text.tertiary,
+                  marginBottom: theme.spacing.sm,
+                  textTransform: 'uppercase',
+                  letterSpacing: '0.5px',
+                }}
+              >
+                Preview runtime
+              </div>
+              <div style={{ display: 'flex', gap: theme.spacing.xs }}>
+                {Object.entries(PREVIEW_RUNTIME_MODES).map(([value, label]) => {
+                  const isSelected = previewRuntime === value;
+                  return (
+                    <button
+                      key={value}
+                      onClick={() => onPreviewRuntimeChange(value)}
+                      style={{
+                        flex: 1,
+                        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+                        background: isSelected ? theme.colors.gradient.primary : 'transparent',
+                        border: `1px solid ${theme.colors.bg.border}`,
+                        borderRadius: theme.radius.sm,
+                        color: isSelected ? theme.colors.text.primary : theme.colors.text.secondary,
+                        fontSize: theme.typography.fontSize.xs,
+                        fontWeight: isSelected ? theme.typography.fontWeight.semibold : theme.typography.fontWeight.medium,
+                        fontFamily: theme.typography.fontFamily.sans,
+                        cursor: 'pointer',
+                      }}
+                    >
+                      {label}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* AI changes - apply directly, or review each file/hunk first */}
+          {onReviewChangesChange && (
+            <div
+              style={{
+                padding: `${theme.spacing.md} ${theme.spacing.lg}`,
+                background: theme.colors.bg.secondary,
+                borderBottom: `1px solid ${theme.colors.bg.border}`,
+              }}
+            >
+              <div
+                style={{
+                  fontSize: theme.typography.fontSize.xs,
+                  color: theme.colors.text.tertiary,
+                  marginBottom: theme.spacing.sm,
+                  textTransform: 'uppercase',
+                  letterSpacing: '0.5px',
+                }}
+              >
+                AI changes
+              </div>
+              <div style={{ display: 'flex', gap: theme.spacing.xs }}>
+                {[[false, 'Apply directly'], [true, 'Review first']].map(([value, label]) => {
+                  const isSelected = reviewChanges === value;
+                  return (
+                    <button
+                      key={label}
+                      onClick={() => onReviewChangesChange(value)}
+                      style={{
+                        flex: 1,
+                        padding: `${theme.spacing.xs} ${theme.spacing.sm}`,
+                        background: isSelected ? theme.colors.gradient.primary : 'transparent',
+                        border: `1px solid ${theme.colors.bg.border}`,
+                        borderRadius: theme.radius.sm,
+                        color: isSelected ? theme.colors.text.primary : theme.colors.text.secondary,
+                        fontSize: theme.typography.fontSize.xs,
+                        fontWeight: isSelected ? theme.typography.fontWeight.semibold : theme.typography.fontWeight.medium,
+                        fontFamily: theme.typography.fontFamily.sans,
+                        cursor: 'pointer',
+                      }}
+                    >
+                      {label}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Conditional rendering based on auth state */}
           {user ? (
             <>
@@ -6,11 +6,16 @@ import { ExamplesDropdown } from './ExamplesDropdown';
 import { SettingsDropdown } from './SettingsDropdown';
 import { getTheme } from '../../styles/theme';
 import { useIsMobile } from '../../hooks/useIsMobile';
+import { createProjectZip } from '../../services/utils/export/projectExport';
+import { getInitials, isLockActive } from '../../services/utils/collaboration/collaboration';
 
-export const TopBar = ({ showChat, showCode, showPreview, onTogglePanel, onLoadExample, onToggleArtifacts, onNavigateToSignIn }) => {
+// Avatars shown before the rest collapse into "+N"
+const MAX_AVATARS = 4;
+
+export const TopBar = ({ showChat, showCode, showPreview, onTogglePanel, onLoadExample, onToggleArtifacts, onNavigateToSignIn, onShare, collaborators = [], previewRuntime, onPreviewRuntimeChange, reviewChanges, onReviewChangesChange }) => {
   const { mode } = useTheme();
   const theme = getTheme(mode);
-  const { activeArtifact, renameArtifact } = useArtifacts();
+  const { activeArtifact, renameArtifact, sessionId } = useArtifacts();
   const [isEditingName, setIsEditingName] = useState(false);
   const [nameValue, setNameValue] = useState(activeArtifact?.name || '');
   const isMobile = useIsMobile();
@@ -44,6 +49,31 @@ export const TopBar = ({ showChat, showCode, showPreview, onTogglePanel, onLoadE
     transition: `all ${theme.animation.normal}`,
   });
 
+  const canExport = activeArtifact && Object.keys(activeArtifact.files || {}).length > 0;
+
+  // A collaborator's AI generation in progress (ours shows in the chat panel)
+  const otherGeneration = isLockActive(activeArtifact?.generationLock) &&
+    activeArtifact.generationLock.sessionId !== sessionId
+    ? activeArtifact.generationLock
+    : null;
+
+  // Download the active artifact as a runnable Vite project
+  const handleExport = () => {
+    if (!canExport) return;
+
+    const { zip, filename, unsupported } = createProjectZip(activeArtifact.files, { name: activeArtifact.name });
+    if (unsupported.length > 0) {
+      console.warn('⚠️  Exported project imports packages that were not added to package.json:', unsupported);
+    }
+
+    const url = URL.createObjectURL(new Blob([zip], { type: 'application/zip' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
   const handleNameSave = () => {
     if (nameValue.trim() && activeArtifact) {
       renameArtifact(activeArtifact.id, nameValue.trim());
@@ -281,11 +311,109 @@ export const TopBar = ({ showChat, showCode, showPreview, onTogglePanel, onLoadE
           alignItems: 'center',
           gap: theme.spacing.sm,
         }}>
+          {otherGeneration && (
+            <span style={{
+              fontSize: theme.typography.fontSize.xs,
+              color: theme.colors.text.tertiary,
+              whiteSpace: 'nowrap',
+            }}>
+              ✨ {otherGeneration.name} is generating...
+            </span>
+          )}
+
+          {/* Collaborators in this artifact */}
+          {collaborators.length > 0 && (
+            <div style={{ display: 'flex', alignItems: 'center', marginRight: theme.spacing.xs }}>
+              {collaborators.slice(0, MAX_AVATARS).map((collaborator, index) => (
+                <div
+                  key={collaborator.sessionId}
+                  title={`${collaborator.name}${collaborator.file ? ` - ${collaborator.file}` : ''}`}
+                  style={{
+                    width: '28px',
+                    height: '28px',
+                    borderRadius: '50%',
+                    background: collaborator.color,
+                    border: `2px solid ${theme.colors.bg.primary}`,
+                    marginLeft: index === 0 ? 0 : '-8px',
+                    color: '#ffffff',
+                    fontSize: '11px',
+                    fontWeight: theme.typography.fontWeight.semibold,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    cursor: 'default',
+                  }}
+                >
+                  {getInitials(collaborator.name)}
+                </div>
+              ))}
+              {collaborators.length > MAX_AVATARS && (
+                <span style={{
+                  marginLeft: theme.spacing.xs,
+                  fontSize: theme.typography.fontSize.xs,
+                  color: theme.colors.text.tertiary,
+                }}>
+                  +{collaborators.length - MAX_AVATARS}
+                </span>
+              )}
+            </div>
+          )}
+
+          <button
+            onClick={onShare}
+            disabled={!canExport}
+            style={{
+              ...baseButtonStyle,
+              cursor: canExport ? 'pointer' : 'not-allowed',
+              opacity: canExport ? 1 : 0.5,
+            }}
+            onMouseEnter={(e) => {
+              if (canExport) e.currentTarget.style.opacity = '0.7';
+            }}
+            onMouseLeave={(e) => {
+              e.currentTarget.style.opacity = canExport ? '1' : '0.5';
+            }}
+            title="Share a read-only link to this project"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.5-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z"/>
+            </svg>
+            Share
+          </button>
+
+          <button
+            onClick={handleExport}
+            disabled={!canExport}
+            style={{
+              ...baseButtonStyle,
+              cursor: canExport ? 'pointer' : 'not-allowed',
+              opacity: canExport ? 1 : 0.5,
+            }}
+            onMouseEnter={(e) => {
+              if (canExport) e.currentTarget.style.opacity = '0.7';
+            }}
+            onMouseLeave={(e) => {
+              e.currentTarget.style.opacity = canExport ? '1' : '0.5';
+            }}
+            title="Download as a Vite + React project (npm install && npm run dev)"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>
+            </svg>
+            Export
+          </button>
+
           <ThemeToggle />
 
           <ExamplesDropdown onSelectExample={onLoadExample} />
 
-          <SettingsDropdown onSignIn={onNavigateToSignIn} />
+          <SettingsDropdown
+            onSignIn={onNavigateToSignIn}
+            previewRuntime={previewRuntime}
+            onPreviewRuntimeChange={onPreviewRuntimeChange}
+            reviewChanges={reviewChanges}
+            onReviewChangesChange={onReviewChangesChange}
+          />
         </div>
       )}
     </div>
@@ -1,8 +1,41 @@
 import { createContext, useContext, useState, useEffect, useMemo, useRef } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
 import { useAuth } from './AuthContext';
+import { db } from '../config/firebase';
+import { createVersion, dropOldestVersion, isSameFiles, pruneGuestVersions } from '../services/utils/versions/versionHistory';
+import {
+  applyFilesPatch,
+  buildFilesPatch,
+  createSessionId,
+  getChangedFiles,
+  mergeRemoteFiles
+} from '../services/utils/collaboration/collaboration';
+import { mergeFiles } from '../services/utils/collaboration/merge';
+import {
+  DEFAULT_SORT,
+  collectFacets,
+  matchesArtifactFilters,
+  normalizeOrganization,
+  parseSearchQuery,
+  sortArtifacts
+} from '../services/utils/search/artifactSearch';
+import { toArtifactSummary } from '../services/utils/search/artifactSummary';
+import { chunkBulkArtifacts } from '../services/utils/import/guestImport';
 
 const ArtifactContext = createContext();
 
+const ACTIVE_WORKSPACE_KEY = 'activeWorkspaceId';
+
+// Sidebar listing before any search, filter or sort is picked
+const DEFAULT_ARTIFACT_QUERY = { search: '', tag: '', folder: '', sort: DEFAULT_SORT };
+
+// A save rejected as stale is merged with the server's copy and sent again, up to this many times
+const MAX_SAVE_ATTEMPTS = 3;
+
+// localStorage is full (browsers name the error differently)
+const isQuotaError = (error) =>
+  error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error?.code === 22;
+
 // Generate unique artifact ID
 const generateArtifactId = () => {
   const timestamp = Date.now();
@@ -26,23 +59,84 @@ export const ArtifactProvider = ({ children }) => {
   const [activeArtifactId, setActiveArtifactId] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [storageError, setStorageError] = useState(null); // Guest work that could not be saved on this device
+
+  // Team workspaces the user belongs to; null selects their personal artifacts
+  const [workspaces, setWorkspaces] = useState([]);
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState(
+    () => localStorage.getItem(ACTIVE_WORKSPACE_KEY) || null
+  );
 
   // Use ref to persist timeout across renders without causing re-renders
   const updateFilesTimeoutRef = useRef(null);
+  const pendingFilesSaveRef = useRef(null); // { artifactId, run } - the save updateFilesTimeoutRef is waiting to run
+
+  // Live collaboration: this tab's ID, the latest artifacts for async callbacks,
+  // and per artifact the files edited here that haven't been saved yet
+  const sessionIdRef = useRef(createSessionId());
+  const artifactsRef = useRef(artifacts);
+  artifactsRef.current = artifacts;
+  const pendingFilesRef = useRef(new Map());
+
+  // Optimistic concurrency: per artifact, the revision (and its files) that this tab's edits are
+  // based on - every save quotes it, and is rejected with 409 if someone saved in between
+  const syncedRef = useRef(new Map());
+
+  // Saves from this tab go out one at a time, so they never race each other's revisions
+  const writeQueueRef = useRef(Promise.resolve());
+
+  // Merged files from the latest remote change to an artifact (for the editor to pick up)
+  const [remoteFiles, setRemoteFiles] = useState(null);
+
+  // Files edited both here and elsewhere since the last save, waiting for the user to merge them
+  const [mergeConflict, setMergeConflict] = useState(null);
+  const mergeConflictRef = useRef(null);
+
+  // Sidebar listing: search, filters and sort. For signed-in users the server searches and pages,
+  // `artifacts` caches what has been loaded and `listedIds` is the listing, in order. Listed artifacts
+  // are summaries until opened (no files or chat history - see ensureArtifactLoaded)
+  const [artifactQuery, setArtifactQuery] = useState(DEFAULT_ARTIFACT_QUERY);
+  const [listedIds, setListedIds] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [serverFacets, setServerFacets] = useState({ tags: [], folders: [] });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const listRequestRef = useRef(0); // Newer listings make older responses stale
+  const facetsRequestRef = useRef(0); // Facets of the workspace switched away from are stale
+  const loadingMoreRef = useRef(false); // Scrolling asks for the next page many times
+  const openRequestRef = useRef(0); // The artifact opened last wins, however its load finishes
+
+  // Projects made as a guest on this device, offered for import after signing in
+  const [guestArtifacts, setGuestArtifacts] = useState([]);
 
   // Load artifacts from API (when authenticated) or localStorage (when guest)
   useEffect(() => {
     if (user) {
       loadArtifactsFromAPI();
+      loadFacetsFromAPI();
     } else {
       // Load from localStorage for guest mode
       loadArtifactsFromLocalStorage();
     }
+  }, [user, activeWorkspaceId]);
+
+  // Load the user's workspaces (guests only have local artifacts)
+  useEffect(() => {
+    if (user) {
+      loadWorkspaces();
+    } else {
+      setWorkspaces([]);
+    }
+  }, [user]);
+
+  // After signing in (or up), offer the projects made as a guest
+  useEffect(() => {
+    setGuestArtifacts(user ? readGuestArtifacts() : []);
   }, [user]);
 
   // localStorage helpers for guest mode
   const STORAGE_KEY = 'guestArtifacts';
   const ACTIVE_ARTIFACT_KEY = 'guestActiveArtifactId';
+  const VERSIONS_KEY = 'guestArtifactVersions'; // { [artifactId]: versions, newest first }
 
   const loadArtifactsFromLocalStorage = () => {
     try {
@@ -78,17 +172,109 @@ export const ArtifactProvider = ({ children }) => {
     }
   };
 
+  // The artifacts come first: when storage is full, version history is evicted (oldest first) to make room
   const saveArtifactsToLocalStorage = (artifactsToSave, activeId) => {
+    const data = JSON.stringify(artifactsToSave);
+    let versionsByArtifact = null;
+
+    for (;;) {
+      try {
+        localStorage.setItem(STORAGE_KEY, data);
+        if (activeId) {
+          localStorage.setItem(ACTIVE_ARTIFACT_KEY, activeId);
+        }
+        setStorageError(null);
+        return;
+      } catch (error) {
+        versionsByArtifact ??= loadGuestVersions();
+        if (isQuotaError(error) && dropOldestVersion(versionsByArtifact)) {
+          writeGuestVersions(versionsByArtifact);
+          continue;
+        }
+        console.error('Error saving to localStorage:', error);
+        setStorageError(isQuotaError(error)
+          ? 'Browser storage is full - your latest changes are not saved. Sign in to keep your projects, or delete some.'
+          : `Your latest changes could not be saved: ${error.message}`);
+        return;
+      }
+    }
+  };
+
+  const loadGuestVersions = () => {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(artifactsToSave));
-      if (activeId) {
-        localStorage.setItem(ACTIVE_ARTIFACT_KEY, activeId);
+      const parsed = JSON.parse(localStorage.getItem(VERSIONS_KEY) || '{}');
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+      console.error('Error loading versions from localStorage:', error);
+      return {};
+    }
+  };
+
+  // Returns false when storage is full
+  const writeGuestVersions = (versionsByArtifact) => {
+    if (Object.keys(versionsByArtifact).length === 0) {
+      localStorage.removeItem(VERSIONS_KEY);
+      return true;
+    }
+    try {
+      localStorage.setItem(VERSIONS_KEY, JSON.stringify(versionsByArtifact));
+      return true;
+    } catch (error) {
+      if (isQuotaError(error)) return false;
+      throw error;
+    }
+  };
+
+  // Guest history is kept small (see pruneGuestVersions), and gives up its oldest versions when storage is full
+  const saveGuestVersions = (versionsByArtifact) => {
+    const pruned = pruneGuestVersions(versionsByArtifact);
+    try {
+      while (!writeGuestVersions(pruned)) {
+        if (!dropOldestVersion(pruned)) return;
       }
     } catch (error) {
-      console.error('Error saving to localStorage:', error);
+      console.error('Error saving versions to localStorage:', error);
+    }
+  };
+
+  // Guest artifacts stored on this device (whoever is signed in)
+  const readGuestArtifacts = () => {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(parsed)
+        ? parsed.filter(artifact => artifact && artifact.id && artifact.files && typeof artifact.files === 'object')
+        : [];
+    } catch (error) {
+      console.error('Error reading guest artifacts from localStorage:', error);
+      return [];
     }
   };
 
+  // Remove guest artifacts (and their versions) from this device
+  // Returns the guest artifacts left
+  const removeGuestArtifacts = (ids) => {
+    const remaining = readGuestArtifacts().filter(artifact => !ids.includes(artifact.id));
+
+    if (remaining.length > 0) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(remaining));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+    if (ids.includes(localStorage.getItem(ACTIVE_ARTIFACT_KEY))) {
+      localStorage.removeItem(ACTIVE_ARTIFACT_KEY);
+    }
+
+    const versionsByArtifact = loadGuestVersions();
+    ids.forEach(id => delete versionsByArtifact[id]);
+    if (Object.keys(versionsByArtifact).length > 0) {
+      saveGuestVersions(versionsByArtifact);
+    } else {
+      localStorage.removeItem(VERSIONS_KEY);
+    }
+
+    return remaining;
+  };
+
   // Helper function to make authenticated API calls
   const makeAuthenticatedRequest = async (url, options = {}) => {
     try {
@@ -115,7 +301,11 @@ export const ArtifactProvider = ({ children }) => {
         const errorMessage =
           (errorData && typeof errorData === 'object' && (errorData.message || errorData.error)) ||
           'API request failed';
-        throw new Error(errorMessage);
+        throw Object.assign(new Error(errorMessage), {
+          status: response.status,
+          code: errorData?.code,
+          data: errorData,
+        });
       }
 
       // Add error handling for successful response JSON parsing
@@ -130,48 +320,288 @@ export const ArtifactProvider = ({ children }) => {
     }
   };
 
-  // Load all artifacts from API
-  const loadArtifactsFromAPI = async () => {
+  // Add the active workspace to an artifact endpoint's query string
+  const withWorkspace = (url) => {
+    if (!activeWorkspaceId) return url;
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}workspaceId=${encodeURIComponent(activeWorkspaceId)}`;
+  };
+
+  // Listing endpoint URL for a query (and page)
+  const listUrl = (query, cursor = null) => {
+    const params = new URLSearchParams({ sort: query.sort });
+    if (query.search.trim()) params.set('q', query.search.trim());
+    if (query.tag) params.set('tag', query.tag);
+    if (query.folder) params.set('folder', query.folder);
+    if (cursor) params.set('cursor', cursor);
+    return withWorkspace(`/api/artifacts/list?${params}`);
+  };
+
+  // Put listed summaries into the cache
+  // Loaded artifacts stay loaded unless the listing shows a newer revision; the open artifact and ones
+  // with unsaved edits always do (live updates keep them in step). A new listing (reset) keeps them
+  // cached even when the search or filters hide them
+  const cacheListedArtifacts = (listed, { reset = false } = {}) => {
+    const hasPendingEdits = (id) => (pendingFilesRef.current.get(id)?.size || 0) > 0;
+    const listedIdSet = new Set(listed.map(summary => summary.id));
+
+    setArtifacts(prev => {
+      const local = new Map(prev.map(artifact => [artifact.id, artifact]));
+      const keepsLoaded = (summary) => {
+        const artifact = local.get(summary.id);
+        return artifact?.files && (
+          summary.id === activeArtifactId ||
+          hasPendingEdits(summary.id) ||
+          (artifact.revision || 0) >= (summary.revision || 0)
+        );
+      };
+
+      const cached = listed.map(summary => (keepsLoaded(summary) ? local.get(summary.id) : summary));
+      const kept = prev.filter(artifact =>
+        !listedIdSet.has(artifact.id) &&
+        (!reset || artifact.id === activeArtifactId || hasPendingEdits(artifact.id))
+      );
+      return [...cached, ...kept];
+    });
+  };
+
+  // Load an artifact's files and chat history, unless they already are
+  const ensureArtifactLoaded = async (id) => {
+    const cached = artifactsRef.current.find(a => a.id === id);
+    if (!user || cached?.files) return cached || null;
+
+    const data = await makeAuthenticatedRequest(withWorkspace(`/api/artifacts/get?id=${encodeURIComponent(id)}`));
+    const artifact = data.artifact;
+
+    // Saves already under way read artifactsRef
+    const withLoaded = (list) => (list.some(a => a.id === id)
+      ? list.map(a => (a.id === id ? artifact : a))
+      : [...list, artifact]);
+    artifactsRef.current = withLoaded(artifactsRef.current);
+    setArtifacts(withLoaded);
+    rememberSynced(artifact);
+
+    return artifact;
+  };
+
+  // Load the first page of artifacts from API
+  const loadArtifactsFromAPI = async (query = artifactQuery) => {
     if (!user) return;
 
+    const request = ++listRequestRef.current;
     setLoading(true);
     setError(null);
 
     try {
-      const data = await makeAuthenticatedRequest('/api/artifacts/list');
-      setArtifacts(data.artifacts || []);
+      const data = await makeAuthenticatedRequest(listUrl(query));
+      if (request !== listRequestRef.current) return;
+
+      const loaded = data.artifacts || [];
+      cacheListedArtifacts(loaded, { reset: true });
+      setListedIds(loaded.map(artifact => artifact.id));
+      setNextCursor(data.nextCursor || null);
 
-      // Set active artifact to first one if none selected
-      if (!activeArtifactId && data.artifacts.length > 0) {
-        setActiveArtifactId(data.artifacts[0].id);
+      // Open the first one if none is open
+      if (!activeArtifactId && loaded.length > 0) {
+        loadArtifact(loaded[0].id);
       }
     } catch (error) {
       console.error('Error loading artifacts:', error);
       setError(error.message);
-      // Fallback to empty array
-      setArtifacts([]);
+      // Fallback to an empty listing (the open artifact stays open)
+      setListedIds([]);
+      setNextCursor(null);
     } finally {
-      setLoading(false);
+      if (request === listRequestRef.current) setLoading(false);
+    }
+  };
+
+  // Load the tags and folders in use (once per artifact set - later changes show up through `artifacts`)
+  const loadFacetsFromAPI = async () => {
+    const request = ++facetsRequestRef.current;
+    setServerFacets({ tags: [], folders: [] });
+
+    try {
+      const data = await makeAuthenticatedRequest(withWorkspace('/api/artifacts/facets'));
+      if (request === facetsRequestRef.current && data.facets) setServerFacets(data.facets);
+    } catch (error) {
+      // Filters still offer the tags and folders of the artifacts loaded so far
+      console.error('Error loading tags and folders:', error);
     }
   };
 
+  // Load the next page of the listing
+  const loadMoreArtifacts = async () => {
+    if (!user || !nextCursor || loadingMoreRef.current) return;
+
+    const request = listRequestRef.current;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+
+    try {
+      const data = await makeAuthenticatedRequest(listUrl(artifactQuery, nextCursor));
+      if (request !== listRequestRef.current) return;
+
+      const loaded = data.artifacts || [];
+      cacheListedArtifacts(loaded);
+      setListedIds(prev => [...prev, ...loaded.map(artifact => artifact.id).filter(id => !prev.includes(id))]);
+      setNextCursor(data.nextCursor || null);
+    } catch (error) {
+      console.error('Error loading more artifacts:', error);
+      setError(error.message);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    }
+  };
+
+  // Change the listing's search, filters or sort ({ search?, tag?, folder?, sort? })
+  const updateArtifactQuery = (changes) => {
+    const query = { ...artifactQuery, ...changes };
+    setArtifactQuery(query);
+    if (user) {
+      loadArtifactsFromAPI(query);
+    }
+  };
+
+  // What the sidebar shows, as summaries. Guests search, filter and sort their local artifacts here;
+  // for signed-in users the server did that, so only tag, folder and pin changes made since are applied
+  const listedArtifacts = useMemo(() => {
+    const { search, tag, folder, sort } = artifactQuery;
+
+    if (!user) {
+      const tokens = parseSearchQuery(search);
+      const matching = artifacts.filter(artifact => matchesArtifactFilters(artifact, { tokens, tag, folder }));
+      return sortArtifacts(matching, sort).map(toArtifactSummary);
+    }
+
+    const listed = listedIds
+      .map(id => artifacts.find(artifact => artifact.id === id))
+      .filter(artifact => artifact && matchesArtifactFilters(artifact, { tag, folder }));
+    return sortArtifacts(listed, null).map(toArtifactSummary);
+  }, [user, artifacts, listedIds, artifactQuery]);
+
+  // Tags and folders to filter by
+  const artifactFacets = useMemo(() => collectFacets([
+    ...artifacts,
+    ...(user ? serverFacets.folders.map(folder => ({ folder })) : []),
+    { tags: user ? serverFacets.tags : [] },
+  ]), [user, artifacts, serverFacets]);
+
   // Get active artifact (can be null if no artifacts)
   const activeArtifact = artifacts.find(a => a.id === activeArtifactId) || null;
 
+  // Personal artifacts are always editable; in a workspace, viewers are read-only
+  const activeWorkspace = workspaces.find(w => w.id === activeWorkspaceId) || null;
+  const canEdit = !activeWorkspace || activeWorkspace.role !== 'viewer';
+
+  // Firestore path of the active artifact, for live updates and presence (signed-in users only)
+  const activeArtifactPath = user && activeArtifactId
+    ? activeWorkspaceId
+      ? `workspaces/${activeWorkspaceId}/artifacts/${activeArtifactId}`
+      : `users/${user.uid}/artifacts/${activeArtifactId}`
+    : null;
+
+  // Remember an artifact as loaded from the server, as the base for this tab's next save
+  const rememberSynced = (artifact) => {
+    syncedRef.current.set(artifact.id, { revision: artifact.revision || 0, files: artifact.files || {} });
+  };
+
+  // Queue a save behind this tab's other saves
+  const enqueueWrite = (task) => {
+    const run = writeQueueRef.current.then(task);
+    writeQueueRef.current = run.catch(() => {});
+    return run;
+  };
+
+  // Replace an artifact's files locally, right away (saves already under way read artifactsRef)
+  const setLocalFiles = (id, files) => {
+    const withFiles = artifact => (artifact.id === id ? { ...artifact, files } : artifact);
+    artifactsRef.current = artifactsRef.current.map(withFiles);
+    setArtifacts(prev => prev.map(withFiles));
+  };
+
+  // Merge a copy of an artifact from the server (live snapshot or API response) into local state
+  // Files with unsaved local edits keep the local content; everything else follows the server
+  // savedFrom is the revision a save from this tab quoted, when the copy is that save's result
+  const applyRemoteArtifact = (id, remote, { savedFrom } = {}) => {
+    const local = artifactsRef.current.find(a => a.id === id);
+    if (!local || !remote) return;
+
+    // Snapshots can arrive after the response to a newer save - ignore the older copy
+    const synced = syncedRef.current.get(id);
+    const revision = remote.revision || 0;
+    if (synced && revision < synced.revision) return;
+
+    // Move this tab's base revision forward, unless the server changed a file that also has unsaved
+    // edits here - then the next save stays based on the older revision, is rejected, and gets merged
+    const pending = pendingFilesRef.current.get(id) || new Set();
+    const ownSave = savedFrom !== undefined && synced?.revision === savedFrom;
+    const clashes = synced && [...pending].some(path => (remote.files || {})[path] !== synced.files[path]);
+    if (ownSave || !clashes) {
+      rememberSynced({ id, ...remote });
+    }
+
+    // Not opened yet (listed as a summary) - nothing local to merge
+    if (!local.files) {
+      setArtifacts(prev => prev.map(artifact => (artifact.id === id ? { ...artifact, ...remote, id } : artifact)));
+      return;
+    }
+
+    const files = mergeRemoteFiles(local.files, remote.files || {}, pendingFilesRef.current.get(id) || []);
+    const filesChanged = getChangedFiles(local.files, files).length > 0;
+
+    setArtifacts(prev => prev.map(artifact =>
+      artifact.id === id
+        ? {
+          ...artifact,
+          ...remote,
+          id,
+          // The chat panel owns the conversation; other fields follow the server
+          chatHistory: artifact.chatHistory,
+          files: filesChanged ? files : artifact.files,
+          generationLock: remote.generationLock || null,
+        }
+        : artifact
+    ));
+
+    if (filesChanged) {
+      setRemoteFiles({ artifactId: id, files });
+    }
+  };
+
+  // Follow the active artifact live, so collaborators' saves show up without reloading
+  useEffect(() => {
+    if (!db || !activeArtifactPath) return;
+
+    const artifactId = activeArtifactId;
+    return onSnapshot(
+      doc(db, activeArtifactPath),
+      (snapshot) => {
+        if (snapshot.exists()) {
+          // The search index is server-side only (listings leave it out too)
+          const { searchTokens: _searchTokens, searchVersion: _searchVersion, ...remote } = snapshot.data();
+          applyRemoteArtifact(artifactId, remote);
+        }
+      },
+      (error) => console.warn('⚠️ Live updates unavailable:', error.message)
+    );
+  }, [activeArtifactPath]);
+
   // Update artifact's chat history
   const updateChatHistory = (id, chatHistory) => {
     updateArtifact(id, { chatHistory });
   };
 
   // Create new artifact
-  const createArtifact = async (name = 'Untitled Project', files = null) => {
+  const createArtifact = async (name = 'Untitled Project', files = null, chatHistory = []) => {
     // Guest mode: Create artifact in localStorage
     if (!user) {
       const newArtifact = {
         id: generateArtifactId(),
         name,
         files: files || {},
-        chatHistory: [],
+        chatHistory,
         createdAt: Date.now(),
         updatedAt: Date.now()
       };
@@ -194,12 +624,15 @@ export const ArtifactProvider = ({ children }) => {
         body: JSON.stringify({
           name,
           files: files || {},
-          chatHistory: [],
+          chatHistory,
+          workspaceId: activeWorkspaceId || undefined,
         }),
       });
 
-      const newArtifact = data.artifact;
+      const newArtifact = { chatHistory, ...data.artifact };
+      rememberSynced(newArtifact);
       setArtifacts(prev => [...prev, newArtifact]);
+      setListedIds(prev => [newArtifact.id, ...prev]);
       setActiveArtifactId(newArtifact.id);
       return newArtifact.id;
     } catch (error) {
@@ -233,25 +666,41 @@ export const ArtifactProvider = ({ children }) => {
         : artifact
     ));
 
-    try {
-      const data = await makeAuthenticatedRequest('/api/artifacts/update', {
-        method: 'PUT',
-        body: JSON.stringify({
-          artifactId: id,
-          updates,
-        }),
-      });
+    const sendUpdate = (revision) => makeAuthenticatedRequest('/api/artifacts/update', {
+      method: 'PUT',
+      body: JSON.stringify({
+        artifactId: id,
+        revision,
+        updates,
+        workspaceId: activeWorkspaceId || undefined,
+      }),
+    });
 
-      // Update with server response
-      setArtifacts(prev => prev.map(artifact =>
-        artifact.id === id ? data.artifact : artifact
-      ));
-    } catch (error) {
-      console.error('Error updating artifact:', error);
-      setError(error.message);
-      // Revert optimistic update by reloading
-      await loadArtifactsFromAPI();
-    }
+    return enqueueWrite(async () => {
+      // Artifacts listed but not opened quote their listed revision
+      let revision = syncedRef.current.get(id)?.revision ??
+        artifactsRef.current.find(a => a.id === id)?.revision ?? 0;
+
+      try {
+        let data;
+        try {
+          data = await sendUpdate(revision);
+        } catch (error) {
+          // Names and chat history are replaced whole rather than merged - apply them to the latest revision
+          if (error.code !== 'revision_conflict' || 'files' in updates) throw error;
+          revision = error.data.artifact.revision;
+          data = await sendUpdate(revision);
+        }
+
+        // Update with server response
+        applyRemoteArtifact(id, data.artifact, { savedFrom: revision });
+      } catch (error) {
+        console.error('Error updating artifact:', error);
+        setError(error.message);
+        // Revert optimistic update by reloading
+        await loadArtifactsFromAPI();
+      }
+    });
   };
 
   // Update artifact files (with debouncing to reduce API calls)
@@ -262,6 +711,14 @@ export const ArtifactProvider = ({ children }) => {
     console.log('   Files being saved:', Object.keys(files));
     console.log('   Total file count:', Object.keys(files).length);
 
+    // Remember which files changed here, so live updates from collaborators don't overwrite them
+    const previous = artifactsRef.current.find(a => a.id === id);
+    if (user && previous) {
+      const pending = pendingFilesRef.current.get(id) || new Set();
+      getChangedFiles(previous.files, files).forEach(path => pending.add(path));
+      pendingFilesRef.current.set(id, pending);
+    }
+
     // Optimistically update UI immediately
     setArtifacts(prev => {
       const updated = prev.map(artifact =>
@@ -273,15 +730,142 @@ export const ArtifactProvider = ({ children }) => {
       return updated;
     });
 
+    // A save still waiting for another artifact goes out now instead of being replaced
+    if (pendingFilesSaveRef.current && pendingFilesSaveRef.current.artifactId !== id) {
+      flushFilesSave();
+    }
+
     // Debounce API call using ref to persist timeout
     if (updateFilesTimeoutRef.current) {
       clearTimeout(updateFilesTimeoutRef.current);
     }
 
-    updateFilesTimeoutRef.current = setTimeout(() => {
-      updateArtifact(id, { files });
-      updateFilesTimeoutRef.current = null; // Clear ref after execution
-    }, 2000); // Wait 2 seconds before saving
+    pendingFilesSaveRef.current = {
+      artifactId: id,
+      run: () => {
+        if (user) {
+          saveFilesPatch(id);
+        } else {
+          updateArtifact(id, { files });
+        }
+      },
+    };
+    updateFilesTimeoutRef.current = setTimeout(flushFilesSave, 2000); // Wait 2 seconds before saving
+  };
+
+  // Run the debounced files save now, if one is waiting
+  const flushFilesSave = () => {
+    if (updateFilesTimeoutRef.current) {
+      clearTimeout(updateFilesTimeoutRef.current);
+      updateFilesTimeoutRef.current = null;
+    }
+    const save = pendingFilesSaveRef.current;
+    pendingFilesSaveRef.current = null;
+    save?.run();
+  };
+
+  // Save only the files edited since the last save
+  // Collaborators editing other files of the same artifact keep their changes. A save based on
+  // a stale revision is merged with the server's copy and retried; overlapping edits open the merge dialog
+  const saveFilesPatch = (id) => enqueueWrite(async () => {
+    for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+      const pending = pendingFilesRef.current.get(id);
+      const artifact = artifactsRef.current.find(a => a.id === id);
+      if (!pending || pending.size === 0 || !artifact || mergeConflictRef.current?.artifactId === id) return;
+
+      const filesPatch = buildFilesPatch(artifact.files, pending);
+      const revision = syncedRef.current.get(id)?.revision || 0;
+
+      try {
+        const data = await makeAuthenticatedRequest('/api/artifacts/update', {
+          method: 'PUT',
+          body: JSON.stringify({
+            artifactId: id,
+            revision,
+            filesPatch,
+            workspaceId: activeWorkspaceId || undefined,
+          }),
+        });
+
+        // Files edited again while the save was in flight stay pending
+        const latest = artifactsRef.current.find(a => a.id === id);
+        Object.entries(filesPatch).forEach(([path, content]) => {
+          if ((latest?.files[path] ?? null) === content) pending.delete(path);
+        });
+
+        applyRemoteArtifact(id, data.artifact, { savedFrom: revision });
+        return;
+      } catch (error) {
+        if (error.code === 'revision_conflict') {
+          mergeServerCopy(id, error.data.artifact);
+          continue;
+        }
+
+        console.error('Error saving files:', error);
+        setError(error.message);
+        // Revert optimistic update by reloading
+        pendingFilesRef.current.delete(id);
+        await loadArtifactsFromAPI();
+        return;
+      }
+    }
+  });
+
+  // Three-way merge of this tab's unsaved edits with the server's newer copy of an artifact
+  // Edits that don't overlap are merged right away; files edited on both sides wait in mergeConflict
+  const mergeServerCopy = (id, server) => {
+    const local = artifactsRef.current.find(a => a.id === id);
+    if (!local) return;
+
+    const serverFiles = server.files || {};
+    const pending = pendingFilesRef.current.get(id) || new Set();
+    const base = syncedRef.current.get(id)?.files || {};
+    const { files, conflicts } = mergeFiles(base, local.files, serverFiles, pending);
+
+    // Conflicted files keep this tab's content until the user decides
+    conflicts.forEach(({ path, mine }) => {
+      if (mine === undefined) {
+        delete files[path];
+      } else {
+        files[path] = mine;
+      }
+    });
+
+    // From now on, edits here are based on the server's copy
+    rememberSynced({ id, ...server });
+    pendingFilesRef.current.set(id, new Set([
+      ...getChangedFiles(serverFiles, files),
+      ...conflicts.map(conflict => conflict.path),
+    ]));
+    setLocalFiles(id, files);
+    setRemoteFiles({ artifactId: id, files });
+
+    if (conflicts.length > 0) {
+      const conflict = { artifactId: id, artifactName: local.name, conflicts };
+      mergeConflictRef.current = conflict;
+      setMergeConflict(conflict);
+    }
+  };
+
+  // Finish a merge: resolutions maps each conflicted file to its merged content (null deletes it)
+  const resolveMergeConflict = async (resolutions) => {
+    const conflict = mergeConflictRef.current;
+    if (!conflict) return;
+
+    const { artifactId: id } = conflict;
+    const artifact = artifactsRef.current.find(a => a.id === id);
+    mergeConflictRef.current = null;
+    setMergeConflict(null);
+    if (!artifact) return;
+
+    const files = applyFilesPatch(artifact.files, resolutions);
+    const pending = pendingFilesRef.current.get(id) || new Set();
+    Object.keys(resolutions).forEach(path => pending.add(path));
+    pendingFilesRef.current.set(id, pending);
+    setLocalFiles(id, files);
+    setRemoteFiles({ artifactId: id, files });
+
+    await saveFilesPatch(id);
   };
 
   // Cleanup timeout on unmount
@@ -293,11 +877,360 @@ export const ArtifactProvider = ({ children }) => {
     };
   }, []);
 
+  // Snapshot an artifact's files (one version per AI turn, manual save or restore)
+  // Returns the new version's metadata, or null if nothing changed since the latest one
+  const saveVersion = async (id, files, { trigger = 'manual', message = '' } = {}) => {
+    if (!id || !files) return null;
+
+    // Guest mode: Keep versions in localStorage, written after the artifacts they belong to
+    if (!user) {
+      flushFilesSave();
+      const versionsByArtifact = loadGuestVersions();
+      const versions = versionsByArtifact[id] || [];
+
+      if (versions[0] && isSameFiles(versions[0].files, files)) return null;
+
+      const version = createVersion(files, { trigger, message, previousFiles: versions[0]?.files });
+      versionsByArtifact[id] = [version, ...versions];
+      saveGuestVersions(versionsByArtifact);
+
+      const { files: _files, ...metadata } = version;
+      return metadata;
+    }
+
+    // Authenticated mode: Store in the artifact's versions subcollection
+    try {
+      const data = await makeAuthenticatedRequest('/api/artifacts/versions/create', {
+        method: 'POST',
+        body: JSON.stringify({
+          artifactId: id,
+          files,
+          trigger,
+          message,
+          workspaceId: activeWorkspaceId || undefined,
+        }),
+      });
+      return data.version || null;
+    } catch (error) {
+      console.error('Error saving version:', error);
+      return null;
+    }
+  };
+
+  // List an artifact's versions (metadata only), newest first
+  const listVersions = async (id) => {
+    if (!user) {
+      return (loadGuestVersions()[id] || []).map(({ files: _files, ...metadata }) => metadata);
+    }
+
+    const data = await makeAuthenticatedRequest(
+      withWorkspace(`/api/artifacts/versions/list?artifactId=${encodeURIComponent(id)}`)
+    );
+    return data.versions || [];
+  };
+
+  // Get a single version, including its files
+  const getVersion = async (id, versionId) => {
+    if (!user) {
+      return (loadGuestVersions()[id] || []).find(version => version.id === versionId) || null;
+    }
+
+    const data = await makeAuthenticatedRequest(
+      withWorkspace(`/api/artifacts/versions/get?artifactId=${encodeURIComponent(id)}&versionId=${encodeURIComponent(versionId)}`)
+    );
+    return data.version || null;
+  };
+
+  // Restore an artifact's files from a version
+  // The current files are snapshotted first, so a restore can itself be undone
+  const restoreVersion = async (id, versionId) => {
+    const version = await getVersion(id, versionId);
+    if (!version) {
+      throw new Error('Version not found');
+    }
+
+    // A pending debounced save would overwrite the restored files
+    if (updateFilesTimeoutRef.current) {
+      clearTimeout(updateFilesTimeoutRef.current);
+      updateFilesTimeoutRef.current = null;
+    }
+    pendingFilesSaveRef.current = null;
+
+    // Restoring from the history of an artifact that isn't open needs its current files
+    const artifact = await ensureArtifactLoaded(id);
+    if (artifact) {
+      await saveVersion(id, artifact.files, { trigger: 'manual', message: 'Saved before restore' });
+    }
+
+    if (user && artifact) {
+      // Saved as a patch of the files that differ, so collaborators' saves since then are merged, not lost
+      const pending = pendingFilesRef.current.get(id) || new Set();
+      getChangedFiles(artifact.files, version.files).forEach(path => pending.add(path));
+      pendingFilesRef.current.set(id, pending);
+      setLocalFiles(id, version.files);
+      await saveFilesPatch(id);
+    } else {
+      await updateArtifact(id, { files: version.files });
+    }
+
+    await saveVersion(id, version.files, {
+      trigger: 'restore',
+      message: `Restored version from ${new Date(version.createdAt).toLocaleString()}`,
+    });
+
+    return version.files;
+  };
+
+  // Publish a read-only snapshot of an artifact under a new public link
+  // Share links need an account - the snapshot is stored server-side
+  const shareArtifact = async (id) => {
+    if (!user) {
+      throw new Error('Sign in to share your projects');
+    }
+
+    // Make sure the snapshot includes edits still waiting on the debounced save
+    if (updateFilesTimeoutRef.current) {
+      clearTimeout(updateFilesTimeoutRef.current);
+      updateFilesTimeoutRef.current = null;
+      pendingFilesSaveRef.current = null;
+      await saveFilesPatch(id);
+    }
+
+    const data = await makeAuthenticatedRequest('/api/artifacts/share/create', {
+      method: 'POST',
+      body: JSON.stringify({ artifactId: id, workspaceId: activeWorkspaceId || undefined }),
+    });
+    return data.share;
+  };
+
+  // List an artifact's share links (metadata only), newest first - in a workspace, every editor's links
+  const listShares = async (id) => {
+    if (!user) return [];
+
+    const data = await makeAuthenticatedRequest(
+      withWorkspace(`/api/artifacts/share/list?artifactId=${encodeURIComponent(id)}`)
+    );
+    return data.shares || [];
+  };
+
+  // Revoke a share link - it stops working immediately
+  const revokeShare = async (slug) => {
+    await makeAuthenticatedRequest(`/api/artifacts/share/revoke?slug=${encodeURIComponent(slug)}`, {
+      method: 'DELETE',
+    });
+  };
+
+  // Copy guest artifacts (with their chat history) into the user's personal artifacts
+  // Each is removed from this device once the server has saved it; throws naming any that weren't imported
+  const importGuestArtifacts = async (ids) => {
+    const selected = readGuestArtifacts().filter(artifact => ids.includes(artifact.id));
+    if (!user || selected.length === 0) return [];
+
+    // Several requests when needed, so none goes over the API's body and batch limits
+    const { chunks, oversized } = chunkBulkArtifacts(
+      selected.map(({ id, name, files, chatHistory, createdAt }) => ({
+        id,
+        name: name || 'Untitled Project',
+        files,
+        chatHistory: Array.isArray(chatHistory) ? chatHistory : [],
+        createdAt,
+      }))
+    );
+
+    const imported = [];
+    const failures = oversized.map(artifact => `"${artifact.name}" is too large to import`);
+    for (const chunk of chunks) {
+      try {
+        const data = await makeAuthenticatedRequest('/api/artifacts/bulk/create', {
+          method: 'POST',
+          body: JSON.stringify({ artifacts: chunk }),
+        });
+        imported.push(...(data.artifacts || []).map(({ clientId: _clientId, ...artifact }) => artifact));
+
+        // Each request is saved all or nothing, so its projects can leave this device now
+        setGuestArtifacts(removeGuestArtifacts(chunk.map(artifact => artifact.id)));
+      } catch (error) {
+        console.error('Error importing guest projects:', error);
+        if (!failures.includes(error.message)) failures.push(error.message);
+      }
+    }
+    console.log(`📥 Imported ${imported.length} of ${selected.length} guest project(s)`);
+
+    // Show them: they were added to the personal artifacts
+    if (activeWorkspaceId) {
+      switchWorkspace(null);
+    } else if (imported.length > 0) {
+      imported.forEach(rememberSynced);
+      setArtifacts(prev => [...imported, ...prev]);
+      setListedIds(prev => [...imported.map(artifact => artifact.id), ...prev]);
+      setActiveArtifactId(imported[0].id);
+    }
+
+    // The dialog stays open with the projects that are still on this device
+    if (imported.length < selected.length) {
+      const summary = imported.length > 0 ? `Imported ${imported.length} of ${selected.length} projects. ` : '';
+      throw new Error(`${summary}${failures.join('. ')}`);
+    }
+
+    return imported;
+  };
+
+  // Stop offering the guest artifacts for now (they stay on this device and are offered next sign-in)
+  const skipGuestImport = () => {
+    setGuestArtifacts([]);
+  };
+
+  // Load the workspaces the user belongs to
+  // Falls back to personal artifacts if the remembered workspace is gone (deleted, or the user was removed)
+  const loadWorkspaces = async () => {
+    try {
+      const data = await makeAuthenticatedRequest('/api/workspaces/list');
+      const loaded = data.workspaces || [];
+      setWorkspaces(loaded);
+
+      if (activeWorkspaceId && !loaded.some(w => w.id === activeWorkspaceId)) {
+        switchWorkspace(null);
+      }
+    } catch (error) {
+      console.error('Error loading workspaces:', error);
+      setWorkspaces([]);
+    }
+  };
+
+  // Switch between personal artifacts (null) and a team workspace
+  const switchWorkspace = (workspaceId) => {
+    if (workspaceId === activeWorkspaceId) return;
+
+    if (workspaceId) {
+      localStorage.setItem(ACTIVE_WORKSPACE_KEY, workspaceId);
+    } else {
+      localStorage.removeItem(ACTIVE_WORKSPACE_KEY);
+    }
+
+    // Artifacts reload for the new workspace (see the effect above); its tags and folders differ
+    setArtifacts([]);
+    setListedIds([]);
+    setNextCursor(null);
+    setArtifactQuery(prev => ({ ...prev, tag: '', folder: '' }));
+    setActiveArtifactId(null);
+    setActiveWorkspaceId(workspaceId || null);
+  };
+
+  // Replace one workspace in state with the server's latest copy
+  const applyWorkspace = (workspace) => {
+    setWorkspaces(prev => prev.map(w => (w.id === workspace.id ? workspace : w)));
+  };
+
+  // Create a workspace (the user becomes its owner) and switch to it
+  const createWorkspace = async (name) => {
+    const data = await makeAuthenticatedRequest('/api/workspaces/create', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+    setWorkspaces(prev => [...prev, data.workspace].sort((a, b) => a.name.localeCompare(b.name)));
+    switchWorkspace(data.workspace.id);
+    return data.workspace;
+  };
+
+  // Delete a workspace and all of its artifacts (owners only)
+  const deleteWorkspace = async (workspaceId) => {
+    await makeAuthenticatedRequest(`/api/workspaces/delete?id=${encodeURIComponent(workspaceId)}`, {
+      method: 'DELETE',
+    });
+    setWorkspaces(prev => prev.filter(w => w.id !== workspaceId));
+    if (workspaceId === activeWorkspaceId) {
+      switchWorkspace(null);
+    }
+  };
+
+  // Add an existing account to a workspace by email
+  const addWorkspaceMember = async (workspaceId, email, role) => {
+    const data = await makeAuthenticatedRequest('/api/workspaces/members/add', {
+      method: 'POST',
+      body: JSON.stringify({ workspaceId, email, role }),
+    });
+    applyWorkspace(data.workspace);
+    return data.workspace;
+  };
+
+  // Change a member's role
+  const updateWorkspaceMember = async (workspaceId, memberId, role) => {
+    const data = await makeAuthenticatedRequest('/api/workspaces/members/update', {
+      method: 'PUT',
+      body: JSON.stringify({ workspaceId, memberId, role }),
+    });
+    applyWorkspace(data.workspace);
+    return data.workspace;
+  };
+
+  // Remove a member - removing yourself leaves the workspace
+  const removeWorkspaceMember = async (workspaceId, memberId) => {
+    const data = await makeAuthenticatedRequest(
+      `/api/workspaces/members/remove?workspaceId=${encodeURIComponent(workspaceId)}&memberId=${encodeURIComponent(memberId)}`,
+      { method: 'DELETE' }
+    );
+
+    if (data.workspace) {
+      applyWorkspace(data.workspace);
+    } else {
+      setWorkspaces(prev => prev.filter(w => w.id !== workspaceId));
+      if (workspaceId === activeWorkspaceId) {
+        switchWorkspace(null);
+      }
+    }
+    return data.workspace;
+  };
+
+  // Claim an artifact for one AI generation, so collaborators' generations don't overlap
+  // Resolves { acquired: false, message } when someone else is generating
+  const acquireGenerationLock = async (id) => {
+    if (!user || !id) return { acquired: true };
+
+    try {
+      await makeAuthenticatedRequest('/api/artifacts/generation/acquire', {
+        method: 'POST',
+        body: JSON.stringify({
+          artifactId: id,
+          sessionId: sessionIdRef.current,
+          name: user.displayName || user.email,
+          workspaceId: activeWorkspaceId || undefined,
+        }),
+      });
+      return { acquired: true };
+    } catch (error) {
+      if (error.code === 'generation_locked') {
+        return { acquired: false, message: error.message };
+      }
+      // The lock only coordinates collaborators - don't block generation when it can't be reached
+      console.warn('⚠️ Could not claim the generation lock:', error.message);
+      return { acquired: true };
+    }
+  };
+
+  // Free the artifact after a generation (the lock also lapses on its own)
+  const releaseGenerationLock = (id) => {
+    if (!user || !id) return;
+
+    const params = `artifactId=${encodeURIComponent(id)}&sessionId=${encodeURIComponent(sessionIdRef.current)}`;
+    makeAuthenticatedRequest(withWorkspace(`/api/artifacts/generation/release?${params}`), {
+      method: 'DELETE',
+    }).catch(error => console.warn('⚠️ Could not release the generation lock:', error.message));
+  };
+
   // Rename artifact
   const renameArtifact = (id, newName) => {
     updateArtifact(id, { name: newName });
   };
 
+  // Change an artifact's tags, folder or pin ({ tags?, folder?, pinned? })
+  const organizeArtifact = (id, changes) => {
+    const { values, error: organizationError } = normalizeOrganization(changes);
+    if (organizationError) {
+      throw new Error(organizationError);
+    }
+    return updateArtifact(id, values);
+  };
+
   // Delete artifact
   const deleteArtifact = async (id) => {
     const remaining = artifacts.filter(a => a.id !== id);
@@ -313,17 +1246,27 @@ export const ArtifactProvider = ({ children }) => {
       setArtifacts(remaining);
       setActiveArtifactId(newActiveId);
       saveArtifactsToLocalStorage(remaining, newActiveId);
+
+      const versionsByArtifact = loadGuestVersions();
+      delete versionsByArtifact[id];
+      saveGuestVersions(versionsByArtifact);
       return;
     }
 
     // Authenticated mode: Delete artifact via API
     // Optimistically update UI
     const artifactToDelete = artifacts.find(a => a.id === id);
+    const listedIndex = listedIds.indexOf(id);
     setArtifacts(remaining);
-    setActiveArtifactId(newActiveId);
+    setListedIds(prev => prev.filter(listedId => listedId !== id));
+    if (id === activeArtifactId) {
+      // The next one may only be listed - open it once it's loaded
+      setActiveArtifactId(null);
+      if (newActiveId) loadArtifact(newActiveId);
+    }
 
     try {
-      await makeAuthenticatedRequest(`/api/artifacts/delete?id=${id}`, {
+      await makeAuthenticatedRequest(withWorkspace(`/api/artifacts/delete?id=${id}`), {
         method: 'DELETE',
       });
     } catch (error) {
@@ -333,23 +1276,52 @@ export const ArtifactProvider = ({ children }) => {
       if (artifactToDelete) {
         setArtifacts(prev => [...prev, artifactToDelete]);
       }
+      if (listedIndex !== -1) {
+        setListedIds(prev => [...prev.slice(0, listedIndex), id, ...prev.slice(listedIndex)]);
+      }
     }
   };
 
   // Load artifact (switch active)
-  const loadArtifact = (id) => {
+  const loadArtifact = async (id) => {
+    // Authenticated mode: listed artifacts are summaries - open once files and chat history are in
+    if (user) {
+      const request = ++openRequestRef.current;
+      try {
+        const artifact = await ensureArtifactLoaded(id);
+        if (artifact && request === openRequestRef.current) {
+          setActiveArtifactId(id);
+        }
+      } catch (error) {
+        console.error('Error loading artifact:', error);
+        setError(error.message);
+      }
+      return;
+    }
+
     const artifact = artifacts.find(a => a.id === id);
     if (artifact) {
       setActiveArtifactId(id);
       // Save active artifact ID to localStorage for guests
-      if (!user) {
-        localStorage.setItem(ACTIVE_ARTIFACT_KEY, id);
-      }
+      localStorage.setItem(ACTIVE_ARTIFACT_KEY, id);
     }
   };
 
   // Duplicate artifact
-  const duplicateArtifact = (id) => {
+  const duplicateArtifact = async (id) => {
+    // Authenticated mode: copy the files into a new artifact via API
+    if (user) {
+      try {
+        const source = await ensureArtifactLoaded(id);
+        if (!source) return null;
+        return await createArtifact(`${source.name} (Copy)`, { ...source.files }, []);
+      } catch (error) {
+        console.error('Error duplicating artifact:', error);
+        setError(error.message);
+        return null;
+      }
+    }
+
     const artifact = artifacts.find(a => a.id === id);
     if (artifact) {
       const newArtifact = {
@@ -365,9 +1337,7 @@ export const ArtifactProvider = ({ children }) => {
       setActiveArtifactId(newArtifact.id);
 
       // Save to localStorage for guests
-      if (!user) {
-        saveArtifactsToLocalStorage(updatedArtifacts, newArtifact.id);
-      }
+      saveArtifactsToLocalStorage(updatedArtifacts, newArtifact.id);
 
       return newArtifact.id;
     }
@@ -381,6 +1351,7 @@ export const ArtifactProvider = ({ children }) => {
       setActiveArtifactId(null);
       localStorage.removeItem(STORAGE_KEY);
       localStorage.removeItem(ACTIVE_ARTIFACT_KEY);
+      localStorage.removeItem(VERSIONS_KEY);
       return;
     }
 
@@ -389,13 +1360,15 @@ export const ArtifactProvider = ({ children }) => {
 
     // Optimistically clear UI
     setArtifacts([]);
+    setListedIds([]);
+    setNextCursor(null);
     setActiveArtifactId(null);
 
     // Delete each artifact from database
     try {
       await Promise.all(
         artifactIds.map(id =>
-          makeAuthenticatedRequest(`/api/artifacts/delete?id=${id}`, {
+          makeAuthenticatedRequest(withWorkspace(`/api/artifacts/delete?id=${id}`), {
             method: 'DELETE',
           })
         )
@@ -416,6 +1389,8 @@ export const ArtifactProvider = ({ children }) => {
       activeArtifactId,
       loading,
       error,
+      storageError,
+      dismissStorageError: () => setStorageError(null),
       createArtifact,
       updateArtifact,
       updateArtifactFiles,
@@ -425,7 +1400,43 @@ export const ArtifactProvider = ({ children }) => {
       loadArtifact,
       duplicateArtifact,
       clearAllArtifacts,
-      refreshArtifacts: loadArtifactsFromAPI,
+      saveVersion,
+      listVersions,
+      getVersion,
+      restoreVersion,
+      shareArtifact,
+      listShares,
+      revokeShare,
+      refreshArtifacts: () => loadArtifactsFromAPI(),
+      workspaces,
+      activeWorkspace,
+      activeWorkspaceId,
+      canEdit,
+      switchWorkspace,
+      createWorkspace,
+      deleteWorkspace,
+      addWorkspaceMember,
+      updateWorkspaceMember,
+      removeWorkspaceMember,
+      sessionId: sessionIdRef.current,
+      activeArtifactPath,
+      remoteFiles,
+      acquireGenerationLock,
+      releaseGenerationLock,
+      mergeConflict,
+      resolveMergeConflict,
+      guestArtifacts,
+      importGuestArtifacts,
+      skipGuestImport,
+      artifactQuery,
+      updateArtifactQuery,
+      listedArtifacts,
+      artifactFacets,
+      hasMoreArtifacts: Boolean(nextCursor),
+      loadMoreArtifacts,
+      loadingMore,
+      organizeArtifact,
+      ensureArtifactLoaded,
     }),
     [
       artifacts,
@@ -433,6 +1444,7 @@ export const ArtifactProvider = ({ children }) => {
       activeArtifactId,
       loading,
       error,
+      storageError,
       createArtifact,
       updateArtifact,
       updateArtifactFiles,
@@ -442,7 +1454,38 @@ export const ArtifactProvider = ({ children }) => {
       loadArtifact,
       duplicateArtifact,
       clearAllArtifacts,
+      saveVersion,
+      listVersions,
+      getVersion,
+      restoreVersion,
+      shareArtifact,
+      listShares,
+      revokeShare,
       loadArtifactsFromAPI,
+      workspaces,
+      activeWorkspace,
+      activeWorkspaceId,
+      canEdit,
+      switchWorkspace,
+      createWorkspace,
+      deleteWorkspace,
+      addWorkspaceMember,
+      updateWorkspaceMember,
+      removeWorkspaceMember,
+      activeArtifactPath,
+      remoteFiles,
+      acquireGenerationLock,
+      releaseGenerationLock,
+      mergeConflict,
+      resolveMergeConflict,
+      guestArtifacts,
+      importGuestArtifacts,
+      skipGuestImport,
+      artifactQuery,
+      listedArtifacts,
+      artifactFacets,
+      nextCursor,
+      loadingMore,
     ]
   );
 
@@ -15,6 +15,7 @@ import {
   updateProfile,
 } from 'firebase/auth';
 import { auth } from '../config/firebase';
+import { setAuthTokenProvider } from '../services/utils/llm/openaiClient';
 
 const AuthContext = createContext();
 
@@ -35,7 +36,9 @@ export const AuthProvider = ({ children }) => {
     const unsubscribe = onAuthStateChanged(auth, async (firebaseUser) => {
       try {
         if (firebaseUser) {
-          // User is signed in
+          // User is signed in - AI requests count against their own quota
+          // (cached token; the SDK refreshes it when it expires)
+          setAuthTokenProvider(() => firebaseUser.getIdToken());
           setUser({
             uid: firebaseUser.uid,
             email: firebaseUser.email,
@@ -44,6 +47,7 @@ export const AuthProvider = ({ children }) => {
           });
         } else {
           // User is signed out
+          setAuthTokenProvider(null);
           setUser(null);
         }
       } catch (error) {
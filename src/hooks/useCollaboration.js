@@ -0,0 +1,102 @@
+import { useState, useEffect, useRef } from 'react';
+import { collection, deleteDoc, doc, onSnapshot, setDoc } from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { useAuth } from '../contexts/AuthContext';
+import { useArtifacts } from '../contexts/ArtifactContext';
+import { PRESENCE_HEARTBEAT_MS, getActiveCollaborators } from '../services/utils/collaboration/collaboration';
+
+// Cursor moves are written at most this often
+const SELECTION_THROTTLE_MS = 250;
+
+/**
+ * Live presence in the active artifact: who else has it open, which file they're in
+ * and where their cursor is. Each tab writes one presence document and heartbeats it;
+ * guests (no Firestore) see nobody.
+ * @param {string} activeFile - File this tab is looking at
+ * @returns {{collaborators: Object[], updateSelection: Function}}
+ */
+export const useCollaboration = (activeFile) => {
+  const { user } = useAuth();
+  const { activeArtifactPath, sessionId } = useArtifacts();
+
+  const [presence, setPresence] = useState([]);
+  const [now, setNow] = useState(() => Date.now());
+
+  const activeFileRef = useRef(activeFile);
+  activeFileRef.current = activeFile;
+  const selectionRef = useRef(null);
+  const selectionTimeoutRef = useRef(null);
+
+  const enabled = Boolean(db && user && activeArtifactPath);
+  const presencePath = enabled ? `${activeArtifactPath}/presence/${sessionId}` : null;
+
+  const writePresence = () => {
+    if (!presencePath) return;
+
+    setDoc(doc(db, presencePath), {
+      sessionId,
+      userId: user.uid,
+      name: user.displayName || user.email || 'Anonymous',
+      file: activeFileRef.current || null,
+      selection: selectionRef.current,
+      updatedAt: Date.now(),
+    }).catch(error => console.warn('⚠️ Could not update presence:', error.message));
+  };
+
+  // Join the artifact: watch everyone's presence, heartbeat ours, and leave on close
+  useEffect(() => {
+    if (!presencePath) {
+      setPresence([]);
+      return;
+    }
+
+    const unsubscribe = onSnapshot(
+      collection(db, `${activeArtifactPath}/presence`),
+      (snapshot) => setPresence(snapshot.docs.map(presenceDoc => presenceDoc.data())),
+      (error) => console.warn('⚠️ Presence unavailable:', error.message)
+    );
+
+    writePresence();
+    const heartbeat = setInterval(() => {
+      writePresence();
+      setNow(Date.now()); // Re-check who has gone quiet
+    }, PRESENCE_HEARTBEAT_MS);
+
+    const leave = () => {
+      deleteDoc(doc(db, presencePath)).catch(() => {});
+    };
+    window.addEventListener('beforeunload', leave);
+
+    return () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(selectionTimeoutRef.current);
+      selectionTimeoutRef.current = null;
+      window.removeEventListener('beforeunload', leave);
+      leave();
+      setPresence([]);
+    };
+  }, [presencePath]);
+
+  // Switching files drops the old selection
+  useEffect(() => {
+    selectionRef.current = null;
+    writePresence();
+  }, [activeFile]);
+
+  // Share this tab's selection ({ startLineNumber, startColumn, endLineNumber, endColumn })
+  const updateSelection = (selection) => {
+    selectionRef.current = selection;
+    if (!presencePath || selectionTimeoutRef.current) return;
+
+    selectionTimeoutRef.current = setTimeout(() => {
+      selectionTimeoutRef.current = null;
+      writePresence();
+    }, SELECTION_THROTTLE_MS);
+  };
+
+  return {
+    collaborators: enabled ? getActiveCollaborators(presence, sessionId, now) : [],
+    updateSelection,
+  };
+};
@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+import { DEFAULT_PREVIEW_RUNTIME, PREVIEW_RUNTIME_MODES } from '../services/utils/preview/runtimeAssets';
+
+const STORAGE_KEY = 'preview-runtime';
+
+/**
+ * Where the live preview loads React, Babel and Tailwind from ('local' or 'cdn')
+ * Saved choice wins, then VITE_PREVIEW_RUNTIME, then the bundled runtime
+ */
+export const usePreviewRuntime = () => {
+  const [runtime, setRuntime] = useState(() => {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved in PREVIEW_RUNTIME_MODES) return saved;
+
+    const configured = import.meta.env.VITE_PREVIEW_RUNTIME;
+    if (configured in PREVIEW_RUNTIME_MODES) return configured;
+
+    return DEFAULT_PREVIEW_RUNTIME;
+  });
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, runtime);
+  }, [runtime]);
+
+  return [runtime, setRuntime];
+};
@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+
+const STORAGE_KEY = 'review-ai-changes';
+
+/**
+ * Whether AI file changes wait for review (true) or are applied directly (false)
+ */
+export const useReviewChanges = () => {
+  const [reviewChanges, setReviewChanges] = useState(() => localStorage.getItem(STORAGE_KEY) === 'true');
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, String(reviewChanges));
+  }, [reviewChanges]);
+
+  return [reviewChanges, setReviewChanges];
+};
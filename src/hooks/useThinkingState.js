@@ -6,6 +6,7 @@ export const useThinkingState = (options = {}) => {
   const [phase, setPhase] = useState('idle')
   const [steps, setSteps] = useState([])
   const [answer, setAnswer] = useState('')
+  const [answerLabel, setAnswerLabel] = useState('')
   const [isVisible, setIsVisible] = useState(true)
 
   const collapseTimer = useRef()
@@ -35,6 +36,7 @@ export const useThinkingState = (options = {}) => {
     setPhase('idle')
     setSteps([])
     setAnswer('')
+    setAnswerLabel('')
     setIsVisible(true)
     stepCounter.current = 0
 
@@ -86,8 +88,11 @@ export const useThinkingState = (options = {}) => {
     setAnswer(prev => prev + text)
   }, [])
 
-  const setAnswerText = useCallback((text) => {
+  const setAnswerText = useCallback((text, label) => {
     setAnswer(text)
+    if (label !== undefined) {
+      setAnswerLabel(label)
+    }
   }, [])
 
   const complete = useCallback(() => {
@@ -164,6 +169,7 @@ export const useThinkingState = (options = {}) => {
     phase,
     steps,
     answer,
+    answerLabel,
     isVisible,
 
     // Actions
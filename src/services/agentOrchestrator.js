@@ -1,10 +1,13 @@
 import { classifyIntent } from './agents/intentClassifier.js';
 import { createPlan } from './agents/planner.js';
-import { analyzeCodebaseForModification } from './agents/analyzer.js';
+import { analyzeCodebaseForModification, analyzeForExplanation } from './agents/analyzer.js';
 import { generateCode } from './agents/generator.js';
 import { modifyCode } from './agents/modifier.js';
 import { debugAndFix, debugAndFixIterative } from './agents/debugger.js';
 import { validateCrossFileConsistency } from './utils/validation/crossFileValidation.js';
+import { describePatch } from './utils/code/editPatch.js';
+import { applyFileMoves, describeFileMove, normalizeFileMoves } from './utils/code/fileMoves.js';
+import { formatSmokeTestErrors, runSmokeTest } from './utils/preview/smokeTest.js';
 import {
   reviewCode,
   generateImprovementInstructions,
@@ -29,6 +32,12 @@ import {
 } from './agentRouter.js';
 import { getConversationMemory } from './ConversationMemory.js';
 import { getProjectContext } from './ProjectContext.js';
+import { isAbortError, throwIfAborted } from './utils/llm/llmClient.js';
+
+/**
+ * Debugger passes allowed when the runtime smoke test fails
+ */
+const MAX_RUNTIME_FIX_ROUNDS = 2;
 
 /**
  * Agent Orchestrator
@@ -52,6 +61,34 @@ export class AgentOrchestrator {
 
     // Progress tracking
     this.progressTracker = null;
+
+    // Cancellation - once aborted, no further agents run and partial results are dropped
+    this.signal = options.signal || null;
+
+    // Runtime smoke test - renders the result before returning it (none: skipped)
+    this.smokeTestHost = options.smokeTestHost || null;
+  }
+
+  /**
+   * Stop the pipeline if the user cancelled
+   * Checked between steps, since agents with fallbacks may have swallowed the abort
+   * @throws {Error} AbortError
+   */
+  throwIfAborted() {
+    throwIfAborted(this.signal);
+  }
+
+  /**
+   * Result returned when the user stops a request
+   */
+  abortedResult() {
+    console.log('🛑 Generation stopped by user - discarding partial results');
+    this.progressTracker = null;
+    return {
+      success: false,
+      aborted: true,
+      fileOperations: []
+    };
   }
 
   /**
@@ -70,6 +107,10 @@ export class AgentOrchestrator {
       // Resolve references in user message (e.g., "make it blue" -> "make App.jsx blue")
       const resolvedMessage = memory.resolveReferences(userMessage);
 
+      // Intent of the previous assistant turn (lets follow-up questions stay questions)
+      const previousTurn = memory.getRecentMessages(1)[0];
+      const previousIntent = previousTurn?.role === 'assistant' ? previousTurn.metadata?.intent : null;
+
       // Add user message to conversation memory
       memory.addTurn('user', resolvedMessage);
 
@@ -89,7 +130,8 @@ export class AgentOrchestrator {
         content: 'Analyzing your request...'
       }, 'intentClassifier', 'classifyingIntent');
 
-      const intentResult = await classifyIntent(resolvedMessage);
+      const intentResult = await classifyIntent(resolvedMessage, previousIntent, this.signal);
+      this.throwIfAborted();
 
       // Extract rate limit if available
       if (intentResult.rateLimit) {
@@ -123,6 +165,11 @@ export class AgentOrchestrator {
         return await this.handleBugFix(userMessage, currentFiles);
       }
 
+      // Questions about the code are answered in chat - no files are touched
+      if (intentResult.intent === 'explain_code') {
+        return await this.handleExplanation(resolvedMessage, currentFiles, intentResult, latestRateLimit);
+      }
+
       // Step 2: Analyze Codebase (for modifications)
       let analysisResult = null;
       const isModificationIntent = ['modify_existing', 'style_change', 'add_feature'].includes(intentResult.intent);
@@ -134,7 +181,8 @@ export class AgentOrchestrator {
           content: 'Analyzing codebase to find what needs to change...'
         }, 'analyzer', 'analyzingCodebase');
 
-        analysisResult = await analyzeCodebaseForModification(userMessage, currentFiles);
+        analysisResult = await analyzeCodebaseForModification(userMessage, currentFiles, this.signal);
+        this.throwIfAborted();
 
         if (analysisResult.needsAnalysis && analysisResult.reasoning) {
           this.sendUpdate({
@@ -155,6 +203,8 @@ export class AgentOrchestrator {
         plan = {
           filesToModify: Object.keys(currentFiles),
           filesToCreate: [],
+          filesToDelete: [],
+          filesToRename: [],
           summary: 'Direct modification without planning',
           fileDetails: {}
         };
@@ -166,6 +216,7 @@ export class AgentOrchestrator {
         const enhancedMessage = resolvedMessage + contextSummary + projectContextStr;
 
         plan = await this.createPlanWithReflection(intentResult.intent, enhancedMessage, currentFiles, analysisResult);
+        this.throwIfAborted();
 
         // Update project context from plan
         projectContext.updateFromPlan(plan);
@@ -174,6 +225,50 @@ export class AgentOrchestrator {
       // Step 4: Execute Plan
       const fileOperations = [];
 
+      // Deletions and renames first, so modifications work on the new layout
+      // (imports of moved and deleted modules are rewritten in every file)
+      const moves = normalizeFileMoves(plan, currentFiles);
+      moves.skipped.forEach(({ file, reason }) => {
+        console.warn(`⚠️  Skipping planned delete/rename of ${file}: ${reason.replace(/_/g, ' ')}`);
+      });
+
+      let workingFiles = currentFiles;
+      const renamedTo = {};
+      const danglingTargets = {};
+      if (moves.deletes.length > 0 || moves.renames.length > 0) {
+        const moved = applyFileMoves(currentFiles, moves);
+        workingFiles = moved.files;
+        moves.renames.forEach(({ from, to }) => { renamedTo[from] = to; });
+
+        moved.operations.forEach(op => {
+          fileOperations.push(op);
+          this.sendUpdate({
+            type: 'file_operation',
+            content: describeFileMove(op),
+            data: {
+              filename: op.filename,
+              operation: op.type,
+              from: op.from,
+              replacedBy: op.replacedBy,
+              rewrittenImports: moved.rewrittenImports.filter(rewrite => rewrite.filename === op.filename)
+            }
+          });
+        });
+
+        // Imports of deleted files with no replacement - the modifier removes them and their uses
+        moved.danglingImports.forEach(({ filename, line, deleted }) => {
+          const importLine = workingFiles[filename].split('\n')[line - 1].trim();
+          (danglingTargets[filename] = danglingTargets[filename] || []).push({
+            pattern: importLine,
+            replacement: 'nothing - remove the import and every use of what it imported',
+            reason: `${deleted} was deleted`
+          });
+        });
+        if (moved.danglingImports.length > 0) {
+          console.warn('⚠️  Imports of deleted files:', moved.danglingImports);
+        }
+      }
+
       // Handle file creation (with reflection loop) - IN PARALLEL
       if (plan.filesToCreate && plan.filesToCreate.length > 0) {
         const reviews = [];
@@ -230,6 +325,9 @@ export class AgentOrchestrator {
         // Wait for all files to complete (use Promise.allSettled to handle individual failures)
         const settledResults = await Promise.allSettled(generationPromises);
 
+        // Files that "failed" because of a stop aren't failures - drop the whole batch
+        this.throwIfAborted();
+
         // Process results and handle failures gracefully
         const generatedFiles = [];
         const failedFiles = [];
@@ -283,12 +381,18 @@ export class AgentOrchestrator {
         }
       }
 
-      // Handle file modification
-      if (plan.filesToModify && plan.filesToModify.length > 0) {
+      // Handle file modification (renamed files by their new path, plus files that imported deleted ones)
+      const deletedFiles = new Set(moves.deletes.map(({ file }) => file));
+      const filesToModify = [...new Set([
+        ...(plan.filesToModify || []).filter(filename => !deletedFiles.has(filename)).map(filename => renamedTo[filename] || filename),
+        ...Object.keys(danglingTargets)
+      ])];
+
+      if (filesToModify.length > 0) {
         this.progressTracker.next();
 
-        for (const filename of plan.filesToModify) {
-          if (!currentFiles[filename]) {
+        for (const filename of filesToModify) {
+          if (!workingFiles[filename]) {
             console.warn(`File ${filename} not found for modification`);
             continue;
           }
@@ -298,8 +402,12 @@ export class AgentOrchestrator {
             content: `Modifying ${filename}...`
           }, 'modifier', 'modifyingFile', { filename });
 
-          // Get analysis targets for this specific file
-          const analysisTargets = analysisResult?.changeTargets?.[filename] || null;
+          // Get analysis targets for this specific file (the analyzer saw it under its old path)
+          const previousName = Object.keys(renamedTo).find(from => renamedTo[from] === filename) || filename;
+          const plannedTargets = analysisResult?.changeTargets?.[previousName] || null;
+          const analysisTargets = danglingTargets[filename]
+            ? [...(Array.isArray(plannedTargets) ? plannedTargets : []), ...danglingTargets[filename]]
+            : plannedTargets;
 
           // DEBUG: Log analysis targets being passed to modifier
           console.log('📋 Analysis targets for', filename, ':', analysisTargets);
@@ -311,29 +419,40 @@ export class AgentOrchestrator {
             console.log('   ⚠️  No specific targets provided to modifier');
           }
 
-          const updatedCode = await modifyCode(
-            currentFiles[filename],
-            userMessage,
+          const { code: updatedCode, patch } = await modifyCode({
             filename,
-            analysisTargets
-          );
+            currentCode: workingFiles[filename],
+            userMessage,
+            analysisTargets,
+            onToken: this.createTokenStreamer(filename, 'modify'),
+            signal: this.signal
+          });
+          this.throwIfAborted();
 
           // DEBUG: Log modified file content
           console.log('🔧 Modified file:', filename);
-          console.log('   Old content preview:', currentFiles[filename].substring(0, 150) + '...');
+          console.log('   Old content preview:', workingFiles[filename].substring(0, 150) + '...');
           console.log('   New content preview:', updatedCode.substring(0, 150) + '...');
-          console.log('   Content changed:', currentFiles[filename] !== updatedCode);
+          console.log('   Content changed:', workingFiles[filename] !== updatedCode);
 
-          fileOperations.push({
-            type: 'modify',
-            filename,
-            content: updatedCode
-          });
+          // A renamed file, or one whose imports were rewritten, already has an operation - update it
+          const existing = fileOperations.find(op => op.filename === filename && op.type !== 'delete');
+          if (existing) {
+            Object.assign(existing, { content: updatedCode, patch });
+          } else {
+            fileOperations.push({
+              type: 'modify',
+              filename,
+              content: updatedCode,
+              patch
+            });
+          }
 
+          // Report which edits were applied (or why the file was rewritten instead)
           this.sendUpdate({
             type: 'file_operation',
-            content: `Modified ${filename}`,
-            data: { filename, operation: 'modify' }
+            content: patch ? `Modified ${filename}: ${describePatch(patch)}` : `Modified ${filename}`,
+            data: { filename, operation: 'modify', patch }
           });
         }
       }
@@ -341,7 +460,7 @@ export class AgentOrchestrator {
       // Step 5: Validate cross-file consistency
       if (fileOperations.length > 1) {
         const allFiles = {};
-        fileOperations.forEach(op => {
+        fileOperations.filter(op => op.type !== 'delete').forEach(op => {
           allFiles[op.filename] = op.content;
         });
 
@@ -350,18 +469,21 @@ export class AgentOrchestrator {
         if (crossFileValidation.warnings.length > 0) {
           console.warn('⚠️  Cross-file validation warnings:');
           crossFileValidation.warnings.forEach(warn => {
-            console.warn(`  ${warn.file}: ${warn.message}`);
+            console.warn(`  ${warn.file}:${warn.line}:${warn.column}: ${warn.message}`);
           });
         }
 
         if (!crossFileValidation.valid) {
           console.error('❌ Cross-file validation errors:');
           crossFileValidation.errors.forEach(err => {
-            console.error(`  ${err.file}: ${err.message}`);
+            console.error(`  ${err.file}:${err.line}:${err.column}: ${err.message}`);
           });
         }
       }
 
+      // Step 5b: Render the app once and fix what throws before the user sees it
+      await this.verifyRuntime(workingFiles, fileOperations, userMessage);
+
       // Step 6: Return Results
       this.progressTracker.next();
 
@@ -391,6 +513,10 @@ export class AgentOrchestrator {
       };
 
     } catch (error) {
+      if (isAbortError(error)) {
+        return this.abortedResult();
+      }
+
       console.error('Agent orchestration error:', error);
 
       // Get user-friendly error message
@@ -437,7 +563,7 @@ export class AgentOrchestrator {
           content: 'Creating a plan...'
         }, 'planner', 'creatingPlan');
 
-        currentPlan = await createPlan(intent, userMessage, currentFiles, analysisResult);
+        currentPlan = await createPlan(intent, userMessage, currentFiles, analysisResult, this.signal);
       } else {
         // Refinement iteration
         this.sendUpdate({
@@ -449,8 +575,9 @@ export class AgentOrchestrator {
 
         // Create improved plan with feedback
         const refinementContext = `\n\nREFINEMENT INSTRUCTIONS FROM REVIEW:\n${improvementInstructions}\n\nPlease create an improved plan addressing the issues above.`;
-        currentPlan = await createPlan(intent, userMessage + refinementContext, currentFiles, analysisResult);
+        currentPlan = await createPlan(intent, userMessage + refinementContext, currentFiles, analysisResult, this.signal);
       }
+      this.throwIfAborted();
 
       // Review the generated plan
       if (!this.reflectionEnabled) {
@@ -470,8 +597,9 @@ export class AgentOrchestrator {
 
       let review;
       try {
-        review = await reviewPlan(currentPlan, userMessage);
+        review = await reviewPlan(currentPlan, userMessage, this.signal, currentFiles);
       } catch (error) {
+        if (isAbortError(error)) throw error;
         console.warn(`Plan review failed: ${error.message}. Skipping reflection.`);
         // If review fails, accept the plan as-is
         this.sendUpdate({
@@ -566,7 +694,7 @@ export class AgentOrchestrator {
           content: `Generating ${filename}...`
         }, 'generator', 'generatingFile', { filename });
 
-        currentCode = await generateCode(plan, userMessage, filename);
+        currentCode = await generateCode(plan, userMessage, filename, this.createTokenStreamer(filename, 'create'), this.signal);
       } else {
         // Refinement iteration
         this.sendUpdate({
@@ -582,8 +710,9 @@ export class AgentOrchestrator {
           summary: `${plan.summary}\n\nIMPROVEMENTS NEEDED:\n${improvementInstructions}`
         };
 
-        currentCode = await generateCode(improvedPlan, userMessage, filename);
+        currentCode = await generateCode(improvedPlan, userMessage, filename, this.createTokenStreamer(filename, 'create'), this.signal);
       }
+      this.throwIfAborted();
 
       // Review the generated code
       if (!this.reflectionEnabled) {
@@ -598,8 +727,9 @@ export class AgentOrchestrator {
 
       let review;
       try {
-        review = await reviewCode(currentCode, filename, userMessage, fileSpec);
+        review = await reviewCode(currentCode, filename, userMessage, fileSpec, this.signal);
       } catch (error) {
+        if (isAbortError(error)) throw error;
         console.warn(`Code review failed for ${filename}: ${error.message}. Skipping reflection.`);
         // If review fails, accept the code as-is
         break;
@@ -655,6 +785,77 @@ export class AgentOrchestrator {
     };
   }
 
+  /**
+   * Runtime smoke test of the project as these file operations leave it
+   * Failures go to the iterative debugger, whose fixes are merged into the operations (in place);
+   * the test then runs again, up to MAX_RUNTIME_FIX_ROUNDS fixes.
+   * @param {Object} workingFiles - Files after planned deletions and renames
+   * @param {Array} fileOperations - Operations to be returned
+   * @param {string} userMessage - User's request, for the debugger
+   * @returns {Promise<Object|null>} Last smoke test result, or null when there's nothing to test
+   */
+  async verifyRuntime(workingFiles, fileOperations, userMessage) {
+    if (!this.smokeTestHost || fileOperations.length === 0) return null;
+
+    for (let round = 0; ; round++) {
+      const projectFiles = { ...workingFiles };
+      fileOperations.filter(op => op.type !== 'delete').forEach(op => {
+        projectFiles[op.filename] = op.content;
+      });
+
+      this.sendUpdate({
+        type: 'thinking',
+        content: 'Test-rendering the app...'
+      }, 'debugger', 'testingRuntime');
+
+      const result = await runSmokeTest(projectFiles, { host: this.smokeTestHost });
+      this.throwIfAborted();
+
+      result.warnings.forEach(warn => console.warn(`⚠️  Runtime warning: ${warn.message.split('\n')[0]}`));
+      if (result.skipped || result.passed) {
+        if (!result.skipped) console.log(`✅ Runtime smoke test passed${round > 0 ? ` after ${round} fix${round > 1 ? 'es' : ''}` : ''}`);
+        return result;
+      }
+
+      const errorMessage = formatSmokeTestErrors(result.errors);
+      console.error(`❌ Runtime smoke test failed:\n${errorMessage}`);
+      if (round === MAX_RUNTIME_FIX_ROUNDS) return result;
+
+      this.sendUpdate({
+        type: 'thinking',
+        content: `The app throws when rendered - fixing it:\n${errorMessage}`
+      }, 'debugger', 'fixingRuntimeError', { value: result.errors[0].message });
+
+      const debugResult = await debugAndFixIterative({
+        errorMessage,
+        currentFiles: projectFiles,
+        userMessage,
+        signal: this.signal
+      });
+      this.throwIfAborted();
+
+      if (!debugResult.success) {
+        console.warn(`⚠️  Could not fix the runtime error: ${debugResult.message}`);
+        return result;
+      }
+
+      debugResult.fixedFiles.forEach(({ filename, fixedCode }) => {
+        const existing = fileOperations.find(op => op.filename === filename && op.type !== 'delete');
+        if (existing) {
+          existing.content = fixedCode;
+        } else {
+          fileOperations.push({ type: 'modify', filename, content: fixedCode });
+        }
+
+        this.sendUpdate({
+          type: 'file_operation',
+          content: `Fixed runtime error in ${filename}`,
+          data: { filename, operation: 'fix' }
+        });
+      });
+    }
+  }
+
   /**
    * Handle bug fixing workflow
    */
@@ -672,7 +873,8 @@ export class AgentOrchestrator {
       const debugResult = await debugAndFixIterative({
         errorMessage: userMessage,
         currentFiles,
-        userMessage
+        userMessage,
+        signal: this.signal
       });
 
       // Show iteration details to user
@@ -739,6 +941,10 @@ export class AgentOrchestrator {
       };
 
     } catch (error) {
+      if (isAbortError(error)) {
+        return this.abortedResult();
+      }
+
       console.error('Bug fix error:', error);
 
       this.sendUpdate({
@@ -753,6 +959,79 @@ export class AgentOrchestrator {
     }
   }
 
+  /**
+   * Handle explain_code workflow
+   * Answers the question with file:line citations and returns no file operations
+   */
+  async handleExplanation(userMessage, currentFiles, intentResult, rateLimit = null) {
+    const memory = getConversationMemory();
+
+    try {
+      this.progressTracker = new ProgressTracker(2); // Explain, Complete
+      this.progressTracker.next();
+
+      this.sendUpdate({
+        type: 'thinking',
+        content: 'Reading the code to answer your question...'
+      }, 'analyzer', 'explainingCode');
+
+      // Earlier turns (minus the question just added) so follow-ups build on previous answers
+      const conversationContext = memory.getRecentMessages(7)
+        .slice(0, -1)
+        .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.message.substring(0, 1500)}`)
+        .join('\n\n');
+
+      const explanation = await analyzeForExplanation(userMessage, currentFiles, conversationContext, this.signal);
+      this.throwIfAborted();
+      const citations = explanation.citations || [];
+
+      this.progressTracker.next();
+
+      memory.addTurn('assistant', explanation.explanation, {
+        intent: 'explain_code',
+        citedFiles: [...new Set(citations.map(c => c.file))]
+      });
+
+      this.sendUpdate({
+        type: 'complete',
+        content: explanation.explanation,
+        data: { citations, relevantFiles: explanation.relevantFiles || [] }
+      });
+
+      this.progressTracker = null;
+
+      return {
+        success: true,
+        intent: intentResult,
+        explanation,
+        fileOperations: [],
+        rateLimit
+      };
+
+    } catch (error) {
+      if (isAbortError(error)) {
+        return this.abortedResult();
+      }
+
+      console.error('Explanation error:', error);
+
+      const friendlyError = getUserFriendlyError(error, 'explaining the code');
+
+      this.sendUpdate({
+        type: 'error',
+        content: `${friendlyError.message}\n\n💡 ${friendlyError.suggestion}`
+      });
+
+      this.progressTracker = null;
+
+      return {
+        success: false,
+        error: error.message,
+        friendlyError
+      };
+    }
+  }
+
   /**
    * Send update to UI with enhanced user-friendly messaging
    * @param {Object} update - Update object
@@ -761,6 +1040,9 @@ export class AgentOrchestrator {
    * @param {Object} context - Additional context (optional)
    */
   sendUpdate(update, agent = null, operation = null, context = {}) {
+    // Nothing more reaches the UI once the user has stopped the request
+    if (this.signal?.aborted) return;
+
     // If agent and operation provided, create user-friendly message
     if (agent && operation) {
       const userMsg = createUserMessage(agent, operation, context, 'active');
@@ -787,12 +1069,33 @@ export class AgentOrchestrator {
     }
   }
 
+  /**
+   * Create an onToken callback that streams a file's content to the UI
+   * Emits 'token' updates carrying the full text so far, so retries and
+   * refinement iterations simply replace what was shown
+   * @param {string} filename - File being written
+   * @param {string} operation - 'create' or 'modify'
+   * @returns {Function} Callback for callLLM's onToken option
+   */
+  createTokenStreamer(filename, operation) {
+    return (token, content) => {
+      if (this.signal?.aborted) return;
+      this.onUpdate({
+        type: 'token',
+        content: token,
+        data: { filename, operation, content }
+      });
+    };
+  }
+
   /**
    * Generate success message based on operations performed
    */
   generateSuccessMessage(plan, fileOperations) {
     const createdFiles = fileOperations.filter(op => op.type === 'create');
     const modifiedFiles = fileOperations.filter(op => op.type === 'modify');
+    const renamedFiles = fileOperations.filter(op => op.type === 'rename');
+    const deletedFiles = fileOperations.filter(op => op.type === 'delete');
 
     let message = '✅ ' + plan.summary + '\n\n';
 
@@ -811,6 +1114,22 @@ export class AgentOrchestrator {
       });
     }
 
+    if (renamedFiles.length > 0) {
+      if (createdFiles.length > 0 || modifiedFiles.length > 0) message += '\n';
+      message += `🚚 Moved ${renamedFiles.length} file(s):\n`;
+      renamedFiles.forEach(op => {
+        message += `   • ${op.from} → ${op.filename}\n`;
+      });
+    }
+
+    if (deletedFiles.length > 0) {
+      if (createdFiles.length > 0 || modifiedFiles.length > 0 || renamedFiles.length > 0) message += '\n';
+      message += `🗑️  Deleted ${deletedFiles.length} file(s):\n`;
+      deletedFiles.forEach(op => {
+        message += `   • ${op.filename}\n`;
+      });
+    }
+
     message += '\nYour code is ready in the editor!';
 
     return message;
@@ -819,8 +1138,14 @@ export class AgentOrchestrator {
 
 /**
  * Convenience function to process a message
+ * @param {string} userMessage - User's message
+ * @param {Object} currentFiles - Current files map
+ * @param {Function} onUpdate - Streaming updates callback
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the request; resolves with `{ success: false, aborted: true }`
+ * @param {Function} [options.smokeTestHost] - Renders generated apps before they're returned (see smokeTest.js)
  */
-export async function processMessage(userMessage, currentFiles, onUpdate) {
-  const orchestrator = new AgentOrchestrator(onUpdate);
+export async function processMessage(userMessage, currentFiles, onUpdate, { signal, smokeTestHost } = {}) {
+  const orchestrator = new AgentOrchestrator(onUpdate, { signal, smokeTestHost });
   return await orchestrator.processUserMessage(userMessage, currentFiles);
 }
@@ -91,6 +91,19 @@ export function determineAgentRoute(userMessage, intent, currentFiles = {}) {
     return route;
   }
 
+  // Question about the code - analyzer answers, nothing is generated
+  if (intent.intent === 'explain_code') {
+    route = {
+      ...route,
+      skipPlanner: true,
+      skipReviewer: true,
+      skipReflection: true,
+      reason: 'Explanation: Analyzer answers in chat',
+      estimatedTime: 'fast'
+    };
+    return route;
+  }
+
   // Create new app - skip analyzer (no code to analyze)
   if (intent.intent === 'create_new' || !hasExistingCode) {
     route = {
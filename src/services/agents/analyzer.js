@@ -1,4 +1,4 @@
-import { callLLMForJSON } from "../utils/llm/llmClient.js";
+import { callLLMForJSON, isAbortError } from "../utils/llm/llmClient.js";
 import { MODELS } from "../config/modelConfig.js";
 import { THINKING_FRAMEWORK } from "../promptTemplates.js";
 import compressedPrompts from "../compressedPrompts.json" with { type: "json" };
@@ -29,7 +29,7 @@ export const AnalysisMode = {
  * @param {string} [options.mode='modification'] - Analysis mode
  * @returns {Promise<Object>} Analysis result
  */
-export async function analyze({ userMessage, currentFiles = {}, mode = AnalysisMode.MODIFICATION }) {
+export async function analyze({ userMessage, currentFiles = {}, mode = AnalysisMode.MODIFICATION, conversationContext = '' }) {
   // Route to appropriate analysis function based on mode
   switch (mode) {
     case AnalysisMode.MODIFICATION:
@@ -42,7 +42,7 @@ export async function analyze({ userMessage, currentFiles = {}, mode = AnalysisM
       return await analyzeForStyleExtraction(userMessage, currentFiles);
 
     case AnalysisMode.EXPLAIN:
-      return await analyzeForExplanation(userMessage, currentFiles);
+      return await analyzeForExplanation(userMessage, currentFiles, conversationContext);
 
     default:
       return await analyzeForModification(userMessage, currentFiles);
@@ -53,9 +53,10 @@ export async function analyze({ userMessage, currentFiles = {}, mode = AnalysisM
  * Analyze codebase for modification (original function, enhanced)
  * @param {string} userMessage - User's modification request
  * @param {Object} currentFiles - Current files map
+ * @param {AbortSignal} [signal] - Cancels the request
  * @returns {Promise<Object>} Modification analysis
  */
-async function analyzeForModification(userMessage, currentFiles = {}) {
+async function analyzeForModification(userMessage, currentFiles = {}, signal = null) {
   // If no files exist, nothing to analyze
   if (Object.keys(currentFiles).length === 0) {
     return {
@@ -147,7 +148,8 @@ If the request doesn't require modification analysis (e.g., creating new files),
       systemPrompt,
       userPrompt: `Analyze the codebase for this modification request: "${userMessage}"\n\nCodebase:\n${filesContext}`,
       maxTokens: 10000,  // Increased for GPT-5 reasoning tokens (~4000-5000) + JSON output (~2000-5000)
-      temperature: 0.3
+      temperature: 0.3,
+      signal
     });
 
     // Extract UX and Architecture from existing code
@@ -156,6 +158,8 @@ If the request doesn't require modification analysis (e.g., creating new files),
 
     return analysis;
   } catch (error) {
+    // Cancelled by the user - nothing to fall back to
+    if (isAbortError(error)) throw error;
     console.error("Codebase analysis error:", error);
     return {
       needsAnalysis: false,
@@ -305,27 +309,69 @@ Respond ONLY with JSON:
   }
 }
 
+/**
+ * Prefix every line with its 1-based line number so the model can cite lines
+ * @param {string} content - File content
+ * @returns {string} Numbered content
+ */
+function numberLines(content) {
+  const lines = content.split('\n');
+  const width = String(lines.length).length;
+  return lines
+    .map((line, i) => `${String(i + 1).padStart(width, ' ')}| ${line}`)
+    .join('\n');
+}
+
+/**
+ * Keep only citations that point at real files, clamping line ranges to the file length
+ * @param {Array} citations - Citations returned by the model
+ * @param {Object} currentFiles - Current files map
+ * @returns {Array<{file: string, startLine: number, endLine: number, description: string}>}
+ */
+function validateCitations(citations, currentFiles) {
+  if (!Array.isArray(citations)) return [];
+
+  return citations
+    .filter(c => c && typeof c === 'object' && typeof currentFiles[c.file] === 'string')
+    .map(c => {
+      const lineCount = currentFiles[c.file].split('\n').length;
+      const startLine = Math.min(Math.max(parseInt(c.startLine, 10) || 1, 1), lineCount);
+      const endLine = Math.min(Math.max(parseInt(c.endLine, 10) || startLine, startLine), lineCount);
+      return {
+        file: c.file,
+        startLine,
+        endLine,
+        description: c.description || ''
+      };
+    });
+}
+
 /**
  * Analyze codebase for explanation
- * Provides understanding of code functionality
+ * Answers questions about the code with file/line citations - never proposes file changes
  * @param {string} userMessage - User's question about code
  * @param {Object} currentFiles - Current files map
- * @returns {Promise<Object>} Explanation
+ * @param {string} [conversationContext=''] - Recent conversation, for follow-up questions
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Object>} Explanation with validated citations
+ * @throws {Error} When no explanation could be generated
  */
-async function analyzeForExplanation(userMessage, currentFiles) {
+export async function analyzeForExplanation(userMessage, currentFiles, conversationContext = '', signal = null) {
   if (Object.keys(currentFiles).length === 0) {
     return {
       explanation: 'No code to explain',
-      relevantFiles: []
+      relevantFiles: [],
+      citations: []
     };
   }
 
   const filesContext = Object.entries(currentFiles)
-    .map(([filename, content]) => `File: ${filename}\n\`\`\`\n${content}\n\`\`\``)
+    .map(([filename, content]) => `File: ${filename}\n\`\`\`\n${numberLines(content)}\n\`\`\``)
     .join("\n\n");
 
   const systemPrompt = `You are a code explanation agent for React applications.
-Explain the code functionality in clear, understandable terms.
+Answer the user's question about the code in clear, understandable terms.
+You only explain - never rewrite or propose replacement files.
 
 ${THINKING_FRAMEWORK}
 
@@ -335,32 +381,49 @@ Focus on:
 - Key functionality and features
 - Data flow and state management
 
+Citations:
+- Every file is shown with line numbers ("12| code")
+- Back up each claim with the exact lines it comes from
+- Cite inline in the explanation as [path/File.jsx:12-18] (or [path/File.jsx:12] for one line)
+- List every inline citation in "citations" with the same file and line range
+- Only cite files and lines that exist in the codebase
+
+If earlier conversation is provided, treat the question as a follow-up and build on previous answers.
+
 Respond ONLY with JSON:
 {
-  "explanation": "Clear explanation of the code",
+  "explanation": "Clear answer with inline citations like [App.jsx:12-18]",
   "relevantFiles": ["files related to the question"],
+  "citations": [
+    { "file": "App.jsx", "startLine": 12, "endLine": 18, "description": "Timer interval setup" }
+  ],
   "keyFeatures": ["Feature 1", "Feature 2"],
   "architecture": "Brief overview of code structure",
   "suggestions": ["Optional improvement suggestions"]
 }`;
 
+  const contextBlock = conversationContext
+    ? `Earlier conversation:\n${conversationContext}\n\n`
+    : '';
+
   try {
     const analysis = await callLLMForJSON({
       model: MODELS.ANALYZER,
       systemPrompt,
-      userPrompt: `Explain: "${userMessage}"\n\nCodebase:\n${filesContext}`,
+      userPrompt: `${contextBlock}Explain: "${userMessage}"\n\nCodebase:\n${filesContext}`,
       maxTokens: 8000,  // Increased for GPT-5 reasoning tokens (~3000-4000) + JSON output (~2000-3000)
-      temperature: 0.5
+      temperature: 0.5,
+      signal
     });
 
+    analysis.citations = validateCitations(analysis.citations, currentFiles);
+    analysis.relevantFiles = (analysis.relevantFiles || []).filter(f => currentFiles[f] !== undefined);
+
     return analysis;
   } catch (error) {
-    console.error("Explanation error:", error);
-    return {
-      explanation: `Unable to generate explanation: ${error.message}`,
-      relevantFiles: Object.keys(currentFiles),
-      keyFeatures: []
-    };
+    // No fallback answer - a raw error must not show up in chat as the explanation
+    if (!isAbortError(error)) console.error("Explanation error:", error);
+    throw error;
   }
 }
 
@@ -370,5 +433,6 @@ export const analyzeCodebaseForModification = analyzeForModification;
 export default {
   analyze,
   analyzeCodebaseForModification,
+  analyzeForExplanation,
   AnalysisMode
 };
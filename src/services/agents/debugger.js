@@ -1,4 +1,4 @@
-import { callLLMForJSON } from "../utils/llm/llmClient.js";
+import { callLLMForJSON, isAbortError, throwIfAborted } from "../utils/llm/llmClient.js";
 import { MODELS } from "../config/modelConfig.js";
 import compressedPrompts from "../compressedPrompts.json" with { type: "json" };
 import { modifyCode } from "./modifier.js";
@@ -923,12 +923,14 @@ function generateSpecificInstructions(history) {
 /**
  * Iterative Debug and Fix - Learns from failures
  * @param {Object} params - Same as debugAndFix
+ * @param {AbortSignal} [params.signal] - Stops between and during attempts (throws an AbortError)
  * @returns {Promise<Object>} - Fix result with iteration history
  */
 export async function debugAndFixIterative({
   errorMessage,
   currentFiles,
-  userMessage
+  userMessage,
+  signal = null
 }) {
   const maxAttempts = 3;
   const attemptHistory = [];
@@ -1029,6 +1031,7 @@ CRITICAL REQUIREMENTS:
 
     // Iteration loop
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      throwIfAborted(signal);
       console.log(`🔧 Attempt ${attempt}/${maxAttempts}...`);
 
       // Pre-process the code BEFORE sending to LLM (Fix 1: prevent LLM from reintroducing bugs)
@@ -1058,7 +1061,8 @@ The code you receive already uses import syntax - keep it that way.`
       const result = await modifyCode({
         currentCode: codeToFix,
         userMessage: constrainedPrompt,
-        filename: targetFile
+        filename: targetFile,
+        signal
       });
 
       let fixedCode = result.code || result;
@@ -1137,6 +1141,8 @@ The code you receive already uses import syntax - keep it that way.`
     };
 
   } catch (error) {
+    // Cancelled by the user - partial attempts are discarded
+    if (isAbortError(error)) throw error;
     console.error('Error in debugAndFixIterative:', error);
     return {
       success: false,
@@ -1,8 +1,8 @@
-import { callLLMAndExtract } from "../utils/llm/llmClient.js";
+import { callLLMAndExtract, isAbortError } from "../utils/llm/llmClient.js";
 import { MODELS } from "../config/modelConfig.js";
 import { cleanGeneratedCode } from "../utils/code/codeCleanup.js";
 import { validateRuntimeSafety } from "../utils/validation/runtimeValidation.js";
-import { autoFixCommonIssues } from "../utils/code/autoFix.js";
+import { autoFixWithReport } from "../utils/code/autoFix.js";
 import {
   THINKING_FRAMEWORK,
   CODE_FORMATTING_STANDARDS,
@@ -27,15 +27,19 @@ import { agentConfig } from "../config/agentConfig.js";
  * @param {object} planOrOptions - Either the plan object (old signature) or options object (new signature)
  * @param {string} userMessage - User's request (only for old signature)
  * @param {string} filename - File being generated (only for old signature)
+ * @param {Function} onToken - Streaming callback (token, fullTextSoFar) (only for old signature; pass `onToken` in options otherwise)
+ * @param {AbortSignal} signal - Cancels generation (only for old signature; pass `signal` in options otherwise)
  * @returns {string|object} - Either code string (old signature) or { code: string } (new signature)
  */
-export async function generateCode(planOrOptions, userMessage, filename) {
+export async function generateCode(planOrOptions, userMessage, filename, onToken = null, signal = null) {
   // Support both old signature (positional params) and new signature (object param)
   const isNewSignature = typeof planOrOptions === 'object' && planOrOptions.filename;
 
   const filename2 = isNewSignature ? planOrOptions.filename : filename;
   const uxDesign = isNewSignature ? planOrOptions.uxDesign : null;
   const architecture = isNewSignature ? planOrOptions.architecture : null;
+  onToken = isNewSignature ? (planOrOptions.onToken || null) : onToken;
+  signal = isNewSignature ? (planOrOptions.signal || null) : signal;
 
   // Build a plan from the new signature if needed
   const plan = isNewSignature
@@ -78,6 +82,7 @@ ${COMPONENT_GRANULARITY}
 Code Generation Guidelines:
 - Use functional components with hooks
 - **CRITICAL**: Apply modern Tailwind CSS styling to ALL components (shadows, rounded corners, proper colors, hover states)
+- Tailwind is v4: use opacity modifiers (bg-black/50), not bg-opacity-*/text-opacity-*, and give borders and rings an explicit color
 - **CRITICAL**: Use correct import paths based on file location
   * If generating App.jsx: import from './components/...', './hooks/...'
   * If generating a component: import other components from './ComponentName' or '../hooks/...'
@@ -288,14 +293,23 @@ If initialData is specified, initialize with REAL data, not empty arrays/null va
       systemPrompt,
       userPrompt: `I need you to generate the file: ${filename2}${customStyleGuide}${detailedContext}${dependencyContext}\n\nGeneral Context: ${plan.summary}\n\nUser's request: ${userMessage}\n\nRemember: Generate ONLY the code for ${filename2}. Do not generate any other files. Follow ALL specifications above, especially the color scheme and design style.`,
       maxTokens: 8000,  // Increased for GPT-5 reasoning tokens + output (complex files need more)
-      temperature: 0.7
+      temperature: 0.7,
+      onToken,
+      signal
     });
 
     // Step 1: Clean generated code (remove markdown, etc.)
     code = cleanGeneratedCode(code);
 
     // Step 2: Auto-fix common issues
-    code = autoFixCommonIssues(code, filename2);
+    const autoFix = autoFixWithReport(code, filename2);
+    code = autoFix.code;
+    if (autoFix.changes.length > 0) {
+      console.log(`🔧 Auto-fixed ${filename2}:`);
+      autoFix.changes.forEach(change => {
+        console.log(`  Line ${change.line}: ${change.message}`);
+      });
+    }
 
     // Step 3: Validate runtime safety
     const validation = validateRuntimeSafety(code, filename2);
@@ -317,6 +331,8 @@ If initialData is specified, initialize with REAL data, not empty arrays/null va
     // Return object for new signature, string for old signature
     return isNewSignature ? { code } : code;
   } catch (error) {
+    // Cancelled by the user - nothing to fall back to
+    if (isAbortError(error)) throw error;
     console.error("Code generation error:", error);
     const errorCode = `// Error generating code for ${filename2}\nexport default function Component() {\n  return <div>Component</div>;\n}`;
     return isNewSignature ? { code: errorCode } : errorCode;
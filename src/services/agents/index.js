@@ -49,6 +49,7 @@ export {
 // Plan Reviewer Agent
 export {
   reviewPlan,
+  reviewFileMoves,
   generatePlanImprovementInstructions,
   hasPlanImproved
 } from './planReviewer.js';
@@ -1,12 +1,15 @@
-import { callLLMForJSON } from "../utils/llm/llmClient.js";
+import { callLLMForJSON, isAbortError } from "../utils/llm/llmClient.js";
 import { MODELS } from "../config/modelConfig.js";
 
 /**
  * Intent Classifier Agent
  * Analyzes user message and determines the intent
  * Uses gpt-4o-mini for fast, reliable classification without reasoning overhead
+ * @param {string} userMessage - User's message
+ * @param {string} [previousIntent] - Intent of the previous turn, used to keep follow-up questions in context
+ * @param {AbortSignal} [signal] - Cancels the request
  */
-export async function classifyIntent(userMessage) {
+export async function classifyIntent(userMessage, previousIntent = null, signal = null) {
   const systemPrompt = `You are an intent classifier for a React code generation tool.
 Analyze the user's message and classify it into ONE of these categories:
 - create_new: User wants to create a new component/app from scratch
@@ -27,13 +30,18 @@ Respond ONLY with a JSON object in this format:
     const result = await callLLMForJSON({
       model: MODELS.INTENT_CLASSIFIER,
       systemPrompt,
-      userPrompt: userMessage,
+      userPrompt: previousIntent === 'explain_code'
+        ? `The previous message was a question about the code that has been answered. Short follow-up questions are explain_code.\n\nMessage: ${userMessage}`
+        : userMessage,
       maxTokens: 500,
-      temperature: 0.3
+      temperature: 0.3,
+      signal
     });
 
     return result;
   } catch (error) {
+    // Cancelled by the user - nothing to fall back to
+    if (isAbortError(error)) throw error;
     console.error("Intent classification error:", error);
     return { intent: "create_new", confidence: 0.5, reasoning: "Fallback intent" };
   }
@@ -1,6 +1,15 @@
-import { callLLMAndExtract } from "../utils/llm/llmClient.js";
+import { callLLMAndExtract, isAbortError } from "../utils/llm/llmClient.js";
 import { MODELS } from "../config/modelConfig.js";
 import { cleanGeneratedCode } from "../utils/code/codeCleanup.js";
+import {
+  EDIT_BLOCK_MARKERS,
+  NO_CHANGES_REPLY,
+  applyEdits,
+  describePatch,
+  describePatchFailure,
+  parseEdits,
+  previewEdits
+} from "../utils/code/editPatch.js";
 import {
   THINKING_FRAMEWORK,
   CODE_FORMATTING_STANDARDS,
@@ -53,6 +62,114 @@ function extractColorScheme(code) {
   };
 }
 
+/**
+ * Modification guidelines shared by the patch and full-rewrite prompts
+ */
+function buildModificationGuidelines(filename, targetContext, colorContext) {
+  return `${THINKING_FRAMEWORK}
+
+${PACKAGE_MANAGEMENT_RULES}
+
+${SANDPACK_NAVIGATION_RULES}
+
+${NO_INITIALIZATION_CODE}
+
+${CODE_FORMATTING_STANDARDS}
+
+${MODERN_UI_STANDARDS}
+
+${FOLDER_STRUCTURE_REQUIREMENTS}
+
+${PRE_CHECK_INSTRUCTIONS}
+
+${SIMPLICITY_GUIDELINES}
+
+${COMPLETENESS_PRINCIPLES}
+
+${IMPORT_RESOLUTION_RULES}
+
+Code Modification Guidelines:
+- **First, check if the requested change already exists** in the code
+- Make ONLY the minimal changes needed to fulfill the request
+- Preserve existing functionality unless explicitly asked to change it
+- Maintain existing code style and structure
+- **Maintain or improve modern Tailwind styling** - if code lacks modern styling, enhance it when modifying
+- **Maintain proper folder structure and import paths**
+  * If in App.jsx: imports should be './components/...', './hooks/...'
+  * If in a component: imports should use relative paths based on folder location
+- Add ALL necessary imports for new dependencies
+- Write COMPLETE, FULLY FUNCTIONAL code (no TODOs or placeholders)
+- Don't overengineer - avoid adding complex error handling unless requested
+- Add helpful comments only for new complex logic
+- Ensure the code remains clean, readable, and visually appealing
+${targetContext ? "\n- **CRITICAL**: Apply the specific changes listed above - these are targeted modifications based on codebase analysis" : ""}
+
+Modify the code in: ${filename}
+${targetContext}
+${colorContext}
+
+Import Path Awareness:
+- If ${filename} is "App.jsx": keep imports as './components/...', './hooks/...'
+- If ${filename} is "components/SomeComponent.jsx": use './' for same folder, '../hooks/...' for hooks
+- Maintain consistency with existing import patterns in the file
+
+CRITICAL: Only change what was requested. Everything else must remain identical.`;
+}
+
+/**
+ * Ask the model for search/replace edits and apply them
+ * While the reply streams, onToken receives the file with the edits received so far applied
+ * @returns {Promise<{code: string|null, report: {mode: string, hunks: Array, fallbackReason?: string}}>}
+ *   code is null when the edits couldn't be read or didn't all apply (report says why)
+ */
+async function requestPatch({ currentCode, filename, systemPrompt, userPrompt, onToken, signal }) {
+  let previewEnd = -1;
+  let preview = currentCode;
+  const streamPreview = onToken && ((token, fullText) => {
+    // Re-apply only when another block has finished
+    const end = fullText.lastIndexOf(EDIT_BLOCK_MARKERS.replace);
+    if (end !== previewEnd) {
+      previewEnd = end;
+      preview = previewEdits(currentCode, fullText);
+    }
+    onToken(token, preview);
+  });
+
+  let reply;
+  try {
+    reply = await callLLMAndExtract({
+      model: MODELS.MODIFIER,
+      systemPrompt,
+      userPrompt,
+      maxTokens: 8000,  // Reasoning tokens + edits (a fraction of the file)
+      temperature: 0.2,
+      onToken: streamPreview,
+      signal
+    });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.warn(`⚠️ Patch request for ${filename} failed:`, error.message);
+    return { code: null, report: { mode: 'rewrite', hunks: [], fallbackReason: 'error' } };
+  }
+
+  const { edits, noChanges, error } = parseEdits(reply);
+  if (noChanges) {
+    console.log(`✅ ${filename} already has the requested change`);
+    return { code: currentCode, report: { mode: 'patch', hunks: [] } };
+  }
+  if (error) {
+    return { code: null, report: { mode: 'rewrite', hunks: [], fallbackReason: error } };
+  }
+
+  const result = applyEdits(currentCode, edits);
+  const report = { mode: result.applied ? 'patch' : 'rewrite', hunks: result.hunks };
+  if (result.applied) {
+    console.log(`🩹 ${filename}: ${describePatch(report)}`);
+  }
+
+  return { code: result.applied ? result.code : null, report };
+}
+
 /**
  * Code Modifier Agent
  * Modifies existing code based on requirements
@@ -62,9 +179,13 @@ function extractColorScheme(code) {
  * @param {string} userMessage - User's modification request (only for old signature)
  * @param {string} filename - File being modified (only for old signature)
  * @param {Array} analysisTargets - Specific change targets (only for old signature)
- * @returns {string|object} - Either code string (old signature) or { code: string } (new signature)
+ * @param {Function} onToken - Streaming callback (token, fullTextSoFar) (only for old signature; pass `onToken` in options otherwise)
+ * @param {AbortSignal} signal - Cancels the modification (only for old signature; pass `signal` in options otherwise)
+ * @returns {string|object} - Either code string (old signature) or { code: string, patch } (new signature).
+ *   patch reports how the file was changed: { mode: 'patch'|'rewrite', hunks, fallbackReason? } (see editPatch.js).
+ *   The model is asked for search/replace edits first; the whole file is only rewritten when they don't apply.
  */
-export async function modifyCode(currentCodeOrOptions, userMessage, filename, analysisTargets = null) {
+export async function modifyCode(currentCodeOrOptions, userMessage, filename, analysisTargets = null, onToken = null, signal = null) {
   // Support both old signature (positional params) and new signature (object param)
   const isNewSignature = typeof currentCodeOrOptions === 'object' && currentCodeOrOptions.filename;
 
@@ -72,6 +193,8 @@ export async function modifyCode(currentCodeOrOptions, userMessage, filename, an
   userMessage = isNewSignature ? currentCodeOrOptions.userMessage : userMessage;
   filename = isNewSignature ? currentCodeOrOptions.filename : filename;
   analysisTargets = isNewSignature ? (currentCodeOrOptions.changeTargets || currentCodeOrOptions.analysisTargets) : analysisTargets;
+  onToken = isNewSignature ? (currentCodeOrOptions.onToken || null) : onToken;
+  signal = isNewSignature ? (currentCodeOrOptions.signal || null) : signal;
 
   // DEBUG: Log what modifier received
   console.log('🔧 Modifier received:');
@@ -101,59 +224,38 @@ This file currently uses these colors - maintain this palette when adding new el
 CRITICAL: When adding new UI elements, use colors from this existing palette to maintain visual consistency.
 DO NOT introduce new random colors that clash with the existing design.` : "";
 
-  const systemPrompt = `You are an expert code modification agent.
-Given existing code and a modification request, generate the COMPLETE updated code with modern, beautiful styling.
+  const guidelines = buildModificationGuidelines(filename, targetContext, colorContext);
 
-${RAW_CODE_OUTPUT_ONLY}
+  const patchPrompt = `You are an expert code modification agent.
+Given existing code and a modification request, reply with the EDITS that make the change - not the whole file.
 
-${THINKING_FRAMEWORK}
+${guidelines}
 
-${PACKAGE_MANAGEMENT_RULES}
+Edit Format:
+Reply with one search/replace block per change:
 
-${SANDPACK_NAVIGATION_RULES}
+${EDIT_BLOCK_MARKERS.search}
+exact lines copied from the current code
+${EDIT_BLOCK_MARKERS.divider}
+the lines that replace them
+${EDIT_BLOCK_MARKERS.replace}
 
-${NO_INITIALIZATION_CODE}
-
-${CODE_FORMATTING_STANDARDS}
-
-${MODERN_UI_STANDARDS}
-
-${FOLDER_STRUCTURE_REQUIREMENTS}
+- SEARCH lines must be copied EXACTLY (same whitespace and indentation) and appear ONCE in the file -
+  add a neighbouring line or two when they could match more than one place
+${targetContext ? "- Anchor each block on the code named in the specific changes above\n" : ""}- Keep blocks small, in file order, and never overlapping
+- To add code, SEARCH for the lines next to where it goes and repeat them in REPLACE along with the new code
+- To remove code, leave REPLACE empty
+- New imports get their own block, anchored on an existing import
+- If the file already does what was asked, reply with exactly: ${NO_CHANGES_REPLY}
 
-${PRE_CHECK_INSTRUCTIONS}
-
-${SIMPLICITY_GUIDELINES}
-
-${COMPLETENESS_PRINCIPLES}
-
-${IMPORT_RESOLUTION_RULES}
+FINAL REMINDER: Your response must be ONLY search/replace blocks. NO markdown fences, NO explanations.`;
 
-Code Modification Guidelines:
-- **First, check if the requested change already exists** in the code
-- Make ONLY the minimal changes needed to fulfill the request
-- Preserve existing functionality unless explicitly asked to change it
-- Maintain existing code style and structure
-- **Maintain or improve modern Tailwind styling** - if code lacks modern styling, enhance it when modifying
-- **Maintain proper folder structure and import paths**
-  * If in App.jsx: imports should be './components/...', './hooks/...'
-  * If in a component: imports should use relative paths based on folder location
-- Add ALL necessary imports for new dependencies
-- Generate COMPLETE, FULLY FUNCTIONAL code (no TODOs or placeholders)
-- Don't overengineer - avoid adding complex error handling unless requested
-- Add helpful comments only for new complex logic
-- Ensure the code remains clean, readable, and visually appealing
-${targetContext ? "\n- **CRITICAL**: Apply the specific changes listed above - these are targeted modifications based on codebase analysis" : ""}
-
-Modify the code in: ${filename}
-${targetContext}
-${colorContext}
+  const rewritePrompt = `You are an expert code modification agent.
+Given existing code and a modification request, generate the COMPLETE updated code with modern, beautiful styling.
 
-Import Path Awareness:
-- If ${filename} is "App.jsx": keep imports as './components/...', './hooks/...'
-- If ${filename} is "components/SomeComponent.jsx": use './' for same folder, '../hooks/...' for hooks
-- Maintain consistency with existing import patterns in the file
+${RAW_CODE_OUTPUT_ONLY}
 
-CRITICAL: Only change what was requested. Everything else must remain identical.
+${guidelines}
 
 ${RAW_CODE_OUTPUT_ONLY}
 
@@ -203,12 +305,24 @@ FINAL REMINDER: Your response must be ONLY raw code. Start with import/const/fun
       }
     }
 
+    const userPrompt = `Current code:\n\`\`\`\n${currentCode}\n\`\`\`${approachGuidance}${bestPractices}\n\nModification request: ${userMessage}`;
+
+    // First ask for edits: far fewer output tokens, and unrelated code can't be dropped
+    const patch = await requestPatch({ currentCode, filename, systemPrompt: patchPrompt, userPrompt, onToken, signal });
+    if (patch.code !== null) {
+      return isNewSignature ? { code: patch.code, patch: patch.report } : patch.code;
+    }
+
+    // Edits didn't apply - rewrite the whole file
+    console.warn(`⚠️ Edits for ${filename} didn't apply (${describePatchFailure(patch.report)}) - rewriting the whole file`);
     const rawCode = await callLLMAndExtract({
       model: MODELS.MODIFIER,
-      systemPrompt,
-      userPrompt: `Current code:\n\`\`\`\n${currentCode}\n\`\`\`${approachGuidance}${bestPractices}\n\nModification request: ${userMessage}`,
+      systemPrompt: rewritePrompt,
+      userPrompt,
       maxTokens: 12000,  // Increased for GPT-5 reasoning tokens (~5000) + output (~7000)
-      temperature: 0.7
+      temperature: 0.7,
+      onToken,
+      signal
     });
 
     const cleanedCode = cleanGeneratedCode(rawCode);
@@ -219,8 +333,10 @@ FINAL REMINDER: Your response must be ONLY raw code. Start with import/const/fun
     }
 
     // Return object for new signature, string for old signature
-    return isNewSignature ? { code: cleanedCode } : cleanedCode;
+    return isNewSignature ? { code: cleanedCode, patch: patch.report } : cleanedCode;
   } catch (error) {
+    // Cancelled by the user - nothing to fall back to
+    if (isAbortError(error)) throw error;
     console.error("Code modification error:", error);
     // Return object for new signature, string for old signature
     return isNewSignature ? { code: currentCode } : currentCode;
@@ -1,5 +1,6 @@
-import { callLLMForJSON } from "../utils/llm/llmClient.js";
+import { callLLMForJSON, isAbortError } from "../utils/llm/llmClient.js";
 import { MODELS } from "../config/modelConfig.js";
+import { FileMoveSkip, normalizeFileMoves } from "../utils/code/fileMoves.js";
 
 /**
  * Plan Reviewer Agent
@@ -7,13 +8,53 @@ import { MODELS } from "../config/modelConfig.js";
  * Inspired by AutoGen's Reflection pattern
  */
 
+/**
+ * Why each kind of skipped deletion/rename is a problem, and how to fix it
+ */
+const FILE_MOVE_ISSUES = {
+  [FileMoveSkip.NOT_FOUND]: ["is not in the project", "Only delete or rename existing files"],
+  [FileMoveSkip.INVALID_TARGET]: ["is renamed without a new path", "Give every rename a different \"to\" path"],
+  [FileMoveSkip.TARGET_EXISTS]: ["is renamed onto a path that is already taken", "Rename to a free path, or delete the file that is there"],
+  [FileMoveSkip.CONFLICT]: ["is deleted or renamed more than once", "List each file once in filesToDelete or filesToRename"],
+  [FileMoveSkip.ENTRY_FILE]: ["is the app's entry file and can't be deleted or renamed", "Modify App.jsx instead of deleting or moving it"],
+};
+
+/**
+ * Check the plan's deletions and renames against the project (no LLM call)
+ * @param {Object} plan - The plan object to review
+ * @param {Object} currentFiles - Current files map
+ * @returns {Array} Issues in the reviewPlan format (category "structure")
+ */
+export function reviewFileMoves(plan, currentFiles = {}) {
+  const { deletes, skipped } = normalizeFileMoves(plan, currentFiles);
+
+  const issues = skipped.map(({ file, reason }) => ({
+    severity: "high",
+    category: "structure",
+    description: `${file} ${FILE_MOVE_ISSUES[reason][0]}`,
+    suggestion: FILE_MOVE_ISSUES[reason][1]
+  }));
+
+  const modifying = new Set(plan.filesToModify || []);
+  deletes.filter(({ file }) => modifying.has(file)).forEach(({ file }) => issues.push({
+    severity: "high",
+    category: "structure",
+    description: `${file} is both modified and deleted`,
+    suggestion: "Remove it from filesToModify, or keep the file"
+  }));
+
+  return issues;
+}
+
 /**
  * Review a generated plan and provide feedback
  * @param {Object} plan - The plan object to review
  * @param {string} userRequest - Original user request
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @param {Object} [currentFiles] - Current files map; when given, deletions and renames are checked against it
  * @returns {Object} Review results with quality score and feedback
  */
-export async function reviewPlan(plan, userRequest) {
+export async function reviewPlan(plan, userRequest, signal = null, currentFiles = null) {
   const systemPrompt = `You are an expert UX/UI design reviewer for app planning.
 Your job is to critique planning decisions and identify areas for improvement.
 
@@ -24,6 +65,9 @@ Review Criteria:
 4. **Content Strategy**: Are placeholders, button labels, and copy engaging?
 5. **Design Cohesion**: Do colors, style, and tone work together?
 6. **Uniqueness**: Is this visually distinct or generic?
+7. **File Structure**: When the request merges, splits, moves or removes files, does the plan list the
+   old files in filesToDelete (with replacedBy when merged) or filesToRename? Files left behind after a
+   merge or move are a critical issue.
 
 🚨 BORING COLOR PATTERNS TO REJECT:
 - Monochrome (all blue, all gray, all one color)
@@ -45,7 +89,7 @@ Respond ONLY with a JSON object in this format:
   "issues": [
     {
       "severity": "critical|high|medium|low",
-      "category": "colors|ux|branding|content|design",
+      "category": "colors|ux|branding|content|design|structure",
       "description": "Clear description of the issue",
       "suggestion": "Specific suggestion to fix it"
     }
@@ -96,15 +140,20 @@ Focus especially on color creativity - reject boring/monochrome palettes.`;
       systemPrompt,
       userPrompt,
       maxTokens: 10000,  // Increased for GPT-5 reasoning tokens (~3000-5000) + JSON output (~2000-5000)
-      temperature: 0.3
+      temperature: 0.3,
+      signal
     });
 
+    // Deletions and renames that can't be applied always need a revision
+    const structureIssues = currentFiles ? reviewFileMoves(plan, currentFiles) : [];
+    const hasStructureIssues = structureIssues.length > 0;
+
     // Ensure required fields exist
     return {
       qualityScore: review.qualityScore || 70,
-      approved: review.approved ?? (review.qualityScore >= 75 && (review.colorCreativityScore || 70) >= 70),
-      needsRevision: review.needsRevision ?? (review.qualityScore < 75 || (review.colorCreativityScore || 70) < 70),
-      issues: review.issues || [],
+      approved: !hasStructureIssues && (review.approved ?? (review.qualityScore >= 75 && (review.colorCreativityScore || 70) >= 70)),
+      needsRevision: hasStructureIssues || (review.needsRevision ?? (review.qualityScore < 75 || (review.colorCreativityScore || 70) < 70)),
+      issues: [...(review.issues || []), ...structureIssues],
       colorCreativityScore: review.colorCreativityScore || 70,
       uxCompletenessScore: review.uxCompletenessScore || 70,
       brandingQualityScore: review.brandingQualityScore || 70,
@@ -112,6 +161,7 @@ Focus especially on color creativity - reject boring/monochrome palettes.`;
       overallFeedback: review.overallFeedback || "Review completed"
     };
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error("Plan review error:", error);
     // Re-throw error to allow retry logic to handle it
     // Don't default to approval - let the orchestrator decide how to handle failures
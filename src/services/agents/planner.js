@@ -1,4 +1,4 @@
-import { callLLMForJSON } from "../utils/llm/llmClient.js";
+import { callLLMForJSON, isAbortError } from "../utils/llm/llmClient.js";
 import { MODELS } from "../config/modelConfig.js";
 import {
   THINKING_FRAMEWORK,
@@ -14,8 +14,9 @@ import {
 /**
  * Planning Agent
  * Creates a step-by-step plan for code generation/modification
+ * @param {AbortSignal} [signal] - Cancels the request
  */
-export async function createPlan(intent, userMessage, currentFiles = {}, analysisResult = null) {
+export async function createPlan(intent, userMessage, currentFiles = {}, analysisResult = null, signal = null) {
   const filesContext = Object.keys(currentFiles).length > 0
     ? `\n\nCurrent files in the project:\n${Object.keys(currentFiles).map(f => `- ${f}`).join("\n")}`
     : "\n\nThis is a new empty project.";
@@ -102,6 +103,8 @@ Respond ONLY with a JSON object in this EXACT format (wrapped in delimiters):
   "steps": ["Step 1 description", "Step 2 description", ...],
   "filesToCreate": ["App.jsx", "components/Header.jsx", "hooks/useData.js"],
   "filesToModify": ["components/SomeComponent.jsx"],
+  "filesToDelete": [{ "file": "components/Navbar.jsx", "replacedBy": "components/Header.jsx" }],
+  "filesToRename": [{ "from": "useTimer.js", "to": "hooks/useTimer.js" }],
   "npmPackages": ["package-name"],
   "alreadyExists": false,
   "summary": "Brief summary of what will be done",
@@ -152,7 +155,15 @@ IMPORTANT:
 3. For complex apps (games, forms, dashboards), be VERY detailed in initialData and dataStructure.
    Example: Chess board must specify ALL 32 piece positions, not just "chess pieces".
 
-4. Branding (app name + tagline) should appear once in the most logical location based on your layout design.`;
+4. Branding (app name + tagline) should appear once in the most logical location based on your layout design.
+
+5. When files are merged, moved or removed, list them so no stale files are left behind:
+   - filesToDelete: files that should no longer exist. Add "replacedBy" when another file takes over
+     their exports (e.g. Navbar merged into Header); a plain path string is fine otherwise.
+   - filesToRename: files that move or change name ("from" current path, "to" new path).
+   - Imports of deleted and renamed files are updated in every file automatically - don't add files to
+     filesToModify just to fix those import paths. Never delete App.jsx.
+   - Use empty arrays ([]) when nothing is deleted or renamed.`;
 
   try {
     return await callLLMForJSON({
@@ -160,14 +171,19 @@ IMPORTANT:
       systemPrompt,
       userPrompt: `Intent: ${intent}\nRequest: ${userMessage}`,
       maxTokens: 6000,  // Increased for GPT-5 reasoning tokens + output
-      temperature: 0.5
+      temperature: 0.5,
+      signal
     });
   } catch (error) {
+    // Cancelled by the user - nothing to fall back to
+    if (isAbortError(error)) throw error;
     console.error("Planning error:", error);
     return {
       steps: ["Generate basic component"],
       filesToCreate: ["App.jsx"],
       filesToModify: [],
+      filesToDelete: [],
+      filesToRename: [],
       summary: "Create a basic React component"
     };
   }
@@ -1,4 +1,4 @@
-import { callLLMForJSON } from "../utils/llm/llmClient.js";
+import { callLLMForJSON, isAbortError } from "../utils/llm/llmClient.js";
 import { MODELS } from "../config/modelConfig.js";
 
 /**
@@ -13,9 +13,10 @@ import { MODELS } from "../config/modelConfig.js";
  * @param {string} filename - Name of the file being reviewed
  * @param {string} userRequest - Original user request
  * @param {Object} planSpec - Plan specifications for this file
+ * @param {AbortSignal} [signal] - Cancels the request
  * @returns {Object} Review results with quality score and feedback
  */
-export async function reviewCode(code, filename, userRequest, planSpec = {}) {
+export async function reviewCode(code, filename, userRequest, planSpec = {}, signal = null) {
   const systemPrompt = `You are an expert code reviewer for React applications.
 Your job is to critique generated code and identify areas for improvement.
 
@@ -80,7 +81,8 @@ Provide a thorough review based on the criteria above.`;
       systemPrompt,
       userPrompt,
       maxTokens: 10000,  // Increased for GPT-5 reasoning tokens (~3000-5000) + JSON output (~2000-5000)
-      temperature: 0.3
+      temperature: 0.3,
+      signal
     });
 
     // Ensure required fields exist with safe optional chaining
@@ -95,6 +97,7 @@ Provide a thorough review based on the criteria above.`;
       filename
     };
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error("Code review error:", error);
     // Re-throw error to allow retry logic to handle it
     // Don't default to approval - let the orchestrator decide how to handle failures
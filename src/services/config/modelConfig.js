@@ -13,17 +13,25 @@
  * - gpt-5-nano: Lightweight agents (Analyzer, Intent Classifier) - fast, cost-effective tasks
  *   FALLBACK: gpt-4o-mini if gpt-5-nano is not available
  * - Production mode: Upgrades lightweight agents to gpt-5-mini for maximum quality
+ *
+ * Providers:
+ * Any entry can point at another backend with a provider prefix, e.g.
+ *   MODEL_GENERATOR=anthropic:claude-sonnet-4-5
+ *   MODEL_DEFAULT=ollama:qwen2.5-coder:7b   (every agent without its own override)
+ * See utils/llm/providers.js for the supported providers and their env variables.
  */
 
+import { parseModelId, PROVIDERS } from "../utils/llm/providers.js";
+
 // Helper to safely get environment variable (works in both Node.js and browser)
 function getEnv(key) {
-  // Browser environment (Vite)
+  // Browser environment (Vite only exposes VITE_-prefixed variables)
   if (typeof import.meta !== 'undefined' && import.meta.env) {
-    return import.meta.env[key];
+    return import.meta.env[key] ?? import.meta.env[`VITE_${key}`];
   }
-  // Node.js environment
+  // Node.js environment (the serverless API also sees the VITE_ variables the browser build uses)
   if (typeof process !== 'undefined' && process.env) {
-    return process.env[key];
+    return process.env[key] ?? process.env[`VITE_${key}`];
   }
   return undefined;
 }
@@ -55,30 +63,51 @@ function getModelWithFallback(preferredModel) {
   return preferredModel;
 }
 
+/**
+ * Default model for every agent (optional)
+ * Lets a self-hosted setup route all agents to one provider in a single line
+ */
+const DEFAULT_MODEL = getEnv("MODEL_DEFAULT");
+
+/**
+ * Resolve an agent's model: agent override, then MODEL_DEFAULT, then built-in default
+ * @param {string} envKey - Agent-specific environment variable
+ * @param {string} builtInModel - Built-in default model
+ * @returns {string} Model id
+ */
+function resolveModel(envKey, builtInModel) {
+  return getModelWithFallback(getEnv(envKey) || DEFAULT_MODEL || builtInModel);
+}
+
+/**
+ * Model for agents without their own entry below
+ */
+const DEFAULT_AGENT_MODEL = "gpt-4o-mini";
+
 const MODEL_CONFIGS = {
   // Code generation - using GPT-5-mini for advanced capabilities (fallback: gpt-4o)
-  GENERATOR: getModelWithFallback(getEnv("MODEL_GENERATOR") || "gpt-5-mini"),
+  GENERATOR: resolveModel("MODEL_GENERATOR", "gpt-5-mini"),
 
   // Code modification - using GPT-5-mini for precision (fallback: gpt-4o)
-  MODIFIER: getModelWithFallback(getEnv("MODEL_MODIFIER") || "gpt-5-mini"),
+  MODIFIER: resolveModel("MODEL_MODIFIER", "gpt-5-mini"),
 
   // Planning - using GPT-5-mini for complex reasoning (fallback: gpt-4o)
-  PLANNER: getModelWithFallback(getEnv("MODEL_PLANNER") || "gpt-5-mini"),
+  PLANNER: resolveModel("MODEL_PLANNER", "gpt-5-mini"),
 
   // Intent classification - using gpt-4o-mini for fast, reliable classification
-  INTENT_CLASSIFIER: getEnv("MODEL_INTENT_CLASSIFIER") || "gpt-4o-mini",
+  INTENT_CLASSIFIER: getEnv("MODEL_INTENT_CLASSIFIER") || DEFAULT_MODEL || "gpt-4o-mini",
 
   // Codebase analysis - using gpt-5-nano for lightweight tasks (fallback: gpt-4o-mini)
-  ANALYZER: getModelWithFallback(getEnv("MODEL_ANALYZER") || "gpt-5-nano"),
+  ANALYZER: resolveModel("MODEL_ANALYZER", "gpt-5-nano"),
 
   // Code review - using gpt-5-nano for quality checking (fallback: gpt-4o-mini)
-  REVIEWER: getModelWithFallback(getEnv("MODEL_REVIEWER") || "gpt-5-nano"),
+  REVIEWER: resolveModel("MODEL_REVIEWER", "gpt-5-nano"),
 
   // Plan review - using gpt-5-nano for plan quality checking (fallback: gpt-4o-mini)
-  PLAN_REVIEWER: getModelWithFallback(getEnv("MODEL_PLAN_REVIEWER") || "gpt-5-nano"),
+  PLAN_REVIEWER: resolveModel("MODEL_PLAN_REVIEWER", "gpt-5-nano"),
 
   // Debugging - using gpt-5-mini for accurate bug detection (fallback: gpt-4o)
-  DEBUGGER: getModelWithFallback(getEnv("MODEL_DEBUGGER") || "gpt-5-mini"),
+  DEBUGGER: resolveModel("MODEL_DEBUGGER", "gpt-5-mini"),
 };
 
 /**
@@ -88,7 +117,7 @@ const MODEL_CONFIGS = {
  */
 const PRODUCTION_MODE = getEnv("PRODUCTION_MODE") === "true";
 
-if (PRODUCTION_MODE) {
+if (PRODUCTION_MODE && !DEFAULT_MODEL) {
   // Major agents already use gpt-5-mini by default, no need to override
   // Only upgrade lighter agents to more powerful models in production
   const productionModel = getModelWithFallback("gpt-5-mini");
@@ -105,7 +134,26 @@ if (PRODUCTION_MODE) {
  */
 export function getModel(agentName) {
   const configKey = agentName.toUpperCase().replace("-", "_");
-  return MODEL_CONFIGS[configKey] || "gpt-4o-mini";
+  return MODEL_CONFIGS[configKey] || DEFAULT_AGENT_MODEL;
+}
+
+/**
+ * Get every model the agents can request
+ * /api/chat only proxies these, so the endpoint can't be used as a general model proxy
+ * @returns {string[]} Model ids
+ */
+export function getAllowedModels() {
+  const models = new Set([...Object.values(MODEL_CONFIGS), DEFAULT_AGENT_MODEL]);
+
+  // The browser build and the server may disagree on USE_GPT5 - accept both sides of a fallback
+  Object.entries(MODEL_FALLBACKS).forEach(([preferred, fallback]) => {
+    if (models.has(preferred) || models.has(fallback)) {
+      models.add(preferred);
+      models.add(fallback);
+    }
+  });
+
+  return [...models];
 }
 
 /**
@@ -116,20 +164,29 @@ export function getAllModels() {
   return { ...MODEL_CONFIGS };
 }
 
+/**
+ * Get the provider a model id routes to
+ * @param {string} model - Model id (optionally provider-prefixed)
+ * @returns {string} Provider label (e.g. "OpenAI", "Anthropic")
+ */
+export function getModelProvider(model) {
+  return PROVIDERS[parseModelId(model).provider].label;
+}
+
 /**
  * Log current model configuration
  */
 export function logModelConfig() {
   console.log("\n🤖 Current Model Configuration:");
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  console.log(`Generator:         ${MODEL_CONFIGS.GENERATOR}`);
-  console.log(`Modifier:          ${MODEL_CONFIGS.MODIFIER}`);
-  console.log(`Planner:           ${MODEL_CONFIGS.PLANNER}`);
-  console.log(`Debugger:          ${MODEL_CONFIGS.DEBUGGER}`);
-  console.log(`Intent Classifier: ${MODEL_CONFIGS.INTENT_CLASSIFIER}`);
-  console.log(`Analyzer:          ${MODEL_CONFIGS.ANALYZER}`);
-  console.log(`Reviewer:          ${MODEL_CONFIGS.REVIEWER}`);
-  console.log(`Plan Reviewer:     ${MODEL_CONFIGS.PLAN_REVIEWER}`);
+  console.log(`Generator:         ${MODEL_CONFIGS.GENERATOR} (${getModelProvider(MODEL_CONFIGS.GENERATOR)})`);
+  console.log(`Modifier:          ${MODEL_CONFIGS.MODIFIER} (${getModelProvider(MODEL_CONFIGS.MODIFIER)})`);
+  console.log(`Planner:           ${MODEL_CONFIGS.PLANNER} (${getModelProvider(MODEL_CONFIGS.PLANNER)})`);
+  console.log(`Debugger:          ${MODEL_CONFIGS.DEBUGGER} (${getModelProvider(MODEL_CONFIGS.DEBUGGER)})`);
+  console.log(`Intent Classifier: ${MODEL_CONFIGS.INTENT_CLASSIFIER} (${getModelProvider(MODEL_CONFIGS.INTENT_CLASSIFIER)})`);
+  console.log(`Analyzer:          ${MODEL_CONFIGS.ANALYZER} (${getModelProvider(MODEL_CONFIGS.ANALYZER)})`);
+  console.log(`Reviewer:          ${MODEL_CONFIGS.REVIEWER} (${getModelProvider(MODEL_CONFIGS.REVIEWER)})`);
+  console.log(`Plan Reviewer:     ${MODEL_CONFIGS.PLAN_REVIEWER} (${getModelProvider(MODEL_CONFIGS.PLAN_REVIEWER)})`);
   console.log(`Production Mode:   ${PRODUCTION_MODE ? "✅ Enabled" : "❌ Disabled"}`);
   console.log(`GPT-5 Mode:        ${USE_GPT5 ? "✅ Enabled" : "❌ Disabled (using GPT-4 fallbacks)"}`);
   if (!USE_GPT5) {
@@ -145,6 +202,8 @@ export const MODELS = MODEL_CONFIGS;
 export default {
   getModel,
   getAllModels,
+  getAllowedModels,
+  getModelProvider,
   logModelConfig,
   MODELS,
   PRODUCTION_MODE
@@ -8,6 +8,7 @@ import { diagnoseBug } from "./agents/debugger.js";
 import { designUX } from "./agents/uxDesigner.js";
 import { designArchitecture } from "./agents/architectureDesigner.js";
 import { validateCode, ValidationMode } from "./agents/validator.js";
+import { describePatch } from "./utils/code/editPatch.js";
 import { callLLMAndExtract } from "./utils/llm/llmClient.js";
 import { MODELS } from "./config/modelConfig.js";
 
@@ -288,6 +289,9 @@ export class HybridAgentOrchestrator {
         existingUX: analysis.existingUX,
         existingArchitecture: analysis.existingArchitecture
       });
+      if (modified.patch) {
+        this.sendUpdate('file', `${filename}: ${describePatch(modified.patch)}`);
+      }
 
       // Step 3: Fast Validation
       const validation = validateCode({
@@ -98,6 +98,11 @@ export const MESSAGE_TEMPLATES = {
     detail: (fileCount) => `Found ${fileCount} file${fileCount !== 1 ? 's' : ''} to modify`,
     estimatedTime: null
   },
+  explainingCode: {
+    message: 'Reading your code',
+    detail: 'Finding the lines that answer your question...',
+    estimatedTime: '5-10s'
+  },
 
   // Code Generation
   generatingFile: {
@@ -156,6 +161,16 @@ export const MESSAGE_TEMPLATES = {
     detail: 'Checking cross-file consistency...',
     estimatedTime: '3-5s'
   },
+  testingRuntime: {
+    message: 'Test-rendering your app',
+    detail: 'Checking that it renders without errors...',
+    estimatedTime: '2-5s'
+  },
+  fixingRuntimeError: {
+    message: 'Fixing a runtime error',
+    detail: (errorMsg) => errorMsg,
+    estimatedTime: '12-18s'
+  },
 
   // Completion
   complete: {
@@ -183,7 +198,8 @@ function getIntentDisplay(intent) {
     'add_feature': 'Add a feature',
     'style_change': 'Change styling',
     'refactor': 'Refactor code',
-    'explain': 'Explain code'
+    'explain': 'Explain code',
+    'explain_code': 'Explain code'
   };
   return intentMap[intent] || intent;
 }
@@ -299,6 +315,40 @@ export function formatTimeEstimate(estimate) {
   return `~${estimate}`;
 }
 
+/**
+ * Messages for structured /api/chat rejections, keyed by their `code`
+ */
+const CHAT_REJECTIONS = {
+  auth_required: {
+    message: 'Sign in required',
+    suggestion: 'This server only serves signed-in users. Sign in and try again.'
+  },
+  budget_exhausted: {
+    message: "Today's budget is used up",
+    suggestion: 'Your budget resets at midnight UTC. Guests can sign in for a larger budget.'
+  },
+  model_not_allowed: {
+    message: 'Model not available',
+    suggestion: "The server doesn't allow the configured model. Check that the MODEL_* settings match on the server."
+  },
+  too_many_messages: {
+    message: 'Request too large',
+    suggestion: 'Try a shorter conversation or a smaller request.'
+  },
+  request_too_large: {
+    message: 'Request too large',
+    suggestion: 'Your project is too big to send in one request. Try working on fewer or smaller files.'
+  },
+  max_tokens_too_high: {
+    message: 'Response limit too high',
+    suggestion: "The server caps how long a response can be. Lower the agent's maxTokens or raise CHAT_MAX_TOKENS."
+  },
+  invalid_request: {
+    message: 'Invalid request',
+    suggestion: 'Please try again. If the problem persists, try simplifying your request.'
+  }
+};
+
 /**
  * Get user-friendly error message
  * @param {Error} error - Error object
@@ -337,6 +387,17 @@ export function getUserFriendlyError(error, context = '') {
 
   const errorMessage = error.message || error.toString();
 
+  // Structured rejections from /api/chat say exactly what went wrong
+  const rejection = CHAT_REJECTIONS[error.code];
+  if (rejection) {
+    return {
+      message: rejection.message,
+      suggestion: rejection.suggestion,
+      technical: errorMessage,
+      context
+    };
+  }
+
   // Find matching pattern
   const match = errorPatterns.find(p => p.pattern.test(errorMessage));
 
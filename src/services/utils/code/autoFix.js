@@ -1,8 +1,121 @@
 /**
  * Auto-Fix Common Issues
  * Automatically fixes common problems in generated code
+ *
+ * require(), duplicate declarations, semicolons, axios and lodash are fixed as codemods: the code is
+ * parsed with @babel/parser and only the ranges of the nodes being fixed are rewritten, so strings,
+ * comments and JSX text that merely look like the pattern are never touched, and everything else keeps
+ * its exact formatting. These fixers take an optional `changes` array that receives a change log:
+ * { fix, line, column, message }, positions (1-based) in the code that fixer was given.
  */
 
+import { parse } from "@babel/parser";
+import { splitHunks } from "../versions/changeReview.js";
+
+// Parse for a codemod - recoverable errors (e.g. a redeclared const) still give an AST
+function parseForFix(code) {
+  return parse(code, { sourceType: "module", plugins: ["jsx"], errorRecovery: true });
+}
+
+// Visit every node; the visitor gets (node, parent, key) and returns false to skip the node's children
+function walk(node, visitor, parent = null, key = null) {
+  if (!node || typeof node.type !== "string") return;
+  if (visitor(node, parent, key) === false) return;
+
+  for (const childKey of Object.keys(node)) {
+    if (childKey === "loc" || childKey === "start" || childKey === "end" || childKey.endsWith("Comments")) continue;
+    const value = node[childKey];
+    if (Array.isArray(value)) {
+      value.forEach(child => walk(child, visitor, node, childKey));
+    } else if (value && typeof value === "object") {
+      walk(value, visitor, node, childKey);
+    }
+  }
+}
+
+// Whether an identifier refers to a binding (not a property name, key or a name being declared)
+function isReference(parent, key) {
+  switch (parent?.type) {
+    case "MemberExpression":
+    case "OptionalMemberExpression":
+      return key !== "property" || parent.computed;
+    case "ObjectProperty":
+    case "ObjectMethod":
+    case "ClassProperty":
+    case "ClassMethod":
+      return key !== "key" || parent.computed;
+    case "VariableDeclarator":
+      return key !== "id";
+    default:
+      return true;
+  }
+}
+
+// Range to delete for a statement: its whole line(s) (with a comment trailing it) when nothing
+// else is on them, else the statement and the spaces before it
+function statementRange(code, start, end) {
+  let from = start;
+  while (from > 0 && (code[from - 1] === " " || code[from - 1] === "\t")) from--;
+  let to = end;
+  while (to < code.length && (code[to] === " " || code[to] === "\t")) to++;
+  if (code.startsWith("//", to)) {
+    const lineEnd = code.indexOf("\n", to);
+    to = lineEnd === -1 ? code.length : lineEnd;
+    if (code[to - 1] === "\r") to--;
+  }
+
+  const ownLines = (from === 0 || code[from - 1] === "\n") && (to === code.length || code[to] === "\n" || code[to] === "\r");
+  if (!ownLines) return { start: from, end };
+
+  if (code[to] === "\r") to++;
+  if (code[to] === "\n") to++;
+  return { start: from, end: to };
+}
+
+/**
+ * Run a codemod: find edits on the AST, then splice them into the original text
+ * Code that can't be parsed is returned unchanged. Edits overlapping one already applied are dropped.
+ * @param {string} fix - Fix name, for the change log
+ * @param {string} code
+ * @param {Array|null} changes - Receives the change log
+ * @param {Function} findEdits - (ast, code) => Array<{start, end, text, node?, message}>
+ * @returns {string}
+ */
+function runCodemod(fix, code, changes, findEdits) {
+  let ast;
+  try {
+    ast = parseForFix(code);
+  } catch {
+    return code;
+  }
+
+  const edits = findEdits(ast, code).sort((a, b) => b.start - a.start || b.end - a.end);
+  const applied = [];
+  let fixed = code;
+  let limit = Infinity;
+
+  edits.forEach(edit => {
+    if (edit.end > limit) return;
+    fixed = fixed.slice(0, edit.start) + edit.text + fixed.slice(edit.end);
+    limit = edit.start;
+    applied.push(edit);
+  });
+
+  if (changes) {
+    applied.reverse().forEach(({ node, message }) => changes.push({
+      fix,
+      line: node ? node.loc.start.line : 1,
+      column: node ? node.loc.start.column + 1 : 1,
+      message
+    }));
+  }
+
+  return fixed;
+}
+
+// A statement's semicolon, if it has one (kept when the statement is rewritten)
+const semicolonOf = (code, node) => (code[node.end - 1] === ";" ? ";" : "");
+
 /**
  * Remove PropTypes imports and usage
  */
@@ -150,127 +263,275 @@ export function fixImportPaths(code, filename) {
 
 /**
  * Remove duplicate declarations
- * Enhanced to handle multi-line statements
+ * A name declared again in the same scope (a SyntaxError unless both are `var`) keeps its first
+ * declaration; later ones are removed - whole statements, or single declarators of a longer one.
+ * Exported declarations are never removed.
  */
-export function removeDuplicateDeclarations(code) {
-  let fixed = code;
-  const lines = fixed.split("\n");
-  const declarations = {};
-  const linesToRemove = new Set();
-
-  lines.forEach((line, index) => {
-    const declMatch = line.match(/(?:const|let|var|function|class)\s+(\w+)/);
-    if (declMatch) {
-      const identifier = declMatch[1];
-      if (declarations[identifier] !== undefined) {
-        // Found duplicate - mark this line and subsequent lines of the statement
-        linesToRemove.add(index);
-
-        // Check if this is a multi-line statement
-        // Look for the closing of this statement (semicolon, or matching closing bracket/paren)
-        let currentLine = index;
-        let currentCode = lines[currentLine];
-        let openParens = (currentCode.match(/\(/g) || []).length - (currentCode.match(/\)/g) || []).length;
-        let openBraces = (currentCode.match(/\{/g) || []).length - (currentCode.match(/\}/g) || []).length;
-        let openBrackets = (currentCode.match(/\[/g) || []).length - (currentCode.match(/\]/g) || []).length;
-
-        // Continue removing lines until statement is complete
-        while (
-          currentLine < lines.length - 1 &&
-          (openParens > 0 || openBraces > 0 || openBrackets > 0 || !currentCode.trim().endsWith(";"))
-        ) {
-          currentLine++;
-          if (currentLine < lines.length) {
-            linesToRemove.add(currentLine);
-            currentCode = lines[currentLine];
-            openParens += (currentCode.match(/\(/g) || []).length - (currentCode.match(/\)/g) || []).length;
-            openBraces += (currentCode.match(/\{/g) || []).length - (currentCode.match(/\}/g) || []).length;
-            openBrackets += (currentCode.match(/\[/g) || []).length - (currentCode.match(/\]/g) || []).length;
-
-            // If we found semicolon and all brackets are closed, we're done
-            if (currentCode.trim().endsWith(";") && openParens <= 0 && openBraces <= 0 && openBrackets <= 0) {
-              break;
+export function removeDuplicateDeclarations(code, changes = null) {
+  return runCodemod("removeDuplicateDeclarations", code, changes, (ast) => {
+    const edits = [];
+
+    const checkScope = (statements) => {
+      const declared = new Map(); // name -> kind
+      const isDuplicate = (name, kind) => declared.has(name) && !(kind === "var" && declared.get(name) === "var");
+      const declare = (names, kind) => names.forEach(name => {
+        if (!declared.has(name)) declared.set(name, kind);
+      });
+
+      statements.forEach(statement => {
+        const exported = statement.type === "ExportNamedDeclaration" || statement.type === "ExportDefaultDeclaration";
+        const declaration = exported ? statement.declaration : statement;
+        if (!declaration) return;
+
+        if (declaration.type === "VariableDeclaration") {
+          const kind = declaration.kind === "var" ? "var" : "lexical";
+          const duplicates = declaration.declarations.filter(declarator => {
+            const names = patternNames(declarator.id);
+            return names.length > 0 && names.every(name => isDuplicate(name, kind));
+          });
+
+          if (duplicates.length > 0 && !exported) {
+            const describe = (declarator) => `Removed duplicate declaration of ${patternNames(declarator.id).join(", ")}`;
+
+            if (duplicates.length === declaration.declarations.length) {
+              edits.push({ ...statementRange(code, statement.start, statement.end), text: "", node: statement, message: duplicates.map(describe).join("; ") });
+            } else {
+              duplicates.forEach(declarator => {
+                const index = declaration.declarations.indexOf(declarator);
+                const next = declaration.declarations[index + 1];
+                const previous = declaration.declarations[index - 1];
+                // "a = 1, " before the next declarator, or ", a = 1" after the previous one
+                const range = next ? { start: declarator.start, end: next.start } : { start: previous.end, end: declarator.end };
+                edits.push({ ...range, text: "", node: declarator, message: describe(declarator) });
+              });
             }
           }
+
+          declaration.declarations
+            .filter(declarator => exported || !duplicates.includes(declarator))
+            .forEach(declarator => declare(patternNames(declarator.id), kind));
+          return;
         }
-      } else {
-        declarations[identifier] = index;
-      }
-    }
-  });
 
-  fixed = lines.filter((line, index) => !linesToRemove.has(index)).join("\n");
+        let names = [];
+        if (declaration.type === "ImportDeclaration") {
+          names = declaration.specifiers.map(specifier => specifier.local.name);
+        } else if ((declaration.type === "FunctionDeclaration" || declaration.type === "ClassDeclaration") && declaration.id) {
+          names = [declaration.id.name];
+        }
+        if (names.length === 0) return;
+
+        if (!exported && names.every(name => isDuplicate(name, "lexical"))) {
+          edits.push({
+            ...statementRange(code, statement.start, statement.end),
+            text: "",
+            node: statement,
+            message: `Removed duplicate declaration of ${names.join(", ")}`
+          });
+          return;
+        }
+        declare(names, "lexical");
+      });
+    };
 
-  // Clean up multiple consecutive newlines
-  fixed = fixed.replace(/\n\n\n+/g, "\n\n");
+    walk(ast.program, (node) => {
+      if (node.type === "Program" || node.type === "BlockStatement" || node.type === "StaticBlock") {
+        checkScope(node.body);
+      } else if (node.type === "SwitchStatement") {
+        checkScope(node.cases.flatMap(switchCase => switchCase.consequent));
+      }
+    });
 
-  return fixed;
+    return edits;
+  });
 }
 
+// Identifiers bound by a declaration pattern (const { a, b: [c] } = ...)
+function patternNames(pattern, names = []) {
+  if (!pattern) return names;
+  switch (pattern.type) {
+    case "Identifier":
+      names.push(pattern.name);
+      break;
+    case "ObjectPattern":
+      pattern.properties.forEach(property => patternNames(property.type === "RestElement" ? property.argument : property.value, names));
+      break;
+    case "ArrayPattern":
+      pattern.elements.forEach(element => patternNames(element, names));
+      break;
+    case "AssignmentPattern":
+      patternNames(pattern.left, names);
+      break;
+    case "RestElement":
+      patternNames(pattern.argument, names);
+      break;
+  }
+  return names;
+}
+
+/**
+ * Statements that end with a semicolon
+ */
+const SEMICOLON_STATEMENTS = new Set([
+  "VariableDeclaration",
+  "ExpressionStatement",
+  "ReturnStatement",
+  "ThrowStatement",
+  "BreakStatement",
+  "ContinueStatement",
+  "DebuggerStatement",
+  "ImportDeclaration",
+  "ExportAllDeclaration"
+]);
+
 /**
  * Fix missing semicolons
+ * Adds one after every statement that should end with one (not after blocks, functions or classes,
+ * and not inside for (...) heads)
  */
-export function addMissingSemicolons(code) {
-  let fixed = code;
-  const lines = fixed.split("\n");
+export function addMissingSemicolons(code, changes = null) {
+  return runCodemod("addMissingSemicolons", code, changes, (ast) => {
+    const edits = [];
+
+    walk(ast.program, (node, parent, key) => {
+      let needsSemicolon = SEMICOLON_STATEMENTS.has(node.type);
+      if (node.type === "VariableDeclaration" && (parent?.type === "ForStatement" || parent?.type === "ForInStatement" || parent?.type === "ForOfStatement") && key !== "body") {
+        needsSemicolon = false;
+      }
+      if (node.type === "ExportNamedDeclaration") needsSemicolon = !node.declaration;
+      if (node.type === "ExportDefaultDeclaration") {
+        needsSemicolon = node.declaration.type !== "FunctionDeclaration" && node.declaration.type !== "ClassDeclaration";
+      }
 
-  const fixedLines = lines.map(line => {
-    const trimmed = line.trim();
+      if (needsSemicolon && code[node.end - 1] !== ";") {
+        edits.push({ start: node.end, end: node.end, text: ";", node, message: `Added missing semicolon at line ${node.loc.end.line}` });
+      }
+    });
 
-    // Skip empty lines, comments, JSX, opening braces
-    if (!trimmed || trimmed.startsWith("//") || trimmed.startsWith("/*") ||
-        trimmed.startsWith("<") || trimmed.startsWith("{") || trimmed.startsWith("}") ||
-        trimmed === ")" || trimmed === "]") {
-      return line;
-    }
+    return edits;
+  });
+}
 
-    // Add semicolon to statements that should have them
-    if ((trimmed.startsWith("const ") || trimmed.startsWith("let ") ||
-         trimmed.startsWith("var ") || trimmed.startsWith("return ")) &&
-        !trimmed.endsWith(";") && !trimmed.endsWith("{") &&
-        !trimmed.endsWith(",")) {
-      return line + ";";
-    }
+// Added at the top while axios calls are left in place
+const AXIOS_NOTE = "// Note: axios is not available - the axios calls below still need rewriting with fetch\n";
 
-    return line;
+/**
+ * Replace axios with fetch
+ * fetch is not a drop-in replacement (it doesn't reject on HTTP errors, parse the body or return
+ * status and headers alongside `data`), so calls are left to be rewritten by hand. An unused axios import
+ * is removed; while axios is still called its import stays, so the banned-package check reports it,
+ * and a note at the top says the calls need rewriting.
+ */
+export function replaceAxiosWithFetch(code, changes = null) {
+  return runCodemod("replaceAxiosWithFetch", code, changes, (ast) => {
+    const imports = ast.program.body.filter(statement => statement.type === "ImportDeclaration" && statement.source.value === "axios");
+    if (imports.length === 0) return [];
+
+    const names = new Set(imports.flatMap(statement => statement.specifiers.map(specifier => specifier.local.name)));
+    let used = false;
+    walk(ast.program, (node, parent, key) => {
+      if (node.type === "ImportDeclaration") return false;
+      if (node.type === "Identifier" && names.has(node.name) && isReference(parent, key)) used = true;
+    });
+
+    if (used) {
+      return code.startsWith(AXIOS_NOTE) ? [] : [{ start: 0, end: 0, text: AXIOS_NOTE, message: "Added note about rewriting axios calls" }];
+    }
+    return imports.map(statement => ({
+      ...statementRange(code, statement.start, statement.end),
+      text: "",
+      node: statement,
+      message: "Removed unused axios import"
+    }));
   });
-
-  return fixedLines.join("\n");
 }
 
 /**
- * Remove axios imports and suggest fetch
+ * Packages treated as lodash
  */
-export function replaceAxiosWithFetch(code) {
-  let fixed = code;
+const LODASH_PACKAGES = new Set(["lodash", "lodash-es", "underscore"]);
 
-  // Remove axios import
-  fixed = fixed.replace(/import\s+axios\s+from\s+["']axios["'];?\s*\n?/g, "");
-
-  // Add comment where axios was used
-  if (code.includes("axios.")) {
-    fixed = "// Note: axios replaced with fetch API\n" + fixed;
-  }
+/**
+ * lodash functions that behave exactly like a native function, so calling that instead changes nothing.
+ * The others (map, uniq, keys, first, ...) also take objects, strings or null where the native methods
+ * throw or differ, so their calls are left to be rewritten by hand.
+ */
+const LODASH_NATIVE = { isArray: "Array.isArray", now: "Date.now" };
 
-  return fixed;
-}
+// Added at the top while lodash calls are left in place
+const LODASH_NOTE = "// Note: lodash is not available - the remaining lodash calls still need rewriting with native methods\n";
 
 /**
  * Replace lodash/underscore with native methods
+ * Calls of functions in LODASH_NATIVE get the native function. Imports nothing uses any more are removed;
+ * imports of functions still called stay, so the banned-package check reports them, and a note at the
+ * top says those calls need rewriting.
  */
-export function replaceLodashWithNative(code) {
-  let fixed = code;
-
-  // Remove lodash imports
-  fixed = fixed.replace(/import\s+(_|lodash)\s+from\s+["']lodash["'];?\s*\n?/g, "");
-  fixed = fixed.replace(/import\s+{([^}]+)}\s+from\s+["']lodash["'];?\s*\n?/g, "");
-
-  // Add comment if lodash was used
-  if (code.includes("_.") || code.includes("lodash.")) {
-    fixed = "// Note: Use native JavaScript methods instead of lodash\n" + fixed;
-  }
+export function replaceLodashWithNative(code, changes = null) {
+  return runCodemod("replaceLodashWithNative", code, changes, (ast) => {
+    const packageOf = (source) => {
+      if (LODASH_PACKAGES.has(source)) return { method: null };
+      const match = source.match(/^lodash(?:-es)?[/.](\w+)$/);
+      return match ? { method: match[1] } : null;
+    };
+
+    const imports = ast.program.body.filter(statement => statement.type === "ImportDeclaration" && packageOf(statement.source.value));
+    if (imports.length === 0) return [];
+
+    // _ / lodash namespaces, and functions imported on their own (isArray, lodash/isArray)
+    const namespaces = new Set();
+    const functions = new Map();
+    imports.forEach(statement => {
+      const { method } = packageOf(statement.source.value);
+      statement.specifiers.forEach(specifier => {
+        if (specifier.type === "ImportSpecifier") {
+          functions.set(specifier.local.name, specifier.imported.name);
+        } else if (method) {
+          functions.set(specifier.local.name, method);
+        } else {
+          namespaces.add(specifier.local.name);
+        }
+      });
+    });
+
+    // Only the callee of a call is swapped - other uses (callbacks, exports) keep their import
+    const edits = [];
+    const stillUsed = new Set();
+    walk(ast.program, (node, parent, key) => {
+      if (node.type === "ImportDeclaration") return false;
+
+      const isCallee = parent?.type === "CallExpression" && key === "callee";
+      if (node.type === "MemberExpression" && !node.computed && node.object.type === "Identifier" && namespaces.has(node.object.name)) {
+        const native = isCallee && LODASH_NATIVE[node.property.name];
+        if (!native) return;
+        edits.push({ start: node.start, end: node.end, text: native, node, message: `Replaced ${node.object.name}.${node.property.name}() with ${native}()` });
+        return false;
+      }
 
-  return fixed;
+      if (node.type === "Identifier" && (namespaces.has(node.name) || functions.has(node.name)) && isReference(parent, key)) {
+        const native = isCallee && LODASH_NATIVE[functions.get(node.name)];
+        if (!native) {
+          stillUsed.add(node.name);
+          return;
+        }
+        edits.push({ start: node.start, end: node.end, text: native, node, message: `Replaced ${node.name}() with ${native}()` });
+      }
+    });
+
+    imports
+      .filter(statement => !statement.specifiers.some(specifier => stillUsed.has(specifier.local.name)))
+      .forEach(statement => edits.push({
+        ...statementRange(code, statement.start, statement.end),
+        text: "",
+        node: statement,
+        message: `Removed unused ${statement.source.value} import`
+      }));
+
+    if (stillUsed.size > 0 && !code.startsWith(LODASH_NOTE)) {
+      edits.push({ start: 0, end: 0, text: LODASH_NOTE, message: "Added note about rewriting lodash calls" });
+    }
+    return edits;
+  });
 }
 
 /**
@@ -337,60 +598,142 @@ export function removeInitializationCode(code) {
   return fixed;
 }
 
+// Module name of a require('module') call (or require('module').default), else null
+function requiredModule(node) {
+  if (node?.type === "MemberExpression" && !node.computed && node.property.name === "default") {
+    node = node.object;
+  }
+  const isRequire = node?.type === "CallExpression" && node.callee.type === "Identifier" && node.callee.name === "require" &&
+    node.arguments.length === 1 && node.arguments[0].type === "StringLiteral";
+  return isRequire ? node.arguments[0] : null;
+}
+
 /**
  * Convert CommonJS require() to ES6 import
- * Browser environments don't support require()
+ * Browser environments don't support require(). Top-level `const X = require('m')`,
+ * `const { a, b: c } = require('m')` and bare `require('m')` become imports; other requires
+ * (let/var, inside functions, computed, with defaults or nested patterns) are left as they are.
  */
-export function convertRequireToImport(code) {
-  let fixed = code;
-
-  // Pattern 1: const Name = require('module')
-  // → import Name from 'module'
-  fixed = fixed.replace(
-    /const\s+(\w+)\s*=\s*require\s*\(\s*(['"])([^'"]+)\2\s*\)\s*;?\s*\n?/g,
-    (match, name, quote, module) => `import ${name} from ${quote}${module}${quote};\n`
-  );
+export function convertRequireToImport(code, changes = null) {
+  return runCodemod("convertRequireToImport", code, changes, (ast) => {
+    const edits = [];
+
+    ast.program.body.forEach(statement => {
+      const semicolon = semicolonOf(code, statement);
+
+      if (statement.type === "ExpressionStatement") {
+        const source = requiredModule(statement.expression);
+        if (source && statement.expression.type === "CallExpression") {
+          edits.push({
+            start: statement.start,
+            end: statement.end,
+            text: `import ${code.slice(source.start, source.end)}${semicolon}`,
+            node: statement,
+            message: `Converted require(${code.slice(source.start, source.end)}) to import`
+          });
+        }
+        return;
+      }
 
-  // Pattern 2: const { name1, name2 } = require('module')
-  // → import { name1, name2 } from 'module'
-  fixed = fixed.replace(
-    /const\s*{\s*([^}]+)\s*}\s*=\s*require\s*\(\s*(['"])([^'"]+)\2\s*\)\s*;?\s*\n?/g,
-    (match, names, quote, module) => `import { ${names.trim()} } from ${quote}${module}${quote};\n`
-  );
+      // Imports are read-only - a let or var may be reassigned later
+      if (statement.type !== "VariableDeclaration" || statement.kind !== "const" || statement.declarations.length !== 1) return;
+      const [{ id, init }] = statement.declarations;
+      const source = requiredModule(init);
+      if (!source) return;
+
+      let bindings;
+      if (id.type === "Identifier") {
+        bindings = id.name;
+      } else if (init.type === "CallExpression" && id.type === "ObjectPattern" && id.properties.every(property =>
+        property.type === "ObjectProperty" && !property.computed && property.key.type === "Identifier" && property.value.type === "Identifier")) {
+        const names = id.properties.map(({ key, value }) => (key.name === value.name ? key.name : `${key.name} as ${value.name}`));
+        bindings = `{ ${names.join(", ")} }`;
+      } else {
+        return;
+      }
 
-  // Pattern 3: let Name = require('module')
-  // → import Name from 'module'
-  fixed = fixed.replace(
-    /let\s+(\w+)\s*=\s*require\s*\(\s*(['"])([^'"]+)\2\s*\)\s*;?\s*\n?/g,
-    (match, name, quote, module) => `import ${name} from ${quote}${module}${quote};\n`
-  );
+      const module = code.slice(source.start, source.end);
+      edits.push({
+        start: statement.start,
+        end: statement.end,
+        text: `import ${bindings} from ${module}${semicolon}`,
+        node: statement,
+        message: `Converted require(${module}) to import ${bindings}`
+      });
+    });
 
-  // Pattern 4: var Name = require('module')
-  // → import Name from 'module'
-  fixed = fixed.replace(
-    /var\s+(\w+)\s*=\s*require\s*\(\s*(['"])([^'"]+)\2\s*\)\s*;?\s*\n?/g,
-    (match, name, quote, module) => `import ${name} from ${quote}${module}${quote};\n`
-  );
+    return edits;
+  });
+}
 
-  return fixed;
+// Maps a line of `after` to the line of `before` it came from: lines a fix rewrote map to the lines
+// they replaced, added lines to the line they were added before. `changed` is false for untouched lines
+function inputLineMapper(before, after) {
+  const hunks = splitHunks(before, after);
+  const lastLine = before.split("\n").length;
+
+  return (line) => {
+    let shift = 0;
+    for (const hunk of hunks) {
+      if (line < hunk.newStart) break;
+      if (line < hunk.newStart + hunk.newCount) {
+        const offset = Math.min(line - hunk.newStart, Math.max(hunk.oldCount - 1, 0));
+        return { line: Math.min(hunk.oldStart + offset, lastLine), changed: true };
+      }
+      shift = hunk.oldStart + hunk.oldCount - (hunk.newStart + hunk.newCount);
+    }
+    return { line: line + shift, changed: false };
+  };
 }
 
 /**
- * Run all auto-fixes
+ * Run all auto-fixes, with a change log of the codemods
+ * Each fix's positions are mapped back through the fixes before it, so every change points into `code`
+ * (the input). Columns are exact on lines no earlier fix rewrote; on those they are 1.
+ * @param {string} code - Source code
+ * @param {string} filename - Filename
+ * @returns {{code: string, changes: Array<{fix: string, line: number, column: number, message: string}>}}
  */
-export function autoFixCommonIssues(code, filename) {
+export function autoFixWithReport(code, filename) {
+  const changes = [];
+  const toInput = []; // One line mapper per fix that changed the code, latest first
   let fixed = code;
 
   // Run fixes in order
-  fixed = convertRequireToImport(fixed);  // NEW: Convert require() to import
-  fixed = removePropTypes(fixed);
-  fixed = removeUnusedImports(fixed);
-  fixed = fixImportPaths(fixed, filename);
-  fixed = removeInitializationCode(fixed);  // NEW: Remove initialization code
-  fixed = removeDuplicateDeclarations(fixed);
-  fixed = replaceAxiosWithFetch(fixed);
-  fixed = replaceLodashWithNative(fixed);
-  // Note: Skipping addMissingSemicolons as it can be too aggressive
+  // Note: Skipping addMissingSemicolons - missing semicolons are valid JavaScript
+  [
+    (input, log) => convertRequireToImport(input, log),
+    (input) => removePropTypes(input),
+    (input) => removeUnusedImports(input),
+    (input) => fixImportPaths(input, filename),
+    (input) => removeInitializationCode(input),
+    (input, log) => removeDuplicateDeclarations(input, log),
+    (input, log) => replaceAxiosWithFetch(input, log),
+    (input, log) => replaceLodashWithNative(input, log)
+  ].forEach(fix => {
+    const log = [];
+    const output = fix(fixed, log);
+
+    log.forEach(change => {
+      let { line, column } = change;
+      toInput.forEach(mapLine => {
+        const mapped = mapLine(line);
+        line = mapped.line;
+        if (mapped.changed) column = 1;
+      });
+      changes.push({ ...change, line, column });
+    });
 
-  return fixed;
+    if (output !== fixed) toInput.unshift(inputLineMapper(fixed, output));
+    fixed = output;
+  });
+
+  return { code: fixed, changes };
+}
+
+/**
+ * Run all auto-fixes
+ */
+export function autoFixCommonIssues(code, filename) {
+  return autoFixWithReport(code, filename).code;
 }
@@ -0,0 +1,208 @@
+/**
+ * Edit Patches
+ * Structured edits from the modifier instead of whole-file rewrites: search/replace blocks
+ * (or unified diff hunks, read as search/replace pairs) applied deterministically.
+ * Every anchor (the text to find) must match exactly once, or the patch is rejected as a whole
+ * and the modifier falls back to rewriting the file.
+ */
+
+/**
+ * Markers around a search/replace block
+ */
+export const EDIT_BLOCK_MARKERS = {
+  search: '<<<<<<< SEARCH',
+  divider: '=======',
+  replace: '>>>>>>> REPLACE',
+};
+
+/**
+ * Reply meaning the file already does what was asked
+ */
+export const NO_CHANGES_REPLY = 'NO_CHANGES';
+
+/**
+ * Why an edit (or a whole patch) could not be applied
+ */
+export const PatchFailure = {
+  NO_EDITS: 'no_edits',         // Reply had no blocks or hunks
+  MALFORMED: 'malformed',       // A block was missing a marker
+  EMPTY_ANCHOR: 'empty_anchor', // Nothing to search for
+  NOT_FOUND: 'not_found',       // Anchor isn't in the file
+  AMBIGUOUS: 'ambiguous',       // Anchor is in the file more than once
+};
+
+// Drop a markdown fence wrapped around the whole reply
+const stripFence = (text) => text.trim().replace(/^```[\w-]*\n([\s\S]*?)\n?```$/, '$1');
+
+/**
+ * Read search/replace blocks
+ * @param {string} text
+ * @returns {{edits: Array<{search: string, replace: string}>, error: string|null}}
+ */
+function parseSearchReplaceBlocks(text) {
+  const edits = [];
+  let current = null;
+  let section = null;
+
+  for (const line of text.split('\n')) {
+    const marker = line.trimEnd();
+
+    if (marker === EDIT_BLOCK_MARKERS.search) {
+      if (current) return { edits, error: PatchFailure.MALFORMED };
+      current = { search: [], replace: [] };
+      section = 'search';
+    } else if (marker === EDIT_BLOCK_MARKERS.divider && section === 'search') {
+      section = 'replace';
+    } else if (marker === EDIT_BLOCK_MARKERS.replace && section === 'replace') {
+      edits.push({ search: current.search.join('\n'), replace: current.replace.join('\n') });
+      current = null;
+      section = null;
+    } else if (current) {
+      current[section].push(line);
+    }
+  }
+
+  return { edits, error: current ? PatchFailure.MALFORMED : null };
+}
+
+/**
+ * Read unified diff hunks as search/replace pairs (line numbers are ignored - the text anchors them)
+ * @param {string} text
+ * @returns {{edits: Array<{search: string, replace: string}>, error: string|null}}
+ */
+function parseUnifiedDiff(text) {
+  const edits = [];
+  let hunk = null;
+
+  const finish = () => {
+    if (hunk && (hunk.search.length > 0 || hunk.replace.length > 0)) {
+      edits.push({ search: hunk.search.join('\n'), replace: hunk.replace.join('\n') });
+    }
+    hunk = null;
+  };
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('@@')) {
+      finish();
+      hunk = { search: [], replace: [] };
+    } else if (!hunk || line.startsWith('\\')) {
+      continue; // File headers, "\ No newline at end of file"
+    } else if (line.startsWith('--- ') || line.startsWith('+++ ')) {
+      finish(); // Next file's headers
+    } else if (line.startsWith('-')) {
+      hunk.search.push(line.slice(1));
+    } else if (line.startsWith('+')) {
+      hunk.replace.push(line.slice(1));
+    } else {
+      // Context (a blank line is an empty context line)
+      const context = line.startsWith(' ') ? line.slice(1) : line;
+      hunk.search.push(context);
+      hunk.replace.push(context);
+    }
+  }
+  finish();
+
+  return { edits, error: null };
+}
+
+/**
+ * Parse the modifier's reply into edits
+ * @param {string} reply - Search/replace blocks, a unified diff, or NO_CHANGES_REPLY
+ * @returns {{edits: Array<{search: string, replace: string}>, noChanges: boolean, error: string|null}}
+ */
+export function parseEdits(reply = '') {
+  const text = stripFence(String(reply)).replace(/\r\n/g, '\n');
+
+  if (text.trim() === NO_CHANGES_REPLY) {
+    return { edits: [], noChanges: true, error: null };
+  }
+
+  const { edits, error } = text.includes(EDIT_BLOCK_MARKERS.search)
+    ? parseSearchReplaceBlocks(text)
+    : /^@@/m.test(text)
+      ? parseUnifiedDiff(text)
+      : { edits: [], error: null };
+
+  return { edits, noChanges: false, error: error || (edits.length === 0 ? PatchFailure.NO_EDITS : null) };
+}
+
+// Where text occurs: index of the only match, or why there isn't exactly one
+const findOnce = (code, search) => {
+  const index = code.indexOf(search);
+  if (index === -1) return { error: PatchFailure.NOT_FOUND };
+  if (code.indexOf(search, index + 1) !== -1) return { error: PatchFailure.AMBIGUOUS };
+  return { index };
+};
+
+/**
+ * Apply edits in order, each to the result of the ones before
+ * All or nothing: if any anchor is missing, empty or matches more than once, the code is returned unchanged
+ * @param {string} code
+ * @param {Array<{search: string, replace: string}>} edits
+ * @returns {{applied: boolean, code: string, hunks: Array<{index: number, status: string, line: number|null,
+ *   removed: number, added: number}>}} hunks reports each edit: 'applied' (at 1-based line) or a PatchFailure
+ */
+export function applyEdits(code, edits) {
+  let next = code;
+  const hunks = edits.map(({ search, replace }, index) => {
+    const report = { index, line: null, removed: search.split('\n').length, added: replace.split('\n').length };
+    if (!search.trim()) return { ...report, status: PatchFailure.EMPTY_ANCHOR };
+
+    const match = findOnce(next, search);
+    if (match.error) return { ...report, status: match.error };
+
+    report.line = next.slice(0, match.index).split('\n').length;
+    next = next.slice(0, match.index) + replace + next.slice(match.index + search.length);
+    return { ...report, status: 'applied' };
+  });
+
+  const applied = hunks.every(hunk => hunk.status === 'applied');
+  return { applied, code: applied ? next : code, hunks };
+}
+
+/**
+ * Apply as many complete edits of a partial reply as match, for a live preview while it streams
+ * @param {string} code
+ * @param {string} partialReply
+ * @returns {string}
+ */
+export function previewEdits(code, partialReply) {
+  const text = String(partialReply).replace(/\r\n/g, '\n');
+  const lastBlockEnd = text.lastIndexOf(EDIT_BLOCK_MARKERS.replace);
+  if (lastBlockEnd === -1) return code;
+
+  const { edits } = parseSearchReplaceBlocks(text.slice(0, lastBlockEnd + EDIT_BLOCK_MARKERS.replace.length));
+  return edits.reduce((preview, edit) => applyEdits(preview, [edit]).code, code);
+}
+
+/**
+ * Why a patch wasn't applied (the edits that failed, or why the reply couldn't be read)
+ * @param {{hunks: Array, fallbackReason?: string}} patch - From modifyCode
+ * @returns {string}
+ */
+export function describePatchFailure(patch) {
+  const failed = patch.hunks.filter(hunk => hunk.status !== 'applied');
+  const reason = failed.length > 0
+    ? failed.map(hunk => `edit ${hunk.index + 1} ${hunk.status}`).join(', ')
+    : patch.fallbackReason || PatchFailure.NO_EDITS;
+  return reason.replace(/_/g, ' ');
+}
+
+/**
+ * One-line description of how a file was modified, for progress updates
+ * @param {{mode: string, hunks: Array, fallbackReason?: string}} patch - From modifyCode
+ * @returns {string}
+ */
+export function describePatch(patch) {
+  if (!patch) return '';
+
+  const count = (n) => `${n} ${n === 1 ? 'edit' : 'edits'}`;
+  const applied = patch.hunks.filter(hunk => hunk.status === 'applied');
+
+  if (patch.mode === 'patch') {
+    if (applied.length === 0) return 'no changes needed';
+    return `${count(applied.length)} applied at line${applied.length === 1 ? '' : 's'} ${applied.map(hunk => hunk.line).join(', ')}`;
+  }
+
+  return `rewritten in full (${describePatchFailure(patch)})`;
+}
@@ -0,0 +1,242 @@
+/**
+ * File Moves
+ * Deletions and renames from a plan (filesToDelete / filesToRename), applied to the files map
+ * together with the import paths that point at the moved or deleted modules, so merging or
+ * moving files doesn't leave stale files or broken imports behind.
+ */
+
+import { findEntry, findImports, resolveModulePath } from '../preview/moduleBundler.js';
+
+/**
+ * Why a planned deletion or rename was skipped
+ */
+export const FileMoveSkip = {
+  NOT_FOUND: 'not_found',           // File isn't in the project
+  INVALID_TARGET: 'invalid_target', // Rename without a (different) new path
+  TARGET_EXISTS: 'target_exists',   // New path is taken by another file
+  CONFLICT: 'conflict',             // File is already renamed or deleted by the plan
+  ENTRY_FILE: 'entry_file',         // The preview can't run without its entry file
+};
+
+// Imports that point into the project rather than at a package
+const isLocalSpecifier = (specifier) => /^\.{0,2}\//.test(specifier);
+
+// Files whose imports can be read
+const isScriptFile = (filename) => /\.jsx?$/.test(filename);
+
+/**
+ * Read the plan's deletions and renames, dropping the ones that can't be applied to these files
+ * filesToDelete entries are paths, or { file, replacedBy } when another file takes over their exports;
+ * filesToRename entries are { from, to }. replacedBy is a path as it will be after the plan.
+ * @param {Object} plan - Plan from createPlan
+ * @param {Object} files - Current files map
+ * @returns {{deletes: Array<{file: string, replacedBy: string|null}>, renames: Array<{from: string, to: string}>,
+ *   skipped: Array<{file: string, reason: string}>}}
+ */
+export function normalizeFileMoves(plan = {}, files = {}) {
+  const skipped = [];
+  const deletes = [];
+  const skip = (file, reason) => skipped.push({ file: String(file), reason });
+
+  const requestedRenames = Array.isArray(plan.filesToRename) ? plan.filesToRename : [];
+  const requestedDeletes = (Array.isArray(plan.filesToDelete) ? plan.filesToDelete : [])
+    .map(entry => (typeof entry === 'string' ? { file: entry } : entry || {}));
+  const creating = new Set(plan.filesToCreate || []);
+  const entry = findEntry(files);
+
+  const candidates = [];
+  requestedRenames.forEach(({ from, to } = {}) => {
+    if (typeof files[from] !== 'string') return skip(from, FileMoveSkip.NOT_FOUND);
+    if (typeof to !== 'string' || !to.trim() || to === from) return skip(from, FileMoveSkip.INVALID_TARGET);
+    if (from === entry) return skip(from, FileMoveSkip.ENTRY_FILE);
+    if (candidates.some(rename => rename.from === from)) return skip(from, FileMoveSkip.CONFLICT);
+    if (creating.has(to)) return skip(from, FileMoveSkip.TARGET_EXISTS);
+
+    candidates.push({ from, to });
+  });
+
+  // Paths a rename may move onto: free ones, or ones vacated by a rename or deletion that goes ahead.
+  // Skipping a rename can leave another one's target occupied, so check again until none is skipped
+  const deletable = requestedDeletes
+    .map(deletion => deletion.file)
+    .filter(file => typeof files[file] === 'string' && file !== entry);
+  let renames = candidates;
+  let blocked;
+  do {
+    const vacated = new Set([...renames.map(rename => rename.from), ...deletable]);
+    const targets = new Set();
+    blocked = renames.filter(({ to }) => {
+      if ((files[to] !== undefined && !vacated.has(to)) || targets.has(to)) return true;
+      targets.add(to);
+      return false;
+    });
+
+    blocked.forEach(rename => skip(rename.from, FileMoveSkip.TARGET_EXISTS));
+    renames = renames.filter(rename => !blocked.includes(rename));
+  } while (blocked.length > 0);
+  const taken = new Set(renames.map(rename => rename.to));
+
+  // Paths that exist once the plan has run
+  const renamedFrom = new Set(renames.map(rename => rename.from));
+  const deleting = new Set(deletable);
+  const finalPaths = new Set([
+    ...Object.keys(files).filter(file => !renamedFrom.has(file) && !deleting.has(file)),
+    ...taken,
+    ...creating,
+  ]);
+
+  requestedDeletes.forEach(({ file, replacedBy }) => {
+    if (typeof files[file] !== 'string') return skip(file, FileMoveSkip.NOT_FOUND);
+    if (file === entry) return skip(file, FileMoveSkip.ENTRY_FILE);
+    if (renamedFrom.has(file) || deletes.some(deletion => deletion.file === file)) {
+      return skip(file, FileMoveSkip.CONFLICT);
+    }
+
+    deletes.push({ file, replacedBy: finalPaths.has(replacedBy) ? replacedBy : null });
+  });
+
+  return { deletes, renames, skipped };
+}
+
+/**
+ * Import specifier for a module, written from a file, in the style of the specifier it replaces
+ * (extension and "/index" are only kept if the old one had them; absolute stays absolute)
+ * @param {string} fromFile - Importing file (its path after the plan)
+ * @param {string} targetFile - Imported file (its path after the plan)
+ * @param {string} previous - Specifier being replaced
+ * @returns {string}
+ */
+export function relativeSpecifier(fromFile, targetFile, previous = '') {
+  const fromDir = fromFile.split('/').slice(0, -1);
+  const target = targetFile.split('/');
+
+  let path;
+  if (previous.startsWith('/')) {
+    path = `/${targetFile}`;
+  } else {
+    let common = 0;
+    while (common < fromDir.length && common < target.length - 1 && fromDir[common] === target[common]) {
+      common++;
+    }
+    const ups = fromDir.length - common;
+    path = (ups === 0 ? './' : '../'.repeat(ups)) + target.slice(common).join('/');
+  }
+
+  const previousName = previous.split('/').pop();
+  if (!/\.\w+$/.test(previousName)) {
+    path = path.replace(/\.jsx?$/, '');
+    if (previousName !== 'index') {
+      path = path.replace(/\/index$/, '');
+    }
+  }
+
+  return path;
+}
+
+/**
+ * Point one file's imports at the modules' paths after the plan
+ * Files that can't be parsed are left as they are
+ */
+function rewriteFileImports(code, filename, newFilename, files, pathAfter, deleted) {
+  let imports;
+  try {
+    imports = findImports(code, filename);
+  } catch {
+    return { code, rewritten: [], dangling: [] };
+  }
+
+  const rewritten = [];
+  const dangling = [];
+  const edits = [];
+
+  imports.forEach(({ specifier, line, start, end }) => {
+    if (!isLocalSpecifier(specifier)) return;
+    const resolved = resolveModulePath(specifier, filename, files);
+    if (!resolved) return;
+
+    let target = pathAfter(resolved);
+    if (deleted.has(resolved)) {
+      target = deleted.get(resolved);
+      if (!target) {
+        dangling.push({ filename: newFilename, line, specifier, deleted: resolved });
+        return;
+      }
+    }
+
+    if (target === resolved && newFilename === filename) return;
+    const next = relativeSpecifier(newFilename, target, specifier);
+    if (next === specifier) return;
+
+    edits.push({ start, end, next });
+    rewritten.push({ filename: newFilename, line, from: specifier, to: next });
+  });
+
+  // From the end, so earlier offsets stay valid
+  const updated = edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, { start, end, next }) => {
+      const quote = text[start];
+      return text.slice(0, start) + quote + next + quote + text.slice(end);
+    }, code);
+
+  return { code: updated, rewritten, dangling };
+}
+
+/**
+ * Apply deletions and renames to the files, rewriting imports of moved or deleted modules everywhere
+ * Imports of a deleted file go to its replacement; without one they're reported as dangling
+ * @param {Object} files - Current files map
+ * @param {{deletes: Array, renames: Array}} moves - From normalizeFileMoves
+ * @returns {{files: Object, operations: Array<{type: 'delete'|'rename'|'modify', filename: string,
+ *   content?: string, from?: string, replacedBy?: string|null}>, rewrittenImports: Array<{filename: string,
+ *   line: number, from: string, to: string}>, danglingImports: Array<{filename: string, line: number,
+ *   specifier: string, deleted: string}>}} operations are file operations for the orchestrator
+ */
+export function applyFileMoves(files, { deletes = [], renames = [] } = {}) {
+  const renamedTo = new Map(renames.map(({ from, to }) => [from, to]));
+  const deleted = new Map(deletes.map(({ file, replacedBy }) => [file, replacedBy || null]));
+  const pathAfter = (file) => renamedTo.get(file) || file;
+
+  const result = {};
+  const operations = deletes.map(({ file, replacedBy }) => ({ type: 'delete', filename: file, replacedBy: replacedBy || null }));
+  const rewrittenImports = [];
+  const danglingImports = [];
+
+  Object.entries(files).forEach(([filename, code]) => {
+    if (deleted.has(filename)) return;
+
+    const newFilename = pathAfter(filename);
+    let content = code;
+    if (typeof code === 'string' && isScriptFile(filename)) {
+      const rewrite = rewriteFileImports(code, filename, newFilename, files, pathAfter, deleted);
+      content = rewrite.code;
+      rewrittenImports.push(...rewrite.rewritten);
+      danglingImports.push(...rewrite.dangling);
+    }
+
+    result[newFilename] = content;
+    if (newFilename !== filename) {
+      operations.push({ type: 'rename', from: filename, filename: newFilename, content });
+    } else if (content !== code) {
+      operations.push({ type: 'modify', filename, content });
+    }
+  });
+
+  return { files: result, operations, rewrittenImports, danglingImports };
+}
+
+/**
+ * One-line description of a delete, rename or import update, for progress updates
+ * @param {Object} operation - From applyFileMoves
+ * @returns {string}
+ */
+export function describeFileMove(operation) {
+  switch (operation.type) {
+    case 'delete':
+      return `Deleted ${operation.filename}${operation.replacedBy ? ` (replaced by ${operation.replacedBy})` : ''}`;
+    case 'rename':
+      return `Renamed ${operation.from} to ${operation.filename}`;
+    default:
+      return `Updated imports in ${operation.filename}`;
+  }
+}
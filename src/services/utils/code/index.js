@@ -4,3 +4,5 @@
 
 export * from './codeCleanup';
 export * from './autoFix';
+export * from './editPatch';
+export * from './fileMoves';
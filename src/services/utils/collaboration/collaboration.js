@@ -0,0 +1,200 @@
+/**
+ * Collaboration
+ * Helpers for editing one artifact from several browsers at once:
+ * per-file patches and merges (so concurrent edits to different files don't clobber each other),
+ * presence (who is here, where their cursor is) and the one-generation-at-a-time lock.
+ * Shared by the client (live sync) and the artifact API (patches and locks).
+ */
+
+/**
+ * How often an open editor refreshes its presence
+ */
+export const PRESENCE_HEARTBEAT_MS = 15_000;
+
+/**
+ * Presence older than this is treated as gone (closed tab, lost connection)
+ */
+export const PRESENCE_TTL_MS = 45_000;
+
+/**
+ * A generation lock lapses after this long, so a crashed tab can't block the artifact forever
+ */
+export const GENERATION_LOCK_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Cursor colors for collaborators - each user keeps the same color everywhere
+ */
+export const COLLABORATOR_COLORS = ['#e0795b', '#5b9be0', '#7dbb6a', '#c77dd6', '#e0b84f', '#4fc1c0'];
+
+/**
+ * Random ID for one open tab
+ * Presence and locks are per tab, so the same user in two tabs counts twice
+ */
+export const createSessionId = () => {
+  const random = Math.random().toString(36).substring(2, 11);
+  return `session_${Date.now()}_${random}`;
+};
+
+/**
+ * List the files that differ between two file maps (added, changed or removed)
+ * @param {Object} previousFiles
+ * @param {Object} nextFiles
+ * @returns {string[]}
+ */
+export function getChangedFiles(previousFiles = {}, nextFiles = {}) {
+  const paths = new Set([...Object.keys(previousFiles), ...Object.keys(nextFiles)]);
+  return [...paths].filter(path => previousFiles[path] !== nextFiles[path]);
+}
+
+/**
+ * Build a per-file patch: new contents for the given paths, null for deleted files
+ * @param {Object} files - Current files
+ * @param {Iterable<string>} paths - Files to include
+ * @returns {Object} Map of path -> content (or null)
+ */
+export function buildFilesPatch(files, paths) {
+  const patch = {};
+  for (const path of paths) {
+    patch[path] = path in files ? files[path] : null;
+  }
+  return patch;
+}
+
+/**
+ * Apply a per-file patch to a files map
+ * @param {Object} files
+ * @param {Object} patch - From buildFilesPatch
+ * @returns {Object} New files map
+ */
+export function applyFilesPatch(files, patch) {
+  const next = { ...files };
+  for (const [path, content] of Object.entries(patch)) {
+    if (content === null) {
+      delete next[path];
+    } else {
+      next[path] = content;
+    }
+  }
+  return next;
+}
+
+/**
+ * Check a files patch from a client
+ * @param {*} patch
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateFilesPatch(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return 'filesPatch must be an object of file path -> content (or null to delete)';
+  }
+
+  for (const [path, content] of Object.entries(patch)) {
+    if (!path.trim()) {
+      return 'File paths in filesPatch must not be empty';
+    }
+    if (content !== null && typeof content !== 'string') {
+      return `New content for ${path} must be a string, or null to delete it`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Merge a remote copy of the files into the local ones
+ * Remote wins everywhere except files with local edits that haven't been saved yet
+ * @param {Object} localFiles
+ * @param {Object} remoteFiles
+ * @param {Set<string>|string[]} pendingPaths - Files edited locally since the last save
+ * @returns {Object} Merged files map
+ */
+export function mergeRemoteFiles(localFiles = {}, remoteFiles = {}, pendingPaths = []) {
+  const pending = new Set(pendingPaths);
+  const merged = {};
+
+  for (const [path, content] of Object.entries(remoteFiles)) {
+    if (!pending.has(path)) merged[path] = content;
+  }
+  for (const path of pending) {
+    if (path in localFiles) merged[path] = localFiles[path];
+  }
+
+  return merged;
+}
+
+/**
+ * Stable color for a user
+ * @param {string} userId
+ * @returns {string} Hex color
+ */
+export function colorForUser(userId = '') {
+  let hash = 0;
+  for (const char of userId) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return COLLABORATOR_COLORS[hash % COLLABORATOR_COLORS.length];
+}
+
+/**
+ * One or two letters for an avatar
+ * @param {string} name - Display name or email
+ * @returns {string}
+ */
+export function getInitials(name = '') {
+  const words = name.split('@')[0].split(/[\s._-]+/).filter(Boolean);
+  if (words.length === 0) return '?';
+  if (words.length === 1) return words[0].slice(0, 2).toUpperCase();
+  return (words[0][0] + words[1][0]).toUpperCase();
+}
+
+/**
+ * Collaborators currently in the artifact, excluding this tab
+ * @param {Object[]} presence - Presence documents ({ sessionId, userId, name, file, selection, updatedAt })
+ * @param {string} ownSessionId
+ * @param {number} [now=Date.now()]
+ * @returns {Object[]} Fresh presence entries, each with its cursor color
+ */
+export function getActiveCollaborators(presence, ownSessionId, now = Date.now()) {
+  return presence
+    .filter(entry => entry.sessionId !== ownSessionId && now - entry.updatedAt < PRESENCE_TTL_MS)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+    .map(entry => ({ ...entry, color: colorForUser(entry.userId) }));
+}
+
+/**
+ * Check whether a generation lock is still held
+ * @param {Object|null} lock - { sessionId, userId, name, expiresAt }
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function isLockActive(lock, now = Date.now()) {
+  return Boolean(lock && lock.expiresAt > now);
+}
+
+/**
+ * Check whether a tab may start generating
+ * Allowed when nobody holds the lock, it has lapsed, or this tab already holds it
+ * @param {Object|null} lock
+ * @param {string} sessionId
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function canAcquireLock(lock, sessionId, now = Date.now()) {
+  return !isLockActive(lock, now) || lock.sessionId === sessionId;
+}
+
+/**
+ * Build a generation lock for a tab
+ * @param {{sessionId: string, userId: string, name: string}} holder
+ * @param {number} [now=Date.now()]
+ * @returns {Object}
+ */
+export function createGenerationLock({ sessionId, userId, name }, now = Date.now()) {
+  return {
+    sessionId,
+    userId,
+    name: name || 'Someone',
+    acquiredAt: now,
+    expiresAt: now + GENERATION_LOCK_TTL_MS,
+  };
+}
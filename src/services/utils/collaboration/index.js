@@ -0,0 +1,6 @@
+/**
+ * Collaboration Utilities - Barrel Export
+ */
+
+export * from './collaboration';
+export * from './merge';
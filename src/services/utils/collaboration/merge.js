@@ -0,0 +1,161 @@
+/**
+ * Merge
+ * Three-way merges for artifact saves rejected as stale (409): the last copy this tab
+ * saw from the server (base), this tab's unsaved edits (mine) and the server's current copy (theirs).
+ * Changes that don't touch the same lines merge on their own; the rest go to the merge dialog.
+ */
+
+import { splitHunks } from '../versions/changeReview.js';
+
+/**
+ * Markers around unresolved lines in merged text, like git's
+ */
+export const CONFLICT_MARKERS = {
+  mine: '<<<<<<< Yours',
+  separator: '=======',
+  theirs: '>>>>>>> Theirs',
+};
+
+/**
+ * Check a revision quoted by a client
+ * @param {*} revision
+ * @returns {boolean}
+ */
+export function isValidRevision(revision) {
+  return Number.isInteger(revision) && revision >= 0;
+}
+
+/**
+ * Check whether text still contains conflict markers
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasConflictMarkers(text = '') {
+  return text.split('\n').some(line =>
+    line.startsWith(CONFLICT_MARKERS.mine) || line.startsWith(CONFLICT_MARKERS.theirs)
+  );
+}
+
+// Base lines [start, end) with one side's hunks applied
+const applySide = (baseLines, start, end, hunks) => {
+  const output = [];
+  let line = start;
+
+  hunks.forEach(hunk => {
+    output.push(...baseLines.slice(line, hunk.start));
+    output.push(...hunk.added);
+    line = hunk.start + hunk.removed.length;
+  });
+  output.push(...baseLines.slice(line, end));
+
+  return output;
+};
+
+/**
+ * Line-based three-way merge of one file
+ * Changes from both sides that touch (or sit right next to) the same lines conflict,
+ * unless both sides made the same change.
+ * @param {string} base - Content both sides started from
+ * @param {string} mine - This tab's content
+ * @param {string} theirs - The server's content
+ * @returns {{content: string, conflicts: number}} Merged content (conflicts wrapped in CONFLICT_MARKERS)
+ */
+export function mergeText(base = '', mine = '', theirs = '') {
+  if (mine === theirs || theirs === base) return { content: mine, conflicts: 0 };
+  if (mine === base) return { content: theirs, conflicts: 0 };
+
+  const baseLines = base === '' ? [] : base.split('\n');
+
+  // Hunks from each side, 0-based in base lines, sorted by where they start
+  const hunks = [
+    ...splitHunks(base, mine).map(hunk => ({ ...hunk, side: 'mine' })),
+    ...splitHunks(base, theirs).map(hunk => ({ ...hunk, side: 'theirs' })),
+  ]
+    .map(hunk => ({ ...hunk, start: hunk.oldStart - 1, end: hunk.oldStart - 1 + hunk.oldCount }))
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Group hunks that overlap or touch
+  const groups = [];
+  hunks.forEach(hunk => {
+    const group = groups[groups.length - 1];
+    if (group && hunk.start <= group.end) {
+      group.hunks.push(hunk);
+      group.end = Math.max(group.end, hunk.end);
+    } else {
+      groups.push({ start: hunk.start, end: hunk.end, hunks: [hunk] });
+    }
+  });
+
+  const output = [];
+  let line = 0;
+  let conflicts = 0;
+
+  groups.forEach(({ start, end, hunks: groupHunks }) => {
+    output.push(...baseLines.slice(line, start));
+    line = end;
+
+    const mineLines = applySide(baseLines, start, end, groupHunks.filter(hunk => hunk.side === 'mine'));
+    const theirLines = applySide(baseLines, start, end, groupHunks.filter(hunk => hunk.side === 'theirs'));
+    const sides = new Set(groupHunks.map(hunk => hunk.side));
+
+    if (!sides.has('theirs') || mineLines.join('\n') === theirLines.join('\n')) {
+      output.push(...mineLines);
+    } else if (!sides.has('mine')) {
+      output.push(...theirLines);
+    } else {
+      conflicts++;
+      output.push(CONFLICT_MARKERS.mine, ...mineLines, CONFLICT_MARKERS.separator, ...theirLines, CONFLICT_MARKERS.theirs);
+    }
+  });
+  output.push(...baseLines.slice(line));
+
+  return { content: output.join('\n'), conflicts };
+}
+
+/**
+ * Three-way merge of the files this tab edited
+ * Files nobody else touched keep this tab's version; files only the server changed follow the server.
+ * @param {Object} baseFiles - Files as this tab last saw them on the server
+ * @param {Object} myFiles - This tab's files
+ * @param {Object} theirFiles - The server's current files
+ * @param {Iterable<string>} paths - Files edited in this tab since the last save
+ * @returns {{files: Object, conflicts: Array<{path: string, base?: string, mine?: string, theirs?: string,
+ *   merged: string|null}>}} The server's files with this tab's edits merged in (conflicted files keep
+ *   the server's content), and the files that need a decision (merged is null when one side deleted the file)
+ */
+export function mergeFiles(baseFiles = {}, myFiles = {}, theirFiles = {}, paths = []) {
+  const files = { ...theirFiles };
+  const conflicts = [];
+
+  for (const path of new Set(paths)) {
+    const base = baseFiles[path];
+    const mine = myFiles[path];
+    const theirs = theirFiles[path];
+
+    if (mine === theirs || theirs === base) {
+      // Nobody else changed it (or both made the same change)
+      if (mine === undefined) {
+        delete files[path];
+      } else {
+        files[path] = mine;
+      }
+      continue;
+    }
+    if (mine === base) continue;
+
+    if (mine === undefined || theirs === undefined) {
+      // Deleted on one side, edited on the other
+      conflicts.push({ path, base, mine, theirs, merged: null });
+      continue;
+    }
+
+    const { content, conflicts: count } = mergeText(base ?? '', mine, theirs);
+    if (count === 0) {
+      files[path] = content;
+    } else {
+      conflicts.push({ path, base, mine, theirs, merged: content });
+    }
+  }
+
+  return { files, conflicts };
+}
@@ -0,0 +1,5 @@
+/**
+ * Export Utilities - Barrel Export
+ */
+
+export * from './projectExport';
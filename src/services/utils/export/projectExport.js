@@ -0,0 +1,274 @@
+/**
+ * Project Export
+ * Packages an artifact's flat files map as a runnable Vite + React + Tailwind project.
+ * The generator deliberately omits initialization code (createRoot/render), so the
+ * entry point, HTML shell and build config are generated here.
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+import { findEntry, findImports, LEGACY_REACT_GLOBALS, resolveModulePath, RUNTIME_PACKAGES } from '../preview/moduleBundler.js';
+import { getModuleGraph, hasExport } from '../validation/moduleGraph.js';
+
+/**
+ * React version exported projects pin - the major the preview runtime loads (see runtimeAssets.js)
+ */
+const REACT_VERSION = '^18.3.1';
+
+/**
+ * Packages an exported project may depend on, with the versions we pin: the ones the preview
+ * provides (RUNTIME_PACKAGES), so a project never depends on a package the preview can't load
+ * Imports of anything else are reported instead of added
+ */
+export const EXPORT_PACKAGE_VERSIONS = Object.fromEntries(
+  Object.keys(RUNTIME_PACKAGES).map(specifier => [getPackageName(specifier), REACT_VERSION])
+);
+
+/**
+ * Build tooling every exported React project gets
+ * Tailwind is the same major version the preview runtime loads (see runtimeAssets.js)
+ */
+const DEV_DEPENDENCIES = {
+  '@tailwindcss/vite': '^4.1.14',
+  '@vitejs/plugin-react': '^4.3.4',
+  'tailwindcss': '^4.1.14',
+  'vite': '^6.0.5'
+};
+
+/**
+ * Turn an artifact name into a valid npm package name
+ */
+export function toPackageName(name) {
+  const slug = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9-_.]+/g, '-')
+    .replace(/^[-_.]+|[-_.]+$/g, '')
+    .slice(0, 214);
+  return slug || 'react-app';
+}
+
+/**
+ * Package name from an import specifier ('@scope/pkg/sub' -> '@scope/pkg', 'pkg/sub' -> 'pkg')
+ */
+function getPackageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Find the packages a project imports
+ * @param {Object} files - Files map
+ * @returns {{dependencies: Object, unsupported: string[]}} Allowed packages with versions,
+ *   plus imported packages that are not on the allow-list
+ */
+export function detectDependencies(files) {
+  const packages = new Set(['react', 'react-dom']);
+
+  Object.entries(files).forEach(([filename, code]) => {
+    if (!/\.(jsx?|tsx?)$/.test(filename)) return;
+
+    let imports;
+    try {
+      imports = findImports(code, filename);
+    } catch {
+      return; // Syntax errors are the preview's job to report
+    }
+
+    imports
+      .map(({ specifier }) => specifier)
+      .filter(specifier => !specifier.startsWith('.') && !specifier.startsWith('/'))
+      .forEach(specifier => packages.add(getPackageName(specifier)));
+  });
+
+  const dependencies = {};
+  const unsupported = [];
+
+  [...packages].sort().forEach(name => {
+    if (EXPORT_PACKAGE_VERSIONS[name]) {
+      dependencies[name] = EXPORT_PACKAGE_VERSIONS[name];
+    } else {
+      unsupported.push(name);
+    }
+  });
+
+  return { dependencies, unsupported };
+}
+
+/**
+ * Check whether any project file imports the given file
+ */
+function isImported(files, target) {
+  return Object.entries(files).some(([filename, code]) => {
+    if (!/\.jsx?$/.test(filename)) return false;
+    try {
+      return findImports(code, filename)
+        .some(({ specifier }) => resolveModulePath(specifier, filename, files) === target);
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Add the imports the preview makes implicit
+ * The preview hands every module React and the common hooks (see createModuleRegistry);
+ * under Vite they need real imports.
+ * @param {Object} files - Files map
+ * @param {Object} graph - From getModuleGraph
+ * @returns {Object} Files map with the missing React imports added
+ */
+function addImplicitReactImports(files, graph) {
+  return Object.fromEntries(Object.entries(files).map(([filename, code]) => {
+    const module = graph.modules[filename];
+    if (!module?.script || module.parseError) return [filename, code];
+
+    const isMissing = (name) => module.references.has(name) && !module.topLevelNames.has(name);
+    const hooks = LEGACY_REACT_GLOBALS.filter(isMissing);
+    const imports = [
+      isMissing('React') && "import React from 'react';",
+      hooks.length > 0 && `import { ${hooks.join(', ')} } from 'react';`
+    ].filter(Boolean);
+
+    return [filename, imports.length > 0 ? `${imports.join('\n')}\n${code}` : code];
+  }));
+}
+
+/**
+ * Find how the entry provides App, the way the preview looks for it:
+ * default export, then a named App export, then a top-level App that isn't exported
+ * @returns {{binding: string, exportLocal: boolean}} Import clause for main.jsx, and whether
+ *   the entry needs `export default App` added
+ */
+function findEntryApp(graph, entry) {
+  if (hasExport(graph, entry, 'default') === false) {
+    if (hasExport(graph, entry, 'App')) return { binding: '{ App }', exportLocal: false };
+    if (graph.modules[entry].topLevelNames.has('App')) return { binding: 'App', exportLocal: true };
+  }
+  return { binding: 'App', exportLocal: false };
+}
+
+/**
+ * Build the files of a runnable Vite project
+ * @param {Object} files - Artifact files map
+ * @param {Object} [options]
+ * @param {string} [options.name] - Project name
+ * @returns {{files: Object, dependencies: Object, unsupported: string[]}} Project files map
+ *   (paths relative to the project root) and detected dependencies
+ */
+export function buildExportProject(files, { name = 'React App' } = {}) {
+  const entry = findEntry(files);
+
+  // Plain HTML/CSS/JS artifacts are already runnable as-is
+  if (!entry) {
+    return { files: { ...files }, dependencies: {}, unsupported: [] };
+  }
+
+  const project = {};
+  const graph = getModuleGraph(files);
+  const entryApp = findEntryApp(graph, entry);
+  const sources = addImplicitReactImports(files, graph);
+  if (entryApp.exportLocal) {
+    sources[entry] = `${sources[entry].replace(/\s*$/, '')}\n\nexport default App;\n`;
+  }
+
+  // Artifact files live under src/ (unless they already do)
+  Object.entries(sources).forEach(([filename, content]) => {
+    const path = filename.startsWith('src/') ? filename : `src/${filename}`;
+    project[path] = content;
+  });
+
+  const appImport = `./${entry.replace(/^src\//, '').replace(/\.jsx?$/, '')}`;
+
+  // The preview applies styles.css globally even when nothing imports it
+  const globalStyles = files['styles.css'] !== undefined && !isImported(files, 'styles.css');
+
+  const { dependencies, unsupported } = detectDependencies(files);
+
+  project['src/main.jsx'] = `import React from 'react';
+import ReactDOM from 'react-dom/client';
+import ${entryApp.binding} from '${appImport}';
+import './index.css';
+${globalStyles ? "import './styles.css';\n" : ''}
+ReactDOM.createRoot(document.getElementById('root')).render(
+  <React.StrictMode>
+    <App />
+  </React.StrictMode>
+);
+`;
+
+  project['src/index.css'] = `@import "tailwindcss";
+`;
+
+  project['index.html'] = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${name.replace(/[<>&"]/g, '')}</title>
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="/src/main.jsx"></script>
+  </body>
+</html>
+`;
+
+  project['package.json'] = JSON.stringify({
+    name: toPackageName(name),
+    private: true,
+    version: '0.0.1',
+    type: 'module',
+    scripts: {
+      dev: 'vite',
+      build: 'vite build',
+      preview: 'vite preview'
+    },
+    dependencies,
+    devDependencies: DEV_DEPENDENCIES
+  }, null, 2) + '\n';
+
+  project['vite.config.js'] = `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+import tailwindcss from '@tailwindcss/vite';
+
+export default defineConfig({
+  plugins: [react(), tailwindcss()],
+});
+`;
+
+  project['README.md'] = `# ${name}
+
+## Getting started
+
+\`\`\`bash
+npm install
+npm run dev
+\`\`\`
+${unsupported.length > 0
+    ? `\n> Note: these imported packages were not added to package.json and need to be installed manually: ${unsupported.join(', ')}\n`
+    : ''}`;
+
+  return { files: project, dependencies, unsupported };
+}
+
+/**
+ * Package an artifact as a zip archive
+ * @param {Object} files - Artifact files map
+ * @param {Object} [options]
+ * @param {string} [options.name] - Project name (also the zip's top-level folder)
+ * @returns {{zip: Uint8Array, filename: string, unsupported: string[]}}
+ */
+export function createProjectZip(files, { name = 'React App' } = {}) {
+  const { files: project, unsupported } = buildExportProject(files, { name });
+  const folder = toPackageName(name);
+
+  const entries = {};
+  Object.entries(project).forEach(([path, content]) => {
+    entries[`${folder}/${path}`] = strToU8(content);
+  });
+
+  return {
+    zip: zipSync(entries, { level: 6 }),
+    filename: `${folder}.zip`,
+    unsupported
+  };
+}
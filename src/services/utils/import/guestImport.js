@@ -0,0 +1,68 @@
+/**
+ * Guest Import
+ * Size limits for moving a guest's localStorage projects into their account through
+ * /api/artifacts/bulk/create, and splitting a selection into requests that stay within them.
+ * The client splits with these limits and the API validates against the same ones.
+ */
+
+/**
+ * Most artifacts one request may create
+ */
+export const MAX_BULK_ARTIFACTS = 20;
+
+/**
+ * Largest artifact accepted, in UTF-8 bytes of JSON (Firestore documents top out at 1 MiB)
+ */
+export const MAX_ARTIFACT_BYTES = 900_000;
+
+/**
+ * Largest request, in UTF-8 bytes of JSON
+ * Vercel rejects request bodies over 4.5 MB; this also keeps a batch far below Firestore's 10 MiB commit limit
+ */
+export const MAX_BULK_REQUEST_BYTES = 3_500_000;
+
+const encoder = new TextEncoder();
+
+/**
+ * Size of a value once sent as JSON
+ * @param {*} value
+ * @returns {number} UTF-8 bytes
+ */
+export function jsonSize(value) {
+  return encoder.encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Split artifacts into bulk-create requests within the count and size limits
+ * @param {Object[]} artifacts - Request artifacts, in import order
+ * @param {{maxCount?: number, maxBytes?: number}} [limits]
+ * @returns {{chunks: Object[][], oversized: Object[]}} Requests to send, and artifacts too large to import at all
+ */
+export function chunkBulkArtifacts(artifacts, { maxCount = MAX_BULK_ARTIFACTS, maxBytes = MAX_BULK_REQUEST_BYTES } = {}) {
+  const chunks = [];
+  const oversized = [];
+  let current = [];
+  let currentBytes = 0;
+
+  artifacts.forEach(artifact => {
+    const size = jsonSize(artifact);
+    if (size > MAX_ARTIFACT_BYTES) {
+      oversized.push(artifact);
+      return;
+    }
+
+    // +1 for the comma between array items; the request's own wrapper fits in the margin below 4.5 MB
+    if (current.length >= maxCount || (current.length > 0 && currentBytes + size + 1 > maxBytes)) {
+      chunks.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+
+    current.push(artifact);
+    currentBytes += size + 1;
+  });
+
+  if (current.length > 0) chunks.push(current);
+
+  return { chunks, oversized };
+}
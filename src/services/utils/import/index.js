@@ -0,0 +1,6 @@
+/**
+ * Import Utilities - Barrel Export
+ */
+
+export * from './guestImport';
+export * from './projectImport';
@@ -0,0 +1,312 @@
+/**
+ * Project Import
+ * Turns an existing project (zip archive or local folder) into an artifact files map.
+ * Dependencies, lockfiles, build output and binaries are dropped, and files are moved
+ * into the flat App.jsx + components/ + hooks/ layout the agents work with.
+ */
+
+import { unzipSync, strFromU8 } from 'fflate';
+import { findImports, resolveModulePath } from '../preview/moduleBundler.js';
+import { validateNoBannedPackages } from '../validation/runtimeValidation.js';
+
+/**
+ * Directories that never belong in an artifact
+ */
+const IGNORED_DIRECTORIES = ['node_modules', '.git', 'dist', 'build', '.next', '.vercel', '.cache', 'coverage'];
+
+/**
+ * Lockfiles (dependencies are the preview runtime's job)
+ */
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb'];
+
+/**
+ * Project scaffolding that the preview and the export generate themselves
+ */
+const SCAFFOLDING_FILES = [
+  'package.json',
+  'index.html',
+  'main.jsx',
+  'main.js',
+  'main.tsx',
+  'main.ts',
+  'index.jsx',
+  'vite-env.d.ts',
+  'vite.config.js',
+  'vite.config.mjs',
+  'vite.config.ts',
+  'tailwind.config.js',
+  'tailwind.config.cjs',
+  'tailwind.config.ts',
+  'postcss.config.js',
+  'postcss.config.cjs',
+  'postcss.config.mjs',
+  'eslint.config.js',
+  'eslint.config.mjs',
+  'tsconfig.json',
+  'tsconfig.app.json',
+  'tsconfig.node.json',
+  'README.md'
+];
+
+/**
+ * Text files an artifact can hold
+ */
+const TEXT_EXTENSIONS = [
+  '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx',
+  '.css', '.json', '.html', '.md', '.txt', '.svg', '.yml', '.yaml'
+];
+
+/**
+ * Files larger than this are skipped (generated bundles, data dumps)
+ */
+const MAX_FILE_SIZE = 512 * 1024;
+
+/**
+ * Decide whether a path is skipped, and why
+ * @param {string} path - Path relative to the project root
+ * @returns {string|null} Reason, or null to keep the file
+ */
+function getSkipReason(path) {
+  const segments = path.split('/');
+  const name = segments[segments.length - 1];
+
+  if (segments.some(segment => IGNORED_DIRECTORIES.includes(segment))) return 'ignored directory';
+  if (LOCKFILES.includes(name)) return 'lockfile';
+  if (name.startsWith('.')) return 'hidden file';
+  if (!TEXT_EXTENSIONS.some(ext => name.endsWith(ext))) return 'binary or unsupported file type';
+  return null;
+}
+
+/**
+ * Strip the folder every entry shares (zips usually wrap the project in one)
+ */
+function stripCommonRoot(paths) {
+  if (paths.length === 0) return paths;
+
+  const [first] = paths;
+  const root = first.includes('/') ? first.slice(0, first.indexOf('/') + 1) : '';
+  if (!root || !paths.every(path => path.startsWith(root))) return paths;
+
+  return stripCommonRoot(paths.map(path => path.slice(root.length)));
+}
+
+/**
+ * Map a path onto the agents' layout
+ * src/ is flattened, stray components go to components/ and hooks to hooks/
+ */
+function normalizeLayout(path) {
+  let normalized = path.startsWith('src/') ? path.slice(4) : path;
+
+  if (!normalized.includes('/')) {
+    if (/^use[A-Z]\w*\.jsx?$/.test(normalized)) {
+      normalized = `hooks/${normalized}`;
+    } else if (/^[A-Z]\w*\.jsx$/.test(normalized) && !/^App\.jsx$/.test(normalized)) {
+      normalized = `components/${normalized}`;
+    }
+  }
+
+  return normalized
+    .replace(/^component\//, 'components/')
+    .replace(/^Components\//, 'components/')
+    .replace(/^Hooks\//, 'hooks/');
+}
+
+/**
+ * Relative import specifier from one file to another
+ * Keeps the original's style of including or omitting the extension
+ */
+function relativeSpecifier(fromFile, toFile, keepExtension) {
+  const fromDir = fromFile.split('/').slice(0, -1);
+  const toParts = toFile.split('/');
+
+  let common = 0;
+  while (common < fromDir.length && fromDir[common] === toParts[common]) common++;
+
+  const ups = fromDir.length - common;
+  let specifier = [...Array(ups).fill('..'), ...toParts.slice(common)].join('/');
+  if (ups === 0) specifier = `./${specifier}`;
+
+  if (!keepExtension) {
+    specifier = specifier.replace(/\/index\.jsx?$/, '').replace(/\.jsx?$/, '');
+  }
+  return specifier;
+}
+
+/**
+ * Rewrite a file's relative imports after files have moved
+ * @param {string} code - File content
+ * @param {string} oldPath - File's original path
+ * @param {Object} oldFiles - Original files map
+ * @param {Object} moves - Original path -> new path
+ * @returns {string} Code with updated specifiers
+ */
+function rewriteImports(code, oldPath, oldFiles, moves) {
+  let imports;
+  try {
+    imports = findImports(code, oldPath);
+  } catch {
+    return code; // Leave broken files for the preview/debugger to report
+  }
+
+  const newPath = moves[oldPath];
+
+  // Splice from the end so earlier offsets stay valid
+  return imports
+    .filter(({ specifier }) => specifier.startsWith('.'))
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, { specifier, start, end }) => {
+      const target = resolveModulePath(specifier, oldPath, oldFiles);
+      if (!target || !moves[target]) return result;
+
+      const keepExtension = /\.(jsx?|css|json)$/.test(specifier);
+      const rewritten = relativeSpecifier(newPath, moves[target], keepExtension);
+      if (rewritten === specifier) return result;
+
+      const quote = result[start];
+      return result.slice(0, start) + quote + rewritten + quote + result.slice(end);
+    }, code);
+}
+
+/**
+ * Build an artifact files map from project entries
+ * @param {Array<{path: string, content: string|Uint8Array, size?: number}>} entries - Project files
+ * @param {Object} [options]
+ * @param {string} [options.name] - Fallback project name
+ * @returns {{name: string, files: Object, skipped: Array<{path: string, reason: string}>,
+ *   collisions: Array<{path: string, target: string}>, warnings: Array<{file: string, line: number, message: string}>}}
+ *   collisions are files kept at their own path because another file took the one they'd move to
+ */
+export function importProjectFiles(entries, { name = 'Imported Project' } = {}) {
+  const skipped = [];
+  const kept = [];
+
+  const paths = stripCommonRoot(entries.map(entry => entry.path.replace(/\\/g, '/').replace(/^\/+/, '')));
+
+  entries.forEach((entry, i) => {
+    const path = paths[i];
+    if (!path || path.endsWith('/')) return;
+
+    const reason = getSkipReason(path);
+    if (reason) {
+      skipped.push({ path, reason });
+      return;
+    }
+
+    const size = entry.size ?? (typeof entry.content === 'string' ? entry.content.length : entry.content.byteLength);
+    if (size > MAX_FILE_SIZE) {
+      skipped.push({ path, reason: 'file too large' });
+      return;
+    }
+
+    const content = typeof entry.content === 'string' ? entry.content : strFromU8(entry.content);
+    if (content.includes('\u0000')) {
+      skipped.push({ path, reason: 'binary or unsupported file type' });
+      return;
+    }
+
+    kept.push({ path, content });
+  });
+
+  // Project name from package.json when there is one
+  const packageJson = kept.find(file => file.path === 'package.json');
+  let projectName = name;
+  if (packageJson) {
+    try {
+      projectName = JSON.parse(packageJson.content).name || name;
+    } catch {
+      // Keep the fallback name
+    }
+  }
+
+  // Scaffolding (entry points, configs) is regenerated by the preview and export
+  const isReact = kept.some(file => /^(src\/)?App\.jsx?$/.test(file.path));
+  const sources = kept.filter(file => {
+    const base = file.path.startsWith('src/') ? file.path.slice(4) : file.path;
+    // Stylesheets holding only Tailwind directives - the preview runtime provides Tailwind
+    const tailwindOnly = base.endsWith('.css') &&
+      !file.content.replace(/@tailwind\s+[\w-]+;|@import\s+["']tailwindcss["'];/g, '').trim();
+    if (isReact && (SCAFFOLDING_FILES.includes(base) || tailwindOnly)) {
+      skipped.push({ path: file.path, reason: 'project scaffolding' });
+      return false;
+    }
+    return true;
+  });
+
+  const oldFiles = Object.fromEntries(sources.map(file => [file.path, file.content]));
+
+  // Two files can map onto one path (src/Button.jsx and src/components/Button.jsx) - the first
+  // takes it and later ones stay where they were
+  const moves = {};
+  const collisions = [];
+  const taken = new Set();
+  sources.forEach(({ path }) => {
+    const target = isReact ? normalizeLayout(path) : path;
+    if (!taken.has(target)) {
+      moves[path] = target;
+    } else if (!taken.has(path)) {
+      moves[path] = path;
+      collisions.push({ path, target });
+    } else {
+      skipped.push({ path, reason: 'path taken by another file' });
+      return;
+    }
+    taken.add(moves[path]);
+  });
+
+  const files = {};
+  sources.filter(({ path }) => moves[path]).forEach(({ path, content }) => {
+    files[moves[path]] = /\.(jsx?|mjs|cjs)$/.test(path) ? rewriteImports(content, path, oldFiles, moves) : content;
+  });
+
+  // Packages the preview can't load are worth knowing about before iterating
+  const warnings = [];
+  Object.entries(files).forEach(([filename, code]) => {
+    // TypeScript is kept, but the preview only transpiles JavaScript
+    if (/\.tsx?$/.test(filename) && !filename.endsWith('.d.ts')) {
+      warnings.push({ file: filename, line: 1, message: 'TypeScript files are kept but not run by the preview - convert them to .jsx/.js' });
+      return;
+    }
+    if (!/\.(jsx?|mjs|cjs)$/.test(filename)) return;
+    validateNoBannedPackages(code).errors.forEach(error => {
+      // A banned package is also "unknown" - one warning per import is enough
+      if (warnings.some(w => w.file === filename && w.line === error.line)) return;
+      warnings.push({ file: filename, line: error.line, message: error.message });
+    });
+  });
+
+  return { name: projectName, files, skipped, collisions, warnings };
+}
+
+/**
+ * Read a zip archive into project entries
+ * Ignored directories are filtered before decompression
+ * @param {ArrayBuffer|Uint8Array} data - Zip file contents
+ * @returns {Array<{path: string, content: Uint8Array}>}
+ */
+export function readZipEntries(data) {
+  const archive = unzipSync(data instanceof Uint8Array ? data : new Uint8Array(data), {
+    filter: file => !file.name.split('/').some(segment => IGNORED_DIRECTORIES.includes(segment))
+  });
+
+  return Object.entries(archive).map(([path, content]) => ({ path, content }));
+}
+
+/**
+ * Read files picked from a folder (<input webkitdirectory>) into project entries
+ * @param {FileList|File[]} fileList - Picked files
+ * @returns {Promise<Array<{path: string, content: string|Uint8Array, size: number}>>}
+ */
+export async function readFolderEntries(fileList) {
+  const files = Array.from(fileList);
+
+  return Promise.all(files.map(async file => {
+    const path = file.webkitRelativePath || file.name;
+
+    // Don't read what will be skipped anyway
+    if (getSkipReason(path) || file.size > MAX_FILE_SIZE) {
+      return { path, content: '', size: file.size };
+    }
+
+    return { path, content: new Uint8Array(await file.arrayBuffer()), size: file.size };
+  }));
+}
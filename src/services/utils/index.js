@@ -10,3 +10,24 @@ export * from './code';
 
 // LLM utilities
 export * from './llm';
+
+// Preview utilities
+export * from './preview';
+
+// Export utilities
+export * from './export';
+
+// Import utilities
+export * from './import';
+
+// Version history utilities
+export * from './versions';
+
+// Share link utilities
+export * from './share';
+
+// Collaboration utilities
+export * from './collaboration';
+
+// Artifact search utilities
+export * from './search';
@@ -3,4 +3,5 @@
  */
 
 export * from './llmClient';
-export { openai } from './openaiClient';
+export { openai, onRateLimitUpdate, setAuthTokenProvider } from './openaiClient';
+export { PROVIDERS, parseModelId, createChatCompletion } from './providers';
@@ -7,20 +7,130 @@ import { openai } from "./openaiClient.js";
  * - Timeout handling
  * - Rate limit detection
  * - GPT-5 parameter handling
+ * - Any provider configured in providers.js (OpenAI, Anthropic, Ollama, ...)
  * - Consistent error handling
+ * - Optional token streaming via onToken
+ * - Cancellation via AbortSignal
  */
 
 /**
- * Sleep utility for retry delays
+ * Create the error thrown when a request is cancelled
+ * Named like fetch's own abort error, so one check covers both
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export function createAbortError() {
+  const error = new Error('Generation stopped');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check if error came from a cancelled request
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Throw an abort error if the signal has already fired
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * Sleep utility for retry delays (rejects early if the signal fires)
+ */
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Stream a chat completion, forwarding each content delta to onToken
+ * Reassembles the chunks into the same shape as a non-streaming response
+ *
+ * @param {Object} params - Chat completion parameters (without `stream`)
+ * @param {Function} onToken - Called with (token, fullTextSoFar)
+ * @param {AbortSignal} [signal] - Cancels the request and the stream
+ * @returns {Promise<Object>} Response shaped like `chat.completions.create`
+ */
+async function streamCompletion(params, onToken, signal = null) {
+  const stream = await openai.chat.completions.create({
+    ...params,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
+
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  let id = null;
+  let responseModel = params.model;
+  let rateLimit = stream.rateLimit || null;
+
+  for await (const chunk of stream) {
+    id = id || chunk.id;
+    responseModel = chunk.model || responseModel;
+
+    // The final usage chunk has an empty choices array
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+
+    // /api/chat ends the stream with the budget after charging this call
+    if (chunk.rateLimit) {
+      rateLimit = chunk.rateLimit;
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+
+    const token = choice.delta?.content;
+    if (token) {
+      content += token;
+      onToken(token, content);
+    }
+
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  }
+
+  return {
+    id,
+    object: 'chat.completion',
+    model: responseModel,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content },
+      finish_reason: finishReason
+    }],
+    usage,
+    ...(rateLimit ? { rateLimit } : {})
+  };
 }
 
 /**
  * Check if error is retryable
  */
 function isRetryableError(error) {
+  // Errors explicitly flagged as permanent (e.g. missing provider config)
+  if (error.retryable === false) {
+    return false;
+  }
+
   // Retry on rate limits and temporary server errors
   return (
     error.status === 429 || // Rate limit
@@ -45,6 +155,10 @@ function isRateLimitError(error) {
  * Get user-friendly error message
  */
 function getUserFriendlyError(error) {
+  // Structured /api/chat rejections already carry a message meant for the user
+  if (error.code && error.status >= 400 && error.status < 500) {
+    return error.message;
+  }
   if (isRateLimitError(error)) {
     return 'API rate limit reached. Please wait a moment and try again.';
   }
@@ -60,6 +174,18 @@ function getUserFriendlyError(error) {
   return `API error: ${error.message || 'Unknown error'}`;
 }
 
+/**
+ * Wrap an API error for callers, keeping the fields they can branch on
+ * (status, /api/chat rejection code, rate limit info)
+ */
+function toFriendlyError(error) {
+  const friendly = new Error(getUserFriendlyError(error));
+  ['status', 'code', 'rateLimit', 'isRateLimit'].forEach(field => {
+    if (error?.[field] !== undefined) friendly[field] = error[field];
+  });
+  return friendly;
+}
+
 /**
  * Call OpenAI API with retry logic and timeout
  *
@@ -72,8 +198,12 @@ function getUserFriendlyError(error) {
  * @param {number} [options.maxRetries=3] - Max retry attempts
  * @param {number} [options.timeout=45000] - Timeout in milliseconds
  * @param {number} [options.baseDelay=1000] - Base delay for exponential backoff
+ * @param {Function} [options.onToken] - Enables streaming; called with (token, fullTextSoFar).
+ *   A retry restarts the text, so consumers should render fullTextSoFar rather than appending.
+ * @param {AbortSignal} [options.signal] - Cancels the request, including pending retries
  * @returns {Promise<Object>} OpenAI API response
  * @throws {Error} If all retries fail or non-retryable error occurs
+ *   (an AbortError, unwrapped, if the signal fires)
  */
 export async function callLLM({
   model,
@@ -83,7 +213,9 @@ export async function callLLM({
   temperature = 0.7,
   maxRetries = 3,
   timeout = 45000,
-  baseDelay = 1000
+  baseDelay = 1000,
+  onToken = null,
+  signal = null
 }) {
   // Detect GPT-5 model
   const isGPT5 = model.includes('gpt-5');
@@ -116,100 +248,135 @@ export async function callLLM({
   const startTime = Date.now();
 
   // Log request details
-  console.log(`\n🔄 LLM Request: ${model} (timeout: ${effectiveTimeout}ms, max_tokens: ${maxTokens})`);
+  console.log(`\n🔄 LLM Request: ${model} (timeout: ${effectiveTimeout}ms, max_tokens: ${maxTokens}${onToken ? ', streaming' : ''})`);
 
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      // Create timeout promise
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Request timeout')), effectiveTimeout);
-      });
+  // Settles the race below as soon as the caller cancels (the listener goes once this call settles,
+  // so calls sharing one signal don't pile up listeners)
+  let onAbort = null;
+  const abortPromise = signal && new Promise((_, reject) => {
+    onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
 
-      // Create API call promise
-      const apiPromise = openai.chat.completions.create({
-        model,
-        messages,
-        ...tempParam,
-        ...tokenParam,
-        stream: false  // Explicitly disable streaming
+  try {
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      // Don't start a request nobody is waiting for
+      throwIfAborted(signal);
+
+      // A timed-out stream keeps running in the background; stop it from
+      // emitting tokens once this attempt has been abandoned
+      let attemptActive = true;
+      const attemptOnToken = onToken && ((token, text) => {
+        if (attemptActive) onToken(token, text);
       });
 
-      // Race between API call and timeout
-      const response = await Promise.race([apiPromise, timeoutPromise]);
+      try {
+        // Create timeout promise
+        const timeoutPromise = new Promise((_, reject) => {
+          setTimeout(() => reject(new Error('Request timeout')), effectiveTimeout);
+        });
+
+        // Create API call promise (streamed only when a token callback is given)
+        const apiPromise = onToken
+          ? streamCompletion({ model, messages, ...tempParam, ...tokenParam }, attemptOnToken, signal)
+          : openai.chat.completions.create({
+              model,
+              messages,
+              ...tempParam,
+              ...tokenParam,
+              stream: false
+            }, { signal });
+
+        // Race between API call, timeout and cancellation
+        let response;
+        try {
+          response = await Promise.race([apiPromise, timeoutPromise, abortPromise].filter(Boolean));
+        } finally {
+          attemptActive = false;
+        }
 
-      // Validate response structure
-      if (!response || typeof response !== 'object') {
-        throw new Error(`Invalid response from ${model}: response is not an object`);
-      }
+        // Validate response structure
+        if (!response || typeof response !== 'object') {
+          throw new Error(`Invalid response from ${model}: response is not an object`);
+        }
 
-      if (!response.choices || !Array.isArray(response.choices)) {
-        throw new Error(`Invalid response from ${model}: missing or invalid 'choices' array`);
-      }
+        if (!response.choices || !Array.isArray(response.choices)) {
+          throw new Error(`Invalid response from ${model}: missing or invalid 'choices' array`);
+        }
 
-      if (response.choices.length === 0) {
-        throw new Error(`Invalid response from ${model}: 'choices' array is empty`);
-      }
+        if (response.choices.length === 0) {
+          throw new Error(`Invalid response from ${model}: 'choices' array is empty`);
+        }
 
-      if (!response.choices[0]?.message) {
-        throw new Error(`Invalid response from ${model}: missing message in first choice`);
-      }
+        if (!response.choices[0]?.message) {
+          throw new Error(`Invalid response from ${model}: missing message in first choice`);
+        }
 
-      // Log response details
-      const duration = Date.now() - startTime;
-      const content = response.choices[0].message.content || '';
-      const finishReason = response.choices[0].finish_reason || 'unknown';
-
-      console.log(`✅ LLM Response: ${model} completed in ${duration}ms`);
-      console.log(`   Finish reason: ${finishReason}`);
-      console.log(`   Content length: ${content.length} characters`);
-      console.log(`   Tokens used: ${response.usage?.total_tokens || 'N/A'}`);
-
-      if (content.length === 0) {
-        console.warn(`⚠️  WARNING: Empty response received from ${model}`);
-        console.warn(`   Finish reason: ${finishReason}`);
-        console.warn(`   This may indicate the model hit token limits or content filtering.`);
-        if (isGPT5) {
-          const reasoningTokens = response.usage?.completion_tokens_details?.reasoning_tokens || 0;
-          if (reasoningTokens > 0) {
-            console.warn(`   Reasoning tokens used: ${reasoningTokens}`);
-            console.warn(`   Consider increasing maxTokens if the limit was exhausted.`);
+        // Log response details
+        const duration = Date.now() - startTime;
+        const content = response.choices[0].message.content || '';
+        const finishReason = response.choices[0].finish_reason || 'unknown';
+
+        console.log(`✅ LLM Response: ${model} completed in ${duration}ms`);
+        console.log(`   Finish reason: ${finishReason}`);
+        console.log(`   Content length: ${content.length} characters`);
+        console.log(`   Tokens used: ${response.usage?.total_tokens || 'N/A'}`);
+
+        if (content.length === 0) {
+          console.warn(`⚠️  WARNING: Empty response received from ${model}`);
+          console.warn(`   Finish reason: ${finishReason}`);
+          console.warn(`   This may indicate the model hit token limits or content filtering.`);
+          if (isGPT5) {
+            const reasoningTokens = response.usage?.completion_tokens_details?.reasoning_tokens || 0;
+            if (reasoningTokens > 0) {
+              console.warn(`   Reasoning tokens used: ${reasoningTokens}`);
+              console.warn(`   Consider increasing maxTokens if the limit was exhausted.`);
+            }
           }
         }
-      }
 
-      // Success - return response
-      return response;
+        // Success - return response
+        return response;
 
-    } catch (error) {
-      lastError = error;
+      } catch (error) {
+        lastError = error;
 
-      // Check if error is retryable
-      if (!isRetryableError(error)) {
-        // Non-retryable error - throw immediately
-        throw new Error(getUserFriendlyError(error));
-      }
+        // Cancelled - never retried, and passed on as-is so callers can tell it apart
+        if (isAbortError(error) || signal?.aborted) {
+          console.log(`🛑 LLM Request cancelled: ${model}`);
+          throw createAbortError();
+        }
 
-      // Last attempt - throw error
-      if (attempt === maxRetries - 1) {
-        throw new Error(getUserFriendlyError(error));
-      }
+        // Check if error is retryable
+        if (!isRetryableError(error)) {
+          // Non-retryable error - throw immediately
+          throw toFriendlyError(error);
+        }
+
+        // Last attempt - throw error
+        if (attempt === maxRetries - 1) {
+          throw toFriendlyError(error);
+        }
 
-      // Calculate delay with exponential backoff
-      const delay = baseDelay * Math.pow(2, attempt);
+        // Calculate delay with exponential backoff
+        const delay = baseDelay * Math.pow(2, attempt);
 
-      // Log retry attempt
-      console.warn(
-        `LLM call failed (attempt ${attempt + 1}/${maxRetries}): ${error.message}. ` +
-        `Retrying in ${delay}ms...`
-      );
+        // Log retry attempt
+        console.warn(
+          `LLM call failed (attempt ${attempt + 1}/${maxRetries}): ${error.message}. ` +
+          `Retrying in ${delay}ms...`
+        );
 
-      // Wait before retry
-      await sleep(delay);
+        // Wait before retry
+        await sleep(delay, signal);
+      }
     }
-  }
 
-  // Should never reach here, but just in case
-  throw new Error(getUserFriendlyError(lastError));
+    // Should never reach here, but just in case
+    throw toFriendlyError(lastError);
+  } finally {
+    if (onAbort) signal.removeEventListener('abort', onAbort);
+  }
 }
 
 /**
@@ -384,6 +551,9 @@ export async function callLLMForJSON(options) {
 }
 
 export default {
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
   callLLM,
   extractContent,
   callLLMAndExtract,
@@ -1,27 +1,119 @@
 /**
  * Secure OpenAI Client
  * Uses Vercel serverless functions to keep API key server-side
+ * Speaks the OpenAI chat format; providers.js routes each model to its backend
  */
 
+import { createChatCompletion, parseSSEStream } from './providers.js';
+
+export { parseSSEStream };
+
 /**
  * Check if running in browser environment
  */
 const isBrowser = typeof window !== 'undefined';
 
+/**
+ * Supplies the signed-in user's Firebase ID token (null for guests)
+ * /api/chat rate limits signed-in users per account instead of per IP
+ */
+let authTokenProvider = null;
+
+/**
+ * Register how to get the current user's ID token - the auth context calls this
+ * @param {Function|null} provider - async () => token, or null when signed out
+ */
+export function setAuthTokenProvider(provider) {
+  authTokenProvider = provider;
+}
+
+/**
+ * Authorization header for /api/chat, when a user is signed in
+ */
+async function getAuthHeaders() {
+  if (!authTokenProvider) return {};
+  try {
+    const token = await authTokenProvider();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  } catch (error) {
+    console.warn('Could not get auth token for chat request:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Read rate limit info from /api/chat response headers
+ * Reflects the budget before the call - streams send the charged total in their final chunk
+ */
+function getRateLimitFromHeaders(response) {
+  const limit = response.headers.get('X-RateLimit-Limit');
+  if (!limit) return null;
+
+  const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+  return {
+    unit: 'tokens',
+    limit: parseInt(limit, 10),
+    remaining,
+    reset: response.headers.get('X-RateLimit-Reset'),
+    used: parseInt(limit, 10) - remaining
+  };
+}
+
+/**
+ * Listeners for daily budget updates from /api/chat
+ */
+const rateLimitListeners = new Set();
+
+/**
+ * Subscribe to daily budget updates - called after every /api/chat response
+ * with the tokens used so far today ({ unit, limit, remaining, reset, used })
+ * @param {Function} listener - (rateLimit) => void
+ * @returns {Function} Unsubscribe
+ */
+export function onRateLimitUpdate(listener) {
+  rateLimitListeners.add(listener);
+  return () => rateLimitListeners.delete(listener);
+}
+
+function notifyRateLimit(rateLimit) {
+  if (!rateLimit) return;
+  rateLimitListeners.forEach(listener => {
+    try {
+      listener(rateLimit);
+    } catch (error) {
+      console.warn('Rate limit listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Pass a stream through, publishing the budget from its final chunk
+ */
+async function* withRateLimitUpdates(stream) {
+  for await (const chunk of stream) {
+    if (chunk.rateLimit) notifyRateLimit(chunk.rateLimit);
+    yield chunk;
+  }
+}
+
 /**
  * Custom OpenAI client that uses our secure serverless API
+ * `create({ stream: true })` resolves to an async iterable of chunks, and
+ * `create(params, { signal })` cancels the request - both matching the official SDK
  */
 class SecureOpenAIClient {
   constructor() {
     this.chat = {
       completions: {
-        create: async (options) => {
+        create: async (options, { signal } = {}) => {
           // In browser: use our secure serverless function
           if (isBrowser) {
             const response = await fetch('/api/chat', {
               method: 'POST',
+              signal,
               headers: {
                 'Content-Type': 'application/json',
+                ...(await getAuthHeaders()),
               },
               body: JSON.stringify({
                 model: options.model,
@@ -29,6 +121,7 @@ class SecureOpenAIClient {
                 temperature: options.temperature,
                 max_tokens: options.max_tokens,
                 max_completion_tokens: options.max_completion_tokens,
+                stream: options.stream === true,
               }),
             });
 
@@ -38,26 +131,31 @@ class SecureOpenAIClient {
                 message: `HTTP ${response.status}`
               }));
 
-              // Throw error with rate limit info if available
+              // Throw error with the rejection code and rate limit info if available
               const err = new Error(error.message || 'OpenAI API request failed');
+              err.status = response.status;
+              err.code = error.code;
               err.rateLimit = error.rateLimit;
               err.isRateLimit = response.status === 429;
+              // A spent daily budget won't come back by retrying
+              if (error.code === 'budget_exhausted') err.retryable = false;
+              notifyRateLimit(error.rateLimit);
               throw err;
             }
 
-            return await response.json();
-          }
+            if (options.stream) {
+              const stream = withRateLimitUpdates(parseSSEStream(response.body));
+              stream.rateLimit = getRateLimitFromHeaders(response);
+              return stream;
+            }
 
-          // In Node.js (for tests): use OpenAI directly
-          const apiKey = process.env.OPENAI_API_KEY;
-          if (!apiKey) {
-            throw new Error('OPENAI_API_KEY environment variable not set');
+            const data = await response.json();
+            notifyRateLimit(data.rateLimit);
+            return data;
           }
 
-          // Dynamic import of OpenAI for Node.js environment only
-          const { default: OpenAI } = await import('openai');
-          const client = new OpenAI({ apiKey });
-          return await client.chat.completions.create(options);
+          // In Node.js (for tests): call the model's provider directly
+          return await createChatCompletion(options, { signal });
         }
       }
     };
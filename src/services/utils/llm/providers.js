@@ -0,0 +1,447 @@
+/**
+ * LLM Provider Layer
+ * Routes chat completion requests to the backend a model id points at and
+ * translates parameters and responses to/from the OpenAI chat format.
+ *
+ * Model ids may carry a provider prefix:
+ * - "gpt-4o" or "openai:gpt-4o"          → OpenAI (or OPENAI_BASE_URL)
+ * - "compatible:mistral-large"           → any OpenAI-compatible server (OPENAI_COMPATIBLE_BASE_URL)
+ * - "anthropic:claude-sonnet-4-5"        → Anthropic Messages API
+ * - "ollama:qwen2.5-coder:7b"            → local Ollama server (OLLAMA_BASE_URL)
+ *
+ * Everything above this layer (callLLM, agents, /api/chat clients) keeps
+ * speaking the OpenAI request/response shape.
+ */
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Default max tokens for providers that require the parameter (Anthropic)
+ */
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Helper to safely read server-side environment variables
+function getEnv(key) {
+  if (typeof process !== 'undefined' && process.env) {
+    return process.env[key]?.trim() || undefined;
+  }
+  return undefined;
+}
+
+function stripTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Get the token limit from either OpenAI-style parameter
+ */
+function getMaxTokens(params) {
+  return params.max_tokens ?? params.max_completion_tokens;
+}
+
+/**
+ * Build an OpenAI-format chat completions request
+ * Shared by OpenAI and every server that mimics its API. OpenAI gets the token limit
+ * parameter the caller sent (o-series models only accept max_completion_tokens); other
+ * servers only understand max_tokens, so theirs is translated.
+ */
+function buildOpenAIStyleRequest(params, { baseUrl, apiKey, supportsStreamUsage, passThroughMaxTokens = false }) {
+  const body = {
+    model: params.model,
+    messages: params.messages
+  };
+
+  if (params.temperature !== undefined) {
+    body.temperature = params.temperature;
+  }
+
+  if (passThroughMaxTokens) {
+    if (params.max_tokens !== undefined) {
+      body.max_tokens = params.max_tokens;
+    }
+    if (params.max_completion_tokens !== undefined) {
+      body.max_completion_tokens = params.max_completion_tokens;
+    }
+  } else {
+    const maxTokens = getMaxTokens(params);
+    if (maxTokens !== undefined) {
+      body.max_tokens = maxTokens;
+    }
+  }
+
+  if (params.stream) {
+    body.stream = true;
+    if (supportsStreamUsage) {
+      body.stream_options = { include_usage: true };
+    }
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return {
+    url: `${stripTrailingSlash(baseUrl)}/chat/completions`,
+    headers,
+    body
+  };
+}
+
+/**
+ * Provider adapters
+ * Each adapter knows its endpoint, credentials and how to translate
+ * requests, responses and stream events.
+ */
+export const PROVIDERS = {
+  openai: {
+    name: 'openai',
+    label: 'OpenAI',
+    requiresKey: true,
+    getConfig: () => ({
+      baseUrl: getEnv('OPENAI_BASE_URL') || 'https://api.openai.com/v1',
+      apiKey: getEnv('OPENAI_API_KEY')
+    }),
+    buildRequest(params, config) {
+      const request = buildOpenAIStyleRequest(params, { ...config, supportsStreamUsage: true, passThroughMaxTokens: true });
+
+      // GPT-5 models reject max_tokens and any non-default temperature
+      if (params.model.includes('gpt-5')) {
+        if (request.body.max_tokens !== undefined) {
+          request.body.max_completion_tokens ??= request.body.max_tokens;
+          delete request.body.max_tokens;
+        }
+        delete request.body.temperature;
+      }
+
+      return request;
+    },
+    toChatCompletion: (data) => data,
+    toChunk: (event) => event
+  },
+
+  compatible: {
+    name: 'compatible',
+    label: 'OpenAI-compatible',
+    requiresKey: false,
+    getConfig: () => ({
+      baseUrl: getEnv('OPENAI_COMPATIBLE_BASE_URL'),
+      apiKey: getEnv('OPENAI_COMPATIBLE_API_KEY')
+    }),
+    buildRequest(params, config) {
+      if (!config.baseUrl) {
+        throw configurationError('OPENAI_COMPATIBLE_BASE_URL is not configured');
+      }
+      return buildOpenAIStyleRequest(params, { ...config, supportsStreamUsage: false });
+    },
+    toChatCompletion: (data) => data,
+    toChunk: (event) => event
+  },
+
+  ollama: {
+    name: 'ollama',
+    label: 'Ollama',
+    requiresKey: false,
+    getConfig: () => ({
+      // Ollama serves an OpenAI-compatible API under /v1
+      baseUrl: getEnv('OLLAMA_BASE_URL') || 'http://localhost:11434/v1',
+      apiKey: null
+    }),
+    buildRequest(params, config) {
+      return buildOpenAIStyleRequest(params, { ...config, supportsStreamUsage: false });
+    },
+    toChatCompletion: (data) => data,
+    toChunk: (event) => event
+  },
+
+  anthropic: {
+    name: 'anthropic',
+    label: 'Anthropic',
+    requiresKey: true,
+    getConfig: () => ({
+      baseUrl: getEnv('ANTHROPIC_BASE_URL') || 'https://api.anthropic.com',
+      apiKey: getEnv('ANTHROPIC_API_KEY')
+    }),
+    buildRequest(params, config) {
+      // The Messages API takes the system prompt separately
+      const system = params.messages
+        .filter(m => m.role === 'system')
+        .map(m => m.content)
+        .join('\n\n');
+
+      const body = {
+        model: params.model,
+        messages: params.messages
+          .filter(m => m.role !== 'system')
+          .map(m => ({ role: m.role, content: m.content })),
+        max_tokens: getMaxTokens(params) ?? DEFAULT_MAX_TOKENS
+      };
+
+      if (system) {
+        body.system = system;
+      }
+
+      // OpenAI temperatures range 0-2, Anthropic's 0-1
+      if (params.temperature !== undefined) {
+        body.temperature = Math.min(Math.max(params.temperature, 0), 1);
+      }
+
+      if (params.stream) {
+        body.stream = true;
+      }
+
+      return {
+        url: `${stripTrailingSlash(config.baseUrl)}/v1/messages`,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': config.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        },
+        body
+      };
+    },
+    toChatCompletion(data) {
+      const content = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      return {
+        id: data.id,
+        object: 'chat.completion',
+        model: data.model,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content },
+          finish_reason: mapAnthropicStopReason(data.stop_reason)
+        }],
+        usage: toOpenAIUsage(data.usage)
+      };
+    },
+    toChunk(event, state) {
+      switch (event.type) {
+        case 'message_start':
+          state.id = event.message?.id;
+          state.model = event.message?.model;
+          state.inputTokens = event.message?.usage?.input_tokens || 0;
+          return null;
+
+        case 'content_block_delta':
+          if (event.delta?.type !== 'text_delta') return null;
+          return {
+            id: state.id,
+            object: 'chat.completion.chunk',
+            model: state.model,
+            choices: [{ index: 0, delta: { content: event.delta.text }, finish_reason: null }]
+          };
+
+        case 'message_delta':
+          return {
+            id: state.id,
+            object: 'chat.completion.chunk',
+            model: state.model,
+            choices: [{ index: 0, delta: {}, finish_reason: mapAnthropicStopReason(event.delta?.stop_reason) }],
+            usage: toOpenAIUsage({
+              input_tokens: state.inputTokens,
+              output_tokens: event.usage?.output_tokens
+            })
+          };
+
+        case 'error':
+          throw new ProviderError(event.error?.message || 'Anthropic stream error', 502, event);
+
+        default:
+          return null;
+      }
+    }
+  }
+};
+
+/**
+ * Error raised by the provider layer, carrying an HTTP-style status
+ */
+export class ProviderError extends Error {
+  constructor(message, status = 500, details = null) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Missing server configuration - retrying won't help
+ */
+function configurationError(message) {
+  const error = new ProviderError(message, 500);
+  error.retryable = false;
+  return error;
+}
+
+function mapAnthropicStopReason(reason) {
+  if (!reason) return null;
+  if (reason === 'max_tokens') return 'length';
+  return 'stop';
+}
+
+function toOpenAIUsage(usage) {
+  if (!usage) return null;
+  const promptTokens = usage.input_tokens || 0;
+  const completionTokens = usage.output_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * Split a model id into provider and provider-native model name
+ * Only a known provider name counts as a prefix, so "llama3.1:8b" stays intact
+ *
+ * @param {string} modelId - e.g. "anthropic:claude-sonnet-4-5" or "gpt-4o"
+ * @returns {{ provider: string, model: string }}
+ */
+export function parseModelId(modelId) {
+  const separator = modelId.indexOf(':');
+  if (separator > 0) {
+    const prefix = modelId.slice(0, separator);
+    if (PROVIDERS[prefix]) {
+      return { provider: prefix, model: modelId.slice(separator + 1) };
+    }
+  }
+  return { provider: 'openai', model: modelId };
+}
+
+/**
+ * Get the adapter for a model id
+ * @param {string} modelId - Model id, optionally provider-prefixed
+ * @returns {Object} Provider adapter
+ */
+export function getProviderForModel(modelId) {
+  return PROVIDERS[parseModelId(modelId).provider];
+}
+
+/**
+ * Check whether a provider has the credentials it needs
+ * @param {string} providerName - Provider key in PROVIDERS
+ * @returns {boolean}
+ */
+export function isProviderConfigured(providerName) {
+  const provider = PROVIDERS[providerName];
+  if (!provider) return false;
+  const config = provider.getConfig();
+  if (provider.requiresKey && !config.apiKey) return false;
+  if (providerName === 'compatible' && !config.baseUrl) return false;
+  return true;
+}
+
+/**
+ * Parse a Server-Sent Events body into JSON payloads
+ * Yields each `data:` payload as a parsed object until `[DONE]` or end of stream
+ *
+ * @param {ReadableStream} body - fetch response body
+ * @returns {AsyncGenerator<Object>} Parsed event payloads
+ */
+export async function* parseSSEStream(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by blank lines; keep the trailing partial event
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+
+      for (const event of events) {
+        for (const line of event.split(/\r?\n/)) {
+          if (!line.startsWith('data:')) continue;
+
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') return;
+          if (data) yield JSON.parse(data);
+        }
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Translate a provider's stream into OpenAI chat completion chunks
+ */
+async function* toOpenAIChunks(provider, body) {
+  const state = {};
+  for await (const event of parseSSEStream(body)) {
+    const chunk = provider.toChunk(event, state);
+    if (chunk) yield chunk;
+  }
+}
+
+/**
+ * Send a chat completion request to whichever provider the model points at
+ *
+ * @param {Object} params - OpenAI-style params (model, messages, temperature,
+ *   max_tokens / max_completion_tokens, stream)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
+ * @returns {Promise<Object|AsyncGenerator<Object>>} OpenAI-shaped completion,
+ *   or an async iterable of OpenAI-shaped chunks when `params.stream` is true
+ * @throws {ProviderError} On configuration or upstream errors
+ */
+export async function createChatCompletion(params, { signal } = {}) {
+  const { provider: providerName, model } = parseModelId(params.model);
+  const provider = PROVIDERS[providerName];
+  const config = provider.getConfig();
+
+  if (provider.requiresKey && !config.apiKey) {
+    throw configurationError(`${provider.label} API key not configured`);
+  }
+
+  const request = provider.buildRequest({ ...params, model }, config);
+
+  let response;
+  try {
+    response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new ProviderError(`Could not reach ${provider.label} at ${request.url}: ${error.message}`, 502);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new ProviderError(
+      errorData.error?.message || `Unknown error from ${provider.label}`,
+      response.status,
+      errorData
+    );
+  }
+
+  if (params.stream) {
+    return toOpenAIChunks(provider, response.body);
+  }
+
+  return provider.toChatCompletion(await response.json());
+}
+
+export default {
+  PROVIDERS,
+  ProviderError,
+  parseModelId,
+  getProviderForModel,
+  isProviderConfigured,
+  parseSSEStream,
+  createChatCompletion
+};
@@ -0,0 +1,7 @@
+/**
+ * Preview Utilities - Barrel Export
+ */
+
+export * from './moduleBundler';
+export * from './runtimeAssets';
+export * from './smokeTest';
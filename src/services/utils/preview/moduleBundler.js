@@ -0,0 +1,410 @@
+/**
+ * Preview Module Bundler
+ * Turns the flat files map into a module graph the preview iframe can evaluate.
+ * Each file keeps its own scope and exports; imports are resolved across the map
+ * here, and transpiled/evaluated one file at a time inside the iframe.
+ */
+
+import { parse } from '@babel/parser';
+
+/**
+ * Packages provided by the preview runtime, mapped to their iframe globals
+ */
+export const RUNTIME_PACKAGES = {
+  'react': 'React',
+  'react-dom': 'ReactDOM',
+  'react-dom/client': 'ReactDOM'
+};
+
+/**
+ * React hooks the preview provides as globals, without an import
+ * (inlined in createModuleRegistry, which runs in the iframe - keep the two in sync)
+ */
+export const LEGACY_REACT_GLOBALS = ['useState', 'useEffect', 'useRef', 'useMemo', 'useCallback', 'useReducer', 'useContext', 'useTransition'];
+
+/**
+ * Extensions tried, in order, when an import omits one
+ */
+const SCRIPT_EXTENSIONS = ['.jsx', '.js'];
+
+/**
+ * Entry files, in order of preference
+ */
+const ENTRY_CANDIDATES = ['App.jsx', 'App.js', 'src/App.jsx', 'src/App.js'];
+
+/**
+ * Module type from filename
+ */
+function getModuleType(filename) {
+  if (filename.endsWith('.css')) return 'css';
+  if (filename.endsWith('.json')) return 'json';
+  return 'script';
+}
+
+/**
+ * Normalize a path: collapse "." and ".." segments and strip leading slashes
+ * @returns {string|null} Normalized path, or null if it escapes the project root
+ */
+function normalizePath(path) {
+  const segments = [];
+
+  for (const segment of path.split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') {
+      if (segments.length === 0) return null;
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Find the entry module for a React project
+ * @param {Object} files - Files map
+ * @returns {string|null} Entry filename
+ */
+export function findEntry(files) {
+  return ENTRY_CANDIDATES.find(name => typeof files[name] === 'string') || null;
+}
+
+/**
+ * Resolve an import specifier to a file in the map
+ * Tries the exact path, then known extensions, then index files
+ * @param {string} specifier - Import specifier (e.g. './components/Button')
+ * @param {string} fromFile - Importing file
+ * @param {Object} files - Files map
+ * @returns {string|null} Resolved filename, or null if nothing matches
+ */
+export function resolveModulePath(specifier, fromFile, files) {
+  const baseDir = fromFile.includes('/') ? fromFile.slice(0, fromFile.lastIndexOf('/')) : '';
+  const joined = specifier.startsWith('/') ? specifier : `${baseDir}/${specifier}`;
+  const target = normalizePath(joined);
+  if (target === null) return null;
+
+  const candidates = [
+    target,
+    ...SCRIPT_EXTENSIONS.map(ext => target + ext),
+    ...SCRIPT_EXTENSIONS.map(ext => `${target}/index${ext}`)
+  ];
+
+  return candidates.find(candidate => typeof files[candidate] === 'string') || null;
+}
+
+/**
+ * Check whether a specifier points into the project rather than at a package
+ */
+function isLocalSpecifier(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../') || specifier.startsWith('/');
+}
+
+/**
+ * List every module a file imports (static imports, re-exports, require and import())
+ * @param {string} code - Source code
+ * @param {string} filename - Filename (for error messages)
+ * @returns {Array<{specifier: string, line: number, start: number, end: number}>} start/end
+ *   are the offsets of the specifier's string literal (quotes included)
+ */
+export function findImports(code, filename = 'unknown') {
+  const ast = parse(code, {
+    sourceType: 'module',
+    plugins: ['jsx'],
+    sourceFilename: filename,
+    errorRecovery: false
+  });
+
+  const imports = [];
+  const add = (source, node) => imports.push({
+    specifier: source.value,
+    line: node.loc.start.line,
+    start: source.start,
+    end: source.end
+  });
+
+  const visit = (node) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'ImportDeclaration':
+      case 'ExportAllDeclaration':
+        add(node.source, node);
+        return;
+
+      case 'ExportNamedDeclaration':
+        if (node.source) {
+          add(node.source, node);
+          return;
+        }
+        break;
+
+      case 'CallExpression': {
+        const [arg] = node.arguments;
+        const isRequire = node.callee.type === 'Identifier' && node.callee.name === 'require';
+        const isDynamicImport = node.callee.type === 'Import';
+        if ((isRequire || isDynamicImport) && arg?.type === 'StringLiteral') {
+          add(arg, node);
+        }
+        break;
+      }
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'start' || key === 'end') continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(visit);
+      } else if (value && typeof value === 'object') {
+        visit(value);
+      }
+    }
+  };
+
+  visit(ast.program);
+  return imports;
+}
+
+/**
+ * Build the module graph reachable from the entry file
+ * @param {Object} files - Files map
+ * @param {string} [entry] - Entry file (defaults to App.jsx / App.js)
+ * @returns {{entry: string|null, modules: Object, errors: Array}} Graph, with
+ *   errors shaped like preview errors ({ message, source, line })
+ */
+export function buildModuleGraph(files, entry = findEntry(files)) {
+  const modules = {};
+  const errors = [];
+
+  if (!entry || typeof files[entry] !== 'string') {
+    return { entry: null, modules, errors };
+  }
+
+  const queue = [entry];
+
+  while (queue.length > 0) {
+    const filename = queue.shift();
+    if (modules[filename]) continue;
+
+    const code = files[filename];
+    const type = getModuleType(filename);
+    const module = { code, type, dependencies: {} };
+    modules[filename] = module;
+
+    if (type !== 'script') continue;
+
+    let imports;
+    try {
+      imports = findImports(code, filename);
+    } catch (error) {
+      errors.push({
+        message: `Syntax error in ${filename}: ${error.message}`,
+        source: filename,
+        line: error.loc?.line
+      });
+      continue;
+    }
+
+    for (const { specifier, line } of imports) {
+      if (!isLocalSpecifier(specifier)) {
+        if (!(specifier in RUNTIME_PACKAGES)) {
+          errors.push({
+            message: `Package "${specifier}" is not available in the preview (only ${Object.keys(RUNTIME_PACKAGES).join(', ')})`,
+            source: filename,
+            line
+          });
+        }
+        continue;
+      }
+
+      const resolved = resolveModulePath(specifier, filename, files);
+      if (!resolved) {
+        errors.push({
+          message: `Cannot resolve "${specifier}" from ${filename}`,
+          source: filename,
+          line
+        });
+        continue;
+      }
+
+      module.dependencies[specifier] = resolved;
+      queue.push(resolved);
+    }
+  }
+
+  return { entry, modules, errors };
+}
+
+/**
+ * Module registry evaluated INSIDE the preview iframe
+ * Serialized with toString(), so it must not reference anything outside its own body.
+ *
+ * Each script module is transpiled on its own (JSX + ES modules -> CommonJS) with
+ * retainLines, then evaluated with a sourceURL so stack traces and error events
+ * point at the original file and line.
+ *
+ * @param {Object} graph - Module graph from buildModuleGraph
+ * @param {Object} packages - Package name -> runtime value (e.g. { react: React })
+ * @param {Function} transform - (code, filename) => transpiled CommonJS code
+ * @returns {{require: Function, locate: Function}} Registry
+ */
+export function createModuleRegistry(graph, packages, transform) {
+  const cache = {};
+
+  // Longest names first so "components/App.jsx" wins over "App.jsx"
+  const moduleNames = Object.keys(graph.modules).sort((a, b) => b.length - a.length);
+
+  // Hooks were historically available without importing them - keep old artifacts working
+  // (LEGACY_REACT_GLOBALS - inlined because this function is serialized into the iframe)
+  const legacyGlobals = 'var { useState, useEffect, useRef, useMemo, useCallback, useReducer, useContext, useTransition } = React;';
+
+  function ModuleError(message, source, line, cause) {
+    const error = new Error(message);
+    error.name = 'ModuleError';
+    error.source = source;
+    error.line = line;
+    error.cause = cause;
+    return error;
+  }
+
+  function locate(error) {
+    if (!error) return {};
+    if (error.name === 'ModuleError') return { source: error.source, line: error.line };
+
+    const stack = String(error.stack || '');
+    for (const name of moduleNames) {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const match = stack.match(new RegExp('(?:^|[\\s(@/])' + escaped + ':(\\d+)'));
+      if (match) return { source: name, line: parseInt(match[1], 10) };
+    }
+    return {};
+  }
+
+  function load(filename) {
+    if (cache[filename]) return cache[filename];
+
+    const mod = graph.modules[filename];
+    const module = { exports: {}, localApp: undefined };
+    cache[filename] = module;
+
+    if (mod.type === 'css') {
+      if (typeof document !== 'undefined') {
+        const style = document.createElement('style');
+        style.setAttribute('data-module', filename);
+        style.textContent = mod.code;
+        document.head.appendChild(style);
+      }
+      return module;
+    }
+
+    if (mod.type === 'json') {
+      try {
+        module.exports = JSON.parse(mod.code);
+      } catch (error) {
+        throw ModuleError('Invalid JSON in ' + filename + ': ' + error.message, filename, null, error);
+      }
+      return module;
+    }
+
+    let compiled;
+    try {
+      compiled = transform(mod.code, filename);
+    } catch (error) {
+      const line = error.loc ? error.loc.line : null;
+      throw ModuleError('Syntax error in ' + filename + ': ' + error.message, filename, line, error);
+    }
+
+    const localRequire = (specifier) => {
+      if (Object.prototype.hasOwnProperty.call(packages, specifier)) return packages[specifier];
+      const resolved = mod.dependencies[specifier];
+      if (!resolved) throw ModuleError('Cannot resolve "' + specifier + '" from ' + filename, filename, null);
+      return load(resolved).exports;
+    };
+
+    // Wrapper opens on the same line as the code so line numbers stay intact.
+    // The inner function returns a top-level App (if any) for entries without exports.
+    const wrapped =
+      '(function (require, module, exports, React) {' + legacyGlobals + 'return function () {' + compiled +
+      '\n;return typeof App !== "undefined" ? App : undefined;\n}; })\n//# sourceURL=' + filename;
+
+    try {
+      const factory = (0, eval)(wrapped);
+      module.localApp = factory(localRequire, module, module.exports, packages.react)();
+    } catch (error) {
+      if (error.name === 'ModuleError') throw error;
+      const location = locate(error);
+      throw ModuleError(error.message, location.source || filename, location.line || null, error);
+    }
+
+    return module;
+  }
+
+  return {
+    require: (filename) => load(filename),
+    locate
+  };
+}
+
+/**
+ * Build the iframe script that loads the module graph and renders the entry's App
+ * Expects React, ReactDOM and Babel (standalone) to be loaded as globals first.
+ * @param {Object} graph - Module graph from buildModuleGraph
+ * @returns {string} Script source for a plain <script> tag
+ */
+export function createPreviewScript(graph) {
+  // Escape "<" so file contents can never close the surrounding <script> tag
+  const graphJson = JSON.stringify(graph).replace(/</g, '\\u003c');
+  const packages = Object.entries(RUNTIME_PACKAGES)
+    .map(([name, globalName]) => `${JSON.stringify(name)}: window.${globalName}`)
+    .join(', ');
+
+  return `
+(function () {
+  var graph = ${graphJson};
+  var createModuleRegistry = ${createModuleRegistry.toString()};
+
+  function transform(code, filename) {
+    return Babel.transform(code, {
+      filename: filename,
+      sourceType: 'module',
+      presets: ['react'],
+      plugins: ['transform-modules-commonjs'],
+      retainLines: true
+    }).code;
+  }
+
+  var registry = createModuleRegistry(graph, { ${packages} }, transform);
+  window.__previewRegistry = registry;
+
+  function reportError(error) {
+    var location = registry.locate(error);
+    window.parent.postMessage({
+      type: 'preview-error',
+      error: {
+        message: error.message,
+        source: location.source,
+        line: location.line,
+        timestamp: Date.now()
+      }
+    }, '*');
+  }
+
+  var root = ReactDOM.createRoot(document.getElementById('root'));
+
+  try {
+    var entry = registry.require(graph.entry);
+    var App = entry.exports.default || entry.exports.App || entry.localApp;
+
+    if (App) {
+      root.render(React.createElement(App));
+    } else {
+      root.render(React.createElement('div', { style: { padding: '20px', textAlign: 'center', color: '#666' } },
+        React.createElement('h3', null, 'No App Component Found'),
+        React.createElement('p', null, 'Please export an App component from ' + graph.entry + '.')
+      ));
+    }
+  } catch (error) {
+    reportError(error);
+  }
+})();`;
+}
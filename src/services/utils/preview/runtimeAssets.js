@@ -0,0 +1,75 @@
+/**
+ * Preview Runtime Assets
+ * Scripts the preview iframe and the runtime smoke test need (React, ReactDOM, Babel, Tailwind)
+ * and where to load them from.
+ * "local" serves copies vendored from node_modules by the Vite build (see vite.config.js),
+ * so the preview works without internet access; "cdn" uses the public CDNs.
+ * Both load the same major versions, and so does the exported project (see projectExport.js),
+ * so generated code styles the same everywhere - Tailwind is v4.
+ */
+
+/**
+ * Path the Vite build serves vendored runtime files under
+ */
+export const PREVIEW_RUNTIME_PATH = 'preview-runtime/';
+
+/**
+ * Runtime sources the user can choose between
+ */
+export const PREVIEW_RUNTIME_MODES = {
+  local: 'Bundled (offline)',
+  cdn: 'Public CDN'
+};
+
+export const DEFAULT_PREVIEW_RUNTIME = 'local';
+
+/**
+ * Runtime scripts, in load order
+ * - file: name served under PREVIEW_RUNTIME_PATH
+ * - module: file inside node_modules it is copied from
+ * - cdn: public CDN equivalent
+ */
+export const PREVIEW_RUNTIME_ASSETS = {
+  tailwind: {
+    file: 'tailwind.js',
+    module: '@tailwindcss/browser/dist/index.global.js',
+    cdn: 'https://cdn.jsdelivr.net/npm/@tailwindcss/browser@4'
+  },
+  react: {
+    file: 'react.development.js',
+    module: 'react/umd/react.development.js',
+    cdn: 'https://unpkg.com/react@18/umd/react.development.js'
+  },
+  reactDom: {
+    file: 'react-dom.development.js',
+    module: 'react-dom/umd/react-dom.development.js',
+    cdn: 'https://unpkg.com/react-dom@18/umd/react-dom.development.js'
+  },
+  reactDomServer: {
+    file: 'react-dom-server.development.js',
+    module: 'react-dom/umd/react-dom-server-legacy.browser.development.js',
+    cdn: 'https://unpkg.com/react-dom@18/umd/react-dom-server-legacy.browser.development.js'
+  },
+  babel: {
+    file: 'babel.min.js',
+    module: '@babel/standalone/babel.min.js',
+    cdn: 'https://unpkg.com/@babel/standalone/babel.min.js'
+  }
+};
+
+/**
+ * Resolve the script URL for each runtime asset
+ * @param {string} mode - 'local' or 'cdn'
+ * @param {string} [origin] - Absolute app base URL (srcdoc iframes need absolute URLs)
+ * @returns {Object} Asset name -> URL
+ */
+export function getPreviewRuntimeUrls(mode = DEFAULT_PREVIEW_RUNTIME, origin = '/') {
+  const base = origin.endsWith('/') ? origin : `${origin}/`;
+
+  return Object.fromEntries(
+    Object.entries(PREVIEW_RUNTIME_ASSETS).map(([name, asset]) => [
+      name,
+      mode === 'cdn' ? asset.cdn : `${base}${PREVIEW_RUNTIME_PATH}${asset.file}`
+    ])
+  );
+}
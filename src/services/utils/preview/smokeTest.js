@@ -0,0 +1,257 @@
+/**
+ * Runtime Smoke Test
+ * Renders a generated React project once, headless, before it reaches the user, so apps that throw
+ * on first render ("Cannot read properties of undefined") are caught and fixed in the pipeline
+ * instead of surfacing in the live preview.
+ *
+ * The project is loaded with the preview's module registry and rendered by a host:
+ * - createWorkerSmokeTestHost: a Web Worker rendering to a string with react-dom/server, which can be
+ *   terminated when a render hangs
+ * - createVmSmokeTestHost: a Node VM context rendering to a string with react-dom/server. A VM is not a
+ *   security boundary: only use it for code you'd run anyway (tests, local scripts), never on a server.
+ * Both render without a DOM: effects don't run, so only errors during render are caught.
+ */
+
+import { buildModuleGraph, createModuleRegistry, findEntry } from './moduleBundler.js';
+
+/**
+ * How long a host may take to load and render the project
+ */
+export const SMOKE_TEST_TIMEOUT_MS = 10000;
+
+/**
+ * Build the script that loads the module graph, renders the entry's App and reports what went wrong
+ * Runs in the host's global scope, which provides React, ReactDOM, Babel (standalone) and
+ * __smokeHost: { render(element), settle(done), report(result) }.
+ * @param {Object} graph - Module graph from buildModuleGraph
+ * @returns {string} Script source
+ */
+export function createSmokeTestScript(graph) {
+  // Escape "<" so file contents can never close a surrounding <script> tag
+  const graphJson = JSON.stringify(graph).replace(/</g, '\\u003c');
+
+  return `
+(function () {
+  var graph = ${graphJson};
+  var createModuleRegistry = ${createModuleRegistry.toString()};
+  var host = __smokeHost;
+  var errors = [];
+  var warnings = [];
+  var registry = null;
+
+  function transform(code, filename) {
+    return Babel.transform(code, {
+      filename: filename,
+      sourceType: 'module',
+      presets: ['react'],
+      plugins: ['transform-modules-commonjs'],
+      retainLines: true
+    }).code;
+  }
+
+  // Each error once - development React reports a render error again as a window error
+  function record(kind, error) {
+    var isError = error && typeof error === 'object' && typeof error.message === 'string';
+    var location = registry && isError ? registry.locate(error) : {};
+    var message = isError ? error.message : String(error);
+    if (errors.some(function (existing) { return existing.message === message; })) return;
+
+    errors.push({
+      kind: kind,
+      message: message,
+      source: location.source || null,
+      line: location.line || null
+    });
+  }
+
+  // React logs through console.error: "Warning: ..." for dev warnings, and again for errors it rethrows
+  var consoleError = console.error;
+  console.error = function () {
+    var args = Array.prototype.slice.call(arguments);
+    var error = args.filter(function (arg) { return arg && typeof arg === 'object' && typeof arg.message === 'string'; })[0];
+    var message = typeof args[0] === 'string'
+      ? args.slice(1).reduce(function (text, arg) { return text.replace('%s', String(arg)); }, args[0])
+      : args.map(String).join(' ');
+
+    if (/^Warning: /.test(message)) {
+      warnings.push({ kind: 'console', message: message, source: null, line: null });
+    } else if (!/^The above error occurred/.test(message)) {
+      record('console', error || message);
+    }
+    consoleError.apply(console, arguments);
+  };
+
+  if (typeof addEventListener === 'function') {
+    addEventListener('error', function (event) { record('runtime', event.error || event.message); });
+    addEventListener('unhandledrejection', function (event) { record('runtime', event.reason); });
+  }
+
+  try {
+    registry = createModuleRegistry(graph, { 'react': React, 'react-dom': ReactDOM, 'react-dom/client': ReactDOM }, transform);
+    var entry = registry.require(graph.entry);
+    var App = entry.exports.default || entry.exports.App || entry.localApp;
+
+    if (App) {
+      host.render(React.createElement(App));
+    } else {
+      record('module', 'No App component found - export one from ' + graph.entry);
+    }
+  } catch (error) {
+    record(error && error.name === 'ModuleError' ? 'module' : 'render', error);
+  }
+
+  host.settle(function () {
+    host.report({ errors: errors, warnings: warnings });
+  });
+})();`;
+}
+
+/**
+ * Host that renders to a string in a Web Worker (browser only)
+ * The worker runs off the main thread, so a render that never finishes is terminated at the timeout
+ * instead of freezing the editor. Like the VM host, effects don't run - only errors during render are caught.
+ * @param {Object} runtimeUrls - Script URLs from getPreviewRuntimeUrls (absolute - the worker is a blob URL)
+ * @returns {Function} Host: (script, { timeoutMs }) => Promise<{errors, warnings}|null>, null when the
+ *   runtime didn't load in time
+ */
+export function createWorkerSmokeTestHost(runtimeUrls) {
+  return (script, { timeoutMs = SMOKE_TEST_TIMEOUT_MS } = {}) => new Promise(resolve => {
+    const source = `
+importScripts(${[runtimeUrls.react, runtimeUrls.reactDomServer, runtimeUrls.babel].map(url => JSON.stringify(url)).join(', ')});
+self.ReactDOM = {};
+self.__smokeHost = {
+  render: function (element) { ReactDOMServer.renderToString(element); },
+  settle: function (done) { done(); },
+  report: function (result) { postMessage({ type: 'smoke-test-result', result: result }); }
+};
+postMessage({ type: 'smoke-test-loaded' });
+${script}`;
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    let loaded = false;
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      resolve(result);
+    };
+    // Once the runtime has loaded, running out of time means the project's own code hung
+    const timer = setTimeout(() => finish(loaded ? {
+      errors: [{ kind: 'render', message: `Rendering did not finish within ${timeoutMs}ms (infinite loop?)`, source: null, line: null }],
+      warnings: []
+    } : null), timeoutMs);
+
+    worker.onmessage = (event) => {
+      if (event.data?.type === 'smoke-test-loaded') loaded = true;
+      if (event.data?.type === 'smoke-test-result') finish(event.data.result);
+    };
+    // The project's errors are caught inside the worker - this is the runtime failing to load
+    worker.onerror = (event) => {
+      event.preventDefault();
+      if (!loaded) finish(null);
+    };
+  });
+}
+
+/**
+ * Host that renders to a string in a Node VM context (Node only - modules are passed in so this
+ * file stays importable in the browser)
+ * @param {Object} modules
+ * @param {Object} modules.vm - node:vm
+ * @param {Object} modules.React - react
+ * @param {Object} modules.ReactDOMServer - react-dom/server
+ * @param {Object} modules.Babel - @babel/standalone
+ * @param {Object} [modules.ReactDOM] - react-dom, for projects that import it
+ * @returns {Function} Host: (script, { timeoutMs }) => Promise<{errors, warnings}>
+ */
+export function createVmSmokeTestHost({ vm, React, ReactDOMServer, Babel, ReactDOM = {} }) {
+  return async (script, { timeoutMs = SMOKE_TEST_TIMEOUT_MS } = {}) => {
+    let result = null;
+    const quiet = () => {};
+    const context = vm.createContext({
+      React,
+      ReactDOM,
+      Babel,
+      console: { log: quiet, info: quiet, warn: quiet, error: quiet },
+      __smokeHost: {
+        render: (element) => {
+          // React itself logs to this realm's console - route it through the project's console
+          const consoleError = console.error;
+          console.error = (...args) => context.console.error(...args);
+          try {
+            ReactDOMServer.renderToString(element);
+          } finally {
+            console.error = consoleError;
+          }
+        },
+        settle: (done) => done(),
+        report: (value) => { result = value; }
+      }
+    });
+
+    try {
+      vm.runInContext(script, context, { timeout: timeoutMs, filename: 'smoke-test.js' });
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+      return {
+        errors: [{ kind: 'render', message: `Rendering did not finish within ${timeoutMs}ms (infinite loop?)`, source: null, line: null }],
+        warnings: []
+      };
+    }
+    return result;
+  };
+}
+
+/**
+ * Render a project once and report what went wrong
+ * Import, syntax and missing-package errors fail the test before anything runs.
+ * @param {Object} files - Files map
+ * @param {Object} options
+ * @param {Function|null} options.host - From createWorkerSmokeTestHost or createVmSmokeTestHost
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{passed: boolean, skipped: boolean, errors: Array<{kind: 'module'|'render'|'console'|'runtime',
+ *   message: string, source: string|null, line: number|null}>, warnings: Array}>} skipped when there's no
+ *   React entry or host, or the host gave no result
+ */
+export async function runSmokeTest(files, { host, timeoutMs = SMOKE_TEST_TIMEOUT_MS } = {}) {
+  const skipped = { passed: true, skipped: true, errors: [], warnings: [] };
+  if (!host || !findEntry(files)) return skipped;
+
+  const graph = buildModuleGraph(files);
+  if (graph.errors.length > 0) {
+    return {
+      passed: false,
+      skipped: false,
+      errors: graph.errors.map(error => ({ kind: 'module', message: error.message, source: error.source || null, line: error.line || null })),
+      warnings: []
+    };
+  }
+
+  const result = await host(createSmokeTestScript(graph), { timeoutMs });
+  if (!result) {
+    console.warn('⚠️  Runtime smoke test gave no result - skipping');
+    return skipped;
+  }
+
+  return {
+    passed: result.errors.length === 0,
+    skipped: false,
+    errors: result.errors,
+    warnings: result.warnings
+  };
+}
+
+/**
+ * Describe smoke test errors as an error report for the debugger
+ * The first error leads, in "Runtime error in file:line" form, so the debugger targets its file.
+ * @param {Array} errors - From runSmokeTest
+ * @returns {string}
+ */
+export function formatSmokeTestErrors(errors) {
+  return errors.map(error => {
+    const location = error.source ? ` in ${error.source}${error.line ? `:${error.line}` : ''}` : '';
+    const kind = error.kind === 'module' ? 'Module error' : error.kind === 'console' ? 'Console error' : 'Runtime error';
+    return `${kind}${location}: ${error.message}`;
+  }).join('\n');
+}
@@ -0,0 +1,245 @@
+/**
+ * Artifact Search
+ * Full-text search, tags, folders, pins and sorting for artifact listings.
+ * Firestore has no full-text search, so each artifact stores `searchTokens`: the words of its name,
+ * chat history and files (plus prefixes of its name's words, for search-as-you-type). Listings query
+ * one token in Firestore and check the rest here. Guests filter their local artifacts with the same helpers.
+ * Shared by the client (guest mode, sidebar) and the artifact API (indexing and listing).
+ */
+
+/**
+ * Bumped when tokenizing (or the stored listing summary) changes - then run `npm run reindex` once,
+ * so artifacts indexed the old way are re-indexed
+ */
+export const SEARCH_INDEX_VERSION = 2;
+
+/**
+ * Most tokens stored per artifact (name first, then chat, then files)
+ */
+export const MAX_SEARCH_TOKENS = 2000;
+
+/**
+ * Most words of a search query that are matched
+ */
+export const MAX_QUERY_TOKENS = 5;
+
+/**
+ * Organization limits
+ */
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 32;
+export const MAX_FOLDER_LENGTH = 60;
+
+/**
+ * Listing page sizes
+ */
+export const DEFAULT_PAGE_SIZE = 30;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Sort options for listings (pinned artifacts always come first)
+ */
+export const ARTIFACT_SORTS = {
+  updated: { field: 'updatedAt', direction: 'desc', label: 'Last edited' },
+  created: { field: 'createdAt', direction: 'desc', label: 'Newest' },
+  name: { field: 'name', direction: 'asc', label: 'Name' },
+};
+
+export const DEFAULT_SORT = 'updated';
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 30;
+
+/**
+ * Split text into lowercase search words
+ * camelCase and snake_case identifiers are split too, so "TodoList" is found by "todo"
+ * @param {string} text
+ * @returns {string[]} Words in order (with repeats)
+ */
+export function tokenize(text = '') {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= MIN_TOKEN_LENGTH && word.length <= MAX_TOKEN_LENGTH);
+}
+
+/**
+ * Build an artifact's search tokens
+ * @param {{name?: string, files?: Object, chatHistory?: Array}} artifact
+ * @returns {string[]} Unique tokens, at most MAX_SEARCH_TOKENS
+ */
+export function buildSearchTokens({ name = '', files = {}, chatHistory = [] } = {}) {
+  const tokens = new Set();
+  const add = (words) => {
+    for (const word of words) {
+      if (tokens.size >= MAX_SEARCH_TOKENS) return;
+      tokens.add(word);
+    }
+  };
+
+  // Name words and their prefixes, so a few letters find a project by name
+  tokenize(name).forEach(word => {
+    for (let length = MIN_TOKEN_LENGTH; length <= word.length; length++) {
+      add([word.slice(0, length)]);
+    }
+  });
+
+  (Array.isArray(chatHistory) ? chatHistory : []).forEach(message => {
+    if (typeof message?.content === 'string') add(tokenize(message.content));
+  });
+
+  Object.entries(files || {}).forEach(([path, content]) => {
+    add(tokenize(path));
+    if (typeof content === 'string') add(tokenize(content));
+  });
+
+  return [...tokens];
+}
+
+/**
+ * Words of a search query
+ * @param {string} query
+ * @returns {string[]} Unique words, at most MAX_QUERY_TOKENS
+ */
+export function parseSearchQuery(query = '') {
+  return [...new Set(tokenize(query))].slice(0, MAX_QUERY_TOKENS);
+}
+
+/**
+ * Normalize a tag: trimmed, lowercase, single spaces
+ * @param {string} tag
+ * @returns {string}
+ */
+export function normalizeTag(tag = '') {
+  return String(tag).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Check and normalize organization fields of an artifact update
+ * @param {Object} updates - May contain tags (string[]), folder (string or null) and pinned (boolean)
+ * @returns {{values: Object}|{error: string}} Normalized values for the fields present
+ */
+export function normalizeOrganization(updates = {}) {
+  const values = {};
+
+  if ('tags' in updates) {
+    if (!Array.isArray(updates.tags) || updates.tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'Tags must be a list of strings' };
+    }
+    const tags = [...new Set(updates.tags.map(normalizeTag).filter(Boolean))];
+    if (tags.length > MAX_TAGS) {
+      return { error: `An artifact can have at most ${MAX_TAGS} tags` };
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    values.tags = tags;
+  }
+
+  if ('folder' in updates) {
+    if (updates.folder !== null && typeof updates.folder !== 'string') {
+      return { error: 'Folder must be a name, or null for no folder' };
+    }
+    const folder = (updates.folder || '').trim();
+    if (folder.length > MAX_FOLDER_LENGTH) {
+      return { error: `Folder names can be at most ${MAX_FOLDER_LENGTH} characters` };
+    }
+    values.folder = folder || null;
+  }
+
+  if ('pinned' in updates) {
+    if (typeof updates.pinned !== 'boolean') {
+      return { error: 'Pinned must be true or false' };
+    }
+    values.pinned = updates.pinned;
+  }
+
+  return { values };
+}
+
+/**
+ * Check whether an artifact matches a search and filters
+ * Uses the stored searchTokens when present, or builds them (guest artifacts)
+ * @param {Object} artifact
+ * @param {{tokens?: string[], tag?: string, folder?: string}} filters
+ * @returns {boolean}
+ */
+export function matchesArtifactFilters(artifact, { tokens = [], tag = '', folder = '' } = {}) {
+  if (tag && !(artifact.tags || []).includes(tag)) return false;
+  if (folder && artifact.folder !== folder) return false;
+  if (tokens.length === 0) return true;
+
+  const searchTokens = new Set(artifact.searchTokens || buildSearchTokens(artifact));
+  return tokens.every(token => searchTokens.has(token));
+}
+
+const toTime = (timestamp) => new Date(timestamp || 0).getTime() || 0;
+
+/**
+ * Sort artifacts: pinned first, then by the sort option
+ * @param {Object[]} artifacts
+ * @param {string|null} [sort] - Key of ARTIFACT_SORTS, or null to only move pinned artifacts up
+ * @returns {Object[]} New array
+ */
+export function sortArtifacts(artifacts, sort = DEFAULT_SORT) {
+  const option = ARTIFACT_SORTS[sort];
+  const compare = (a, b) => {
+    if (!option) return 0;
+    if (option.field === 'name') return (a.name || '').localeCompare(b.name || '');
+    return toTime(b[option.field]) - toTime(a[option.field]);
+  };
+
+  return [...artifacts].sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || compare(a, b));
+}
+
+/**
+ * Tags and folders in use
+ * @param {Object[]} artifacts - Artifacts (or their tags/folder fields)
+ * @returns {{tags: string[], folders: string[]}} Sorted, unique
+ */
+export function collectFacets(artifacts) {
+  const tags = new Set();
+  const folders = new Set();
+  artifacts.forEach(artifact => {
+    (artifact.tags || []).forEach(tag => tags.add(tag));
+    if (artifact.folder) folders.add(artifact.folder);
+  });
+
+  const byName = (a, b) => a.localeCompare(b);
+  return { tags: [...tags].sort(byName), folders: [...folders].sort(byName) };
+}
+
+/**
+ * Parse a listing request's query parameters
+ * @param {Object} query - { q, tag, folder, sort, limit, cursor }
+ * @returns {{tokens: string[], tag: string, folder: string, sort: string, limit: number, cursor: string|null}|{error: string}}
+ */
+export function parseListQuery(query = {}) {
+  const { q = '', tag = '', folder = '', sort = DEFAULT_SORT, limit, cursor } = query;
+
+  if ([q, tag, folder, sort].some(value => typeof value !== 'string')) {
+    return { error: 'q, tag, folder and sort must each be given once' };
+  }
+  if (!ARTIFACT_SORTS[sort]) {
+    return { error: `Sort must be one of: ${Object.keys(ARTIFACT_SORTS).join(', ')}` };
+  }
+
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `Limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+
+  if (cursor !== undefined && (typeof cursor !== 'string' || !cursor)) {
+    return { error: 'Cursor must be the nextCursor of the previous page' };
+  }
+
+  return {
+    tokens: parseSearchQuery(q),
+    tag: normalizeTag(tag),
+    folder: folder.trim(),
+    sort,
+    limit: pageSize,
+    cursor: cursor || null,
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Artifact Summary
+ * What artifact listings show instead of the whole artifact: name, timestamps, organization,
+ * file count and a thumbnail (the first lines of the entry file). Listings read these fields only,
+ * so files and chat history are loaded just for the artifact that is opened.
+ * Shared by the client (sidebar) and the artifact API (stored with each artifact, see artifactListing).
+ */
+
+import { findEntry } from '../preview/moduleBundler.js';
+
+/**
+ * Thumbnail size: lines of code, and characters per line
+ */
+export const THUMBNAIL_LINES = 6;
+export const THUMBNAIL_LINE_LENGTH = 48;
+
+/**
+ * Fields of an artifact listed without loading it
+ */
+export const SUMMARY_FIELDS = [
+  'name',
+  'createdAt',
+  'updatedAt',
+  'createdBy',
+  'updatedBy',
+  'fileCount',
+  'thumbnail',
+  'tags',
+  'folder',
+  'pinned',
+  'revision',
+];
+
+/**
+ * Build a thumbnail: the first non-blank lines of the entry file (or the first file)
+ * @param {Object} files - Files map
+ * @returns {{path: string, code: string}|null} Null when there are no text files
+ */
+export function buildThumbnail(files = {}) {
+  const path = findEntry(files || {}) ||
+    Object.keys(files || {}).sort().find(name => typeof files[name] === 'string');
+  if (!path) return null;
+
+  const code = files[path]
+    .split('\n')
+    .filter(line => line.trim())
+    .slice(0, THUMBNAIL_LINES)
+    .map(line => line.trimEnd().slice(0, THUMBNAIL_LINE_LENGTH))
+    .join('\n');
+
+  return { path, code };
+}
+
+/**
+ * Summary of an artifact for listings
+ * Loaded artifacts (with files) are summarized from their files; listed ones keep their stored fields
+ * @param {Object} artifact - Full artifact or listing entry
+ * @returns {Object} id and SUMMARY_FIELDS
+ */
+export function toArtifactSummary(artifact) {
+  const loaded = Boolean(artifact.files);
+  const summary = { id: artifact.id };
+  SUMMARY_FIELDS.forEach(field => {
+    if (field in artifact) summary[field] = artifact[field];
+  });
+
+  return {
+    ...summary,
+    fileCount: loaded ? Object.keys(artifact.files).length : artifact.fileCount || 0,
+    thumbnail: loaded ? buildThumbnail(artifact.files) : artifact.thumbnail || null,
+    tags: artifact.tags || [],
+    folder: artifact.folder || null,
+    pinned: Boolean(artifact.pinned),
+  };
+}
@@ -0,0 +1,6 @@
+/**
+ * Search Utilities - Barrel Export
+ */
+
+export * from './artifactSearch';
+export * from './artifactSummary';
@@ -0,0 +1,5 @@
+/**
+ * Share Link Utilities - Barrel Export
+ */
+
+export * from './shareLinks';
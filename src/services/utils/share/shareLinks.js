@@ -0,0 +1,44 @@
+/**
+ * Share Links
+ * Public, read-only snapshots of an artifact live at /s/<slug>
+ * (published and revoked through /api/artifacts/share/*)
+ */
+
+export const SHARE_PATH_PREFIX = '/s/';
+
+/**
+ * Get the share slug from a URL path
+ * @param {string} pathname - e.g. window.location.pathname
+ * @returns {string|null} Slug, or null when the path isn't a share link
+ */
+export function getShareSlugFromPath(pathname = '') {
+  const match = pathname.match(/^\/s\/([A-Za-z0-9_-]+)\/?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Build the public URL for a share slug
+ * @param {string} slug - Share slug
+ * @param {string} origin - Site origin (e.g. window.location.origin)
+ * @returns {string} Absolute share URL
+ */
+export function getShareUrl(slug, origin) {
+  return `${origin.replace(/\/+$/, '')}${SHARE_PATH_PREFIX}${slug}`;
+}
+
+/**
+ * Fetch a share snapshot - no sign-in needed
+ * @param {string} slug - Share slug
+ * @returns {Promise<{slug: string, name: string, files: Object, createdAt: string}>}
+ * @throws {Error} With a displayable message when the link is missing, revoked or unreachable
+ */
+export async function fetchSharedArtifact(slug) {
+  const response = await fetch(`/api/artifacts/share/get?slug=${encodeURIComponent(slug)}`);
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok || !data?.share) {
+    throw new Error(data?.message || `Could not load this share link (HTTP ${response.status})`);
+  }
+
+  return data.share;
+}
@@ -1,60 +1,42 @@
 /**
  * Cross-File Consistency Validation
  * Checks for consistency issues across multiple generated files
+ * All checks read the shared module graph (see moduleGraph.js), so findings carry exact line and column
  */
 
-/**
- * Check if imported components are actually used in JSX
- */
-export function validateImportedComponentsUsed(files) {
-  const warnings = [];
-
-  Object.entries(files).forEach(([filename, code]) => {
-    const lines = code.split("\n");
+import { getModuleGraph, hasExport, isLocalSpecifier } from "./moduleGraph.js";
 
-    // Extract component imports
-    const componentImports = [];
-    lines.forEach((line, index) => {
-      const trimmed = line.trim();
+// Components are capitalized (Header, TodoList) - ALL_CAPS names are constants
+const isComponentName = (name) => /^[A-Z]/.test(name) && name !== name.toUpperCase();
 
-      // Match: import Something from './components/Something'
-      const defaultImportMatch = trimmed.match(/import\s+(\w+)\s+from\s+["']\.\/(?:components|\.\.\/components)\/([^"']+)["']/);
-      if (defaultImportMatch) {
-        componentImports.push({
-          name: defaultImportMatch[1],
-          line: index + 1
-        });
-      }
+// Hooks: useTodos, useLocalStorage
+const isHookName = (name) => /^use[A-Z0-9]/.test(name);
 
-      // Match: import { Component } from './components/...'
-      const namedImportMatch = trimmed.match(/import\s+{([^}]+)}\s+from\s+["']\.\/(?:components|\.\.\/components)\/([^"']+)["']/);
-      if (namedImportMatch) {
-        const names = namedImportMatch[1].split(",").map(n => n.trim().split(" as ")[0]);
-        names.forEach(name => {
-          componentImports.push({
-            name,
-            line: index + 1
-          });
-        });
-      }
-    });
-
-    // Check if each component is used in JSX
-    componentImports.forEach(component => {
-      const usagePattern = new RegExp(`<${component.name}[\\s/>]`);
-      const isUsed = code.match(usagePattern);
+// Local import bindings of every parsed module
+function localBindings(graph, predicate) {
+  return Object.entries(graph.modules).flatMap(([filename, module]) => module.imports
+    .filter(entry => entry.kind === "import" && isLocalSpecifier(entry.specifier))
+    .flatMap(entry => entry.bindings
+      .filter(binding => predicate(binding.local))
+      .map(binding => ({ filename, module, entry, binding }))));
+}
 
-      if (!isUsed) {
-        warnings.push({
-          file: filename,
-          line: component.line,
-          message: `Component "${component.name}" imported but never used`,
-          severity: "warning",
-          fix: `Remove unused import or add <${component.name} /> to JSX`
-        });
-      }
-    });
-  });
+/**
+ * Check if imported components are actually used (rendered or referenced)
+ */
+export function validateImportedComponentsUsed(files) {
+  const graph = getModuleGraph(files);
+
+  const warnings = localBindings(graph, isComponentName)
+    .filter(({ module, binding }) => !module.references.has(binding.local))
+    .map(({ filename, binding }) => ({
+      file: filename,
+      line: binding.line,
+      column: binding.column,
+      message: `Component "${binding.local}" imported but never used`,
+      severity: "warning",
+      fix: `Remove unused import or add <${binding.local} /> to JSX`
+    }));
 
   return {
     valid: true, // Don't fail on this
@@ -66,45 +48,18 @@ export function validateImportedComponentsUsed(files) {
  * Check if imported hooks are actually called
  */
 export function validateImportedHooksUsed(files) {
-  const warnings = [];
-
-  Object.entries(files).forEach(([filename, code]) => {
-    const lines = code.split("\n");
-
-    // Extract hook imports (functions starting with 'use')
-    const hookImports = [];
-    lines.forEach((line, index) => {
-      const trimmed = line.trim();
-
-      // Match: import { useHook } from './hooks/...'
-      const namedImportMatch = trimmed.match(/import\s+{([^}]+)}\s+from\s+["']\.\.?\/hooks\/([^"']+)["']/);
-      if (namedImportMatch) {
-        const names = namedImportMatch[1].split(",").map(n => n.trim().split(" as ")[0]);
-        names.filter(name => name.startsWith("use")).forEach(name => {
-          hookImports.push({
-            name,
-            line: index + 1
-          });
-        });
-      }
-    });
-
-    // Check if each hook is called
-    hookImports.forEach(hook => {
-      const usagePattern = new RegExp(`${hook.name}\\s*\\(`);
-      const isUsed = code.match(usagePattern);
-
-      if (!isUsed) {
-        warnings.push({
-          file: filename,
-          line: hook.line,
-          message: `Hook "${hook.name}" imported but never called`,
-          severity: "warning",
-          fix: `Remove unused import or call ${hook.name}()`
-        });
-      }
-    });
-  });
+  const graph = getModuleGraph(files);
+
+  const warnings = localBindings(graph, isHookName)
+    .filter(({ module, binding }) => !module.hookCalls.has(binding.local))
+    .map(({ filename, binding }) => ({
+      file: filename,
+      line: binding.line,
+      column: binding.column,
+      message: `Hook "${binding.local}" imported but never called`,
+      severity: "warning",
+      fix: `Remove unused import or call ${binding.local}()`
+    }));
 
   return {
     valid: true,
@@ -117,29 +72,30 @@ export function validateImportedHooksUsed(files) {
  * (e.g., component manages state locally when hook exists)
  */
 export function validateNoDuplicateLogic(files) {
+  const graph = getModuleGraph(files);
   const warnings = [];
 
-  Object.entries(files).forEach(([filename, code]) => {
-    // Skip non-component files
-    if (!filename.startsWith("components/") || !code.includes("useState")) {
+  Object.entries(graph.modules).forEach(([filename, module]) => {
+    // Only components with local state
+    if (!filename.startsWith("components/") || !module.hookCalls.has("useState")) {
       return;
     }
 
     // Check if component imports a custom hook
-    const hookImportMatch = code.match(/import\s+{[^}]*use\w+[^}]*}\s+from\s+["']\.\.\/hooks\//);
+    const importsCustomHook = module.imports.some(entry =>
+      /(^|\/)hooks\//.test(entry.specifier) && entry.bindings.some(binding => isHookName(binding.imported))
+    );
 
-    if (hookImportMatch) {
-      // Check if component also uses useState
-      const hasLocalState = code.includes("useState(");
-
-      if (hasLocalState) {
-        warnings.push({
-          file: filename,
-          message: "Component imports custom hook but also manages state locally - possible duplicate logic",
-          severity: "warning",
-          fix: "Consider using the hook's state management instead of local useState"
-        });
-      }
+    if (importsCustomHook) {
+      const [localState] = module.hookCalls.get("useState");
+      warnings.push({
+        file: filename,
+        line: localState.line,
+        column: localState.column,
+        message: "Component imports custom hook but also manages state locally - possible duplicate logic",
+        severity: "warning",
+        fix: "Consider using the hook's state management instead of local useState"
+      });
     }
   });
 
@@ -150,29 +106,49 @@ export function validateNoDuplicateLogic(files) {
 }
 
 /**
- * Check for missing exports
+ * Check for missing exports: files with none, and imports of names their module doesn't export
+ * (re-exports and `export { A as B }` included)
  */
 export function validateExportsExist(files) {
+  const graph = getModuleGraph(files);
   const errors = [];
 
-  Object.entries(files).forEach(([filename, code]) => {
-    // Skip certain files that don't need exports
-    if (filename === "App.jsx") return;
-
-    // Skip CSS, JSON, and other non-JS/JSX files
-    if (filename.match(/\.(css|json|md|txt|svg|png|jpg|jpeg|gif|ico)$/)) return;
-
-    // Check if file has any export
-    const hasExport = code.includes("export default") || code.includes("export const") || code.includes("export function");
+  Object.entries(graph.modules).forEach(([filename, module]) => {
+    // Only parsed JS/JSX files - CSS, JSON and others have no exports
+    if (!module.script || module.parseError) return;
 
-    if (!hasExport) {
+    // The entry file is rendered, not imported
+    if (filename !== "App.jsx" && filename !== graph.entry &&
+        module.exports.length === 0 && module.exportsAll.length === 0) {
       errors.push({
         file: filename,
+        line: 1,
+        column: 1,
         message: `File has no exports - will cause import errors`,
         severity: "error",
         fix: "Add 'export default ComponentName' at the end"
       });
     }
+
+    module.imports
+      .filter(entry => entry.resolved && (entry.kind === "import" || entry.kind === "reexport"))
+      .forEach(entry => entry.bindings
+        .filter(binding => binding.imported !== "*" && hasExport(graph, entry.resolved, binding.imported) === false)
+        .forEach(binding => {
+          const isDefault = binding.imported === "default";
+          errors.push({
+            file: filename,
+            line: binding.line,
+            column: binding.column,
+            message: isDefault
+              ? `"${entry.resolved}" has no default export`
+              : `"${binding.imported}" is not exported by "${entry.resolved}"`,
+            severity: "error",
+            fix: isDefault
+              ? `Use a named import, or add 'export default' to ${entry.resolved}`
+              : `Export ${binding.imported} from ${entry.resolved}, or import a name it exports`
+          });
+        }));
   });
 
   return {
@@ -182,56 +158,44 @@ export function validateExportsExist(files) {
 }
 
 /**
- * Check for circular dependencies
+ * Check for circular dependencies (each cycle reported once)
  */
 export function validateNoCircularDependencies(files) {
+  const graph = getModuleGraph(files);
   const warnings = [];
-  const imports = {};
-
-  // Build dependency graph
-  Object.entries(files).forEach(([filename, code]) => {
-    imports[filename] = [];
-
-    const lines = code.split("\n");
-    lines.forEach(line => {
-      const importMatch = line.match(/from\s+["'](\.[^"']+)["']/);
-      if (importMatch) {
-        const importPath = importMatch[1];
-        // Resolve to filename
-        let resolvedPath = importPath.replace(/^\.\//, "").replace(/^\.\.\//, "");
-        if (!resolvedPath.endsWith(".jsx") && !resolvedPath.endsWith(".js")) {
-          resolvedPath += ".jsx"; // Assume .jsx
-        }
-        imports[filename].push(resolvedPath);
+  const reported = new Set();
+  const visited = new Set();
+
+  // Resolved local dependencies, with where they're imported
+  const dependencies = (filename) => graph.modules[filename].imports.filter(entry => entry.resolved);
+
+  const visit = (filename, path) => {
+    for (const entry of dependencies(filename)) {
+      const start = path.indexOf(entry.resolved);
+      if (start !== -1) {
+        const cycle = path.slice(start);
+        const key = [...cycle].sort().join("|");
+        if (reported.has(key)) continue;
+        reported.add(key);
+
+        // Reported at the import that closes the cycle
+        warnings.push({
+          file: filename,
+          line: entry.line,
+          column: entry.column,
+          message: `Circular dependency detected: ${[...cycle, entry.resolved].join(" → ")}`,
+          severity: "warning",
+          fix: "Refactor to remove circular dependency"
+        });
+      } else if (!visited.has(entry.resolved)) {
+        visit(entry.resolved, [...path, entry.resolved]);
       }
-    });
-  });
-
-  // Check for circular dependencies
-  function hasCircular(file, visited = new Set(), path = []) {
-    if (visited.has(file)) {
-      warnings.push({
-        file: path[0],
-        message: `Circular dependency detected: ${path.join(" → ")} → ${file}`,
-        severity: "warning",
-        fix: "Refactor to remove circular dependency"
-      });
-      return true;
     }
+    visited.add(filename);
+  };
 
-    visited.add(file);
-    path.push(file);
-
-    const dependencies = imports[file] || [];
-    for (const dep of dependencies) {
-      hasCircular(dep, new Set(visited), [...path]);
-    }
-
-    return false;
-  }
-
-  Object.keys(imports).forEach(file => {
-    hasCircular(file);
+  Object.keys(graph.modules).forEach(filename => {
+    if (!visited.has(filename)) visit(filename, [filename]);
   });
 
   return {
@@ -240,6 +204,29 @@ export function validateNoCircularDependencies(files) {
   };
 }
 
+/**
+ * Check that every JS/JSX file parses
+ */
+export function validateSyntax(files) {
+  const graph = getModuleGraph(files);
+
+  const errors = Object.entries(graph.modules)
+    .filter(([, module]) => module.parseError)
+    .map(([filename, { parseError }]) => ({
+      file: filename,
+      line: parseError.line,
+      column: parseError.column,
+      message: `Syntax error: ${parseError.message}`,
+      severity: "error",
+      fix: "Fix the syntax error so the file can be parsed"
+    }));
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Run all cross-file validations
  */
@@ -250,6 +237,13 @@ export function validateCrossFileConsistency(files) {
     warnings: []
   };
 
+  // Files that don't parse can't be checked
+  const syntaxCheck = validateSyntax(files);
+  if (!syntaxCheck.valid) {
+    results.valid = false;
+  }
+  results.errors.push(...syntaxCheck.errors);
+
   // Check imported components are used
   const componentCheck = validateImportedComponentsUsed(files);
   results.warnings.push(...componentCheck.warnings);
@@ -4,3 +4,4 @@
 
 export * from './runtimeValidation';
 export * from './crossFileValidation';
+export * from './moduleGraph';
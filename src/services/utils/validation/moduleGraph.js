@@ -0,0 +1,300 @@
+/**
+ * Module Graph
+ * What each file imports, exports, renders as JSX and calls as hooks, read from its AST
+ * (@babel/parser) instead of line-by-line regexes, so multi-line imports, `export { A as B }`,
+ * re-exports and JSX-looking text inside strings are handled correctly.
+ * Built once per files map and shared by the validators. Lines and columns are 1-based.
+ */
+
+import { parse } from '@babel/parser';
+import { findEntry, resolveModulePath } from '../preview/moduleBundler.js';
+
+// Files that are parsed as JavaScript
+const isScriptFile = (filename) => /\.(m?jsx?|cjs)$/.test(filename);
+
+// Imports that point into the project rather than at a package
+export const isLocalSpecifier = (specifier) => /^\.{0,2}\//.test(specifier);
+
+// Hooks: useState, useTodos, React.useEffect...
+const isHookName = (name) => /^use[A-Z0-9]/.test(name);
+
+// 1-based position of a node
+const position = (node) => ({ line: node.loc.start.line, column: node.loc.start.column + 1 });
+
+// Name of an import/export specifier (identifier or string literal)
+const nameOf = (node) => (node.type === 'StringLiteral' ? node.value : node.name);
+
+// Identifiers bound by a declaration pattern (const { a, b: [c] } = ...)
+function patternNames(pattern, names = []) {
+  if (!pattern) return names;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.push(pattern.name);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(property => patternNames(property.type === 'RestElement' ? property.argument : property.value, names));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => patternNames(element, names));
+      break;
+    case 'AssignmentPattern':
+      patternNames(pattern.left, names);
+      break;
+    case 'RestElement':
+      patternNames(pattern.argument, names);
+      break;
+  }
+  return names;
+}
+
+// Where an identifier is a name being declared or a property name, not a use of a binding
+function isReference(parent, key) {
+  if (!parent) return true;
+  switch (parent.type) {
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      return key !== 'property' || parent.computed;
+    case 'ObjectProperty':
+    case 'ObjectMethod':
+    case 'ClassProperty':
+    case 'ClassMethod':
+    case 'ClassPrivateProperty':
+      return key !== 'key' || parent.computed;
+    case 'VariableDeclarator':
+      return key !== 'id';
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return key !== 'id' && key !== 'params';
+    case 'CatchClause':
+      return key !== 'param';
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return key !== 'label';
+    case 'ExportSpecifier':
+      return key === 'local';
+    default:
+      return true;
+  }
+}
+
+/**
+ * Analyze one file
+ * @param {string} code - Source code
+ * @param {string} filename - Filename
+ * @returns {{filename: string, script: boolean, parseError: {message: string, line: number, column: number}|null,
+ *   imports: Array<{specifier: string, kind: 'import'|'reexport'|'require'|'dynamic', line: number, column: number,
+ *     bindings: Array<{local: string|null, imported: string, line: number, column: number}>}>,
+ *   exports: Array<{name: string, local: string|null, from: string|null, line: number, column: number}>,
+ *   exportsAll: Array<{specifier: string, line: number, column: number}>,
+ *   jsxElements: Map<string, Array<{line: number, column: number}>>, references: Map<string, number>,
+ *   hookCalls: Map<string, Array<{line: number, column: number}>>, hasJsx: boolean, topLevelNames: Set<string>}}
+ *   imported is 'default', '*' or the exported name; local is null for re-exports;
+ *   topLevelNames are the names the module binds at top level (imports and declarations)
+ */
+export function analyzeModule(code, filename = 'unknown') {
+  const analysis = {
+    filename,
+    script: isScriptFile(filename),
+    parseError: null,
+    imports: [],
+    exports: [],
+    exportsAll: [],
+    jsxElements: new Map(),
+    references: new Map(),
+    hookCalls: new Map(),
+    hasJsx: false,
+    topLevelNames: new Set()
+  };
+  if (!analysis.script || typeof code !== 'string') return analysis;
+
+  let ast;
+  try {
+    ast = parse(code, { sourceType: 'module', plugins: ['jsx'], sourceFilename: filename });
+  } catch (error) {
+    analysis.parseError = {
+      message: error.message,
+      line: error.loc?.line || 1,
+      column: (error.loc?.column || 0) + 1
+    };
+    return analysis;
+  }
+
+  const add = (map, name, value) => map.set(name, [...(map.get(name) || []), value]);
+  const reexport = (node, bindings) => analysis.imports.push({
+    specifier: node.source.value, kind: 'reexport', ...position(node), bindings
+  });
+
+  const visit = (node, parent = null, key = null) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'ImportDeclaration':
+        analysis.imports.push({
+          specifier: node.source.value,
+          kind: 'import',
+          ...position(node),
+          bindings: node.specifiers.map(specifier => ({
+            local: specifier.local.name,
+            imported: specifier.type === 'ImportDefaultSpecifier' ? 'default'
+              : specifier.type === 'ImportNamespaceSpecifier' ? '*'
+                : nameOf(specifier.imported),
+            ...position(specifier)
+          }))
+        });
+        return;
+
+      case 'ExportAllDeclaration':
+        analysis.exportsAll.push({ specifier: node.source.value, ...position(node) });
+        reexport(node, []);
+        return;
+
+      case 'ExportNamedDeclaration':
+        if (node.source) {
+          reexport(node, node.specifiers.map(specifier => ({
+            local: null,
+            imported: specifier.type === 'ExportNamespaceSpecifier' ? '*' : nameOf(specifier.local),
+            ...position(specifier)
+          })));
+          node.specifiers.forEach(specifier => analysis.exports.push({
+            name: nameOf(specifier.exported), local: null, from: node.source.value, ...position(specifier)
+          }));
+          return;
+        }
+        if (node.declaration) {
+          const names = node.declaration.type === 'VariableDeclaration'
+            ? node.declaration.declarations.flatMap(declarator => patternNames(declarator.id))
+            : [node.declaration.id?.name].filter(Boolean);
+          names.forEach(name => analysis.exports.push({ name, local: name, from: null, ...position(node) }));
+        }
+        node.specifiers.forEach(specifier => analysis.exports.push({
+          name: nameOf(specifier.exported), local: nameOf(specifier.local), from: null, ...position(specifier)
+        }));
+        break;
+
+      case 'ExportDefaultDeclaration': {
+        const { declaration } = node;
+        const local = declaration.type === 'Identifier' ? declaration.name : declaration.id?.name || null;
+        analysis.exports.push({ name: 'default', local, from: null, ...position(node) });
+        break;
+      }
+
+      case 'CallExpression': {
+        const { callee, arguments: [arg] } = node;
+        if ((callee.type === 'Import' || (callee.type === 'Identifier' && callee.name === 'require')) && arg?.type === 'StringLiteral') {
+          analysis.imports.push({
+            specifier: arg.value, kind: callee.type === 'Import' ? 'dynamic' : 'require', ...position(node), bindings: []
+          });
+        }
+        const hook = callee.type === 'Identifier' ? callee.name
+          : callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : null;
+        if (hook && isHookName(hook)) add(analysis.hookCalls, hook, position(callee));
+        break;
+      }
+
+      case 'JSXOpeningElement': {
+        analysis.hasJsx = true;
+        let name = node.name;
+        while (name.type === 'JSXMemberExpression') name = name.object;
+        if (name.type === 'JSXIdentifier') {
+          add(analysis.jsxElements, name.name, position(name));
+          analysis.references.set(name.name, (analysis.references.get(name.name) || 0) + 1);
+        }
+        break;
+      }
+
+      case 'JSXFragment':
+        analysis.hasJsx = true;
+        break;
+
+      case 'Identifier':
+        if (isReference(parent, key)) {
+          analysis.references.set(node.name, (analysis.references.get(node.name) || 0) + 1);
+        }
+        return;
+    }
+
+    for (const childKey of Object.keys(node)) {
+      if (childKey === 'loc' || childKey === 'start' || childKey === 'end' || childKey.endsWith('Comments')) continue;
+      const value = node[childKey];
+      if (Array.isArray(value)) {
+        value.forEach(child => visit(child, node, childKey));
+      } else if (value && typeof value === 'object') {
+        visit(value, node, childKey);
+      }
+    }
+  };
+
+  visit(ast.program);
+
+  ast.program.body.forEach(statement => {
+    const declaration = statement.type.startsWith('Export') && statement.declaration ? statement.declaration : statement;
+    if (declaration.type === 'ImportDeclaration') {
+      declaration.specifiers.forEach(specifier => analysis.topLevelNames.add(specifier.local.name));
+    } else if (declaration.type === 'VariableDeclaration') {
+      declaration.declarations.forEach(declarator => patternNames(declarator.id).forEach(name => analysis.topLevelNames.add(name)));
+    } else if ((declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') && declaration.id) {
+      analysis.topLevelNames.add(declaration.id.name);
+    }
+  });
+  return analysis;
+}
+
+// Graphs by files map, rebuilt when any file in the map has changed
+const graphCache = new WeakMap();
+
+/**
+ * Module graph of a project: every file analyzed, with local imports resolved to files
+ * @param {Object} files - Files map
+ * @returns {{entry: string|null, modules: Object<string, Object>}} modules maps filename to
+ *   analyzeModule's result; each local import also has `resolved` (filename or null)
+ */
+export function getModuleGraph(files) {
+  const cached = graphCache.get(files);
+  if (cached && Object.keys(files).length === cached.size &&
+      Object.entries(files).every(([filename, code]) => cached.sources[filename] === code)) {
+    return cached.graph;
+  }
+
+  const modules = {};
+  Object.entries(files).forEach(([filename, code]) => {
+    const analysis = analyzeModule(code, filename);
+    analysis.imports.forEach(entry => {
+      entry.resolved = isLocalSpecifier(entry.specifier) ? resolveModulePath(entry.specifier, filename, files) : null;
+    });
+    modules[filename] = analysis;
+  });
+
+  const graph = { entry: findEntry(files), modules };
+  graphCache.set(files, { graph, sources: { ...files }, size: Object.keys(files).length });
+  return graph;
+}
+
+/**
+ * Whether a module exports a name, following re-exports
+ * @param {Object} graph - From getModuleGraph
+ * @param {string} filename - Module
+ * @param {string} name - Export name ('default' for the default export)
+ * @returns {boolean|null} null when it can't be known (unparsed module, or `export *` from outside the project)
+ */
+export function hasExport(graph, filename, name, seen = new Set()) {
+  const module = graph.modules[filename];
+  if (!module || !module.script || module.parseError) return null;
+  if (seen.has(filename)) return false;
+  seen.add(filename);
+
+  if (module.exports.some(entry => entry.name === name)) return true;
+  if (name === 'default') return false; // `export *` never re-exports the default
+
+  let unknown = false;
+  for (const { specifier } of module.exportsAll) {
+    const target = module.imports.find(entry => entry.kind === 'reexport' && entry.specifier === specifier)?.resolved;
+    const found = target ? hasExport(graph, target, name, seen) : null;
+    if (found) return true;
+    if (found === null) unknown = true;
+  }
+  return unknown ? null : false;
+}
@@ -3,6 +3,18 @@
  * Checks for patterns that will cause runtime errors in browser
  */
 
+import { analyzeModule, getModuleGraph, isLocalSpecifier } from "./moduleGraph.js";
+
+// Where a relative specifier points, for messages (the file may not exist)
+const resolveImportPath = (specifier, filename) => {
+  const parts = specifier.startsWith("/") ? [] : filename.split("/").slice(0, -1);
+  specifier.split("/").forEach(segment => {
+    if (segment === "..") parts.pop();
+    else if (segment && segment !== ".") parts.push(segment);
+  });
+  return parts.join("/");
+};
+
 /**
  * List of banned npm packages that won't work in browser
  */
@@ -116,67 +128,41 @@ export function validateNoBannedPackages(code) {
 }
 
 /**
- * Check if all imports have valid targets
+ * Check if all local imports (static, re-exports, require and import()) have valid targets
+ * Uses the project's module graph, with `code` as the file's content. A file that doesn't parse
+ * can't be checked, so its parse error is reported instead
  */
 export function validateImportTargets(code, filename, allFiles) {
   const errors = [];
-  const lines = code.split("\n");
-
-  lines.forEach((line, index) => {
-    const trimmed = line.trim();
-
-    if (trimmed.startsWith("import ") && /from\s+["']([^"']+)["']/.test(trimmed)) {
-      const importMatch = trimmed.match(/from\s+["']([^"']+)["']/);
-      if (!importMatch) return;
+  if (!allFiles) return { valid: true, errors, warnings: errors };
 
-      const importPath = importMatch[1];
-
-      // Skip external packages
-      if (!importPath.startsWith("./") && !importPath.startsWith("../")) {
-        return;
-      }
-
-      // Resolve the import path relative to current file
-      const currentDir = filename.includes("/")
-        ? filename.substring(0, filename.lastIndexOf("/"))
-        : "";
-
-      let resolvedPath = importPath;
-      if (importPath.startsWith("./")) {
-        resolvedPath = currentDir ? `${currentDir}/${importPath.substring(2)}` : importPath.substring(2);
-      } else if (importPath.startsWith("../")) {
-        const upLevels = (importPath.match(/\.\.\//g) || []).length;
-        let pathParts = currentDir.split("/");
-        pathParts = pathParts.slice(0, -upLevels);
-        const remainingPath = importPath.replace(/\.\.\//g, "");
-        resolvedPath = pathParts.length > 0
-          ? `${pathParts.join("/")}/${remainingPath}`
-          : remainingPath;
-      }
-
-      // Add .jsx or .js extension if missing
-      const possiblePaths = [
-        resolvedPath,
-        `${resolvedPath}.jsx`,
-        `${resolvedPath}.js`,
-        `${resolvedPath}/index.jsx`,
-        `${resolvedPath}/index.js`
-      ];
+  const files = allFiles[filename] === code ? allFiles : { ...allFiles, [filename]: code };
+  const module = getModuleGraph(files).modules[filename];
+  const lines = code.split("\n");
 
-      // Check if any of the possible paths exist in allFiles
-      const exists = possiblePaths.some(path => allFiles && allFiles[path]);
+  if (module.parseError) {
+    errors.push({
+      line: module.parseError.line,
+      column: module.parseError.column,
+      code: (lines[module.parseError.line - 1] || "").trim(),
+      message: `Imports not checked - the file does not parse: ${module.parseError.message}`,
+      severity: "warning",
+      fix: "Fix the syntax error first"
+    });
+  }
 
-      if (allFiles && !exists) {
-        errors.push({
-          line: index + 1,
-          code: trimmed,
-          message: `Import target "${importPath}" not found`,
-          severity: "warning",
-          fix: `Ensure the file exists: ${resolvedPath}`
-        });
-      }
-    }
-  });
+  module.imports
+    .filter(entry => isLocalSpecifier(entry.specifier) && !entry.resolved)
+    .forEach(entry => {
+      errors.push({
+        line: entry.line,
+        column: entry.column,
+        code: lines[entry.line - 1].trim(),
+        message: `Import target "${entry.specifier}" not found`,
+        severity: "warning",
+        fix: `Ensure the file exists: ${resolveImportPath(entry.specifier, filename)}`
+      });
+    });
 
   return {
     valid: true, // Don't fail on this, just warn
@@ -186,48 +172,24 @@ export function validateImportTargets(code, filename, allFiles) {
 }
 
 /**
- * Check for unused imports
+ * Check for unused imports (bindings never referenced; React counts as used by JSX)
  */
-export function validateNoUnusedImports(code) {
-  const warnings = [];
+export function validateNoUnusedImports(code, filename = "unknown.jsx") {
+  const module = analyzeModule(code, filename);
   const lines = code.split("\n");
-  const imports = [];
-
-  // Extract all imports
-  lines.forEach((line, index) => {
-    const trimmed = line.trim();
-    if (trimmed.startsWith("import ")) {
-      // Extract imported identifiers
-      const defaultMatch = trimmed.match(/import\s+(\w+)\s+from/);
-      const namedMatch = trimmed.match(/import\s+{([^}]+)}\s+from/);
-
-      if (defaultMatch) {
-        imports.push({ name: defaultMatch[1], line: index + 1, code: trimmed });
-      }
-      if (namedMatch) {
-        const names = namedMatch[1].split(",").map(n => n.trim().split(" as ")[0]);
-        names.forEach(name => {
-          imports.push({ name, line: index + 1, code: trimmed });
-        });
-      }
-    }
-  });
-
-  // Check if each import is used
-  imports.forEach(imported => {
-    const usagePattern = new RegExp(`\\b${imported.name}\\b`);
-    const usageCount = lines.filter((line, i) => i !== imported.line - 1 && usagePattern.test(line)).length;
 
-    if (usageCount === 0) {
-      warnings.push({
-        line: imported.line,
-        code: imported.code,
-        message: `Unused import: ${imported.name}`,
-        severity: "warning",
-        fix: `Remove this import if not needed`
-      });
-    }
-  });
+  const warnings = module.imports
+    .filter(entry => entry.kind === "import")
+    .flatMap(entry => entry.bindings)
+    .filter(binding => !module.references.has(binding.local) && !(binding.local === "React" && module.hasJsx))
+    .map(binding => ({
+      line: binding.line,
+      column: binding.column,
+      code: lines[binding.line - 1].trim(),
+      message: `Unused import: ${binding.local}`,
+      severity: "warning",
+      fix: `Remove this import if not needed`
+    }));
 
   return {
     valid: true, // Don't fail on unused imports
@@ -262,7 +224,7 @@ export function validateRuntimeSafety(code, filename, allFiles = null) {
   }
 
   // Check for unused imports
-  const unusedCheck = validateNoUnusedImports(code);
+  const unusedCheck = validateNoUnusedImports(code, filename);
   results.warnings.push(...unusedCheck.warnings);
 
   return results;
@@ -0,0 +1,176 @@
+/**
+ * Change Review
+ * Splits the AI's proposed file operations into per-file hunks so they can be
+ * accepted or rejected individually before anything is written to the artifact.
+ * A rename is one decision (the file moves, or stays where it is), and imports a partial
+ * acceptance would break are reported before and after applying.
+ */
+
+import { diffLines } from './versionHistory.js';
+import { getModuleGraph, isLocalSpecifier } from '../validation/moduleGraph.js';
+
+/**
+ * Split the diff between two texts into hunks (runs of changed lines)
+ * @param {string} before - Current content
+ * @param {string} after - Proposed content
+ * @returns {Array<{id: number, oldStart: number, oldCount: number, newStart: number, newCount: number,
+ *   removed: string[], added: string[]}>} Hunks in file order; starts are 1-based line numbers
+ */
+export function splitHunks(before = '', after = '') {
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+
+  diffLines(before, after).forEach(line => {
+    if (line.type === 'same') {
+      current = null;
+      oldLine++;
+      newLine++;
+      return;
+    }
+
+    if (!current) {
+      current = { id: hunks.length, oldStart: oldLine, oldCount: 0, newStart: newLine, newCount: 0, removed: [], added: [] };
+      hunks.push(current);
+    }
+
+    if (line.type === 'remove') {
+      current.removed.push(line.text);
+      current.oldCount++;
+      oldLine++;
+    } else {
+      current.added.push(line.text);
+      current.newCount++;
+      newLine++;
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * Build the content that results from accepting only some hunks
+ * @param {string} before - Current content
+ * @param {string} after - Proposed content
+ * @param {number[]} acceptedIds - IDs of the hunks to apply (from splitHunks)
+ * @returns {string} Merged content
+ */
+export function applyHunks(before = '', after = '', acceptedIds = []) {
+  const accepted = new Set(acceptedIds);
+  const output = [];
+  let hunkId = -1;
+  let inHunk = false;
+
+  diffLines(before, after).forEach(line => {
+    if (line.type === 'same') {
+      inHunk = false;
+      output.push(line.text);
+      return;
+    }
+
+    if (!inHunk) {
+      inHunk = true;
+      hunkId++;
+    }
+
+    const keep = accepted.has(hunkId) ? line.type === 'add' : line.type === 'remove';
+    if (keep) output.push(line.text);
+  });
+
+  return output.join('\n');
+}
+
+/**
+ * Build a review of proposed file operations against the current files
+ * Files the operations leave unchanged are dropped.
+ * @param {Object} files - Current files map
+ * @param {Array<{type: string, filename: string, content?: string, from?: string}>} fileOperations - Proposed operations
+ * @returns {Array<{file: string, status: 'added'|'removed'|'modified'|'renamed', from?: string,
+ *   before: string|undefined, after: string|undefined, hunks: Array}>} from is a renamed file's old path
+ */
+export function createChangeReview(files, fileOperations = []) {
+  const proposed = {};
+  const renamedFrom = {};
+  fileOperations.forEach(op => {
+    if (op.type === 'rename') {
+      renamedFrom[op.filename] = op.from;
+      delete proposed[op.from];
+    }
+    proposed[op.filename] = op.type === 'delete' ? undefined : op.content;
+  });
+
+  return Object.entries(proposed)
+    .filter(([file, after]) => renamedFrom[file] || files[file] !== after)
+    .map(([file, after]) => {
+      const from = renamedFrom[file];
+      const before = from ? files[from] : files[file];
+      const status = from ? 'renamed' : before === undefined ? 'added' : after === undefined ? 'removed' : 'modified';
+      const hunks = splitHunks(before ?? '', after ?? '');
+
+      // Empty files have no lines to diff, but still need a hunk to accept
+      if (hunks.length === 0) {
+        hunks.push({ id: 0, oldStart: 1, oldCount: 0, newStart: 1, newCount: 0, removed: [], added: [] });
+      }
+
+      return from ? { file, status, from, before, after, hunks } : { file, status, before, after, hunks };
+    });
+}
+
+/**
+ * Find local imports that resolve in one files map but not in another
+ * @param {Object} before - Files map the imports worked in
+ * @param {Object} after - Files map to check
+ * @returns {Array<{file: string, line: number, specifier: string}>} Imports in `after` that don't resolve
+ *   (imports already broken in `before` are left out)
+ */
+export function findBrokenImports(before, after) {
+  const unresolved = (files) => Object.values(getModuleGraph(files).modules).flatMap(module =>
+    module.imports
+      .filter(entry => isLocalSpecifier(entry.specifier) && !entry.resolved)
+      .map(entry => ({ file: module.filename, line: entry.line, specifier: entry.specifier }))
+  );
+
+  const alreadyBroken = new Set(unresolved(before).map(entry => `${entry.file}\n${entry.specifier}`));
+  return unresolved(after).filter(entry => !alreadyBroken.has(`${entry.file}\n${entry.specifier}`));
+}
+
+/**
+ * Apply the accepted parts of a review to the files
+ * @param {Object} files - Files map to apply onto (the current files, which may have moved on)
+ * @param {Array} review - Output of createChangeReview
+ * @param {Object} decisions - file -> IDs of accepted hunks (missing or empty = file rejected)
+ * @returns {{files: Object, applied: string[], rejected: string[], brokenImports: Array}} Updated files map,
+ *   which files were (at least partly) applied or left alone, and imports the selection broke (findBrokenImports)
+ */
+export function applyChangeReview(files, review, decisions = {}) {
+  const result = { ...files };
+  const applied = [];
+  const rejected = [];
+
+  review.forEach(change => {
+    const acceptedIds = decisions[change.file] || [];
+    if (acceptedIds.length === 0) {
+      rejected.push(change.file);
+      return;
+    }
+
+    applied.push(change.file);
+
+    // A rename moves the file with the accepted part of its changes
+    if (change.status === 'renamed') delete result[change.from];
+
+    // Added and removed files are a single hunk - accepted means the whole file
+    if (change.status === 'removed') {
+      delete result[change.file];
+    } else if (change.status === 'added') {
+      result[change.file] = change.after;
+    } else if (acceptedIds.length === change.hunks.length) {
+      result[change.file] = change.after;
+    } else {
+      result[change.file] = applyHunks(change.before, change.after, acceptedIds);
+    }
+  });
+
+  return { files: result, applied, rejected, brokenImports: findBrokenImports(files, result) };
+}
@@ -0,0 +1,6 @@
+/**
+ * Version History Utilities - Barrel Export
+ */
+
+export * from './versionHistory';
+export * from './changeReview';
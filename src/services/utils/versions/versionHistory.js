@@ -0,0 +1,261 @@
+/**
+ * Version History
+ * Snapshots of an artifact's files (one per AI turn, manual save or restore)
+ * and the line diffs shown when browsing them.
+ * Shared by the client (guest versions in localStorage) and the versions API.
+ */
+
+/**
+ * Versions kept per artifact - older ones are pruned
+ */
+export const MAX_VERSIONS = 30;
+
+/**
+ * Versions kept per artifact for guests, whose history shares localStorage with their artifacts
+ */
+export const MAX_GUEST_VERSIONS = 10;
+
+/**
+ * Most localStorage a guest's whole version history may take, in characters of JSON
+ * (browsers allow ~5M characters per origin, and the artifacts themselves come first)
+ */
+export const MAX_GUEST_HISTORY_SIZE = 1_500_000;
+
+/**
+ * What created a version, with its display label
+ */
+export const VERSION_TRIGGERS = {
+  ai: 'AI change',
+  manual: 'Manual save',
+  restore: 'Restore'
+};
+
+/**
+ * Longest chat message stored with a version
+ */
+const MAX_MESSAGE_LENGTH = 200;
+
+/**
+ * Above this many line pairs the diff falls back to "everything changed"
+ */
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Generate unique version ID
+ */
+const generateVersionId = () => {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(2, 9);
+  return `version_${timestamp}_${random}`;
+};
+
+/**
+ * Check whether two files maps hold exactly the same files
+ * @param {Object} a - Files map
+ * @param {Object} b - Files map
+ * @returns {boolean}
+ */
+export function isSameFiles(a = {}, b = {}) {
+  const aNames = Object.keys(a);
+  const bNames = Object.keys(b);
+  return aNames.length === bNames.length && aNames.every(name => b[name] === a[name]);
+}
+
+/**
+ * Line diff between two texts (LCS, with common prefix/suffix trimmed first)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'same'|'add'|'remove', text: string, oldLine?: number, newLine?: number}>}
+ */
+export function diffLines(before = '', after = '') {
+  const oldLines = before === '' ? [] : before.split('\n');
+  const newLines = after === '' ? [] : after.split('\n');
+
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+  const result = [];
+
+  for (let i = 0; i < prefix; i++) {
+    result.push({ type: 'same', text: oldLines[i], oldLine: i + 1, newLine: i + 1 });
+  }
+
+  const n = oldMiddle.length;
+  const m = newMiddle.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    // Too large to align - show it as a full replacement
+    oldMiddle.forEach((text, i) => result.push({ type: 'remove', text, oldLine: prefix + i + 1 }));
+    newMiddle.forEach((text, j) => result.push({ type: 'add', text, newLine: prefix + j + 1 }));
+  } else {
+    // lcs[i][j] = length of the longest common subsequence of oldMiddle[i..] and newMiddle[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = oldMiddle[i] === newMiddle[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && oldMiddle[i] === newMiddle[j]) {
+        result.push({ type: 'same', text: oldMiddle[i], oldLine: prefix + i + 1, newLine: prefix + j + 1 });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        // Removals before additions, like unified diffs
+        result.push({ type: 'remove', text: oldMiddle[i], oldLine: prefix + i + 1 });
+        i++;
+      } else {
+        result.push({ type: 'add', text: newMiddle[j], newLine: prefix + j + 1 });
+        j++;
+      }
+    }
+  }
+
+  for (let k = 0; k < suffix; k++) {
+    const oldIndex = oldLines.length - suffix + k;
+    const newIndex = newLines.length - suffix + k;
+    result.push({ type: 'same', text: oldLines[oldIndex], oldLine: oldIndex + 1, newLine: newIndex + 1 });
+  }
+
+  return result;
+}
+
+/**
+ * Hide unchanged lines far from any change
+ * @param {Array} lines - Output of diffLines
+ * @param {number} [context=3] - Unchanged lines kept around each change
+ * @returns {Array} Lines, with runs of hidden lines replaced by { type: 'skip', count }
+ */
+export function collapseContext(lines, context = 3) {
+  const keep = lines.map(() => false);
+  lines.forEach((line, index) => {
+    if (line.type === 'same') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) {
+      keep[k] = true;
+    }
+  });
+
+  const result = [];
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      result.push(line);
+    } else if (result.length > 0 && result[result.length - 1].type === 'skip') {
+      result[result.length - 1].count++;
+    } else {
+      result.push({ type: 'skip', count: 1 });
+    }
+  });
+  return result;
+}
+
+/**
+ * Per-file diff between two files maps (changed files only)
+ * @param {Object} before - Old files map
+ * @param {Object} after - New files map
+ * @returns {Array<{file: string, status: 'added'|'removed'|'modified', additions: number,
+ *   deletions: number, lines: Array}>} Sorted by filename
+ */
+export function diffFiles(before = {}, after = {}) {
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  return names
+    .filter(file => before[file] !== after[file])
+    .map(file => {
+      const status = before[file] === undefined ? 'added' : after[file] === undefined ? 'removed' : 'modified';
+      const lines = diffLines(before[file] ?? '', after[file] ?? '');
+      return {
+        file,
+        status,
+        additions: lines.filter(line => line.type === 'add').length,
+        deletions: lines.filter(line => line.type === 'remove').length,
+        lines
+      };
+    });
+}
+
+/**
+ * Build a version record
+ * @param {Object} files - Files map to snapshot
+ * @param {Object} [options]
+ * @param {string} [options.trigger='manual'] - Key of VERSION_TRIGGERS
+ * @param {string} [options.message] - Chat message (or note) that led to this version
+ * @param {Object} [options.previousFiles] - Files of the version before, for the change summary
+ * @returns {{id: string, files: Object, trigger: string, message: string, fileCount: number,
+ *   changes: Array<{file: string, status: string, additions: number, deletions: number}>, createdAt: number}}
+ */
+export function createVersion(files, { trigger = 'manual', message = '', previousFiles = {} } = {}) {
+  const changes = diffFiles(previousFiles, files)
+    .map(({ file, status, additions, deletions }) => ({ file, status, additions, deletions }));
+
+  return {
+    id: generateVersionId(),
+    files: { ...files },
+    trigger: VERSION_TRIGGERS[trigger] ? trigger : 'manual',
+    message: String(message || '').slice(0, MAX_MESSAGE_LENGTH),
+    fileCount: Object.keys(files).length,
+    changes,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Drop the oldest guest version, sparing each artifact's latest version while older ones remain
+ * @param {Object} versionsByArtifact - Artifact id -> versions, newest first (modified in place)
+ * @returns {Object|null} The dropped version, or null when there are none left
+ */
+export function dropOldestVersion(versionsByArtifact) {
+  const histories = Object.entries(versionsByArtifact).filter(([, versions]) => versions.length > 0);
+  if (histories.length === 0) return null;
+
+  const withOlder = histories.filter(([, versions]) => versions.length > 1);
+  const [id, versions] = (withOlder.length > 0 ? withOlder : histories)
+    .reduce((oldest, entry) => (entry[1].at(-1).createdAt < oldest[1].at(-1).createdAt ? entry : oldest));
+
+  const dropped = versions.pop();
+  if (versions.length === 0) delete versionsByArtifact[id];
+  return dropped;
+}
+
+/**
+ * Keep guest version history within its localStorage budget
+ * Trims every artifact to maxVersions, then drops the oldest versions until the history fits in maxSize.
+ * @param {Object} versionsByArtifact - Artifact id -> versions, newest first
+ * @param {Object} [options]
+ * @param {number} [options.maxVersions]
+ * @param {number} [options.maxSize] - Characters of JSON
+ * @returns {Object} Pruned copy
+ */
+export function pruneGuestVersions(versionsByArtifact, { maxVersions = MAX_GUEST_VERSIONS, maxSize = MAX_GUEST_HISTORY_SIZE } = {}) {
+  const pruned = Object.fromEntries(
+    Object.entries(versionsByArtifact).map(([id, versions]) => [id, versions.slice(0, maxVersions)])
+  );
+
+  const sizes = new Map(Object.values(pruned).flat().map(version => [version, JSON.stringify(version).length]));
+  let size = [...sizes.values()].reduce((total, value) => total + value, 0);
+
+  while (size > maxSize) {
+    const dropped = dropOldestVersion(pruned);
+    if (!dropped) break;
+    size -= sizes.get(dropped);
+  }
+
+  return pruned;
+}
@@ -12,11 +12,32 @@ dotenv.config();
 import { runModificationTests } from "../unit/modifications.test.js";
 // import { runDebuggerTests } from "../unit/debugger.test.js"; // Disabled: uses outdated API
 import { runReliabilityTests } from "../unit/reliability.test.js";
+import { runModuleBundlerTests } from "../unit/moduleBundler.test.js";
+import { runProjectExportTests } from "../unit/projectExport.test.js";
+import { runProjectImportTests } from "../unit/projectImport.test.js";
+import { runVersionHistoryTests } from "../unit/versionHistory.test.js";
+import { runChangeReviewTests } from "../unit/changeReview.test.js";
+import { runRateLimitTests } from "../unit/rateLimit.test.js";
+import { runChatPolicyTests } from "../unit/chatPolicy.test.js";
+import { runShareLinkTests } from "../unit/shareLinks.test.js";
+import { runWorkspaceTests } from "../unit/workspaces.test.js";
+import { runCollaborationTests } from "../unit/collaboration.test.js";
+import { runConflictMergeTests } from "../unit/conflictMerge.test.js";
+import { runBulkArtifactTests } from "../unit/bulkArtifacts.test.js";
+import { runArtifactSearchTests } from "../unit/artifactSearch.test.js";
+import { runEditPatchTests } from "../unit/editPatch.test.js";
+import { runFileMovesTests } from "../unit/fileMoves.test.js";
+import { runModuleGraphTests } from "../unit/moduleGraph.test.js";
+import { runAutoFixTests } from "../unit/validators/autoFix.test.js";
+import { runSmokeTestTests } from "../unit/smokeTest.test.js";
 import { runReviewerTests } from "../unit/agents/reviewer.test.js";
 import { runReflectionLoopTests } from "../unit/orchestrators/reflectionLoop.test.js";
 // import { runAgentSystemTests } from "../unit/agents/agentSystem.test.js"; // Disabled: requires unimplemented services
 import { runHybridOrchestratorTests } from "../unit/orchestrators/hybridOrchestrator.test.js";
 import { runSpecializedAgentTests } from "../unit/agents/specializedAgents.test.js";
+import { runProviderTests } from "../unit/connection/providers.test.js";
+import { runExplainPipelineTests } from "../unit/orchestrators/explainPipeline.test.js";
+import { runCancellationTests } from "../unit/orchestrators/cancellation.test.js";
 import { formatResults, printSummaryTable, checkAPIKey } from "../utils/testHelpers.js";
 import testConfig from "../config/testConfig.js";
 
@@ -258,6 +279,82 @@ async function main() {
   const reliabilityResults = await runTestSuite("Reliability Tests", runReliabilityTests, hasKey);
   suiteResults.push(formatResults("Reliability", reliabilityResults));
 
+  // Test Suite 2b: LLM Provider Layer (offline translation tests)
+  const providerResults = await runTestSuite("Provider Tests", runProviderTests, hasKey);
+  suiteResults.push(formatResults("LLM Providers", providerResults));
+
+  // Test Suite 2c: Preview Module Bundler (offline)
+  const bundlerResults = await runTestSuite("Module Bundler Tests", runModuleBundlerTests, hasKey);
+  suiteResults.push(formatResults("Module Bundler", bundlerResults));
+
+  // Test Suite 2d: Project Export (offline)
+  const exportResults = await runTestSuite("Project Export Tests", runProjectExportTests, hasKey);
+  suiteResults.push(formatResults("Project Export", exportResults));
+
+  // Test Suite 2e: Project Import (offline)
+  const importResults = await runTestSuite("Project Import Tests", runProjectImportTests, hasKey);
+  suiteResults.push(formatResults("Project Import", importResults));
+
+  // Test Suite 2f: Version History (offline)
+  const versionResults = await runTestSuite("Version History Tests", runVersionHistoryTests, hasKey);
+  suiteResults.push(formatResults("Version History", versionResults));
+
+  // Test Suite 2g: Change Review (offline)
+  const changeReviewResults = await runTestSuite("Change Review Tests", runChangeReviewTests, hasKey);
+  suiteResults.push(formatResults("Change Review", changeReviewResults));
+
+  // Test Suite 2h: Rate Limiting (offline)
+  const rateLimitResults = await runTestSuite("Rate Limit Tests", runRateLimitTests, hasKey);
+  suiteResults.push(formatResults("Rate Limiting", rateLimitResults));
+
+  // Test Suite 2i: Chat Policy (offline)
+  const chatPolicyResults = await runTestSuite("Chat Policy Tests", runChatPolicyTests, hasKey);
+  suiteResults.push(formatResults("Chat Policy", chatPolicyResults));
+
+  // Test Suite 2j: Share Links (offline)
+  const shareLinkResults = await runTestSuite("Share Link Tests", runShareLinkTests, hasKey);
+  suiteResults.push(formatResults("Share Links", shareLinkResults));
+
+  // Test Suite 2k: Workspaces (offline)
+  const workspaceResults = await runTestSuite("Workspace Tests", runWorkspaceTests, hasKey);
+  suiteResults.push(formatResults("Workspaces", workspaceResults));
+
+  // Test Suite 2l: Collaboration (offline)
+  const collaborationResults = await runTestSuite("Collaboration Tests", runCollaborationTests, hasKey);
+  suiteResults.push(formatResults("Collaboration", collaborationResults));
+
+  // Test Suite 2m: Conflict Merge (offline)
+  const conflictMergeResults = await runTestSuite("Conflict Merge Tests", runConflictMergeTests, hasKey);
+  suiteResults.push(formatResults("Conflict Merge", conflictMergeResults));
+
+  // Test Suite 2n: Bulk Artifacts (offline)
+  const bulkArtifactResults = await runTestSuite("Bulk Artifact Tests", runBulkArtifactTests, hasKey);
+  suiteResults.push(formatResults("Bulk Artifacts", bulkArtifactResults));
+
+  // Test Suite 2o: Artifact Search (offline)
+  const artifactSearchResults = await runTestSuite("Artifact Search Tests", runArtifactSearchTests, hasKey);
+  suiteResults.push(formatResults("Artifact Search", artifactSearchResults));
+
+  // Test Suite 2p: Edit Patches (offline)
+  const editPatchResults = await runTestSuite("Edit Patch Tests", runEditPatchTests, hasKey);
+  suiteResults.push(formatResults("Edit Patches", editPatchResults));
+
+  // Test Suite 2q: File Moves (offline)
+  const fileMovesResults = await runTestSuite("File Moves Tests", runFileMovesTests, hasKey);
+  suiteResults.push(formatResults("File Moves", fileMovesResults));
+
+  // Test Suite 2r: Module Graph (offline)
+  const moduleGraphResults = await runTestSuite("Module Graph Tests", runModuleGraphTests, hasKey);
+  suiteResults.push(formatResults("Module Graph", moduleGraphResults));
+
+  // Test Suite 2s: AutoFix Codemods (offline)
+  const autoFixResults = await runTestSuite("AutoFix Codemod Tests", runAutoFixTests, hasKey);
+  suiteResults.push(formatResults("AutoFix Codemods", autoFixResults));
+
+  // Test Suite 2t: Runtime Smoke Test (offline)
+  const smokeTestResults = await runTestSuite("Runtime Smoke Tests", runSmokeTestTests, hasKey);
+  suiteResults.push(formatResults("Runtime Smoke Test", smokeTestResults));
+
   // Test Suite 3: Modification Tests
   const modificationResults = await runTestSuite("Modification Tests", runModificationTests, hasKey);
   suiteResults.push(formatResults("Modifications", modificationResults));
@@ -280,6 +377,14 @@ async function main() {
   const reflectionResults = await runTestSuite("Reflection Loop Tests", runReflectionLoopTests, hasKey);
   suiteResults.push(formatResults("Reflection Loop", reflectionResults));
 
+  // Test Suite 9: Explain Pipeline (offline, mocked model)
+  const explainResults = await runTestSuite("Explain Pipeline Tests", runExplainPipelineTests, hasKey);
+  suiteResults.push(formatResults("Explain Pipeline", explainResults));
+
+  // Test Suite 10: Cancellation (offline, mocked model)
+  const cancellationResults = await runTestSuite("Cancellation Tests", runCancellationTests, hasKey);
+  suiteResults.push(formatResults("Cancellation", cancellationResults));
+
   const totalTime = Date.now() - startTime;
 
   // Print summary
@@ -0,0 +1,281 @@
+/**
+ * Test Suite: Artifact Search
+ *
+ * Tests artifact search, organization and listing (no network access):
+ * 1. Search tokens and queries
+ * 2. Tags, folders and pins
+ * 3. Filtering, sorting and facets
+ * 4. Listing pages (against an in-memory collection)
+ * 5. Summaries (file count and thumbnail instead of files)
+ */
+
+import {
+  MAX_PAGE_SIZE,
+  MAX_TAGS,
+  buildSearchTokens,
+  collectFacets,
+  matchesArtifactFilters,
+  normalizeOrganization,
+  parseListQuery,
+  parseSearchQuery,
+  sortArtifacts,
+  tokenize
+} from '../../src/services/utils/search/artifactSearch.js';
+import { THUMBNAIL_LINES, buildThumbnail, toArtifactSummary } from '../../src/services/utils/search/artifactSummary.js';
+import { listArtifactPage, listPinnedArtifacts, toListedArtifact, toListingIndex } from '../../api/utils/artifactListing.js';
+
+// In-memory stand-in for a Firestore collection: where (== and array-contains), orderBy, startAfter, limit, select
+function fakeCollection(docs) {
+  const project = (data, fields) => (fields
+    ? Object.fromEntries(fields.filter(field => field in data).map(field => [field, data[field]]))
+    : data);
+  const snapshotOf = ({ id, data }, fields = null) => ({ id, exists: true, data: () => project(data, fields) });
+
+  const query = (filters = [], order = null, after = null, max = Infinity, fields = null) => ({
+    where: (field, op, value) => query([...filters, { field, op, value }], order, after, max, fields),
+    orderBy: (field, direction) => query(filters, { field, direction }, after, max, fields),
+    startAfter: (doc) => query(filters, order, doc, max, fields),
+    limit: (count) => query(filters, order, after, count, fields),
+    select: (...selected) => query(filters, order, after, max, selected),
+    get: async () => {
+      let results = docs.filter(({ data }) => filters.every(({ field, op, value }) =>
+        op === '==' ? data[field] === value : (data[field] || []).includes(value)
+      ));
+      if (order) {
+        const sign = order.direction === 'desc' ? -1 : 1;
+        results = [...results].sort((a, b) => (a.data[order.field] < b.data[order.field] ? -sign : sign));
+      }
+      if (after) {
+        results = results.slice(results.findIndex(doc => doc.id === after.id) + 1);
+      }
+      return { docs: results.slice(0, max).map(doc => snapshotOf(doc, fields)) };
+    },
+  });
+
+  return {
+    ...query(),
+    doc: (id) => ({
+      get: async () => {
+        const found = docs.find(doc => doc.id === id);
+        return found ? snapshotOf(found) : { id, exists: false };
+      },
+    }),
+  };
+}
+
+/**
+ * Run all artifact search tests
+ */
+export async function runArtifactSearchTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 ARTIFACT SEARCH TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  // ============================================================
+  // TEST SUITE 1: Search Tokens
+  // ============================================================
+  console.log('\n🔎 Test Suite 1: Search Tokens\n');
+
+  assert(
+    tokenize('TodoList.jsx uses use_state!').join(' ') === 'todo list jsx uses use state',
+    'Text is split into lowercase words, including camelCase and snake_case'
+  );
+
+  const tokens = buildSearchTokens({
+    name: 'Weather Dashboard',
+    files: { 'src/ForecastCard.jsx': 'const temperature = 21;' },
+    chatHistory: [{ type: 'user', content: 'Add a humidity chart' }],
+  });
+  assert(
+    ['we', 'wea', 'weather', 'da', 'dashboard'].every(token => tokens.includes(token)),
+    'Name words are indexed with their prefixes'
+  );
+  assert(
+    ['humidity', 'forecast', 'card', 'temperature'].every(token => tokens.includes(token)) && !tokens.includes('hu'),
+    'Chat messages, file paths and code are indexed as whole words'
+  );
+  assert(
+    parseSearchQuery('Chart chart, humidity a').join(' ') === 'chart humidity',
+    'Queries are split into unique words, ignoring single letters'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Organization
+  // ============================================================
+  console.log('\n🏷️  Test Suite 2: Organization\n');
+
+  const organized = normalizeOrganization({ tags: [' Client Work ', 'client work', '', 'UI'], folder: ' Clients ', pinned: true });
+  assert(
+    organized.values?.tags.join('|') === 'client work|ui' && organized.values.folder === 'Clients' && organized.values.pinned === true,
+    'Tags are normalized and de-duplicated, folder names trimmed'
+  );
+  assert(
+    normalizeOrganization({ folder: '  ' }).values?.folder === null &&
+    Object.keys(normalizeOrganization({ name: 'x' }).values).length === 0,
+    'An empty folder means none; other fields are left alone'
+  );
+  assert(
+    Boolean(normalizeOrganization({ tags: Array.from({ length: MAX_TAGS + 1 }, (_, i) => `tag${i}`) }).error) &&
+    Boolean(normalizeOrganization({ tags: 'ui' }).error) &&
+    Boolean(normalizeOrganization({ pinned: 'yes' }).error) &&
+    Boolean(normalizeOrganization({ folder: 42 }).error),
+    'Invalid tags, folders and pins are rejected'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Filtering, Sorting and Facets
+  // ============================================================
+  console.log('\n🗂️  Test Suite 3: Filtering, Sorting and Facets\n');
+
+  const guestArtifacts = [
+    { id: 'a', name: 'Budget app', files: { 'App.jsx': 'const chart = true;' }, tags: ['finance'], folder: 'Personal', updatedAt: 3000, createdAt: 1000 },
+    { id: 'b', name: 'Recipe box', files: {}, tags: ['food', 'finance'], folder: null, updatedAt: 1000, createdAt: 3000 },
+    { id: 'c', name: 'Chart demo', files: {}, tags: [], folder: 'Personal', pinned: true, updatedAt: 2000, createdAt: 2000 },
+  ];
+
+  assert(
+    guestArtifacts.filter(artifact => matchesArtifactFilters(artifact, { tokens: ['chart'] })).map(a => a.id).join() === 'a,c' &&
+    guestArtifacts.filter(artifact => matchesArtifactFilters(artifact, { tokens: ['chart'], tag: 'finance' })).map(a => a.id).join() === 'a' &&
+    guestArtifacts.filter(artifact => matchesArtifactFilters(artifact, { folder: 'Personal' })).length === 2,
+    'Search words, tags and folders all have to match'
+  );
+  assert(
+    sortArtifacts(guestArtifacts, 'updated').map(a => a.id).join() === 'c,a,b' &&
+    sortArtifacts(guestArtifacts, 'created').map(a => a.id).join() === 'c,b,a' &&
+    sortArtifacts(guestArtifacts, 'name').map(a => a.id).join() === 'c,a,b',
+    'Pinned artifacts come first, then the chosen sort'
+  );
+  const facets = collectFacets(guestArtifacts);
+  assert(
+    facets.tags.join() === 'finance,food' && facets.folders.join() === 'Personal',
+    'Facets list the tags and folders in use'
+  );
+  assert(
+    parseListQuery({ q: 'Chart', tag: ' Finance ', limit: '10' }).tag === 'finance' &&
+    parseListQuery({}).sort === 'updated' &&
+    Boolean(parseListQuery({ sort: 'size' }).error) &&
+    Boolean(parseListQuery({ limit: String(MAX_PAGE_SIZE + 1) }).error) &&
+    Boolean(parseListQuery({ q: ['a', 'b'] }).error),
+    'Listing queries are parsed and checked'
+  );
+
+  // ============================================================
+  // TEST SUITE 4: Listing Pages
+  // ============================================================
+  console.log('\n📄 Test Suite 4: Listing Pages\n');
+
+  const stored = Array.from({ length: 12 }, (_, i) => {
+    const data = {
+      name: i % 3 === 0 ? `Chart ${i}` : `Notes ${i}`,
+      files: { 'App.jsx': `export default function App() {\n  return <h1>Notes ${i}</h1>;\n}` },
+      chatHistory: [],
+      tags: i % 2 === 0 ? ['even'] : [],
+      folder: null,
+      pinned: i === 11,
+      updatedAt: `2026-01-${String(i + 1).padStart(2, '0')}`,
+    };
+    return { id: `doc${i}`, data: { ...data, ...toListingIndex(data) } };
+  });
+  const collection = fakeCollection(stored);
+  const listOptions = (options) => ({ tokens: [], tag: '', folder: '', sort: 'updated', limit: 4, cursor: null, ...options });
+
+  const first = await listArtifactPage(collection, listOptions());
+  const second = await listArtifactPage(collection, listOptions({ cursor: first.nextCursor }));
+  assert(
+    first.artifacts.map(a => a.id).join() === 'doc10,doc9,doc8,doc7' &&
+    second.artifacts.map(a => a.id).join() === 'doc6,doc5,doc4,doc3' &&
+    !('searchTokens' in first.artifacts[0]),
+    'Pages follow each other by cursor, leave out pinned artifacts and the search index'
+  );
+  assert(
+    first.artifacts.every(artifact => !('files' in artifact) && !('chatHistory' in artifact)) &&
+    first.artifacts[0].name === 'Notes 10' && first.artifacts[0].fileCount === 1 &&
+    first.artifacts[0].thumbnail?.path === 'App.jsx',
+    'Listings return summaries without files or chat history'
+  );
+
+  const searched = await listArtifactPage(collection, listOptions({ tokens: ['chart'], tag: 'even' }));
+  assert(
+    searched.artifacts.map(a => a.id).join() === 'doc6,doc0' && searched.nextCursor === null,
+    'Searches combined with a tag are filtered document by document'
+  );
+
+  const pinned = await listPinnedArtifacts(collection, listOptions());
+  const badCursor = await listArtifactPage(collection, listOptions({ cursor: 'missing' }));
+  assert(
+    pinned.map(a => a.id).join() === 'doc11' && badCursor.status === 400,
+    'Pinned artifacts are listed separately; unknown cursors are rejected'
+  );
+  assert(
+    toListedArtifact({ id: 'x', data: () => ({ name: 'X', searchTokens: ['x'], searchVersion: 1 }) }).name === 'X',
+    'Listed artifacts keep their fields'
+  );
+
+  // ============================================================
+  // TEST SUITE 5: Summaries
+  // ============================================================
+  console.log('\n🖼️  Test Suite 5: Summaries\n');
+
+  const longFile = Array.from({ length: THUMBNAIL_LINES + 4 }, (_, i) => `line ${i} ${'x'.repeat(80)}`).join('\n\n');
+  const thumbnail = buildThumbnail({ 'styles.css': 'body {}', 'App.jsx': longFile });
+  assert(
+    thumbnail.path === 'App.jsx' &&
+    thumbnail.code.split('\n').length === THUMBNAIL_LINES &&
+    thumbnail.code.startsWith('line 0') && thumbnail.code.split('\n').every(line => line.length <= 48),
+    'Thumbnails show the first non-blank lines of the entry file, cut to width'
+  );
+  assert(
+    buildThumbnail({ 'b.css': 'b {}', 'a.html': '<p>a</p>' }).path === 'a.html' && buildThumbnail({}) === null,
+    'Without an entry file the first file is used; no files means no thumbnail'
+  );
+
+  const loaded = toArtifactSummary({ id: 'x', name: 'X', files: { 'App.jsx': 'hi', 'a.css': '' }, chatHistory: [{ content: 'hi' }] });
+  const listed = toArtifactSummary({ id: 'y', name: 'Y', fileCount: 3, thumbnail: { path: 'App.jsx', code: 'hi' }, pinned: true });
+  assert(
+    loaded.fileCount === 2 && loaded.thumbnail.code === 'hi' && !('files' in loaded) && !('chatHistory' in loaded) &&
+    listed.fileCount === 3 && listed.thumbnail.path === 'App.jsx' && listed.pinned === true && listed.folder === null,
+    'Loaded artifacts are summarized from their files; listed ones keep their stored summary'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runArtifactSearchTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
@@ -0,0 +1,165 @@
+/**
+ * Test Suite: Bulk Artifacts
+ *
+ * Tests bulk artifact creation, used to move guest projects into an account (no network access):
+ * 1. Request validation (shape, count and size limits)
+ * 2. Stored documents (chat history and creation time carried over)
+ * 3. Splitting a large import into requests within the limits (client)
+ */
+
+import {
+  MAX_ARTIFACT_BYTES,
+  MAX_BULK_ARTIFACTS,
+  MAX_BULK_REQUEST_BYTES,
+  toBulkArtifactData,
+  validateBulkArtifacts
+} from '../../api/utils/bulkArtifacts.js';
+import { chunkBulkArtifacts, jsonSize } from '../../src/services/utils/import/guestImport.js';
+
+/**
+ * Run all bulk artifact tests
+ */
+export async function runBulkArtifactTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 BULK ARTIFACTS TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  const guestProject = {
+    id: 'artifact_1700000000000_abc1234',
+    name: '  Todo app ',
+    files: { 'App.jsx': 'export default () => <ul />;' },
+    chatHistory: [
+      { type: 'user', content: 'Make a todo app' },
+      { type: 'assistant', content: 'Here you go' },
+    ],
+    createdAt: 1700000000000,
+  };
+
+  // ============================================================
+  // TEST SUITE 1: Validation
+  // ============================================================
+  console.log('\n🔍 Test Suite 1: Validation\n');
+
+  assert(validateBulkArtifacts([guestProject, { name: 'Empty', files: {} }]) === null, 'Guest projects are accepted');
+
+  assert(
+    validateBulkArtifacts([])?.status === 400 && validateBulkArtifacts({ 0: guestProject })?.status === 400,
+    'Requests need a non-empty array'
+  );
+
+  const tooMany = Array.from({ length: MAX_BULK_ARTIFACTS + 1 }, () => ({ name: 'x', files: {} }));
+  assert(validateBulkArtifacts(tooMany)?.status === 413, `More than ${MAX_BULK_ARTIFACTS} artifacts is rejected as too large`);
+
+  const badFiles = validateBulkArtifacts([guestProject, { name: 'Broken', files: { 'App.jsx': 42 } }]);
+  assert(
+    badFiles?.status === 400 && badFiles.message.includes('Artifact 2') && badFiles.message.includes('Broken'),
+    'Problems name the artifact they are in'
+  );
+
+  assert(
+    validateBulkArtifacts([{ name: ' ', files: {} }])?.status === 400 &&
+    validateBulkArtifacts([{ name: 'x', files: {}, chatHistory: 'hi' }])?.status === 400,
+    'Names are required and chat history must be a list'
+  );
+
+  const huge = { name: 'Huge', files: { 'data.js': 'x'.repeat(MAX_ARTIFACT_BYTES) } };
+  const wide = { name: 'Wide', files: { 'data.js': 'é'.repeat(MAX_ARTIFACT_BYTES / 2) } };
+  assert(
+    validateBulkArtifacts([huge])?.status === 413 && validateBulkArtifacts([wide])?.status === 413,
+    'Artifacts too large for one document are rejected, counting bytes rather than characters'
+  );
+
+  const large = (name) => ({ name, files: { 'data.js': 'x'.repeat(MAX_ARTIFACT_BYTES - 1000) } });
+  const tooBig = Array.from({ length: Math.ceil(MAX_BULK_REQUEST_BYTES / MAX_ARTIFACT_BYTES) + 1 }, (_, i) => large(`Big ${i}`));
+  assert(
+    validateBulkArtifacts(tooBig)?.status === 413 && validateBulkArtifacts(tooBig)?.message.includes('smaller requests'),
+    'Requests over the body size limit are rejected as a whole'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Documents
+  // ============================================================
+  console.log('\n📄 Test Suite 2: Documents\n');
+
+  const now = '2026-01-01T00:00:00.000Z';
+  const data = toBulkArtifactData(guestProject, now);
+  assert(
+    data.name === 'Todo app' && data.files === guestProject.files && data.chatHistory.length === 2 && data.revision === 0,
+    'Files and chat history are carried over'
+  );
+  assert(
+    data.createdAt === new Date(1700000000000).toISOString() && data.updatedAt === now && !('id' in data),
+    'The original creation time is kept; the client ID is not stored'
+  );
+  assert(
+    toBulkArtifactData({ name: 'x', files: {}, createdAt: 'not a date' }, now).createdAt === now &&
+    toBulkArtifactData({ name: 'x', files: {} }, now).chatHistory.length === 0,
+    'Missing or invalid fields fall back to defaults'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Splitting
+  // ============================================================
+  console.log('\n✂️  Test Suite 3: Splitting\n');
+
+  const { chunks, oversized } = chunkBulkArtifacts([...tooBig, huge, guestProject]);
+  assert(
+    chunks.length > 1 &&
+    chunks.every(chunk => validateBulkArtifacts(chunk) === null && jsonSize(chunk) <= MAX_BULK_REQUEST_BYTES) &&
+    chunks.flat().length === tooBig.length + 1,
+    'Large imports are split into requests the API accepts'
+  );
+  assert(
+    oversized.length === 1 && oversized[0].name === 'Huge' &&
+    chunks.flat().map(artifact => artifact.name).join() === [...tooBig.map(artifact => artifact.name), guestProject.name].join(),
+    'Artifacts too large to import are set aside, the rest keep their order'
+  );
+
+  const small = Array.from({ length: MAX_BULK_ARTIFACTS * 2 + 1 }, (_, i) => ({ name: `P${i}`, files: {} }));
+  assert(
+    chunkBulkArtifacts(small).chunks.map(chunk => chunk.length).join() === `${MAX_BULK_ARTIFACTS},${MAX_BULK_ARTIFACTS},1`,
+    'Requests also stay within the artifact count limit'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runBulkArtifactTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
@@ -0,0 +1,203 @@
+/**
+ * Test Suite: Change Review
+ *
+ * Tests accepting or rejecting AI file changes per file and per hunk:
+ * 1. Splitting a change into hunks
+ * 2. Applying a subset of hunks
+ * 3. Reviewing file operations against the current files
+ */
+
+import {
+  applyChangeReview,
+  applyHunks,
+  createChangeReview,
+  splitHunks
+} from '../../src/services/utils/versions/changeReview.js';
+
+/**
+ * Run all change review tests
+ */
+export async function runChangeReviewTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 CHANGE REVIEW TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  // A styling tweak at the top plus an unrelated rewrite further down
+  const before = [
+    'export default function App() {',
+    '  return (',
+    '    <div className="p-4 bg-white">',
+    '      <Header />',
+    '      <List items={items} />',
+    '    </div>',
+    '  );',
+    '}',
+    '',
+    'function List({ items }) {',
+    '  return items.map(i => <li>{i}</li>);',
+    '}'
+  ].join('\n');
+  const after = [
+    'export default function App() {',
+    '  return (',
+    '    <div className="p-8 bg-slate-100">',
+    '      <Header />',
+    '      <List items={items} />',
+    '    </div>',
+    '  );',
+    '}',
+    '',
+    'function List({ items }) {',
+    '  const sorted = [...items].sort();',
+    '  return sorted.map(i => <li key={i}>{i}</li>);',
+    '}'
+  ].join('\n');
+
+  // ============================================================
+  // TEST SUITE 1: Hunks
+  // ============================================================
+  console.log('\n✂️  Test Suite 1: Hunks\n');
+
+  const hunks = splitHunks(before, after);
+  assert(
+    hunks.length === 2 &&
+    hunks[0].oldStart === 3 && hunks[0].oldCount === 1 && hunks[0].newCount === 1 &&
+    hunks[1].oldStart === 11 && hunks[1].newStart === 11 && hunks[1].newCount === 2,
+    'Separate changes become separate hunks with their line ranges'
+  );
+
+  assert(
+    splitHunks(before, before).length === 0,
+    'Unchanged content has no hunks'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Applying hunks
+  // ============================================================
+  console.log('\n🧩 Test Suite 2: Applying Hunks\n');
+
+  const stylingOnly = applyHunks(before, after, [0]);
+  assert(
+    stylingOnly.includes('p-8 bg-slate-100') &&
+    !stylingOnly.includes('sorted') &&
+    stylingOnly.includes('items.map(i => <li>{i}</li>)'),
+    'Accepting one hunk keeps the styling change and drops the rewrite'
+  );
+
+  assert(
+    applyHunks(before, after, [0, 1]) === after && applyHunks(before, after, []) === before,
+    'Accepting all hunks gives the proposal, none gives the original'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Reviewing file operations
+  // ============================================================
+  console.log('\n🔍 Test Suite 3: Reviewing File Operations\n');
+
+  const files = { 'App.jsx': before, 'styles.css': 'body {}' };
+  const review = createChangeReview(files, [
+    { type: 'update', filename: 'App.jsx', content: after },
+    { type: 'update', filename: 'styles.css', content: 'body {}' },
+    { type: 'create', filename: 'components/Header.jsx', content: 'export default () => null;' },
+    { type: 'create', filename: 'empty.js', content: '' }
+  ]);
+
+  assert(
+    review.map(c => `${c.file}:${c.status}`).join(',') === 'App.jsx:modified,components/Header.jsx:added,empty.js:added',
+    'Unchanged files are left out of the review'
+  );
+
+  assert(
+    review.every(change => change.hunks.length > 0),
+    'Every reviewed file has at least one hunk to accept, even empty new files'
+  );
+
+  const { files: result, applied, rejected } = applyChangeReview(files, review, {
+    'App.jsx': [0],
+    'components/Header.jsx': [0]
+  });
+  assert(
+    result['App.jsx'] === stylingOnly &&
+    result['components/Header.jsx'] === 'export default () => null;' &&
+    !('empty.js' in result) &&
+    applied.join(',') === 'App.jsx,components/Header.jsx' &&
+    rejected.join(',') === 'empty.js',
+    'Accepted hunks and files are applied, rejected ones are left alone'
+  );
+
+  assert(
+    files['App.jsx'] === before,
+    'Applying a review does not modify the input files'
+  );
+
+  const project = {
+    'App.jsx': "import Header from './Header';\nexport default function App() { return <Header />; }",
+    'Header.jsx': 'export default function Header() { return null; }'
+  };
+  const moveReview = createChangeReview(project, [
+    { type: 'rename', from: 'Header.jsx', filename: 'components/Header.jsx', content: project['Header.jsx'] },
+    { type: 'update', filename: 'App.jsx', content: project['App.jsx'].replace('./Header', './components/Header') }
+  ]);
+  assert(
+    moveReview.map(c => `${c.file}:${c.status}`).join(',') === 'components/Header.jsx:renamed,App.jsx:modified' &&
+    moveReview[0].from === 'Header.jsx',
+    'A rename is reviewed as one move, not a removal and an addition'
+  );
+
+  const moved = applyChangeReview(project, moveReview, { 'components/Header.jsx': [0], 'App.jsx': [0] });
+  const stayed = applyChangeReview(project, moveReview, {});
+  assert(
+    Object.keys(moved.files).sort().join(',') === 'App.jsx,components/Header.jsx' && moved.brokenImports.length === 0 &&
+    Object.keys(stayed.files).sort().join(',') === 'App.jsx,Header.jsx' && stayed.brokenImports.length === 0,
+    'Accepting a rename moves the file and rejecting it leaves the file where it was'
+  );
+
+  const halfMoved = applyChangeReview(project, moveReview, { 'components/Header.jsx': [0] });
+  assert(
+    halfMoved.brokenImports.length === 1 &&
+    halfMoved.brokenImports[0].file === 'App.jsx' && halfMoved.brokenImports[0].specifier === './Header',
+    'Imports broken by accepting a move without its import updates are reported'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runChangeReviewTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
@@ -0,0 +1,231 @@
+/**
+ * Test Suite: Chat Policy
+ *
+ * Tests what /api/chat agrees to forward (no network access):
+ * 1. Model allow-list derived from modelConfig.js
+ * 2. Request validation and size caps
+ * 3. Guest access and the handler's structured 4xx responses
+ * 4. Friendly messages for rejection codes
+ */
+
+import { getAllModels, getAllowedModels } from '../../src/services/config/modelConfig.js';
+import { getUserFriendlyError } from '../../src/services/userMessages.js';
+import {
+  checkChatAccess,
+  loadChatPolicy,
+  validateChatRequest
+} from '../../api/utils/chatPolicy.js';
+import handler from '../../api/chat.js';
+
+/**
+ * Build a request body the app itself would send
+ */
+function body(overrides = {}) {
+  return {
+    model: 'gpt-4o-mini',
+    messages: [
+      { role: 'system', content: 'You are a helpful assistant.' },
+      { role: 'user', content: 'Hello' }
+    ],
+    max_tokens: 1500,
+    temperature: 0.7,
+    stream: false,
+    ...overrides
+  };
+}
+
+/**
+ * Minimal Vercel-style response that records what was sent
+ */
+function createResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    },
+    on() {}
+  };
+}
+
+/**
+ * Run all chat policy tests
+ */
+export async function runChatPolicyTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 CHAT POLICY TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  // ============================================================
+  // TEST SUITE 1: Model allow-list
+  // ============================================================
+  console.log('\n🤖 Test Suite 1: Model Allow-List\n');
+
+  const allowed = getAllowedModels();
+  assert(
+    Object.values(getAllModels()).every(model => allowed.includes(model)) && allowed.includes('gpt-4o-mini'),
+    'Every configured agent model is allowed'
+  );
+  assert(
+    allowed.includes('gpt-4o') === allowed.includes('gpt-5-mini'),
+    'GPT-5 models and their fallbacks are allowed together'
+  );
+
+  const policy = loadChatPolicy({ CHAT_ALLOWED_MODELS: 'ollama:llama3, compatible:mistral' });
+  assert(
+    policy.allowedModels.includes('ollama:llama3') && policy.allowedModels.includes('compatible:mistral'),
+    'CHAT_ALLOWED_MODELS adds extra models'
+  );
+
+  const rejectedModel = validateChatRequest(body({ model: 'gpt-4-32k' }), policy);
+  assert(
+    rejectedModel?.status === 400 && rejectedModel.code === 'model_not_allowed',
+    'Models outside the allow-list are rejected'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Validation
+  // ============================================================
+  console.log('\n📏 Test Suite 2: Validation\n');
+
+  const caps = loadChatPolicy({ CHAT_MAX_MESSAGES: '3', CHAT_MAX_CHARS: '100', CHAT_MAX_TOKENS: '2000' });
+  assert(validateChatRequest(body(), caps) === null, 'Requests the app sends are accepted');
+
+  const tooMany = validateChatRequest(body({
+    messages: Array.from({ length: 4 }, () => ({ role: 'user', content: 'hi' }))
+  }), caps);
+  const tooLarge = validateChatRequest(body({
+    messages: [{ role: 'user', content: 'x'.repeat(101) }]
+  }), caps);
+  assert(
+    tooMany?.status === 413 && tooMany.code === 'too_many_messages' &&
+    tooLarge?.status === 413 && tooLarge.code === 'request_too_large',
+    'Message count and total characters are capped'
+  );
+
+  const tooManyTokens = validateChatRequest(body({ max_tokens: 2001 }), caps);
+  const tooManyCompletionTokens = validateChatRequest(body({ max_tokens: undefined, max_completion_tokens: 50000 }), caps);
+  assert(
+    tooManyTokens?.code === 'max_tokens_too_high' && tooManyCompletionTokens?.code === 'max_tokens_too_high',
+    'max_tokens and max_completion_tokens are capped'
+  );
+
+  const malformed = [
+    validateChatRequest(null, caps),
+    validateChatRequest(body({ messages: [] }), caps),
+    validateChatRequest(body({ messages: [{ role: 'tool', content: 'x' }] }), caps),
+    validateChatRequest(body({ messages: [{ role: 'user', content: { text: 'x' } }] }), caps),
+    validateChatRequest(body({ temperature: 5 }), caps),
+    validateChatRequest(body({ max_tokens: -1 }), caps),
+    validateChatRequest(body({ stream: 'yes' }), caps)
+  ];
+  assert(
+    malformed.every(rejection => rejection?.status === 400 && rejection.code === 'invalid_request'),
+    'Malformed bodies, roles, content, temperature, max_tokens and stream are rejected'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Access and handler responses
+  // ============================================================
+  console.log('\n🔐 Test Suite 3: Access\n');
+
+  const guestsOff = loadChatPolicy({ CHAT_GUEST_ACCESS: 'false' });
+  const guestDenied = checkChatAccess({ tier: 'guest' }, guestsOff);
+  assert(
+    guestDenied?.status === 401 && guestDenied.code === 'auth_required' &&
+    checkChatAccess({ tier: 'user' }, guestsOff) === null &&
+    checkChatAccess({ tier: 'guest' }, loadChatPolicy({})) === null,
+    'Guests are served by default, and only signed-in users when guest access is off'
+  );
+
+  const savedEnv = { ...process.env };
+  process.env.RATE_LIMIT_STORE = 'memory';
+  try {
+    const badModelRes = createResponse();
+    await handler({ method: 'POST', headers: {}, body: body({ model: 'gpt-4-32k' }) }, badModelRes);
+    assert(
+      badModelRes.statusCode === 400 && badModelRes.body.code === 'model_not_allowed' &&
+      badModelRes.body.error && badModelRes.body.message && badModelRes.body.status === undefined,
+      'The handler answers rejections with { error, code, message }'
+    );
+
+    process.env.CHAT_GUEST_ACCESS = 'false';
+    const guestRes = createResponse();
+    await handler({ method: 'POST', headers: { 'x-forwarded-for': '203.0.113.9' }, body: body() }, guestRes);
+    assert(
+      guestRes.statusCode === 401 && guestRes.body.code === 'auth_required',
+      'The handler turns guests away when guest access is off'
+    );
+  } finally {
+    Object.keys(process.env).forEach(key => {
+      if (!(key in savedEnv)) delete process.env[key];
+    });
+    Object.assign(process.env, savedEnv);
+  }
+
+  // ============================================================
+  // TEST SUITE 4: Friendly messages
+  // ============================================================
+  console.log('\n💬 Test Suite 4: Friendly Messages\n');
+
+  const tokenRejection = Object.assign(new Error('max_tokens is 50000; the limit is 16000.'), { code: 'max_tokens_too_high' });
+  const friendlyTokens = getUserFriendlyError(tokenRejection);
+  const friendlyAuth = getUserFriendlyError(Object.assign(new Error('Please sign in'), { code: 'auth_required' }));
+  assert(
+    friendlyTokens.message === 'Response limit too high' &&
+    friendlyTokens.technical === tokenRejection.message &&
+    friendlyAuth.message === 'Sign in required',
+    'Rejection codes map to their own messages instead of message pattern guesses'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runChatPolicyTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
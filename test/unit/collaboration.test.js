@@ -0,0 +1,168 @@
+/**
+ * Test Suite: Collaboration
+ *
+ * Tests the helpers behind live collaborative editing (no network access):
+ * 1. Per-file patches (collaborators editing different files don't clobber each other)
+ * 2. Merging live updates with unsaved local edits
+ * 3. Presence and the one-generation-at-a-time lock
+ */
+
+import {
+  GENERATION_LOCK_TTL_MS,
+  PRESENCE_TTL_MS,
+  applyFilesPatch,
+  buildFilesPatch,
+  canAcquireLock,
+  colorForUser,
+  createGenerationLock,
+  getActiveCollaborators,
+  getChangedFiles,
+  getInitials,
+  isLockActive,
+  mergeRemoteFiles,
+  validateFilesPatch
+} from '../../src/services/utils/collaboration/collaboration.js';
+
+/**
+ * Run all collaboration tests
+ */
+export async function runCollaborationTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 COLLABORATION TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  const base = {
+    'App.jsx': 'export default function App() { return <Header />; }',
+    'Header.jsx': 'export const Header = () => <h1>Hi</h1>;',
+    'styles.css': 'body { margin: 0; }'
+  };
+
+  // ============================================================
+  // TEST SUITE 1: Patches
+  // ============================================================
+  console.log('\n🩹 Test Suite 1: Patches\n');
+
+  const aliceFiles = { ...base, 'App.jsx': base['App.jsx'].replace('Header', 'Header title="Shop"') };
+  const { 'styles.css': _removed, ...bobFiles } = { ...base, 'Footer.jsx': 'export const Footer = () => null;' };
+
+  const aliceChanged = getChangedFiles(base, aliceFiles);
+  const bobChanged = getChangedFiles(base, bobFiles);
+  assert(
+    aliceChanged.join() === 'App.jsx' && bobChanged.sort().join() === 'Footer.jsx,styles.css',
+    'Changed files cover edits, additions and deletions'
+  );
+
+  const bobPatch = buildFilesPatch(bobFiles, bobChanged);
+  assert(bobPatch['styles.css'] === null && bobPatch['Footer.jsx'] === bobFiles['Footer.jsx'], 'Deleted files patch to null');
+
+  // Both save against the server copy - neither loses the other's work
+  const server = applyFilesPatch(applyFilesPatch(base, buildFilesPatch(aliceFiles, aliceChanged)), bobPatch);
+  assert(
+    server['App.jsx'] === aliceFiles['App.jsx'] && server['Footer.jsx'] && !('styles.css' in server) &&
+    server['Header.jsx'] === base['Header.jsx'],
+    'Concurrent patches to different files both land'
+  );
+
+  assert(
+    validateFilesPatch({ 'App.jsx': 'x', 'old.css': null }) === null &&
+    validateFilesPatch(['App.jsx']) !== null &&
+    validateFilesPatch({ 'App.jsx': 42 }) !== null &&
+    validateFilesPatch({ ' ': 'x' }) !== null,
+    'Patches must map non-empty paths to strings or null'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Live merges
+  // ============================================================
+  console.log('\n🔄 Test Suite 2: Live Merges\n');
+
+  const local = { ...base, 'Header.jsx': 'export const Header = () => <h1>Hello</h1>;' };
+  const remote = { ...base, 'App.jsx': 'export default () => null;', 'New.jsx': 'x' };
+  const merged = mergeRemoteFiles(local, remote, new Set(['Header.jsx']));
+  assert(
+    merged['Header.jsx'] === local['Header.jsx'] && merged['App.jsx'] === remote['App.jsx'] && merged['New.jsx'] === 'x',
+    'Unsaved local edits survive; everything else follows the collaborator'
+  );
+
+  const { 'styles.css': _deletedLocally, ...localWithoutStyles } = base;
+  assert(
+    !('styles.css' in mergeRemoteFiles(localWithoutStyles, base, ['styles.css'])) &&
+    !('styles.css' in mergeRemoteFiles(base, localWithoutStyles, [])),
+    'Unsaved local deletions stay deleted, and remote deletions apply'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Presence and generation lock
+  // ============================================================
+  console.log('\n👋 Test Suite 3: Presence and Generation Lock\n');
+
+  const now = 1_000_000;
+  const presence = [
+    { sessionId: 'mine', userId: 'alice', name: 'Alice', updatedAt: now },
+    { sessionId: 'tab-2', userId: 'bob', name: 'Bob Stone', updatedAt: now - 1000 },
+    { sessionId: 'stale', userId: 'carol', name: 'Carol', updatedAt: now - PRESENCE_TTL_MS - 1 }
+  ];
+  const collaborators = getActiveCollaborators(presence, 'mine', now);
+  assert(
+    collaborators.length === 1 && collaborators[0].userId === 'bob' && collaborators[0].color === colorForUser('bob'),
+    'Collaborators exclude this tab and anyone gone quiet'
+  );
+  assert(
+    colorForUser('bob') === colorForUser('bob') &&
+    getInitials('Bob Stone') === 'BS' && getInitials('carol.lee@example.com') === 'CL' && getInitials('') === '?',
+    'Colors are stable per user and initials come from names or emails'
+  );
+
+  const lock = createGenerationLock({ sessionId: 'tab-2', userId: 'bob', name: 'Bob' }, now);
+  assert(
+    isLockActive(lock, now) && !canAcquireLock(lock, 'mine', now) && canAcquireLock(lock, 'tab-2', now),
+    'Only the tab holding the lock can generate (and renew it)'
+  );
+  assert(
+    !isLockActive(lock, now + GENERATION_LOCK_TTL_MS) && canAcquireLock(lock, 'mine', now + GENERATION_LOCK_TTL_MS) &&
+    canAcquireLock(null, 'mine', now),
+    'Lapsed or missing locks are free'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCollaborationTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
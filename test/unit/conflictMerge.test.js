@@ -0,0 +1,166 @@
+/**
+ * Test Suite: Conflict Merge
+ *
+ * Tests the three-way merge used when an artifact save is rejected as stale (409):
+ * 1. Line merges within one file
+ * 2. Per-file merges of this tab's unsaved edits with the server's copy
+ * 3. Revision checks
+ */
+
+import {
+  CONFLICT_MARKERS,
+  hasConflictMarkers,
+  isValidRevision,
+  mergeFiles,
+  mergeText
+} from '../../src/services/utils/collaboration/merge.js';
+
+/**
+ * Run all conflict merge tests
+ */
+export async function runConflictMergeTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 CONFLICT MERGE TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  const base = [
+    "import { Header } from './Header';",
+    '',
+    'export default function App() {',
+    '  const title = "Shop";',
+    '  return (',
+    '    <main>',
+    '      <Header title={title} />',
+    '    </main>',
+    '  );',
+    '}',
+  ].join('\n');
+  const edit = (text, from, to) => text.replace(from, to);
+
+  // ============================================================
+  // TEST SUITE 1: Line merges
+  // ============================================================
+  console.log('\n📄 Test Suite 1: Line Merges\n');
+
+  const mine = edit(base, "import { Header } from './Header';", "import { Header } from './components/Header';");
+  const theirs = edit(base, '    </main>', '      <Footer />\n    </main>');
+  const clean = mergeText(base, mine, theirs);
+  assert(
+    clean.conflicts === 0 && clean.content.includes('./components/Header') && clean.content.includes('<Footer />'),
+    'Edits to different lines both survive'
+  );
+
+  const overlap = mergeText(base, edit(base, '"Shop"', '"Store"'), edit(base, '"Shop"', '"Market"'));
+  assert(
+    overlap.conflicts === 1 &&
+    overlap.content.includes(`${CONFLICT_MARKERS.mine}\n  const title = "Store";\n${CONFLICT_MARKERS.separator}\n  const title = "Market";\n${CONFLICT_MARKERS.theirs}`) &&
+    overlap.content.startsWith("import { Header } from './Header';"),
+    'Edits to the same line conflict, with markers around just those lines'
+  );
+
+  const same = edit(base, '"Shop"', '"Store"');
+  assert(
+    mergeText(base, same, same).conflicts === 0 && mergeText(base, same, same).content === same,
+    'The same change on both sides is not a conflict'
+  );
+
+  assert(
+    hasConflictMarkers(overlap.content) && !hasConflictMarkers(clean.content) && !hasConflictMarkers('a ======= b'),
+    'Conflict markers are detected only at the start of lines'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: File merges
+  // ============================================================
+  console.log('\n🗂️  Test Suite 2: File Merges\n');
+
+  const baseFiles = { 'App.jsx': base, 'Header.jsx': 'export const Header = () => null;', 'old.css': 'body {}' };
+  const myFiles = { ...baseFiles, 'App.jsx': mine, 'Header.jsx': 'export const Header = () => <h1 />;' };
+  delete myFiles['old.css'];
+  const theirFiles = { ...baseFiles, 'App.jsx': theirs, 'old.css': 'body { margin: 0; }', 'Footer.jsx': 'x' };
+
+  const result = mergeFiles(baseFiles, myFiles, theirFiles, ['App.jsx', 'Header.jsx', 'old.css']);
+  assert(
+    result.files['App.jsx'] === clean.content && result.files['Header.jsx'] === myFiles['Header.jsx'] &&
+    result.files['Footer.jsx'] === 'x',
+    'Non-overlapping edits merge and files only they added are kept'
+  );
+  assert(
+    result.conflicts.length === 1 && result.conflicts[0].path === 'old.css' &&
+    result.conflicts[0].merged === null && result.conflicts[0].mine === undefined &&
+    result.files['old.css'] === theirFiles['old.css'],
+    'Deleting a file they edited needs a decision'
+  );
+
+  const clash = mergeFiles(
+    { 'App.jsx': base },
+    { 'App.jsx': edit(base, '"Shop"', '"Store"') },
+    { 'App.jsx': edit(base, '"Shop"', '"Market"') },
+    new Set(['App.jsx'])
+  );
+  assert(
+    clash.conflicts.length === 1 && hasConflictMarkers(clash.conflicts[0].merged) &&
+    clash.files['App.jsx'] === edit(base, '"Shop"', '"Market"'),
+    'Overlapping edits are reported with merged text, keeping the server copy meanwhile'
+  );
+
+  const untouched = mergeFiles(baseFiles, { ...baseFiles, 'New.jsx': 'y' }, theirFiles, ['New.jsx']);
+  assert(
+    untouched.conflicts.length === 0 && untouched.files['New.jsx'] === 'y' &&
+    untouched.files['old.css'] === theirFiles['old.css'],
+    'Only files edited in this tab are merged; everything else follows the server'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Revisions
+  // ============================================================
+  console.log('\n🔢 Test Suite 3: Revisions\n');
+
+  assert(
+    isValidRevision(0) && isValidRevision(12) &&
+    !isValidRevision(undefined) && !isValidRevision(-1) && !isValidRevision(1.5) && !isValidRevision('3'),
+    'Revisions are non-negative integers'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runConflictMergeTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
@@ -3,3 +3,4 @@
  */
 
 export * from './gpt5.test.js';
+export * from './providers.test.js';
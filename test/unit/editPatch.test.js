@@ -0,0 +1,197 @@
+/**
+ * Test Suite: Edit Patches
+ *
+ * Tests the modifier's structured edits (no network access):
+ * 1. Reading search/replace blocks and unified diffs
+ * 2. Applying edits (each anchor must match exactly once)
+ * 3. Streaming previews and progress reports
+ */
+
+import {
+  EDIT_BLOCK_MARKERS,
+  NO_CHANGES_REPLY,
+  PatchFailure,
+  applyEdits,
+  describePatch,
+  parseEdits,
+  previewEdits
+} from '../../src/services/utils/code/editPatch.js';
+
+const { search: SEARCH, divider: DIVIDER, replace: REPLACE } = EDIT_BLOCK_MARKERS;
+
+const block = (search, replace) => [SEARCH, search, DIVIDER, replace, REPLACE].join('\n');
+
+/**
+ * Run all edit patch tests
+ */
+export async function runEditPatchTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 EDIT PATCH TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  const code = [
+    "import { useState } from 'react';",
+    '',
+    'export default function App() {',
+    '  const [count, setCount] = useState(0);',
+    '  return (',
+    '    <div>',
+    '      <h1>Counter</h1>',
+    '      <button onClick={() => setCount(count + 1)}>Add</button>',
+    '      <button onClick={() => setCount(0)}>Reset</button>',
+    '    </div>',
+    '  );',
+    '}',
+  ].join('\n');
+
+  // ============================================================
+  // TEST SUITE 1: Reading Edits
+  // ============================================================
+  console.log('\n📖 Test Suite 1: Reading Edits\n');
+
+  const reply = [
+    block('      <h1>Counter</h1>', '      <h1>Click Counter</h1>'),
+    '',
+    block("import { useState } from 'react';", "import { useState, useEffect } from 'react';"),
+  ].join('\n');
+  const parsed = parseEdits(reply);
+  assert(
+    parsed.error === null && parsed.edits.length === 2 &&
+    parsed.edits[0].search === '      <h1>Counter</h1>' && parsed.edits[0].replace === '      <h1>Click Counter</h1>',
+    'Search/replace blocks are read in order, indentation kept'
+  );
+
+  const diff = [
+    '--- a/App.jsx',
+    '+++ b/App.jsx',
+    '@@ -6,3 +6,3 @@',
+    '     <div>',
+    '-      <h1>Counter</h1>',
+    '+      <h1>Click Counter</h1>',
+    '       <button onClick={() => setCount(count + 1)}>Add</button>',
+  ].join('\n');
+  const fromDiff = parseEdits('```diff\n' + diff + '\n```');
+  assert(
+    fromDiff.edits.length === 1 &&
+    fromDiff.edits[0].search === '    <div>\n      <h1>Counter</h1>\n      <button onClick={() => setCount(count + 1)}>Add</button>' &&
+    fromDiff.edits[0].replace.includes('Click Counter'),
+    'Unified diff hunks (in a fence) become search/replace pairs'
+  );
+
+  assert(
+    parseEdits(NO_CHANGES_REPLY).noChanges === true &&
+    parseEdits('export default function App() {}').error === PatchFailure.NO_EDITS &&
+    parseEdits(`${SEARCH}\nfoo\n${DIVIDER}\nbar`).error === PatchFailure.MALFORMED,
+    'Replies without edits, or with a block left open, are reported'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Applying Edits
+  // ============================================================
+  console.log('\n🩹 Test Suite 2: Applying Edits\n');
+
+  const result = applyEdits(code, parsed.edits);
+  assert(
+    result.applied &&
+    result.code.includes('<h1>Click Counter</h1>') &&
+    result.code.startsWith("import { useState, useEffect } from 'react';") &&
+    result.code.split('\n').length === code.split('\n').length,
+    'Edits change only their own lines'
+  );
+  assert(
+    result.hunks.map(hunk => `${hunk.status}@${hunk.line}`).join() === 'applied@7,applied@1',
+    'Each applied edit reports the line it changed'
+  );
+
+  const ambiguous = applyEdits(code, [{ search: '      <button', replace: '      <a' }]);
+  assert(
+    !ambiguous.applied && ambiguous.code === code && ambiguous.hunks[0].status === PatchFailure.AMBIGUOUS,
+    'Anchors matching more than once are rejected'
+  );
+
+  const partlyWrong = applyEdits(code, [
+    { search: '      <h1>Counter</h1>', replace: '      <h1>Click Counter</h1>' },
+    { search: '      <h2>Missing</h2>', replace: '' },
+    { search: '  ', replace: '\t' },
+  ]);
+  assert(
+    !partlyWrong.applied && partlyWrong.code === code &&
+    partlyWrong.hunks.map(hunk => hunk.status).join() === `applied,${PatchFailure.NOT_FOUND},${PatchFailure.EMPTY_ANCHOR}`,
+    'One failed anchor rejects the whole patch, and every edit is reported'
+  );
+
+  const sequential = applyEdits(code, [
+    { search: '<h1>Counter</h1>', replace: '<h1>Counter</h1>\n      <p>{count}</p>' },
+    { search: '      <p>{count}</p>', replace: '      <p>Count: {count}</p>' },
+  ]);
+  assert(
+    sequential.applied && sequential.code.includes('<p>Count: {count}</p>'),
+    'Later edits apply to the result of earlier ones'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Previews and Reports
+  // ============================================================
+  console.log('\n📡 Test Suite 3: Previews and Reports\n');
+
+  const streaming = reply.slice(0, reply.lastIndexOf(SEARCH) + 30);
+  const preview = previewEdits(code, streaming);
+  assert(
+    preview.includes('<h1>Click Counter</h1>') && preview.startsWith("import { useState } from 'react';") &&
+    previewEdits(code, SEARCH + '\n      <h1>Cou') === code,
+    'Previews apply the blocks that have finished streaming'
+  );
+
+  assert(
+    describePatch({ mode: 'patch', hunks: result.hunks }) === '2 edits applied at lines 7, 1' &&
+    describePatch({ mode: 'patch', hunks: [] }) === 'no changes needed',
+    'Applied patches are described by their edits'
+  );
+  assert(
+    describePatch({ mode: 'rewrite', hunks: partlyWrong.hunks }) === 'rewritten in full (edit 2 not found, edit 3 empty anchor)' &&
+    describePatch({ mode: 'rewrite', hunks: [], fallbackReason: PatchFailure.NO_EDITS }) === 'rewritten in full (no edits)',
+    'Rewrites say why the edits were not used'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runEditPatchTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
@@ -0,0 +1,239 @@
+/**
+ * Test Suite: File Moves
+ *
+ * Tests planned deletions and renames (no network access):
+ * 1. Reading filesToDelete / filesToRename from a plan
+ * 2. Rewriting import paths of moved and deleted modules
+ * 3. Plan review and change review of the resulting operations
+ */
+
+import {
+  FileMoveSkip,
+  applyFileMoves,
+  describeFileMove,
+  normalizeFileMoves,
+  relativeSpecifier
+} from '../../src/services/utils/code/fileMoves.js';
+import { reviewFileMoves } from '../../src/services/agents/planReviewer.js';
+import { createChangeReview } from '../../src/services/utils/versions/changeReview.js';
+
+/**
+ * Run all file move tests
+ */
+export async function runFileMovesTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 FILE MOVES TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  const files = {
+    'App.jsx': [
+      "import Header from './components/Header';",
+      "import Navbar from './components/Navbar.jsx';",
+      "import Footer from './components/Footer';",
+      "import { useTimer } from './useTimer';",
+      "import './styles.css';",
+      'export default function App() { return <Header />; }',
+    ].join('\n'),
+    'components/Header.jsx': "import { useTimer } from \"../useTimer\";\nexport default function Header() { return null; }",
+    'components/Navbar.jsx': 'export default function Navbar() { return null; }',
+    'components/Footer.jsx': 'export default function Footer() { return null; }',
+    'useTimer.js': "import { format } from './utils/format';\nexport function useTimer() {}",
+    'utils/format.js': 'export const format = (value) => value;',
+    'styles.css': 'body { margin: 0; }',
+    'Broken.jsx': "import Navbar from './components/Navbar';\nexport default function (",
+  };
+
+  // ============================================================
+  // TEST SUITE 1: Reading the Plan
+  // ============================================================
+  console.log('\n📋 Test Suite 1: Reading the Plan\n');
+
+  const plan = {
+    filesToCreate: ['components/Sidebar.jsx'],
+    filesToModify: ['App.jsx'],
+    filesToDelete: [
+      { file: 'components/Navbar.jsx', replacedBy: 'components/Header.jsx' },
+      'components/Footer.jsx',
+    ],
+    filesToRename: [{ from: 'useTimer.js', to: 'hooks/useTimer.js' }],
+  };
+  const moves = normalizeFileMoves(plan, files);
+  assert(
+    moves.renames.length === 1 && moves.renames[0].to === 'hooks/useTimer.js' &&
+    moves.deletes.map(deletion => `${deletion.file}>${deletion.replacedBy}`).join() ===
+      'components/Navbar.jsx>components/Header.jsx,components/Footer.jsx>null' &&
+    moves.skipped.length === 0,
+    'Deletions (with or without a replacement) and renames are read'
+  );
+
+  const invalid = normalizeFileMoves({
+    filesToCreate: ['components/New.jsx'],
+    filesToDelete: ['missing.js', 'App.jsx', 'useTimer.js', 'components/Navbar.jsx', { file: 'styles.css', replacedBy: 'gone.css' }],
+    filesToRename: [
+      { from: 'useTimer.js', to: 'hooks/useTimer.js' },
+      { from: 'components/Header.jsx', to: 'components/Navbar.jsx' },
+      { from: 'components/Footer.jsx', to: 'components/New.jsx' },
+      { from: 'utils/format.js' },
+    ],
+  }, files);
+  assert(
+    invalid.skipped.map(skip => `${skip.file}:${skip.reason}`).join() === [
+      `components/Footer.jsx:${FileMoveSkip.TARGET_EXISTS}`,
+      `utils/format.js:${FileMoveSkip.INVALID_TARGET}`,
+      `missing.js:${FileMoveSkip.NOT_FOUND}`,
+      `App.jsx:${FileMoveSkip.ENTRY_FILE}`,
+      `useTimer.js:${FileMoveSkip.CONFLICT}`,
+    ].join(),
+    'Missing files, taken paths, double moves and the entry file are skipped'
+  );
+  assert(
+    invalid.renames.some(rename => rename.to === 'components/Navbar.jsx') &&
+    invalid.deletes.find(deletion => deletion.file === 'styles.css')?.replacedBy === null,
+    'Renames may take a vacated path; unknown replacements are dropped'
+  );
+
+  const chainFiles = {
+    'App.jsx': "import A from './A';\nimport B from './B';\nexport default function App() { return null; }",
+    'A.jsx': 'export default 1;',
+    'B.jsx': 'export default 2;',
+    'C.jsx': 'export default 3;',
+  };
+  const chain = normalizeFileMoves({
+    filesToRename: [
+      { from: 'A.jsx', to: 'B.jsx' },
+      { from: 'B.jsx', to: 'C.jsx' },
+      { from: 'App.jsx', to: 'Main.jsx' },
+    ],
+  }, chainFiles);
+  const chained = applyFileMoves(chainFiles, chain);
+  assert(
+    chain.renames.length === 0 &&
+    chain.skipped.map(skip => `${skip.file}:${skip.reason}`).join() ===
+      `App.jsx:${FileMoveSkip.ENTRY_FILE},B.jsx:${FileMoveSkip.TARGET_EXISTS},A.jsx:${FileMoveSkip.TARGET_EXISTS}` &&
+    chained.files['A.jsx'] === 'export default 1;' && chained.files['B.jsx'] === 'export default 2;',
+    'A rename onto a path whose own rename was skipped is skipped too, and the entry file stays put'
+  );
+
+  assert(
+    relativeSpecifier('App.jsx', 'hooks/useTimer.js', './useTimer') === './hooks/useTimer' &&
+    relativeSpecifier('components/ui/Card.jsx', 'hooks/useTimer.js', '../useTimer.js') === '../../hooks/useTimer.js' &&
+    relativeSpecifier('hooks/useData.js', 'hooks/useTimer.js', './useTimer') === './useTimer' &&
+    relativeSpecifier('App.jsx', 'ui/index.jsx', './components') === './ui' &&
+    relativeSpecifier('components/Header.jsx', 'hooks/useTimer.js', '/useTimer') === '/hooks/useTimer',
+    'Specifiers keep the style of the ones they replace'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Rewriting Imports
+  // ============================================================
+  console.log('\n🚚 Test Suite 2: Rewriting Imports\n');
+
+  const moved = applyFileMoves(files, moves);
+  assert(
+    !('components/Navbar.jsx' in moved.files) && !('components/Footer.jsx' in moved.files) &&
+    !('useTimer.js' in moved.files) && moved.files['hooks/useTimer.js'] !== undefined &&
+    Object.keys(moved.files).length === Object.keys(files).length - 2,
+    'Deleted files are gone and renamed files are at their new paths'
+  );
+  assert(
+    moved.files['App.jsx'].includes("import Navbar from './components/Header.jsx';") &&
+    moved.files['App.jsx'].includes("import { useTimer } from './hooks/useTimer';") &&
+    moved.files['App.jsx'].includes("import './styles.css';") &&
+    moved.files['components/Header.jsx'].startsWith('import { useTimer } from "../hooks/useTimer";'),
+    'Importers point at the replacement or the new path, quotes kept'
+  );
+  assert(
+    moved.files['hooks/useTimer.js'].startsWith("import { format } from '../utils/format';"),
+    "A moved file's own imports are rewritten for its new folder"
+  );
+  assert(
+    moved.danglingImports.length === 1 &&
+    moved.danglingImports[0].filename === 'App.jsx' && moved.danglingImports[0].line === 3 &&
+    moved.danglingImports[0].deleted === 'components/Footer.jsx' &&
+    moved.files['App.jsx'].includes("from './components/Footer';"),
+    'Imports of a deleted file without a replacement are reported, not rewritten'
+  );
+  assert(
+    moved.files['Broken.jsx'] === files['Broken.jsx'],
+    'Files that do not parse are left alone'
+  );
+  assert(
+    moved.operations.map(describeFileMove).join(' | ') === [
+      'Deleted components/Navbar.jsx (replaced by components/Header.jsx)',
+      'Deleted components/Footer.jsx',
+      'Updated imports in App.jsx',
+      'Updated imports in components/Header.jsx',
+      'Renamed useTimer.js to hooks/useTimer.js',
+    ].join(' | ') &&
+    moved.rewrittenImports.length === 4,
+    'Operations cover deletions, renames and rewritten importers'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Reviews
+  // ============================================================
+  console.log('\n🔍 Test Suite 3: Reviews\n');
+
+  const issues = reviewFileMoves({
+    filesToModify: ['components/Navbar.jsx'],
+    filesToDelete: ['components/Navbar.jsx', 'missing.js'],
+  }, files);
+  assert(
+    issues.length === 2 && issues.every(issue => issue.severity === 'high' && issue.category === 'structure') &&
+    issues[0].description === 'missing.js is not in the project' &&
+    issues[1].description === 'components/Navbar.jsx is both modified and deleted' &&
+    reviewFileMoves(plan, files).length === 0,
+    'Plan review flags moves that cannot be applied'
+  );
+
+  const review = createChangeReview(files, moved.operations);
+  const statuses = Object.fromEntries(review.map(change => [change.file, change.status]));
+  assert(
+    !('useTimer.js' in statuses) && statuses['hooks/useTimer.js'] === 'renamed' &&
+    review.find(change => change.file === 'hooks/useTimer.js').from === 'useTimer.js' &&
+    statuses['components/Navbar.jsx'] === 'removed' && statuses['App.jsx'] === 'modified',
+    'Change review shows a rename as a single move'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runFileMovesTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
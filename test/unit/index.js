@@ -16,7 +16,24 @@ export * from './validators';
 export * from './connection';
 
 // Individual Test Files
+export * from './artifactSearch.test.js';
+export * from './bulkArtifacts.test.js';
+export * from './changeReview.test.js';
+export * from './chatPolicy.test.js';
+export * from './collaboration.test.js';
+export * from './conflictMerge.test.js';
 export * from './debugger.test.js';
+export * from './editPatch.test.js';
+export * from './fileMoves.test.js';
 export * from './modifications.test.js';
+export * from './moduleBundler.test.js';
+export * from './moduleGraph.test.js';
 export * from './performanceImprovements.test.js';
+export * from './projectExport.test.js';
+export * from './projectImport.test.js';
+export * from './rateLimit.test.js';
 export * from './reliability.test.js';
+export * from './shareLinks.test.js';
+export * from './smokeTest.test.js';
+export * from './versionHistory.test.js';
+export * from './workspaces.test.js';
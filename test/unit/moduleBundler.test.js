@@ -0,0 +1,260 @@
+/**
+ * Test Suite: Preview Module Bundler
+ *
+ * Tests the module graph and registry used by the live preview (no browser needed):
+ * 1. Import resolution across the files map
+ * 2. Module graph errors (missing files, unavailable packages)
+ * 3. Per-module scope, exports and error locations in the registry
+ * 4. Runtime asset URLs (bundled vs CDN)
+ */
+
+import Babel from '@babel/standalone';
+import {
+  resolveModulePath,
+  findImports,
+  buildModuleGraph,
+  createModuleRegistry,
+  createPreviewScript
+} from '../../src/services/utils/preview/moduleBundler.js';
+import { getPreviewRuntimeUrls } from '../../src/services/utils/preview/runtimeAssets.js';
+
+/**
+ * Run all module bundler tests
+ */
+export async function runModuleBundlerTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 PREVIEW MODULE BUNDLER TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  // ============================================================
+  // TEST SUITE 1: Import resolution
+  // ============================================================
+  console.log('\n🧭 Test Suite 1: Import Resolution\n');
+
+  const files = {
+    'App.jsx': "import Header from './components/Header';\nimport { useCounter } from './hooks';\nexport default function App() { return null; }",
+    'components/Header.jsx': "import { format } from '../utils/format.js';\nexport default function Header() { return null; }",
+    'hooks/index.js': "export * from './useCounter';",
+    'hooks/useCounter.js': "import { useState } from 'react';\nexport function useCounter() {}",
+    'utils/format.js': 'export const format = (x) => x;',
+    'Unused.jsx': 'export default 1;'
+  };
+
+  assert(
+    resolveModulePath('./components/Header', 'App.jsx', files) === 'components/Header.jsx' &&
+    resolveModulePath('../utils/format.js', 'components/Header.jsx', files) === 'utils/format.js' &&
+    resolveModulePath('./hooks', 'App.jsx', files) === 'hooks/index.js',
+    'Relative imports resolve with extensions and index files'
+  );
+
+  assert(
+    resolveModulePath('../../outside', 'components/Header.jsx', files) === null,
+    'Imports escaping the project root do not resolve'
+  );
+
+  const imports = findImports("import a from './a';\nexport { b } from './b';\nconst c = require('./c');\nimport('./d');");
+  assert(
+    imports.map(i => i.specifier).join(',') === './a,./b,./c,./d' && imports[1].line === 2,
+    'Imports, re-exports, require and import() are all found with their lines'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Module graph
+  // ============================================================
+  console.log('\n🕸️  Test Suite 2: Module Graph\n');
+
+  const graph = buildModuleGraph(files);
+  assert(
+    graph.entry === 'App.jsx' &&
+    graph.errors.length === 0 &&
+    Object.keys(graph.modules).length === 5 &&
+    !graph.modules['Unused.jsx'],
+    'Graph contains exactly the modules reachable from App.jsx'
+  );
+
+  assert(
+    graph.modules['App.jsx'].dependencies['./components/Header'] === 'components/Header.jsx',
+    'Dependencies record the resolved file for each specifier'
+  );
+
+  const brokenGraph = buildModuleGraph({
+    'App.jsx': "import React from 'react';\nimport Missing from './Missing';\nimport { motion } from 'framer-motion';\nexport default function App() {}"
+  });
+  assert(
+    brokenGraph.errors.length === 2 &&
+    brokenGraph.errors[0].source === 'App.jsx' && brokenGraph.errors[0].line === 2 &&
+    brokenGraph.errors[1].message.includes('framer-motion') && brokenGraph.errors[1].line === 3,
+    'Unresolved files and unavailable packages are reported with file and line'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Module registry
+  // ============================================================
+  console.log('\n📦 Test Suite 3: Module Registry\n');
+
+  // Modules already in CommonJS form, so the identity transform stands in for Babel
+  const cjsGraph = {
+    entry: 'App.jsx',
+    modules: {
+      'App.jsx': {
+        type: 'script',
+        code: "var a = require('./a');\nvar b = require('./b');\nfunction helper() { return 'app'; }\nexports.default = function App() { return [helper(), a.value, b.value, a.react]; };",
+        dependencies: { './a': 'a.js', './b': 'b.js' }
+      },
+      'a.js': {
+        type: 'script',
+        code: "function helper() { return 'a'; }\nexports.value = helper();\nexports.react = require('react').name;",
+        dependencies: {}
+      },
+      'b.js': {
+        type: 'script',
+        code: "function helper() { return 'b'; }\nexports.value = helper();",
+        dependencies: {}
+      },
+      'Broken.jsx': {
+        type: 'script',
+        code: "var ok = 1;\n\nnull.explode();",
+        dependencies: {}
+      },
+      'Legacy.jsx': {
+        type: 'script',
+        code: 'function App() { return useState; }',
+        dependencies: {}
+      }
+    }
+  };
+
+  const registry = createModuleRegistry(cjsGraph, { react: { name: 'react', useState: 'hook' } }, code => code);
+  const App = registry.require('App.jsx').exports.default;
+  assert(
+    JSON.stringify(App()) === JSON.stringify(['app', 'a', 'b', 'react']),
+    'Each module keeps its own scope, so same-named helpers do not collide'
+  );
+
+  let runtimeError = null;
+  try {
+    registry.require('Broken.jsx');
+  } catch (error) {
+    runtimeError = error;
+  }
+  assert(
+    runtimeError?.source === 'Broken.jsx' && runtimeError.line === 3,
+    'Runtime errors point at the original file and line'
+  );
+
+  const failingTransform = () => {
+    const error = new Error('Unexpected token (2:4)');
+    error.loc = { line: 2, column: 4 };
+    throw error;
+  };
+  let syntaxError = null;
+  try {
+    createModuleRegistry(cjsGraph, {}, failingTransform).require('b.js');
+  } catch (error) {
+    syntaxError = error;
+  }
+  assert(
+    syntaxError?.source === 'b.js' && syntaxError.line === 2 && syntaxError.message.includes('Syntax error in b.js'),
+    'Transpile errors carry the file and line of the failure'
+  );
+
+  const legacy = registry.require('Legacy.jsx');
+  assert(
+    typeof legacy.localApp === 'function' && legacy.localApp() === 'hook',
+    'Entries without exports still expose App, with hooks available as before'
+  );
+
+  assert(
+    !createPreviewScript({ entry: 'App.jsx', modules: { 'App.jsx': { type: 'script', code: '"</script>"', dependencies: {} } } }).includes('</script>'),
+    'File contents cannot close the preview script tag'
+  );
+
+  // Same transform the iframe uses, with the vendored Babel
+  const babelTransform = (code, filename) => Babel.transform(code, {
+    filename,
+    sourceType: 'module',
+    presets: ['react'],
+    plugins: ['transform-modules-commonjs'],
+    retainLines: true
+  }).code;
+
+  const jsxGraph = buildModuleGraph({
+    'App.jsx': "import React from 'react';\nimport Button, { label } from './Button';\nexport default function App() {\n  return <Button>{label}</Button>;\n}",
+    'Button.jsx': "export const label = 'Go';\nexport default function Button({ children }) {\n\n  missingHelper();\n  return <button>{children}</button>;\n}"
+  });
+  const fakeReact = { createElement: (type, props, ...children) => ({ type, props, children }) };
+  const jsxRegistry = createModuleRegistry(jsxGraph, { react: fakeReact }, babelTransform);
+  const element = jsxRegistry.require('App.jsx').exports.default();
+
+  let jsxError = null;
+  try {
+    element.type({ children: element.children });
+  } catch (error) {
+    jsxError = error;
+  }
+  assert(
+    element.children[0] === 'Go' &&
+    jsxRegistry.locate(jsxError).source === 'Button.jsx' &&
+    jsxRegistry.locate(jsxError).line === 4,
+    'JSX modules transpiled by Babel keep named/default exports and original line numbers'
+  );
+
+  // ============================================================
+  // TEST SUITE 4: Runtime assets
+  // ============================================================
+  console.log('\n🌐 Test Suite 4: Runtime Assets\n');
+
+  const localUrls = getPreviewRuntimeUrls('local', 'https://app.example.com');
+  const cdnUrls = getPreviewRuntimeUrls('cdn', 'https://app.example.com');
+  assert(
+    localUrls.react === 'https://app.example.com/preview-runtime/react.development.js' &&
+    Object.values(localUrls).every(url => url.startsWith('https://app.example.com/')),
+    'Bundled runtime is loaded from the app itself'
+  );
+  assert(
+    cdnUrls.babel.startsWith('https://unpkg.com/') && cdnUrls.tailwind === 'https://cdn.jsdelivr.net/npm/@tailwindcss/browser@4',
+    'CDN runtime uses the public CDNs'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runModuleBundlerTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
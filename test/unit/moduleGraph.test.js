@@ -0,0 +1,226 @@
+/**
+ * Test Suite: Module Graph
+ *
+ * Tests AST-based cross-file validation (no network access):
+ * 1. Reading imports, exports, JSX usage and hook calls from the AST
+ * 2. Cross-file checks on the shared graph, with lines and columns
+ * 3. Per-file import checks
+ */
+
+import { analyzeModule, getModuleGraph, hasExport } from '../../src/services/utils/validation/moduleGraph.js';
+import {
+  validateCrossFileConsistency,
+  validateExportsExist,
+  validateImportedComponentsUsed,
+  validateNoCircularDependencies
+} from '../../src/services/utils/validation/crossFileValidation.js';
+import { validateImportTargets, validateNoUnusedImports } from '../../src/services/utils/validation/runtimeValidation.js';
+
+/**
+ * Run all module graph tests
+ */
+export async function runModuleGraphTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 MODULE GRAPH TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  const files = {
+    'App.jsx': [
+      "import React from 'react';",
+      'import {',
+      '  Header,',
+      '  Footer as PageFooter,',
+      "} from './components';",
+      "import Sidebar from './components/Sidebar';",
+      "import { useTheme } from './hooks/useTheme';",
+      '',
+      'export default function App() {',
+      '  const theme = useTheme();',
+      '  const template = `<Sidebar />`;',
+      '  return <Header theme={theme} footer={PageFooter} />;',
+      '}',
+    ].join('\n'),
+    'components/index.js': [
+      "export { default as Header } from './Header';",
+      "export * from './Footer';",
+    ].join('\n'),
+    'components/Header.jsx': "import { Button } from './Button';\nexport default function Header() { return <Button />; }",
+    'components/Footer.jsx': 'function PageFooter() { return null; }\nexport { PageFooter as Footer };',
+    'components/Sidebar.jsx': 'export default function Sidebar() { return null; }',
+    'components/Button.jsx': 'export const Btn = () => null;',
+    'hooks/useTheme.js': "import { useState } from 'react';\nexport function useTheme() { return useState('dark')[0]; }",
+    'styles.css': 'body { margin: 0; }',
+  };
+
+  // ============================================================
+  // TEST SUITE 1: Reading Modules
+  // ============================================================
+  console.log('\n🌳 Test Suite 1: Reading Modules\n');
+
+  const app = analyzeModule(files['App.jsx'], 'App.jsx');
+  const localImport = app.imports.find(entry => entry.specifier === './components');
+  assert(
+    localImport.line === 2 && localImport.column === 1 &&
+    localImport.bindings.map(binding => `${binding.imported}>${binding.local}@${binding.line}:${binding.column}`).join() ===
+      'Header>Header@3:3,Footer>PageFooter@4:3',
+    'Multi-line imports are read with each binding\'s line and column'
+  );
+  assert(
+    app.jsxElements.has('Header') && !app.jsxElements.has('Sidebar') &&
+    app.references.has('PageFooter') && !app.references.has('Sidebar') &&
+    app.hookCalls.get('useTheme')[0].line === 10,
+    'JSX elements, references and hook calls come from the AST, not from strings'
+  );
+
+  const barrel = analyzeModule(files['components/index.js'], 'components/index.js');
+  assert(
+    barrel.exports.map(entry => `${entry.name}<${entry.from}`).join() === 'Header<./Header' &&
+    barrel.exportsAll.map(entry => entry.specifier).join() === './Footer' &&
+    analyzeModule(files['components/Footer.jsx'], 'components/Footer.jsx').exports[0].name === 'Footer',
+    'Re-exports, export * and export { A as B } are read'
+  );
+
+  const broken = analyzeModule('export default function (\n  <div>', 'Broken.jsx');
+  assert(
+    broken.parseError && broken.parseError.line === 2 && broken.parseError.column >= 1 &&
+    analyzeModule('body {}', 'styles.css').script === false,
+    'Parse errors are recorded with a position; non-script files are not parsed'
+  );
+
+  const graph = getModuleGraph(files);
+  assert(
+    graph.entry === 'App.jsx' &&
+    graph.modules['App.jsx'].imports.find(entry => entry.specifier === './components').resolved === 'components/index.js' &&
+    hasExport(graph, 'components/index.js', 'Footer') === true &&
+    hasExport(graph, 'components/index.js', 'Header') === true &&
+    hasExport(graph, 'components/Button.jsx', 'Button') === false,
+    'Imports resolve to files and exports are followed through re-exports'
+  );
+  assert(
+    getModuleGraph(files) === graph &&
+    getModuleGraph({ ...files }) !== graph,
+    'The graph is built once per files map'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Cross-File Checks
+  // ============================================================
+  console.log('\n🔗 Test Suite 2: Cross-File Checks\n');
+
+  const unused = validateImportedComponentsUsed(files).warnings;
+  assert(
+    unused.length === 1 && unused[0].file === 'App.jsx' && unused[0].message.includes('"Sidebar"') &&
+    unused[0].line === 6 && unused[0].column === 8,
+    'Components passed as props count as used; JSX inside a template literal does not'
+  );
+
+  const exportErrors = validateExportsExist(files).errors;
+  assert(
+    exportErrors.length === 1 && exportErrors[0].file === 'components/Header.jsx' &&
+    exportErrors[0].message === '"Button" is not exported by "components/Button.jsx"' &&
+    exportErrors[0].line === 1 && exportErrors[0].column === 10,
+    'Imports of names a module does not export are errors'
+  );
+
+  const cyclic = {
+    'App.jsx': "import A from './A';\nexport default function App() { return <A />; }",
+    'A.jsx': "import B from './B';\nexport default function A() { return <B />; }",
+    'B.jsx': "import { helper } from './C';\nexport default function B() { return helper(); }",
+    'C.js': "import A from './A';\nexport const helper = () => A;",
+  };
+  const cycles = validateNoCircularDependencies(cyclic).warnings;
+  assert(
+    cycles.length === 1 &&
+    cycles[0].message === 'Circular dependency detected: A.jsx → B.jsx → C.js → A.jsx' &&
+    cycles[0].file === 'C.js' && cycles[0].line === 1 && cycles[0].column === 1,
+    'A cycle is reported once, at the import that closes it'
+  );
+
+  const withSyntaxError = validateCrossFileConsistency({ ...files, 'components/Broken.jsx': 'export default (' });
+  assert(
+    !withSyntaxError.valid &&
+    withSyntaxError.errors.some(error => error.file === 'components/Broken.jsx' && error.message.startsWith('Syntax error')),
+    'Files that do not parse fail cross-file validation'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Per-File Import Checks
+  // ============================================================
+  console.log('\n📄 Test Suite 3: Per-File Import Checks\n');
+
+  const headerCode = [
+    "import {",
+    "  Button,",
+    "} from './Button';",
+    "import Card from './ui/Card';",
+    "export * from '../utils/missing';",
+    "const lazy = () => import('./Lazy');",
+    'export default function Header() { return <Button />; }',
+  ].join('\n');
+  const targets = validateImportTargets(headerCode, 'components/Header.jsx', files).warnings;
+  assert(
+    targets.map(warning => `${warning.line}:${warning.column} ${warning.message}`).join(' | ') === [
+      '4:1 Import target "./ui/Card" not found',
+      '5:1 Import target "../utils/missing" not found',
+      '6:20 Import target "./Lazy" not found',
+    ].join(' | ') &&
+    targets[0].fix === 'Ensure the file exists: components/ui/Card',
+    'Missing targets of imports, re-exports and import() are reported'
+  );
+
+  const unparsable = validateImportTargets("import Card from './ui/Card';\nconst x = ;", 'components/Header.jsx', files).warnings;
+  assert(
+    unparsable.length === 1 && unparsable[0].line === 2 &&
+    unparsable[0].message.startsWith('Imports not checked - the file does not parse'),
+    'A file that does not parse reports its parse error instead of passing silently'
+  );
+
+  const unusedImports = validateNoUnusedImports(headerCode, 'components/Header.jsx').warnings;
+  assert(
+    unusedImports.length === 1 && unusedImports[0].message === 'Unused import: Card' &&
+    validateNoUnusedImports("import React from 'react';\nexport default () => <div />;", 'A.jsx').warnings.length === 0,
+    'Unused imports come from references (React counts as used by JSX)'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runModuleGraphTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
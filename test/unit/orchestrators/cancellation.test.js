@@ -0,0 +1,297 @@
+/**
+ * Test Suite: Cancellation
+ *
+ * Stopping an in-flight generation through an AbortSignal (no network access):
+ * 1. callLLM stops before, during and between retry attempts
+ * 2. debugAndFixIterative stops instead of reporting a failed fix
+ * 3. AgentOrchestrator discards partial results once stopped
+ */
+
+import { callLLM } from '../../../src/services/utils/llm/llmClient.js';
+import { debugAndFixIterative } from '../../../src/services/agents/debugger.js';
+import { AgentOrchestrator } from '../../../src/services/agentOrchestrator.js';
+import { getConversationMemory } from '../../../src/services/ConversationMemory.js';
+
+/**
+ * Build an OpenAI-style chat completion response
+ */
+function completion(content) {
+  return new Response(JSON.stringify({
+    id: 'chatcmpl-test',
+    object: 'chat.completion',
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+  }), { status: 200 });
+}
+
+/**
+ * Wait like a slow model until the request's signal fires, then fail like fetch does
+ */
+function hangUntilAborted(signal) {
+  return new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')), { once: true });
+  });
+}
+
+/**
+ * Run the call and capture what it rejected with
+ */
+async function rejectionOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Run all cancellation tests
+ */
+export async function runCancellationTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 CANCELLATION TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  const originalFetch = globalThis.fetch;
+  const originalKey = process.env.OPENAI_API_KEY;
+  process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+  const llmOptions = { model: 'gpt-4o-mini', systemPrompt: 'Test', userPrompt: 'Hello' };
+
+  try {
+    // ============================================================
+    // TEST SUITE 1: callLLM
+    // ============================================================
+    console.log('\n🛑 Test Suite 1: callLLM\n');
+
+    let fetchCalls = 0;
+    globalThis.fetch = async () => {
+      fetchCalls++;
+      return completion('Hi');
+    };
+
+    const preAborted = new AbortController();
+    preAborted.abort();
+    const preAbortError = await rejectionOf(callLLM({ ...llmOptions, signal: preAborted.signal }));
+    assert(
+      preAbortError?.name === 'AbortError' && fetchCalls === 0,
+      'An already-aborted signal never reaches the API'
+    );
+
+    // A slow request is cut off when the signal fires, and the fetch sees the signal
+    let fetchSignal = null;
+    globalThis.fetch = async (url, init) => {
+      fetchSignal = init.signal;
+      return hangUntilAborted(init.signal);
+    };
+
+    const midRequest = new AbortController();
+    setTimeout(() => midRequest.abort(), 20);
+    const midRequestError = await rejectionOf(callLLM({ ...llmOptions, signal: midRequest.signal }));
+    assert(
+      midRequestError?.name === 'AbortError' && fetchSignal?.aborted === true,
+      'Aborting mid-request cancels the fetch and rejects with an AbortError'
+    );
+
+    // Stopping during the backoff between retries skips the remaining attempts
+    fetchCalls = 0;
+    const duringBackoff = new AbortController();
+    globalThis.fetch = async () => {
+      fetchCalls++;
+      setTimeout(() => duringBackoff.abort(), 20);
+      return new Response(JSON.stringify({ error: { message: 'Service unavailable' } }), { status: 503 });
+    };
+
+    const backoffStart = Date.now();
+    const backoffError = await rejectionOf(callLLM({ ...llmOptions, baseDelay: 5000, signal: duringBackoff.signal }));
+    assert(
+      backoffError?.name === 'AbortError' && fetchCalls === 1,
+      'Aborting during retry backoff stops further attempts'
+    );
+    assert(
+      Date.now() - backoffStart < 2000,
+      'Backoff sleep ends as soon as the signal fires'
+    );
+
+    // Streaming requests stop emitting tokens once aborted
+    const streamAbort = new AbortController();
+    const tokens = [];
+    globalThis.fetch = async (url, init) => {
+      const encoder = new TextEncoder();
+      const body = new ReadableStream({
+        start(controller) {
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: 'Hel' } }] })}\n\n`));
+          init.signal.addEventListener('abort', () => controller.error(new DOMException('The operation was aborted.', 'AbortError')), { once: true });
+        }
+      });
+      return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+    };
+
+    const streamError = await rejectionOf(callLLM({
+      ...llmOptions,
+      signal: streamAbort.signal,
+      onToken: (token) => {
+        tokens.push(token);
+        streamAbort.abort();
+      }
+    }));
+    assert(
+      streamError?.name === 'AbortError' && tokens.length === 1,
+      'Aborting a stream rejects without emitting further tokens'
+    );
+
+    // Calls sharing one signal remove their abort listeners once they settle
+    globalThis.fetch = async () => completion('Hi');
+    const shared = new AbortController();
+    const liveListeners = new Set();
+    const addListener = shared.signal.addEventListener.bind(shared.signal);
+    const removeListener = shared.signal.removeEventListener.bind(shared.signal);
+    shared.signal.addEventListener = (type, listener, options) => {
+      if (type === 'abort') liveListeners.add(listener);
+      addListener(type, listener, options);
+    };
+    shared.signal.removeEventListener = (type, listener, options) => {
+      if (type === 'abort') liveListeners.delete(listener);
+      removeListener(type, listener, options);
+    };
+
+    for (let i = 0; i < 3; i++) {
+      await callLLM({ ...llmOptions, signal: shared.signal });
+    }
+    assert(
+      liveListeners.size === 0,
+      'Settled calls leave no abort listeners on a shared signal'
+    );
+
+    // ============================================================
+    // TEST SUITE 2: debugAndFixIterative
+    // ============================================================
+    console.log('\n🐛 Test Suite 2: Iterative Debugger\n');
+
+    fetchCalls = 0;
+    globalThis.fetch = async () => {
+      fetchCalls++;
+      return completion('export default function App() { return null; }');
+    };
+
+    const debugAbort = new AbortController();
+    debugAbort.abort();
+    const debugError = await rejectionOf(debugAndFixIterative({
+      errorMessage: 'TypeError: Cannot read properties of undefined',
+      currentFiles: { 'App.jsx': 'export default function App() { return user.name; }' },
+      userMessage: 'It crashes',
+      signal: debugAbort.signal
+    }));
+    assert(
+      debugError?.name === 'AbortError' && fetchCalls === 0,
+      'Stopped debug runs throw instead of reporting a failed fix'
+    );
+
+    // ============================================================
+    // TEST SUITE 3: AgentOrchestrator
+    // ============================================================
+    console.log('\n🎼 Test Suite 3: Orchestrator\n');
+
+    const memory = getConversationMemory();
+    memory.clear();
+
+    const pipelineAbort = new AbortController();
+    const requests = [];
+    let generatorStarted = false;
+    globalThis.fetch = async (url, init) => {
+      const body = JSON.parse(init.body);
+      const system = body.messages.find(m => m.role === 'system')?.content || '';
+      requests.push(system);
+
+      if (system.includes('intent classifier')) {
+        return completion(JSON.stringify({ intent: 'create_new', confidence: 0.9, reasoning: 'New app' }));
+      }
+      if (system.includes('planning agent')) {
+        return completion(JSON.stringify({ summary: 'Counter app', steps: ['Build it'], filesToCreate: ['App.jsx'], filesToModify: [] }));
+      }
+      if (system.includes('expert React code generator')) {
+        // The user hits Stop while the file is being written
+        generatorStarted = true;
+        setTimeout(() => pipelineAbort.abort(), 20);
+        return hangUntilAborted(init.signal);
+      }
+      return completion(JSON.stringify({ qualityScore: 90, colorCreativityScore: 90, approved: true, issues: [] }));
+    };
+
+    const updates = [];
+    const orchestrator = new AgentOrchestrator(update => updates.push(update), { signal: pipelineAbort.signal });
+    const result = await orchestrator.processUserMessage('Build a counter', {});
+
+    assert(
+      generatorStarted && result.aborted === true && result.success === false,
+      'Stopping during generation resolves with an aborted result'
+    );
+    assert(
+      result.fileOperations.length === 0,
+      'Partially generated files are discarded'
+    );
+    assert(
+      !updates.some(u => ['complete', 'error', 'file_operation'].includes(u.type)),
+      'No completion, error or file updates are sent after stopping'
+    );
+
+    const requestsAtStop = requests.length;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert(
+      requests.length === requestsAtStop && !requests.some(system => system.includes('expert code reviewer')),
+      'No further agents run after stopping'
+    );
+
+    memory.clear();
+  } finally {
+    globalThis.fetch = originalFetch;
+    if (originalKey === undefined) {
+      delete process.env.OPENAI_API_KEY;
+    } else {
+      process.env.OPENAI_API_KEY = originalKey;
+    }
+  }
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCancellationTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
@@ -4,3 +4,5 @@
 
 export * from './hybridOrchestrator.test.js';
 export * from './reflectionLoop.test.js';
+export * from './explainPipeline.test.js';
+export * from './cancellation.test.js';
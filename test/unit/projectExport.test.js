@@ -0,0 +1,181 @@
+/**
+ * Test Suite: Project Export
+ *
+ * Tests packaging an artifact as a runnable Vite + React project:
+ * 1. Generated scaffolding (package.json, index.html, main.jsx, Tailwind config)
+ * 2. Dependency detection against the allow-list
+ * 3. Zip archive contents
+ */
+
+import { readFileSync } from 'node:fs';
+import { unzipSync, strFromU8 } from 'fflate';
+import {
+  buildExportProject,
+  createProjectZip,
+  detectDependencies,
+  toPackageName
+} from '../../src/services/utils/export/projectExport.js';
+import { PREVIEW_RUNTIME_ASSETS } from '../../src/services/utils/preview/runtimeAssets.js';
+
+const appPackage = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+/**
+ * Run all project export tests
+ */
+export async function runProjectExportTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 PROJECT EXPORT TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  const files = {
+    'App.jsx': "import { useState } from 'react';\nimport { Check } from 'lucide-react';\nimport Header from './components/Header';\nexport default function App() { return <Header />; }",
+    'components/Header.jsx': "import { motion } from 'framer-motion/dom';\nimport axios from 'axios';\nexport default function Header() { return null; }",
+    'styles.css': 'body { color: red; }'
+  };
+
+  // ============================================================
+  // TEST SUITE 1: Scaffolding
+  // ============================================================
+  console.log('\n🏗️  Test Suite 1: Scaffolding\n');
+
+  const { files: project } = buildExportProject(files, { name: 'My Todo App!' });
+
+  assert(
+    project['src/App.jsx'] === files['App.jsx'] &&
+    project['src/components/Header.jsx'] === files['components/Header.jsx'],
+    'Artifact files are placed under src/ unchanged'
+  );
+
+  assert(
+    project['src/main.jsx'].includes("import App from './App';") &&
+    project['src/main.jsx'].includes('createRoot') &&
+    project['src/main.jsx'].includes("import './styles.css';"),
+    'main.jsx mounts App and applies the global stylesheet like the preview does'
+  );
+
+  // Entries the preview accepts: a named App export, or a top-level App with hooks used as globals
+  const { files: namedProject } = buildExportProject({
+    'App.jsx': "export function App() { return <p>Hi</p>; }"
+  });
+  const { files: legacyProject } = buildExportProject({
+    'App.jsx': 'function App() {\n  const [count, setCount] = useState(0);\n  return <Counter count={count} onClick={() => setCount(count + 1)} />;\n}',
+    'Counter.jsx': 'const { useMemo } = React;\nexport default function Counter({ count }) {\n  const label = useMemo(() => `Count: ${count}`, [count]);\n  return <b ref={React.useRef()}>{label}</b>;\n}'
+  });
+  assert(
+    namedProject['src/main.jsx'].includes("import { App } from './App';") &&
+    legacyProject['src/main.jsx'].includes("import App from './App';") &&
+    legacyProject['src/App.jsx'] === "import { useState } from 'react';\nfunction App() {\n  const [count, setCount] = useState(0);\n  return <Counter count={count} onClick={() => setCount(count + 1)} />;\n}\n\nexport default App;\n" &&
+    legacyProject['src/Counter.jsx'].startsWith("import React from 'react';\nconst { useMemo } = React;"),
+    'Entries without a default export, and React or hooks used without imports, build like they preview'
+  );
+
+  assert(
+    project['index.html'].includes('<script type="module" src="/src/main.jsx"></script>') &&
+    project['index.html'].includes('<title>My Todo App!</title>'),
+    'index.html loads the entry module'
+  );
+
+  const pkg = JSON.parse(project['package.json']);
+  assert(
+    pkg.name === 'my-todo-app' &&
+    pkg.scripts.dev === 'vite' &&
+    pkg.devDependencies.vite && pkg.devDependencies['@tailwindcss/vite'] &&
+    project['vite.config.js'].includes('tailwindcss()') &&
+    project['src/index.css'].includes('@import "tailwindcss";'),
+    'package.json, Vite and Tailwind config are generated'
+  );
+
+  // The local runtime is vendored from @tailwindcss/browser, the CDN runtime pins its major in the URL
+  const tailwindMajor = (range) => range.replace(/^\D*/, '').split('.')[0];
+  const runtimeMajor = tailwindMajor(appPackage.dependencies['@tailwindcss/browser']);
+  assert(
+    tailwindMajor(pkg.devDependencies.tailwindcss) === runtimeMajor &&
+    PREVIEW_RUNTIME_ASSETS.tailwind.cdn.endsWith(`@tailwindcss/browser@${runtimeMajor}`),
+    'The export, local runtime and CDN runtime use the same Tailwind major version'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Dependency detection
+  // ============================================================
+  console.log('\n📦 Test Suite 2: Dependency Detection\n');
+
+  const { dependencies, unsupported } = detectDependencies(files);
+  assert(
+    Object.keys(dependencies).join(',') === 'react,react-dom' &&
+    Object.values(dependencies).every(version => version === dependencies.react),
+    'Only the packages the preview provides are added, at the React version it loads'
+  );
+  assert(
+    unsupported.join(',') === 'axios,framer-motion,lucide-react' && project['README.md'].includes('axios'),
+    'Other packages (subpath imports included) are reported instead of added'
+  );
+
+  assert(
+    toPackageName('  ') === 'react-app' && toPackageName('Étude #2') === 'tude-2',
+    'Artifact names become valid npm package names'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Zip archive
+  // ============================================================
+  console.log('\n🗜️  Test Suite 3: Zip Archive\n');
+
+  const { zip, filename } = createProjectZip(files, { name: 'My Todo App!' });
+  const entries = unzipSync(zip);
+
+  assert(
+    filename === 'my-todo-app.zip' &&
+    strFromU8(entries['my-todo-app/src/App.jsx']) === files['App.jsx'] &&
+    entries['my-todo-app/package.json'] &&
+    entries['my-todo-app/src/main.jsx'],
+    'Zip contains the project in a top-level folder'
+  );
+
+  const htmlExport = buildExportProject({ 'index.html': '<h1>Hi</h1>', 'script.js': 'console.log(1)' });
+  assert(
+    Object.keys(htmlExport.files).join(',') === 'index.html,script.js',
+    'Plain HTML artifacts are exported as-is'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runProjectExportTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
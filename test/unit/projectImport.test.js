@@ -0,0 +1,217 @@
+/**
+ * Test Suite: Project Import
+ *
+ * Tests turning an existing project into an artifact files map:
+ * 1. Filtering (dependencies, lockfiles, binaries, scaffolding)
+ * 2. Layout normalization and import rewriting
+ * 3. Banned package warnings
+ * 4. Zip archives (including a round trip through the exporter)
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+import { importProjectFiles, readZipEntries } from '../../src/services/utils/import/projectImport.js';
+import { createProjectZip } from '../../src/services/utils/export/projectExport.js';
+import { buildModuleGraph } from '../../src/services/utils/preview/moduleBundler.js';
+
+/**
+ * Run all project import tests
+ */
+export async function runProjectImportTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 PROJECT IMPORT TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  const entries = [
+    { path: 'todo-app/package.json', content: '{ "name": "todo-app", "dependencies": { "react": "^18.3.1" } }' },
+    { path: 'todo-app/package-lock.json', content: '{}' },
+    { path: 'todo-app/index.html', content: '<div id="root"></div>' },
+    { path: 'todo-app/vite.config.js', content: 'export default {};' },
+    { path: 'todo-app/node_modules/react/index.js', content: 'module.exports = {};' },
+    { path: 'todo-app/.env', content: 'SECRET=1' },
+    { path: 'todo-app/public/logo.png', content: new Uint8Array([137, 80, 78, 71, 0, 0]) },
+    { path: 'todo-app/src/main.jsx', content: "import App from './App';" },
+    { path: 'todo-app/src/App.jsx', content: "import TodoList from './TodoList';\nimport { useTodos } from './useTodos.js';\nimport './styles.css';\nexport default function App() { return <TodoList />; }" },
+    { path: 'todo-app/src/TodoList.jsx', content: "import Item from './ui/Item';\nimport { useTodos } from './useTodos';\nexport default function TodoList() { return <Item />; }" },
+    { path: 'todo-app/src/ui/Item.jsx', content: "import { useTodos } from '../useTodos';\nimport axios from 'axios';\nexport default function Item() { return null; }" },
+    { path: 'todo-app/src/useTodos.js', content: "import { useState } from 'react';\nexport function useTodos() { return useState([]); }" },
+    { path: 'todo-app/src/styles.css', content: 'body { margin: 0; }' }
+  ];
+
+  const result = importProjectFiles(entries, { name: 'Fallback' });
+
+  // ============================================================
+  // TEST SUITE 1: Filtering
+  // ============================================================
+  console.log('\n🧹 Test Suite 1: Filtering\n');
+
+  const skippedPaths = result.skipped.map(entry => entry.path);
+  assert(
+    skippedPaths.includes('node_modules/react/index.js') &&
+    skippedPaths.includes('package-lock.json') &&
+    skippedPaths.includes('public/logo.png') &&
+    skippedPaths.includes('.env'),
+    'Dependencies, lockfiles, binaries and hidden files are skipped'
+  );
+
+  assert(
+    ['package.json', 'index.html', 'vite.config.js', 'src/main.jsx'].every(path =>
+      result.skipped.some(entry => entry.path === path && entry.reason === 'project scaffolding')),
+    'Entry points and build config are skipped as scaffolding'
+  );
+
+  assert(
+    result.name === 'todo-app',
+    'Project name comes from package.json'
+  );
+
+  const typed = importProjectFiles([
+    { path: 'app/src/App.jsx', content: "import { format } from './format.mjs';\nexport default function App() { return format(); }" },
+    { path: 'app/src/format.mjs', content: 'export const format = () => null;' },
+    { path: 'app/src/types.ts', content: 'export type Todo = { id: number };' },
+    { path: 'app/src/Card.tsx', content: 'export default function Card() { return null; }' },
+    { path: 'app/commitlint.config.cjs', content: 'module.exports = {};' },
+    { path: 'app/docker-compose.yml', content: 'services: {}' },
+    { path: 'app/vite.config.ts', content: 'export default {};' },
+    { path: 'app/tsconfig.json', content: '{}' }
+  ]);
+  assert(
+    Object.keys(typed.files).sort().join(',') ===
+      'App.jsx,Card.tsx,commitlint.config.cjs,docker-compose.yml,format.mjs,types.ts' &&
+    typed.skipped.every(entry => entry.reason !== 'binary or unsupported file type') &&
+    typed.warnings.map(warning => warning.file).sort().join(',') === 'Card.tsx,types.ts',
+    'TypeScript, .mjs/.cjs and YAML sources are kept, with a warning for TypeScript'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Layout
+  // ============================================================
+  console.log('\n🗂️  Test Suite 2: Layout Normalization\n');
+
+  assert(
+    Object.keys(result.files).sort().join(',') ===
+      'App.jsx,components/TodoList.jsx,hooks/useTodos.js,styles.css,ui/Item.jsx',
+    'src/ is flattened and components/hooks move into their folders'
+  );
+
+  assert(
+    result.files['App.jsx'].includes("from './components/TodoList'") &&
+    result.files['App.jsx'].includes("from './hooks/useTodos.js'") &&
+    result.files['components/TodoList.jsx'].includes("from '../ui/Item'") &&
+    result.files['components/TodoList.jsx'].includes("from '../hooks/useTodos'") &&
+    result.files['ui/Item.jsx'].includes("from '../hooks/useTodos'"),
+    'Relative imports are rewritten to follow moved files, keeping their extension style'
+  );
+
+  const graph = buildModuleGraph(result.files);
+  assert(
+    graph.errors.every(error => !error.message.startsWith('Cannot resolve')) &&
+    Object.keys(graph.modules).length === 5,
+    'Imported files resolve in the preview module graph'
+  );
+
+  const colliding = importProjectFiles([
+    { path: 'index.html', content: '<div id="root"></div>' },
+    { path: 'src/App.jsx', content: "import Button from './Button';\nimport Fancy from './components/Button';\nexport default function App() { return <Button />; }" },
+    { path: 'src/Button.jsx', content: 'export default function Button() { return null; }' },
+    { path: 'src/components/Button.jsx', content: 'export default function Fancy() { return null; }' }
+  ]);
+  assert(
+    colliding.files['components/Button.jsx'].includes('function Button') &&
+    colliding.files['src/components/Button.jsx'].includes('function Fancy') &&
+    colliding.collisions.map(entry => `${entry.path}>${entry.target}`).join() === 'src/components/Button.jsx>components/Button.jsx' &&
+    colliding.files['App.jsx'].includes("from './components/Button';\nimport Fancy from './src/components/Button'"),
+    'Files moving onto a taken path stay where they were and are reported'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Warnings
+  // ============================================================
+  console.log('\n⚠️  Test Suite 3: Package Warnings\n');
+
+  assert(
+    result.warnings.length === 1 &&
+    result.warnings[0].file === 'ui/Item.jsx' &&
+    result.warnings[0].line === 2 &&
+    result.warnings[0].message.includes('axios'),
+    'Banned packages are reported once per import with file and line'
+  );
+
+  // ============================================================
+  // TEST SUITE 4: Zip archives
+  // ============================================================
+  console.log('\n🗜️  Test Suite 4: Zip Archives\n');
+
+  const zip = zipSync({
+    'project/src/App.jsx': strToU8("export default function App() { return null; }"),
+    'project/node_modules/big/index.js': strToU8('x'.repeat(1000))
+  });
+  const zipEntries = readZipEntries(zip);
+  assert(
+    zipEntries.length === 1 && zipEntries[0].path === 'project/src/App.jsx',
+    'node_modules is filtered before decompression'
+  );
+
+  const artifact = {
+    'App.jsx': "import Header from './components/Header';\nimport './styles.css';\nexport default function App() { return <Header />; }",
+    'components/Header.jsx': 'export default function Header() { return null; }',
+    'styles.css': 'h1 { color: red; }'
+  };
+  const { zip: exported } = createProjectZip(artifact, { name: 'Round Trip' });
+  const roundTrip = importProjectFiles(readZipEntries(exported));
+  assert(
+    roundTrip.name === 'round-trip' &&
+    Object.keys(roundTrip.files).sort().join(',') === 'App.jsx,components/Header.jsx,styles.css' &&
+    roundTrip.files['App.jsx'] === artifact['App.jsx'],
+    'An exported project imports back to the same files'
+  );
+
+  assert(
+    Object.keys(importProjectFiles([
+      { path: 'site/index.html', content: '<h1>Hi</h1>' },
+      { path: 'site/script.js', content: 'console.log(1);' }
+    ]).files).join(',') === 'index.html,script.js',
+    'Plain HTML projects keep their files as-is'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runProjectImportTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
@@ -0,0 +1,302 @@
+/**
+ * Test Suite: Rate Limiting
+ *
+ * Tests the /api/chat daily token budget (no network access):
+ * 1. Tier configuration
+ * 2. Per-user budgets for signed-in users, per-IP budgets for guests
+ * 3. Token usage accounting, per model, with reservations for calls in flight
+ * 4. Storage backends (memory, Firestore, Redis REST)
+ */
+
+import {
+  createRateLimiter,
+  estimateUsage,
+  loadTiers,
+  toRateLimitInfo
+} from '../../api/utils/rateLimit.js';
+import {
+  createFirestoreStore,
+  createMemoryStore,
+  createRedisStore
+} from '../../api/utils/rateLimitStores.js';
+
+/**
+ * Build a minimal Vercel-style request
+ */
+function request({ ip = '203.0.113.1', token = null } = {}) {
+  const headers = { 'x-forwarded-for': `${ip}, 10.0.0.1` };
+  if (token) headers.authorization = `Bearer ${token}`;
+  return { headers };
+}
+
+/**
+ * Stand-in for verifyAuth: tokens look like "uid" or "uid:admin"; "bad" fails
+ */
+async function fakeVerifyAuth(req) {
+  const token = req.headers.authorization.split('Bearer ')[1];
+  if (token === 'bad') return { error: 'Invalid token', status: 401 };
+  const [userId, role] = token.split(':');
+  return { userId, email: `${userId}@example.com`, admin: role === 'admin' };
+}
+
+/**
+ * In-memory stand-in for the Firestore Admin API used by the Firestore store
+ */
+function createFakeFirestore() {
+  const docs = new Map();
+  const ref = (path) => ({ path });
+
+  return {
+    docs,
+    collection: (name) => ({ doc: (id) => ref(`${name}/${id}`) }),
+    runTransaction: async (fn) => fn({
+      get: async ({ path }) => ({ exists: docs.has(path), data: () => ({ ...docs.get(path) }) }),
+      set: ({ path }, data) => docs.set(path, { ...data }),
+      update: ({ path }, data) => docs.set(path, { ...docs.get(path), ...data })
+    })
+  };
+}
+
+/**
+ * Run all rate limiting tests
+ */
+export async function runRateLimitTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 RATE LIMITING TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  // ============================================================
+  // TEST SUITE 1: Tiers
+  // ============================================================
+  console.log('\n🎚️  Test Suite 1: Tiers\n');
+
+  const tiers = loadTiers({
+    RATE_LIMIT_GUEST_DAILY_TOKENS: '10000',
+    RATE_LIMIT_USER_DAILY_TOKENS: 'unlimited',
+    RATE_LIMIT_ADMIN_DAILY_TOKENS: 'lots'
+  });
+  assert(
+    tiers.guest === 10000 && tiers.user === null && tiers.admin === null,
+    'Token budgets are read from the environment, with invalid values ignored'
+  );
+  assert(
+    JSON.stringify(loadTiers({})) === JSON.stringify({ guest: 200000, user: 1000000, admin: null }),
+    'Default budgets: 200k tokens for guests, 1M for signed-in users, unlimited for admins'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Identity and budgets
+  // ============================================================
+  console.log('\n🪪 Test Suite 2: Identity and Budgets\n');
+
+  const limiter = createRateLimiter({
+    store: createMemoryStore(),
+    tiers: { guest: 1000, user: 5000, admin: null },
+    verifyAuth: fakeVerifyAuth,
+    adminUids: ['ops']
+  });
+
+  const fresh = await limiter.check(request());
+  const freshAgain = await limiter.check(request());
+  assert(
+    fresh.allowed && fresh.used === 0 && fresh.remaining === 1000 && freshAgain.used === 0,
+    'Checking the budget charges nothing'
+  );
+
+  // One call that fans out into a large generation uses most of the budget...
+  const afterBig = await limiter.record(fresh, { model: 'gpt-4o', promptTokens: 600, completionTokens: 300 });
+  // ...while the next, small call crosses it but still completes
+  const afterSmall = await limiter.record(await limiter.check(request()), { model: 'gpt-4o-mini', promptTokens: 150, completionTokens: 50 });
+  const guestBlocked = await limiter.check(request());
+  assert(
+    afterBig.used === 900 && afterBig.remaining === 100 && afterBig.allowed &&
+    afterSmall.used === 1100 && afterSmall.remaining === 0 && !guestBlocked.allowed,
+    'Calls are charged the tokens they used, and requests are refused once the budget is spent'
+  );
+  assert(
+    afterSmall.usage.requests === 2 &&
+    afterSmall.usage.models['gpt-4o'].promptTokens === 600 &&
+    afterSmall.usage.models['gpt-4o'].completionTokens === 300 &&
+    afterSmall.usage.models['gpt-4o-mini'].completionTokens === 50,
+    'Prompt and completion tokens are recorded per model'
+  );
+
+  // Concurrent calls each reserve their estimate, so they can't all spend the same remaining budget
+  const reserving = createRateLimiter({
+    store: createMemoryStore(),
+    tiers: { guest: 1000, user: 5000, admin: null },
+    verifyAuth: fakeVerifyAuth
+  });
+  const [first, second, third] = await Promise.all(
+    [1, 2, 3].map(() => reserving.check(request(), { estimatedTokens: 600 }))
+  );
+  assert(
+    first.allowed && first.used === 0 && second.allowed && second.used === 600 &&
+    !third.allowed && third.used === 1200 && third.reservation.tokens === 0,
+    'Checks reserve their estimated tokens atomically, and a refused check gets its reservation back'
+  );
+
+  const reconciled = await reserving.record(first, { model: 'gpt-4o', promptTokens: 80, completionTokens: 20 });
+  const released = await reserving.release(second);
+  await reserving.release(second);
+  const recordedAfterRelease = await reserving.record(second, { model: 'gpt-4o', promptTokens: 0 });
+  assert(
+    reconciled.used === 700 && released.used === 100 &&
+    recordedAfterRelease.used === 100 && recordedAfterRelease.usage.requests === 2,
+    'Recording swaps the reservation for the real usage, and a reservation is only given back once'
+  );
+
+  const otherGuest = await limiter.check(request({ ip: '198.51.100.7' }));
+  assert(otherGuest.allowed && otherGuest.used === 0, 'Different IPs have separate budgets');
+
+  // Two signed-in users behind the guest's (exhausted) NAT address
+  const alice = await limiter.check(request({ token: 'alice' }));
+  await limiter.record(alice, { model: 'gpt-4o', promptTokens: 100, completionTokens: 20 });
+  const bob = await limiter.check(request({ token: 'bob' }));
+  assert(
+    alice.allowed && bob.allowed && alice.tier === 'user' && alice.limit === 5000 && bob.used === 0,
+    'Signed-in users get their own per-uid budget at the user tier'
+  );
+
+  const invalid = await limiter.check(request({ token: 'bad' }));
+  assert(invalid.tier === 'guest' && !invalid.allowed, 'An invalid token falls back to the guest (IP) budget');
+
+  const claimAdmin = await limiter.check(request({ token: 'root:admin' }));
+  const listedAdmin = await limiter.check(request({ token: 'ops' }));
+  const adminAfter = await limiter.record(claimAdmin, { model: 'gpt-4o', promptTokens: 1e6, completionTokens: 1e6 });
+  assert(
+    claimAdmin.tier === 'admin' && listedAdmin.tier === 'admin' &&
+    adminAfter.allowed && adminAfter.usage.tokens === 2e6 && toRateLimitInfo(adminAfter) === null,
+    'Admins (custom claim or configured uid) are unlimited, but their usage is still recorded'
+  );
+
+  const info = toRateLimitInfo(afterBig);
+  assert(
+    info.unit === 'tokens' && info.used === 900 && info.limit === 1000 && info.remaining === 100,
+    'Response info reports the budget in tokens'
+  );
+
+  const failing = createRateLimiter({
+    store: { get: async () => { throw new Error('store offline'); }, add: async () => { throw new Error('store offline'); } },
+    tiers: { guest: 1000, user: 5000, admin: null },
+    verifyAuth: fakeVerifyAuth
+  });
+  const failOpen = await failing.check(request());
+  const failRecord = await failing.record({ ...failOpen, key: 'ip:x' }, { model: 'gpt-4o', promptTokens: 10 });
+  assert(
+    failOpen.allowed && failOpen.key === null && failRecord.allowed,
+    'A store outage lets requests through'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Usage estimates
+  // ============================================================
+  console.log('\n📏 Test Suite 3: Usage Estimates\n');
+
+  const estimate = estimateUsage(
+    [{ role: 'system', content: 'a'.repeat(400) }, { role: 'user', content: 'b'.repeat(40) }],
+    'c'.repeat(81)
+  );
+  assert(
+    estimate.prompt_tokens === 110 && estimate.completion_tokens === 21,
+    'Unreported usage (cut-off streams) is estimated at about four characters per token'
+  );
+
+  // ============================================================
+  // TEST SUITE 4: Storage backends
+  // ============================================================
+  console.log('\n🗄️  Test Suite 4: Storage Backends\n');
+
+  const memory = createMemoryStore();
+  await memory.add('k', { tokens: 50 }, 1);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const memoryFields = await memory.add('k', { tokens: 7, requests: 1 }, 60000);
+  assert(
+    memoryFields.tokens === 7 && memoryFields.requests === 1 && (await memory.get('missing')).tokens === undefined,
+    'Memory store starts a new window once the old one expires'
+  );
+
+  const db = createFakeFirestore();
+  const firestore = createFirestoreStore(db);
+  const firestoreKey = 'ip:2001:db8::1/x:2026-01-01';
+  await firestore.add(firestoreKey, { tokens: 100, 'prompt:gpt-4.1': 80 }, 60000);
+  const firestoreFields = await firestore.add(firestoreKey, { tokens: 20, 'prompt:gpt-4.1': 5 }, 60000);
+  const [docPath, doc] = [...db.docs.entries()][0];
+  assert(
+    firestoreFields.tokens === 120 && firestoreFields['prompt:gpt-4.1'] === 85 &&
+    docPath.startsWith('rateLimits/') && !docPath.slice('rateLimits/'.length).includes('/') &&
+    doc.expiresAt instanceof Date,
+    'Firestore store adds usage in a transaction, with safe document IDs and a TTL timestamp'
+  );
+
+  const originalFetch = globalThis.fetch;
+  const redisRequests = [];
+  const redisHash = {};
+  globalThis.fetch = async (url, init) => {
+    const commands = JSON.parse(init.body);
+    redisRequests.push({ url, auth: init.headers.Authorization, commands });
+    return new Response(JSON.stringify(commands.map(([command, , field, amount]) => {
+      if (command === 'HINCRBY') return { result: (redisHash[field] = (redisHash[field] || 0) + amount) };
+      if (command === 'HGETALL') return { result: Object.entries(redisHash).flat().map(String) };
+      return { result: 1 };
+    })), { status: 200 });
+  };
+
+  try {
+    const redis = createRedisStore({ url: 'https://redis.example.com/', token: 'secret' });
+    await redis.add('user:alice:2026-01-01', { tokens: 30, requests: 1 }, 60000);
+    const redisFields = await redis.add('user:alice:2026-01-01', { tokens: 12, requests: 1 }, 60000);
+    const [first] = redisRequests;
+    assert(
+      redisFields.tokens === 42 && redisFields.requests === 2 &&
+      first.url === 'https://redis.example.com/pipeline' && first.auth === 'Bearer secret' &&
+      first.commands[0][0] === 'HINCRBY' && first.commands[0][1] === 'ratelimit:user:alice:2026-01-01' &&
+      first.commands.some(([command]) => command === 'PEXPIRE'),
+      'Redis store adds usage and sets an expiry in one pipeline request'
+    );
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRateLimitTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
@@ -180,7 +180,7 @@ assert(
   'Should fix component imports in App.jsx to use ./components/'
 );
 
-// Test 2.3: Replace axios with comment
+// Test 2.3: Flag axios calls with a comment
 const codeWithAxios2 = `
 import axios from 'axios';
 
@@ -191,12 +191,12 @@ async function getData() {
 
 const fixedAxiosCode = autoFixCommonIssues(codeWithAxios2, 'api.js');
 assert(
-  !fixedAxiosCode.includes('import axios') &&
-  fixedAxiosCode.includes('// Note: axios replaced with fetch API'),
-  'Should remove axios import and add comment'
+  fixedAxiosCode.includes("import axios from 'axios'") &&
+  fixedAxiosCode.includes('// Note: axios is not available - the axios calls below still need rewriting with fetch'),
+  'Should keep the import of called axios and add comment'
 );
 
-// Test 2.4: Replace lodash with comment
+// Test 2.4: Flag lodash calls with a comment
 const codeWithLodash2 = `
 import _ from 'lodash';
 
@@ -205,9 +205,9 @@ const unique = _.uniq(items);
 
 const fixedLodashCode = autoFixCommonIssues(codeWithLodash2, 'utils.js');
 assert(
-  !fixedLodashCode.includes('import _ from') &&
-  fixedLodashCode.includes('// Note: Use native JavaScript'),
-  'Should remove lodash import and add comment'
+  fixedLodashCode.includes("import _ from 'lodash'") &&
+  fixedLodashCode.includes('// Note: lodash is not available - the remaining lodash calls still need rewriting'),
+  'Should keep the import of called lodash and add comment'
 );
 
 // Test 2.5: Remove unused imports
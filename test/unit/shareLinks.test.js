@@ -0,0 +1,166 @@
+/**
+ * Test Suite: Share Links
+ *
+ * Tests public share link helpers (no network access):
+ * 1. Slug generation and validation (API)
+ * 2. Share summaries and who may manage a link (API)
+ * 3. Share URLs and routing (client)
+ */
+
+import {
+  canManageShare,
+  createShareSlug,
+  isValidShareSlug,
+  toShareSummary
+} from '../../api/utils/shareLinks.js';
+import {
+  fetchSharedArtifact,
+  getShareSlugFromPath,
+  getShareUrl
+} from '../../src/services/utils/share/shareLinks.js';
+
+/**
+ * Run all share link tests
+ */
+export async function runShareLinkTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 SHARE LINKS TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  // ============================================================
+  // TEST SUITE 1: Slugs
+  // ============================================================
+  console.log('\n🔑 Test Suite 1: Slugs\n');
+
+  const slugs = Array.from({ length: 200 }, () => createShareSlug());
+  assert(
+    slugs.every(slug => /^[A-Za-z0-9_-]{22}$/.test(slug)),
+    'Slugs are 22 URL-safe characters (128 random bits)'
+  );
+  assert(new Set(slugs).size === slugs.length, 'Slugs do not repeat');
+  assert(
+    slugs.every(isValidShareSlug) &&
+    !isValidShareSlug('short') && !isValidShareSlug('../users/abc/artifacts/x') &&
+    !isValidShareSlug(['a']) && !isValidShareSlug(undefined),
+    'Only well-formed slugs pass validation'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Summaries
+  // ============================================================
+  console.log('\n📋 Test Suite 2: Summaries\n');
+
+  const summary = toShareSummary('abc', {
+    ownerId: 'user-1',
+    artifactId: 'artifact-1',
+    name: 'Counter',
+    files: { 'App.jsx': 'export default () => null;', 'styles.css': '' },
+    createdAt: '2026-01-01T00:00:00.000Z'
+  });
+  assert(
+    summary.slug === 'abc' && summary.artifactId === 'artifact-1' && summary.fileCount === 2 &&
+    summary.files === undefined && summary.ownerId === undefined,
+    'Owner lists get metadata only - no files or owner ID'
+  );
+
+  const personalShare = { ownerId: 'user-1', workspaceId: null };
+  const workspaceShare = { ownerId: 'user-1', workspaceId: 'team-1' };
+  assert(
+    canManageShare(personalShare, 'user-1') && !canManageShare(personalShare, 'user-2', 'owner') &&
+    canManageShare(workspaceShare, 'user-2', 'editor') && canManageShare(workspaceShare, 'user-3', 'owner') &&
+    !canManageShare(workspaceShare, 'user-1', 'viewer') && !canManageShare(workspaceShare, 'user-1', null),
+    'Personal links are managed by their creator, workspace links by its editors'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: URLs and routing
+  // ============================================================
+  console.log('\n🔗 Test Suite 3: URLs and Routing\n');
+
+  const slug = createShareSlug();
+  const url = getShareUrl(slug, 'https://blank.example.com/');
+  assert(url === `https://blank.example.com/s/${slug}`, 'Share URLs live under /s/');
+  assert(
+    getShareSlugFromPath(new URL(url).pathname) === slug &&
+    getShareSlugFromPath(`/s/${slug}/`) === slug &&
+    getShareSlugFromPath('/') === null &&
+    getShareSlugFromPath('/s/') === null &&
+    getShareSlugFromPath(`/x/s/${slug}`) === null,
+    'Only /s/<slug> paths open the share viewer'
+  );
+
+  const originalFetch = globalThis.fetch;
+  try {
+    let requestedUrl = null;
+    globalThis.fetch = async (requestUrl) => {
+      requestedUrl = requestUrl;
+      return new Response(JSON.stringify({
+        error: 'Not found',
+        message: 'This share link does not exist or has been revoked'
+      }), { status: 404 });
+    };
+
+    let revokedError = null;
+    try {
+      await fetchSharedArtifact(slug);
+    } catch (error) {
+      revokedError = error;
+    }
+    assert(
+      requestedUrl === `/api/artifacts/share/get?slug=${slug}` &&
+      revokedError?.message === 'This share link does not exist or has been revoked',
+      'Revoked links surface the API message'
+    );
+
+    globalThis.fetch = async () => new Response(JSON.stringify({
+      success: true,
+      share: { slug, name: 'Counter', files: { 'App.jsx': 'x' }, createdAt: '2026-01-01T00:00:00.000Z' }
+    }), { status: 200 });
+    const share = await fetchSharedArtifact(slug);
+    assert(share.name === 'Counter' && share.files['App.jsx'] === 'x', 'Snapshots load without signing in');
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runShareLinkTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
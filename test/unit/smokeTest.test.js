@@ -0,0 +1,237 @@
+/**
+ * Test Suite: Runtime Smoke Test
+ *
+ * Renders generated projects headless in a Node VM before they are returned (no network access):
+ * 1. Catching render, console and module errors, located in the original files
+ * 2. Things the test must not fail on (warnings, missing entry or host)
+ * 3. The orchestrator handing failures to the iterative debugger
+ */
+
+import vm from 'node:vm';
+import React from 'react';
+import ReactDOMServer from 'react-dom/server';
+import Babel from '@babel/standalone';
+import {
+  createVmSmokeTestHost,
+  formatSmokeTestErrors,
+  runSmokeTest
+} from '../../src/services/utils/preview/smokeTest.js';
+import { AgentOrchestrator } from '../../src/services/agentOrchestrator.js';
+
+/**
+ * Build an OpenAI-style chat completion response
+ */
+function completion(content) {
+  return new Response(JSON.stringify({
+    id: 'chatcmpl-test',
+    object: 'chat.completion',
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+  }), { status: 200 });
+}
+
+/**
+ * Run all runtime smoke test tests
+ */
+export async function runSmokeTestTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 RUNTIME SMOKE TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  const host = createVmSmokeTestHost({ vm, React, ReactDOMServer, Babel });
+
+  const files = {
+    'App.jsx': [
+      "import React, { useState } from 'react';",
+      "import TodoList from './components/TodoList';",
+      "import config from './config.json';",
+      "import './styles.css';",
+      '',
+      'export default function App() {',
+      "  const [todos] = useState([{ id: 1, title: 'Write tests' }]);",
+      '  return <main><h1>{config.title}</h1><TodoList todos={todos} /></main>;',
+      '}',
+    ].join('\n'),
+    'components/TodoList.jsx': [
+      'export default function TodoList({ todos }) {',
+      '  return (',
+      '    <ul>',
+      '      {todos.map(todo => <li key={todo.id}>{todo.title}</li>)}',
+      '    </ul>',
+      '  );',
+      '}',
+    ].join('\n'),
+    'config.json': '{ "title": "Todos" }',
+    'styles.css': 'body { margin: 0; }',
+  };
+
+  // ============================================================
+  // TEST SUITE 1: Catching Errors
+  // ============================================================
+  console.log('\n💥 Test Suite 1: Catching Errors\n');
+
+  const working = await runSmokeTest(files, { host });
+  assert(
+    working.passed && !working.skipped && working.errors.length === 0,
+    'A working project renders with imports, JSON and CSS'
+  );
+
+  const missingProp = await runSmokeTest({
+    ...files,
+    'App.jsx': files['App.jsx'].replace('<TodoList todos={todos} />', '<TodoList />'),
+  }, { host });
+  assert(
+    !missingProp.passed && missingProp.errors.length === 1 &&
+    missingProp.errors[0].kind === 'render' &&
+    missingProp.errors[0].message === "Cannot read properties of undefined (reading 'map')" &&
+    missingProp.errors[0].source === 'components/TodoList.jsx' && missingProp.errors[0].line === 4,
+    'A render error is caught with the file and line that threw'
+  );
+  assert(
+    formatSmokeTestErrors(missingProp.errors) ===
+      "Runtime error in components/TodoList.jsx:4: Cannot read properties of undefined (reading 'map')",
+    'Errors are described for the debugger, file first'
+  );
+
+  const loggedError = await runSmokeTest({
+    'App.jsx': "export default function App() {\n  console.error('Failed to load todos');\n  return null;\n}",
+  }, { host });
+  assert(
+    !loggedError.passed && loggedError.errors[0].kind === 'console' && loggedError.errors[0].message === 'Failed to load todos',
+    'console.error during render fails the test'
+  );
+
+  const moduleErrors = await runSmokeTest({
+    ...files,
+    'App.jsx': "import axios from 'axios';\nimport Missing from './components/Missing';\nexport default () => null;",
+  }, { host });
+  assert(
+    moduleErrors.errors.map(error => `${error.kind} ${error.source}:${error.line}`).join() === 'module App.jsx:1,module App.jsx:2' &&
+    moduleErrors.errors[1].message === 'Cannot resolve "./components/Missing" from App.jsx',
+    'Unavailable packages and unresolved imports fail before anything runs'
+  );
+
+  const noApp = await runSmokeTest({ 'App.jsx': 'export const title = "Todos";' }, { host });
+  assert(
+    !noApp.passed && noApp.errors[0].kind === 'module' && noApp.errors[0].message.includes('No App component'),
+    'An entry without an App component fails'
+  );
+
+  const hanging = await runSmokeTest({ 'App.jsx': 'export default function App() { while (true) {} }' }, { host, timeoutMs: 200 });
+  assert(
+    !hanging.passed && hanging.errors[0].message === 'Rendering did not finish within 200ms (infinite loop?)',
+    'A render that never finishes is stopped and reported'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Not Failures
+  // ============================================================
+  console.log('\n🟢 Test Suite 2: Not Failures\n');
+
+  const missingKeys = await runSmokeTest({
+    'App.jsx': 'export default function App() { return <ul>{[1, 2].map(n => <li>{n}</li>)}</ul>; }',
+  }, { host });
+  assert(
+    missingKeys.passed && missingKeys.warnings.length === 1 && missingKeys.warnings[0].message.startsWith('Warning: Each child in a list'),
+    'React warnings are reported but do not fail the test'
+  );
+
+  const noEntry = await runSmokeTest({ 'index.html': '<h1>Hi</h1>' }, { host });
+  const noHost = await runSmokeTest(files, { host: null });
+  assert(
+    noEntry.skipped && noEntry.passed && noHost.skipped && noHost.passed,
+    'Projects without a React entry, or runs without a host, are skipped'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Orchestrator
+  // ============================================================
+  console.log('\n🎼 Test Suite 3: Orchestrator\n');
+
+  const originalFetch = globalThis.fetch;
+  const originalKey = process.env.OPENAI_API_KEY;
+  process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+  try {
+    let fetchCalls = 0;
+    globalThis.fetch = async () => {
+      fetchCalls++;
+      return completion(files['components/TodoList.jsx'].replace('{todos.map(', '{(todos || []).map('));
+    };
+
+    const updates = [];
+    const orchestrator = new AgentOrchestrator(update => updates.push(update), { smokeTestHost: host });
+    const operations = [
+      { type: 'modify', filename: 'App.jsx', content: files['App.jsx'].replace('<TodoList todos={todos} />', '<TodoList />') },
+    ];
+    const result = await orchestrator.verifyRuntime(files, operations, 'Show the todos');
+    assert(
+      result.passed && fetchCalls > 0 &&
+      operations.length === 2 && operations[1].type === 'modify' && operations[1].filename === 'components/TodoList.jsx' &&
+      operations[1].content.includes('(todos || []).map'),
+      'Runtime failures go to the debugger and its fix joins the file operations'
+    );
+    assert(
+      updates.some(update => update.type === 'file_operation' && update.content === 'Fixed runtime error in components/TodoList.jsx'),
+      'The fix is reported as a file operation'
+    );
+
+    fetchCalls = 0;
+    const untouched = [{ type: 'create', filename: 'App.jsx', content: files['App.jsx'] }];
+    const passing = await new AgentOrchestrator(() => {}, { smokeTestHost: host }).verifyRuntime(files, untouched, 'Show the todos');
+    const withoutHost = await new AgentOrchestrator(() => {}).verifyRuntime(files, untouched, 'Show the todos');
+    assert(
+      passing.passed && withoutHost === null && fetchCalls === 0 && untouched.length === 1,
+      'Passing apps, and runs without a host, do not call the debugger'
+    );
+  } finally {
+    globalThis.fetch = originalFetch;
+    if (originalKey === undefined) {
+      delete process.env.OPENAI_API_KEY;
+    } else {
+      process.env.OPENAI_API_KEY = originalKey;
+    }
+  }
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runSmokeTestTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
@@ -0,0 +1,171 @@
+/**
+ * Test Suite: AutoFix Codemods
+ *
+ * Tests the AST-based fixes in autoFix.js against fixtures (no network access):
+ * 1. Each codemod's exact output and change log
+ * 2. Code the codemods can't or shouldn't change
+ * 3. The full auto-fix run with its report
+ */
+
+import {
+  addMissingSemicolons,
+  autoFixCommonIssues,
+  autoFixWithReport,
+  convertRequireToImport,
+  removeDuplicateDeclarations,
+  replaceAxiosWithFetch,
+  replaceLodashWithNative
+} from '../../../src/services/utils/code/autoFix.js';
+import { autoFixFixtures } from './autoFixFixtures.js';
+
+const CODEMODS = {
+  addMissingSemicolons,
+  convertRequireToImport,
+  removeDuplicateDeclarations,
+  replaceAxiosWithFetch,
+  replaceLodashWithNative
+};
+
+/**
+ * Run all autofix codemod tests
+ */
+export async function runAutoFixTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 AUTOFIX CODEMODS TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  // ============================================================
+  // TEST SUITE 1: Fixtures
+  // ============================================================
+  console.log('\n🔧 Test Suite 1: Fixtures\n');
+
+  autoFixFixtures.forEach(fixture => {
+    const changes = [];
+    const output = CODEMODS[fixture.fix](fixture.input, changes);
+    const log = changes.map(change => `${change.line}:${change.column} ${change.message}`);
+
+    assert(output === fixture.expected, `${fixture.fix}: ${fixture.name}`);
+    assert(
+      log.join('\n') === fixture.changes.join('\n') && changes.every(change => change.fix === fixture.fix),
+      `${fixture.fix}: change log is exact`
+    );
+  });
+
+  // ============================================================
+  // TEST SUITE 2: Code Left Alone
+  // ============================================================
+  console.log('\n🛡️  Test Suite 2: Code Left Alone\n');
+
+  const broken = "const axios = require('axios')\nexport default function (";
+  const brokenChanges = [];
+  assert(
+    Object.values(CODEMODS).every(codemod => codemod(broken, brokenChanges) === broken) && brokenChanges.length === 0,
+    'Code that does not parse is returned unchanged'
+  );
+
+  assert(
+    autoFixFixtures.every(fixture => {
+      const changes = [];
+      return CODEMODS[fixture.fix](fixture.expected, changes) === fixture.expected && changes.length === 0;
+    }),
+    'Running a codemod on its own output changes nothing'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Full Run
+  // ============================================================
+  console.log('\n📋 Test Suite 3: Full Run\n');
+
+  const generated = [
+    "const { format } = require('date-fns');",
+    "import axios from 'axios';",
+    '',
+    'const API_URL = "/api/todos";',
+    'const API_URL = "/api/todos";',
+    '',
+    'export default function TodoList() {',
+    '  const load = () => axios.get(API_URL);',
+    "  return <ul title={format(new Date(), 'PP')} onClick={load}></ul>;",
+    '}',
+  ].join('\n');
+  const report = autoFixWithReport(generated, 'components/TodoList.jsx');
+  assert(
+    report.code === [
+      '// Note: axios is not available - the axios calls below still need rewriting with fetch',
+      "import { format } from 'date-fns';",
+      "import axios from 'axios';",
+      '',
+      'const API_URL = "/api/todos";',
+      '',
+      'export default function TodoList() {',
+      '  const load = () => axios.get(API_URL);',
+      "  return <ul title={format(new Date(), 'PP')} onClick={load}></ul>;",
+      '}',
+    ].join('\n') &&
+    report.code === autoFixCommonIssues(generated, 'components/TodoList.jsx'),
+    'Auto-fix runs the codemods in order'
+  );
+  assert(
+    report.changes.map(change => change.fix).join() ===
+      'convertRequireToImport,removeDuplicateDeclarations,replaceAxiosWithFetch',
+    'The report lists the change of every codemod that ran'
+  );
+
+  // Earlier fixes remove lines, so later codemods see shifted code
+  const shifted = autoFixWithReport([
+    "import PropTypes from 'prop-types';",
+    "import _ from 'lodash';",
+    '',
+    'const limit = 10;',
+    'const limit = 10;',
+    '',
+    'export const isList = (items) => _.isArray(items);',
+  ].join('\n'), 'utils/list.js');
+  assert(
+    shifted.changes.map(change => `${change.line}:${change.column} ${change.fix}`).join() ===
+      '5:1 removeDuplicateDeclarations,2:1 replaceLodashWithNative,7:34 replaceLodashWithNative',
+    'Report positions point into the input code'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAutoFixTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
@@ -0,0 +1,318 @@
+/**
+ * Auto-Fix Fixtures
+ * Input, expected output and expected change log for each codemod in autoFix.js.
+ * Every input also holds decoys - the same patterns inside strings, comments, template literals,
+ * JSX text or nested scopes - that must come out exactly as they went in.
+ * Changes are "line:column message", in the order they were applied.
+ */
+
+export const autoFixFixtures = [
+  {
+    fix: 'convertRequireToImport',
+    name: 'Top-level requires become imports, quotes and semicolons kept',
+    input: [
+      "const React = require('react');",
+      'const { useState, useEffect: useMountEffect } = require("react")',
+      "require('./styles.css');",
+      "const Chart = require('chart.js').default;",
+      '',
+      '// const fs = require(\'fs\');',
+      'const snippet = "const os = require(\'os\');";',
+      'const help = `Use require(\'x\') in Node`;',
+      '',
+      'export function loadLater() {',
+      "  const heavy = require('./heavy');",
+      '  return heavy;',
+      '}',
+      '',
+      "const { config = {} } = require('./config');",
+      "const name = require(moduleName);",
+      'export default function App() {',
+      "  return <p>const x = require('x');</p>;",
+      '}',
+    ].join('\n'),
+    expected: [
+      "import React from 'react';",
+      'import { useState, useEffect as useMountEffect } from "react"',
+      "import './styles.css';",
+      "import Chart from 'chart.js';",
+      '',
+      '// const fs = require(\'fs\');',
+      'const snippet = "const os = require(\'os\');";',
+      'const help = `Use require(\'x\') in Node`;',
+      '',
+      'export function loadLater() {',
+      "  const heavy = require('./heavy');",
+      '  return heavy;',
+      '}',
+      '',
+      "const { config = {} } = require('./config');",
+      "const name = require(moduleName);",
+      'export default function App() {',
+      "  return <p>const x = require('x');</p>;",
+      '}',
+    ].join('\n'),
+    changes: [
+      "1:1 Converted require('react') to import React",
+      '2:1 Converted require("react") to import { useState, useEffect as useMountEffect }',
+      "3:1 Converted require('./styles.css') to import",
+      "4:1 Converted require('chart.js') to import Chart",
+    ],
+  },
+  {
+    fix: 'convertRequireToImport',
+    name: 'let and var requires stay, since an import could not be reassigned',
+    input: [
+      "let x = require('./x');",
+      "var { parse } = require('./parser');",
+      "const y = require('./y');",
+      'x = 5;',
+      'export default function App() { return x + y + parse; }',
+    ].join('\n'),
+    expected: [
+      "let x = require('./x');",
+      "var { parse } = require('./parser');",
+      "import y from './y';",
+      'x = 5;',
+      'export default function App() { return x + y + parse; }',
+    ].join('\n'),
+    changes: [
+      "3:1 Converted require('./y') to import y",
+    ],
+  },
+  {
+    fix: 'removeDuplicateDeclarations',
+    name: 'Later declarations of a name are removed, other scopes and exports kept',
+    input: [
+      "import { useState } from 'react';",
+      "import { useState } from 'react';",
+      'const API_URL = "/api";',
+      'const API_URL = "/api/v2"; // duplicate',
+      'let retries = 3, API_URL = "";',
+      'var legacy = 1;',
+      'var legacy = 2;',
+      '',
+      'function formatDate(date) { return date.toISOString(); }',
+      'function formatDate(date) {',
+      '  return date.toLocaleDateString();',
+      '}',
+      '',
+      'export function useCounter() {',
+      '  const [count, setCount] = useState(0);',
+      '  const [count, setCount] = useState(1);',
+      '  const label = `const count = 1;`;',
+      '  return { count, setCount, label };',
+      '}',
+      '',
+      'export default function App() {',
+      '  const API_URL = "/local";',
+      '  return <p>const API_URL = "/api";</p>;',
+      '}',
+    ].join('\n'),
+    expected: [
+      "import { useState } from 'react';",
+      'const API_URL = "/api";',
+      'let retries = 3;',
+      'var legacy = 1;',
+      'var legacy = 2;',
+      '',
+      'function formatDate(date) { return date.toISOString(); }',
+      '',
+      'export function useCounter() {',
+      '  const [count, setCount] = useState(0);',
+      '  const label = `const count = 1;`;',
+      '  return { count, setCount, label };',
+      '}',
+      '',
+      'export default function App() {',
+      '  const API_URL = "/local";',
+      '  return <p>const API_URL = "/api";</p>;',
+      '}',
+    ].join('\n'),
+    changes: [
+      '2:1 Removed duplicate declaration of useState',
+      '4:1 Removed duplicate declaration of API_URL',
+      '5:18 Removed duplicate declaration of API_URL',
+      '10:1 Removed duplicate declaration of formatDate',
+      '16:3 Removed duplicate declaration of count, setCount',
+    ],
+  },
+  {
+    fix: 'addMissingSemicolons',
+    name: 'Semicolons are added after statements only',
+    input: [
+      "import React from 'react'",
+      "import './styles.css';",
+      'const items = [1, 2, 3]',
+      'let total = 0',
+      'for (let i = 0; i < items.length; i++) total += items[i]',
+      'for (const item of items) {',
+      '  console.log(item)',
+      '}',
+      '',
+      'function double(value) {',
+      '  if (!value) return 0',
+      '  return value * 2',
+      '}',
+      '',
+      'class Store {',
+      '  items = []',
+      '}',
+      '',
+      'const message = `one line',
+      'and another`',
+      "const text = 'no semicolon here' // keep this comment",
+      'export { double }',
+      'export default function App() {',
+      '  return <p>Hello world</p>',
+      '}',
+    ].join('\n'),
+    expected: [
+      "import React from 'react';",
+      "import './styles.css';",
+      'const items = [1, 2, 3];',
+      'let total = 0;',
+      'for (let i = 0; i < items.length; i++) total += items[i];',
+      'for (const item of items) {',
+      '  console.log(item);',
+      '}',
+      '',
+      'function double(value) {',
+      '  if (!value) return 0;',
+      '  return value * 2;',
+      '}',
+      '',
+      'class Store {',
+      '  items = []',
+      '}',
+      '',
+      'const message = `one line',
+      'and another`;',
+      "const text = 'no semicolon here'; // keep this comment",
+      'export { double };',
+      'export default function App() {',
+      '  return <p>Hello world</p>;',
+      '}',
+    ].join('\n'),
+    changes: [
+      '1:1 Added missing semicolon at line 1',
+      '3:1 Added missing semicolon at line 3',
+      '4:1 Added missing semicolon at line 4',
+      '5:40 Added missing semicolon at line 5',
+      '7:3 Added missing semicolon at line 7',
+      '11:15 Added missing semicolon at line 11',
+      '12:3 Added missing semicolon at line 12',
+      '19:1 Added missing semicolon at line 20',
+      '21:1 Added missing semicolon at line 21',
+      '22:1 Added missing semicolon at line 22',
+      '24:3 Added missing semicolon at line 24',
+    ],
+  },
+  {
+    fix: 'replaceAxiosWithFetch',
+    name: 'Called axios keeps its import, with a note that the calls need rewriting',
+    input: [
+      "import axios from 'axios';",
+      '',
+      '// axios.get(\'/api/commented\') stays a comment',
+      'export async function loadTodos() {',
+      "  const response = await axios.get('/api/todos');",
+      '  return response.data;',
+      '}',
+      '',
+      'export const hint = "import axios from \'axios\'; is a string";',
+    ].join('\n'),
+    expected: [
+      '// Note: axios is not available - the axios calls below still need rewriting with fetch',
+      "import axios from 'axios';",
+      '',
+      '// axios.get(\'/api/commented\') stays a comment',
+      'export async function loadTodos() {',
+      "  const response = await axios.get('/api/todos');",
+      '  return response.data;',
+      '}',
+      '',
+      'export const hint = "import axios from \'axios\'; is a string";',
+    ].join('\n'),
+    changes: [
+      '1:1 Added note about rewriting axios calls',
+    ],
+  },
+  {
+    fix: 'replaceAxiosWithFetch',
+    name: 'An unused axios import goes without a note',
+    input: [
+      'import http from "axios";',
+      'const axios = { get: () => null };',
+      'export const load = () => axios.get("/api/items");',
+    ].join('\n'),
+    expected: [
+      'const axios = { get: () => null };',
+      'export const load = () => axios.get("/api/items");',
+    ].join('\n'),
+    changes: [
+      '1:1 Removed unused axios import',
+    ],
+  },
+  {
+    fix: 'replaceLodashWithNative',
+    name: 'Only lodash functions that behave like a native one are swapped, and imports still called stay',
+    input: [
+      "import _ from 'lodash';",
+      "import isArray from 'lodash/isArray';",
+      "import { now, uniq } from 'lodash-es';",
+      '',
+      '// _.isArray(tags) in a comment is left alone',
+      'export function summarize(items, tags) {',
+      '  const list = _.isArray(items) ? items : [];',
+      '  const both = isArray(tags) && _.isArray(_.compact(tags));',
+      '  const ids = _.map(items, item => item.id);',
+      '  const unique = uniq(tags);',
+      '  const started = now();',
+      '  const arrays = list.filter(_.isArray);',
+      '  const label = `_.now(${ids.length})`;',
+      '  return { list, both, ids, unique, started, arrays, label };',
+      '}',
+    ].join('\n'),
+    expected: [
+      '// Note: lodash is not available - the remaining lodash calls still need rewriting with native methods',
+      "import _ from 'lodash';",
+      "import { now, uniq } from 'lodash-es';",
+      '',
+      '// _.isArray(tags) in a comment is left alone',
+      'export function summarize(items, tags) {',
+      '  const list = Array.isArray(items) ? items : [];',
+      '  const both = Array.isArray(tags) && Array.isArray(_.compact(tags));',
+      '  const ids = _.map(items, item => item.id);',
+      '  const unique = uniq(tags);',
+      '  const started = Date.now();',
+      '  const arrays = list.filter(_.isArray);',
+      '  const label = `_.now(${ids.length})`;',
+      '  return { list, both, ids, unique, started, arrays, label };',
+      '}',
+    ].join('\n'),
+    changes: [
+      '1:1 Added note about rewriting lodash calls',
+      '2:1 Removed unused lodash/isArray import',
+      '7:16 Replaced _.isArray() with Array.isArray()',
+      '8:16 Replaced isArray() with Array.isArray()',
+      '8:33 Replaced _.isArray() with Array.isArray()',
+      '11:19 Replaced now() with Date.now()',
+    ],
+  },
+  {
+    fix: 'replaceLodashWithNative',
+    name: 'Without other lodash calls no note is added',
+    input: [
+      "import { isArray } from 'underscore';",
+      'export const toList = (value) => (isArray(value) ? value : [value]);',
+    ].join('\n'),
+    expected: [
+      'export const toList = (value) => (Array.isArray(value) ? value : [value]);',
+    ].join('\n'),
+    changes: [
+      '1:1 Removed unused underscore import',
+      '2:35 Replaced isArray() with Array.isArray()',
+    ],
+  },
+];
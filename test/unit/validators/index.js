@@ -3,4 +3,6 @@
  */
 
 export * from './agentValidation.test.js';
+export * from './autoFix.test.js';
+export * from './autoFixFixtures.js';
 export * from './codeQuality.test.js';
@@ -0,0 +1,186 @@
+/**
+ * Test Suite: Version History
+ *
+ * Tests the snapshot and diff helpers behind artifact version history:
+ * 1. Line diffs
+ * 2. Per-file diffs between versions
+ * 3. Version records
+ * 4. Keeping guest history within its localStorage budget
+ */
+
+import {
+  MAX_VERSIONS,
+  collapseContext,
+  createVersion,
+  diffFiles,
+  diffLines,
+  dropOldestVersion,
+  isSameFiles,
+  pruneGuestVersions
+} from '../../src/services/utils/versions/versionHistory.js';
+
+/**
+ * Run all version history tests
+ */
+export async function runVersionHistoryTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 VERSION HISTORY TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  // ============================================================
+  // TEST SUITE 1: Line diffs
+  // ============================================================
+  console.log('\n📝 Test Suite 1: Line Diffs\n');
+
+  const before = 'a\nb\nc\nd';
+  const after = 'a\nB\nc\nd\ne';
+  const lines = diffLines(before, after);
+
+  assert(
+    lines.map(line => line.type[0] + line.text).join(',') === 'sa,rb,aB,sc,sd,ae',
+    'Changed, added and unchanged lines are aligned'
+  );
+
+  assert(
+    lines.find(line => line.text === 'B').newLine === 2 &&
+    lines.find(line => line.text === 'b').oldLine === 2 &&
+    lines.find(line => line.text === 'e').newLine === 5,
+    'Lines carry their old and new line numbers'
+  );
+
+  assert(
+    diffLines('', 'x\ny').every(line => line.type === 'add') &&
+    diffLines('x', '').map(line => line.type).join(',') === 'remove',
+    'New and deleted files are all additions or all removals'
+  );
+
+  const long = Array.from({ length: 20 }, (_, i) => `line ${i}`);
+  const collapsed = collapseContext(diffLines(long.join('\n'), [...long.slice(0, 10), 'changed', ...long.slice(11)].join('\n')), 2);
+  assert(
+    collapsed[0].type === 'skip' && collapsed[0].count === 8 &&
+    collapsed[collapsed.length - 1].type === 'skip' && collapsed[collapsed.length - 1].count === 7,
+    'Unchanged lines away from changes are collapsed'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: File diffs
+  // ============================================================
+  console.log('\n🗂️  Test Suite 2: File Diffs\n');
+
+  const v1 = { 'App.jsx': 'one\ntwo', 'old.js': 'x', 'same.css': 'body {}' };
+  const v2 = { 'App.jsx': 'one\n2\nthree', 'new.js': 'y', 'same.css': 'body {}' };
+  const changes = diffFiles(v1, v2);
+
+  assert(
+    changes.map(c => `${c.file}:${c.status}`).join(',') === 'App.jsx:modified,new.js:added,old.js:removed',
+    'Only changed files are listed, with their status'
+  );
+
+  const app = changes.find(c => c.file === 'App.jsx');
+  assert(
+    app.additions === 2 && app.deletions === 1,
+    'Each file counts its additions and deletions'
+  );
+
+  assert(
+    isSameFiles(v1, { ...v1 }) && !isSameFiles(v1, v2) && !isSameFiles(v1, { ...v1, extra: '' }),
+    'Identical snapshots are detected'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Version records
+  // ============================================================
+  console.log('\n📸 Test Suite 3: Version Records\n');
+
+  const version = createVersion(v2, { trigger: 'ai', message: 'Add a third line', previousFiles: v1 });
+  assert(
+    version.id.startsWith('version_') &&
+    version.trigger === 'ai' &&
+    version.message === 'Add a third line' &&
+    version.fileCount === 3 &&
+    version.changes.length === 3 &&
+    version.changes[0].lines === undefined,
+    'Versions record trigger, message and a change summary'
+  );
+
+  v2['App.jsx'] = 'mutated';
+  assert(
+    version.files['App.jsx'] === 'one\n2\nthree',
+    'Versions keep their own copy of the files'
+  );
+
+  const fallback = createVersion({}, { trigger: 'bogus', message: 'x'.repeat(500) });
+  assert(
+    fallback.trigger === 'manual' && fallback.message.length === 200 && MAX_VERSIONS > 0,
+    'Unknown triggers fall back to manual and long messages are truncated'
+  );
+
+  // ============================================================
+  // TEST SUITE 4: Guest storage budget
+  // ============================================================
+  console.log('\n💾 Test Suite 4: Guest Storage Budget\n');
+
+  // Newest first, 1 KB of files each
+  const history = (prefix, times) => times.map(createdAt => ({
+    id: `${prefix}-${createdAt}`, createdAt, files: { 'App.jsx': 'x'.repeat(1000) }
+  }));
+  const guestVersions = { a: history('a', [9, 7, 5, 3, 1]), b: history('b', [8, 2]) };
+
+  const trimmed = pruneGuestVersions(guestVersions, { maxVersions: 3, maxSize: Infinity });
+  const fitted = pruneGuestVersions(guestVersions, { maxVersions: 10, maxSize: 3500 });
+  assert(
+    trimmed.a.map(v => v.id).join() === 'a-9,a-7,a-5' && trimmed.b.length === 2 &&
+    fitted.a.map(v => v.id).join() === 'a-9,a-7' && fitted.b.map(v => v.id).join() === 'b-8' &&
+    guestVersions.a.length === 5,
+    'Guest history is capped per artifact and in total size, oldest versions going first'
+  );
+
+  const latestOnly = { a: history('a', [4]), b: history('b', [6]) };
+  const dropped = [dropOldestVersion(latestOnly), dropOldestVersion(latestOnly), dropOldestVersion(latestOnly)];
+  assert(
+    dropped[0].id === 'a-4' && dropped[1].id === 'b-6' && dropped[2] === null && Object.keys(latestOnly).length === 0,
+    'Evicting for space spares each latest version until nothing else is left'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runVersionHistoryTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
@@ -0,0 +1,179 @@
+/**
+ * Test Suite: Workspaces
+ *
+ * Tests team workspace membership rules (no network access):
+ * 1. Roles and role ordering
+ * 2. Member changes (owners manage, members leave, one owner minimum)
+ * 3. Resolving which artifacts collection a request may use
+ */
+
+import {
+  WORKSPACE_ROLES,
+  checkMemberChange,
+  createWorkspaceData,
+  hasRole,
+  resolveArtifactScope,
+  toMembershipUpdate,
+  toWorkspaceSummary
+} from '../../api/utils/workspaces.js';
+
+/**
+ * In-memory stand-in for the Firestore paths resolveArtifactScope touches
+ */
+function createFakeDb(documents) {
+  const ref = (path) => ({
+    path,
+    collection: (name) => ({ doc: (id) => ref(`${path}/${name}/${id}`), path: `${path}/${name}` }),
+    get: async () => ({ exists: path in documents, data: () => documents[path] })
+  });
+
+  return {
+    collection: (name) => ({ doc: (id) => ref(`${name}/${id}`) })
+  };
+}
+
+/**
+ * Run all workspace tests
+ */
+export async function runWorkspaceTests() {
+  let totalTests = 0;
+  let passedTests = 0;
+  let failedTests = 0;
+
+  function assert(condition, testName) {
+    totalTests++;
+    if (condition) {
+      passedTests++;
+      console.log(`✅ ${testName}`);
+    } else {
+      failedTests++;
+      console.error(`❌ ${testName}`);
+    }
+  }
+
+  console.log('\n🧪 WORKSPACES TEST SUITE\n');
+  console.log('='.repeat(60));
+
+  // ============================================================
+  // TEST SUITE 1: Roles
+  // ============================================================
+  console.log('\n🎭 Test Suite 1: Roles\n');
+
+  assert(
+    hasRole('owner', 'editor') && hasRole('editor', 'editor') && hasRole('viewer', 'viewer') &&
+    !hasRole('viewer', 'editor') && !hasRole(null, 'viewer') && !hasRole('admin', 'viewer'),
+    'Roles grant their own level and everything below it'
+  );
+
+  const created = createWorkspaceData('Design', 'alice', 'alice@example.com');
+  assert(
+    created.members.alice.role === 'owner' && created.memberIds.length === 1 && created.memberIds[0] === 'alice',
+    'The creator is the only owner, and memberIds mirrors members'
+  );
+
+  const workspace = {
+    ...created,
+    ...toMembershipUpdate({
+      ...created.members,
+      bob: { role: 'editor', email: 'bob@example.com' },
+      carol: { role: 'viewer', email: 'carol@example.com' }
+    })
+  };
+  const summary = toWorkspaceSummary('ws1', workspace, 'carol');
+  assert(
+    summary.role === 'viewer' && workspace.memberIds.length === 3 &&
+    summary.members.map(member => member.role).join() === [...WORKSPACE_ROLES].reverse().join(),
+    'Summaries carry the caller\'s role and list members owners first'
+  );
+
+  // ============================================================
+  // TEST SUITE 2: Member changes
+  // ============================================================
+  console.log('\n👥 Test Suite 2: Member Changes\n');
+
+  assert(
+    checkMemberChange(workspace, 'alice', 'bob', 'viewer') === null &&
+    checkMemberChange(workspace, 'alice', 'carol', null) === null,
+    'Owners can change roles and remove members'
+  );
+  assert(
+    checkMemberChange(workspace, 'bob', 'carol', null)?.status === 403 &&
+    checkMemberChange(workspace, 'bob', 'bob', 'owner')?.status === 403,
+    'Editors cannot manage members or promote themselves'
+  );
+  assert(
+    checkMemberChange(workspace, 'carol', 'carol', null) === null,
+    'Any member can leave'
+  );
+  assert(
+    checkMemberChange(workspace, 'alice', 'alice', null)?.status === 400 &&
+    checkMemberChange(workspace, 'alice', 'alice', 'editor')?.status === 400,
+    'The last owner can neither leave nor step down'
+  );
+  assert(
+    checkMemberChange(workspace, 'mallory', 'bob', null)?.status === 404 &&
+    checkMemberChange(null, 'alice', 'bob', null)?.status === 404 &&
+    checkMemberChange(workspace, 'alice', 'mallory', 'editor')?.status === 404,
+    'Non-members and missing workspaces look the same'
+  );
+
+  // ============================================================
+  // TEST SUITE 3: Artifact scope
+  // ============================================================
+  console.log('\n📁 Test Suite 3: Artifact Scope\n');
+
+  const db = createFakeDb({ 'workspaces/ws1': workspace });
+
+  const personal = await resolveArtifactScope(db, 'carol', undefined, 'editor');
+  assert(
+    personal.artifacts.path === 'users/carol/artifacts' && personal.workspaceId === null,
+    'Without a workspace ID requests use the caller\'s personal artifacts'
+  );
+
+  const viewerRead = await resolveArtifactScope(db, 'carol', 'ws1', 'viewer');
+  const viewerWrite = await resolveArtifactScope(db, 'carol', 'ws1', 'editor');
+  const editorWrite = await resolveArtifactScope(db, 'bob', 'ws1', 'editor');
+  assert(
+    viewerRead.artifacts.path === 'workspaces/ws1/artifacts' &&
+    viewerWrite.status === 403 &&
+    editorWrite.artifacts.path === 'workspaces/ws1/artifacts' && editorWrite.role === 'editor',
+    'Viewers read workspace artifacts; editing needs the editor role'
+  );
+
+  const outsider = await resolveArtifactScope(db, 'mallory', 'ws1', 'viewer');
+  const missing = await resolveArtifactScope(db, 'alice', 'nope', 'viewer');
+  const malformed = await resolveArtifactScope(db, 'alice', ['ws1'], 'viewer');
+  assert(
+    outsider.status === 404 && missing.status === 404 && outsider.message === missing.message &&
+    malformed.status === 400,
+    'Outsiders get 404 and malformed IDs get 400'
+  );
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${totalTests}`);
+  console.log(`✅ Passed: ${passedTests}`);
+  console.log(`❌ Failed: ${failedTests}`);
+  console.log(`Success Rate: ${((passedTests / totalTests) * 100).toFixed(1)}%`);
+  console.log('='.repeat(60) + '\n');
+
+  return {
+    totalTests,
+    totalPassed: passedTests,
+    totalFailed: failedTests,
+    successRate: (passedTests / totalTests) * 100
+  };
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runWorkspaceTests().then(results => {
+    if (results.totalFailed > 0) {
+      process.exit(1);
+    }
+  });
+}
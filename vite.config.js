@@ -1,9 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { PREVIEW_RUNTIME_ASSETS, PREVIEW_RUNTIME_PATH } from './src/services/utils/preview/runtimeAssets.js'
+
+// Vendor the preview iframe's runtime (React, ReactDOM, Babel, Tailwind) from node_modules
+// so the live preview works without reaching public CDNs
+function previewRuntime() {
+  const readAsset = (asset) =>
+    readFileSync(fileURLToPath(new URL(`./node_modules/${asset.module}`, import.meta.url)))
+
+  return {
+    name: 'preview-runtime',
+    configureServer(server) {
+      server.middlewares.use(`/${PREVIEW_RUNTIME_PATH}`, (req, res, next) => {
+        const fileName = req.url.split('?')[0].replace(/^\//, '')
+        const asset = Object.values(PREVIEW_RUNTIME_ASSETS).find(a => a.file === fileName)
+        if (!asset) return next()
+
+        res.setHeader('Content-Type', 'application/javascript')
+        res.end(readAsset(asset))
+      })
+    },
+    generateBundle() {
+      Object.values(PREVIEW_RUNTIME_ASSETS).forEach(asset => {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${PREVIEW_RUNTIME_PATH}${asset.file}`,
+          source: readAsset(asset),
+        })
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), previewRuntime()],
   server: {
     // Use PORT from environment (set by Vercel CLI) or default to 5173
     port: process.env.PORT ? parseInt(process.env.PORT) : 5173,